@@ -7,20 +7,26 @@ import './styles/markdownPreview.css';
 import { Route, BrowserRouter as Router, Routes } from 'react-router-dom';
 import Callback from './components/Callback';
 import Dashboard from './components/Dashboard';
+import Drafts from './components/Drafts';
 import Explore from './components/Explore';
 import FileConverter from './components/FileConverter';
 import GistEditor from './components/GistEditor';
+import GistEmbed from './components/GistEmbed';
 import GistList from './components/GistList';
 import GistViewer from './components/GistViewer';
+import ImportGists from './components/ImportGists';
 import Layout from './components/Layout';
 import ThemeColorSelector from './components/ThemeColorSelector';
 import ThemeSandbox from './components/ThemeSandbox';
 import { UserProfile } from './components/UserProfile';
+import Workspace from './components/Workspace';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { CommandProvider } from './contexts/CommandContext';
+import { GistMetadataProvider } from './contexts/GistMetadataContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { ToastProvider } from './contexts/ToastContext';
 
-const AppContent = () => {
+const MainContent = () => {
 	const auth = useAuth();
 
 	if (!auth) {
@@ -41,37 +47,53 @@ const AppContent = () => {
 	}
 
 	return (
-		<Layout>
-			<Routes>
-				<Route path="/" element={<Dashboard />} />
-				<Route path="/dashboard" element={<Dashboard />} />
-				<Route path="/callback" element={<Callback />} />
-				<Route path="/my-gists" element={<GistList />} />
-				<Route path="/gists" element={<GistList />} />
-				<Route path="/explore" element={<Explore />} />
-				<Route path="/gist/:id?" element={<GistEditor />} />
-				<Route path="/view/:id" element={<GistViewer />} />
-				<Route path="/view/:id/:filename" element={<GistViewer />} />
-				<Route path="/convert" element={<FileConverter />} />
-				<Route path="/profile" element={<UserProfile />} />
-				{process.env.NODE_ENV === 'development' && (
-					<>
-						<Route path="/theme-sandbox" element={<ThemeSandbox />} />
-						<Route path="/theme-colors" element={<ThemeColorSelector />} />
-					</>
-				)}
-			</Routes>
-		</Layout>
+		<CommandProvider>
+			<Layout>
+				<Routes>
+					<Route path="/" element={<Dashboard />} />
+					<Route path="/dashboard" element={<Dashboard />} />
+					<Route path="/callback" element={<Callback />} />
+					<Route path="/my-gists" element={<GistList />} />
+					<Route path="/gists" element={<GistList />} />
+					<Route path="/starred" element={<GistList key="starred" starred />} />
+					<Route path="/explore" element={<Explore />} />
+					<Route path="/drafts" element={<Drafts />} />
+					<Route path="/import" element={<ImportGists />} />
+					<Route path="/gist/:id?" element={<GistEditor />} />
+					<Route path="/workspace" element={<Workspace />} />
+					<Route path="/view/:id" element={<GistViewer />} />
+					<Route path="/view/:id/:filename" element={<GistViewer />} />
+					<Route path="/convert" element={<FileConverter />} />
+					<Route path="/profile" element={<UserProfile />} />
+					{process.env.NODE_ENV === 'development' && (
+						<>
+							<Route path="/theme-sandbox" element={<ThemeSandbox />} />
+							<Route path="/theme-colors" element={<ThemeColorSelector />} />
+						</>
+					)}
+				</Routes>
+			</Layout>
+		</CommandProvider>
 	);
 };
 
+const AppContent = () => (
+	<Routes>
+		{/* Framed on other sites: no layout, commands or sign-in */}
+		<Route path="/embed/:id/:filename" element={<GistEmbed />} />
+		<Route path="*" element={<MainContent />} />
+	</Routes>
+);
+
 const App = () => (
 	<ThemeProvider>
 		<AuthProvider>
 			<ToastProvider>
-				<Router>
-					<AppContent />
-				</Router>
+				<GistMetadataProvider>
+					<Router>
+						<AppContent />
+					</Router>
+				</GistMetadataProvider>
 			</ToastProvider>
 		</AuthProvider>
 	</ThemeProvider>
@@ -0,0 +1,190 @@
+/**
+ * BulkActionBar Component
+ * Selection controls and batch actions for GistList, with progress, an undo
+ * button while the undo window is open, and per-gist errors once a run ends.
+ */
+
+import { Download, Star, StarOff, Trash2, Undo2, X } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+
+/**
+ * @param {Object} props
+ * @param {number} props.filteredCount - Gists matching the current search/filters
+ * @param {number} props.selectedCount
+ * @param {boolean} props.allSelected - Every filtered gist is selected
+ * @param {() => void} props.onToggleAll
+ * @param {() => void} props.onClearSelection
+ * @param {Object} props.bulk - Return value of useBulkActions
+ * @param {() => void} [props.onDelete] - Ask for confirmation, then delete the selection;
+ *   the button is left out when not given
+ * @param {(prefix: string, mode: 'add'|'remove') => void} [props.onPrefix] - Likewise
+ * @param {(starred: boolean) => void} props.onStar
+ * @param {() => void} props.onExport
+ */
+const BulkActionBar = ({
+	filteredCount,
+	selectedCount,
+	allSelected,
+	onToggleAll,
+	onClearSelection,
+	bulk,
+	onDelete,
+	onPrefix,
+	onStar,
+	onExport,
+}) => {
+	const [prefix, setPrefix] = useState('');
+	const selectAllRef = useRef(null);
+	const { progress, result, undo } = bulk;
+	const busy = Boolean(progress);
+
+	useEffect(() => {
+		if (selectAllRef.current) {
+			selectAllRef.current.indeterminate = selectedCount > 0 && !allSelected;
+		}
+	}, [selectedCount, allSelected]);
+
+	return (
+		<div className="space-y-3">
+			<div className="flex flex-wrap items-center gap-2 text-sm">
+				<label className="flex items-center gap-2 mr-2">
+					<input
+						ref={selectAllRef}
+						type="checkbox"
+						checked={allSelected}
+						onChange={onToggleAll}
+						disabled={!filteredCount}
+					/>
+					Select all {filteredCount} filtered
+				</label>
+
+				{selectedCount > 0 && (
+					<>
+						<span className="text-muted-foreground">{selectedCount} selected</span>
+						<Button variant="ghost" size="sm" onClick={onClearSelection} className="h-8 px-2">
+							<X className="h-3 w-3 mr-1" />
+							Clear
+						</Button>
+						<div className="flex flex-wrap items-center gap-2 ml-auto">
+							{onPrefix && (
+								<>
+									<Input
+										value={prefix}
+										onChange={(e) => setPrefix(e.target.value)}
+										placeholder="Description prefix"
+										aria-label="Description prefix"
+										className="h-8 w-44"
+									/>
+									<Button
+										variant="outline"
+										size="sm"
+										disabled={busy || !prefix.trim()}
+										onClick={() => onPrefix(prefix, 'add')}
+									>
+										Add prefix
+									</Button>
+									<Button
+										variant="outline"
+										size="sm"
+										disabled={busy || !prefix.trim()}
+										onClick={() => onPrefix(prefix, 'remove')}
+									>
+										Remove prefix
+									</Button>
+								</>
+							)}
+							<Button variant="outline" size="sm" disabled={busy} onClick={() => onStar(true)}>
+								<Star className="h-3 w-3 mr-1" />
+								Star
+							</Button>
+							<Button variant="outline" size="sm" disabled={busy} onClick={() => onStar(false)}>
+								<StarOff className="h-3 w-3 mr-1" />
+								Unstar
+							</Button>
+							<Button variant="outline" size="sm" disabled={busy} onClick={onExport}>
+								<Download className="h-3 w-3 mr-1" />
+								Export
+							</Button>
+							{onDelete && (
+								<Button
+									variant="outline"
+									size="sm"
+									disabled={busy}
+									onClick={onDelete}
+									className="text-destructive hover:text-destructive"
+								>
+									<Trash2 className="h-3 w-3 mr-1" />
+									Delete
+								</Button>
+							)}
+						</div>
+					</>
+				)}
+			</div>
+
+			{progress && (
+				<div className="flex items-center gap-3 text-sm" role="status">
+					<span>
+						{progress.label}… {progress.done} / {progress.total}
+					</span>
+					<div className="h-2 flex-1 rounded-full bg-muted overflow-hidden">
+						<div
+							className="h-full bg-primary transition-all"
+							style={{ width: `${(progress.done / progress.total) * 100}%` }}
+						/>
+					</div>
+					<Button variant="ghost" size="sm" onClick={bulk.cancel} className="h-8 px-2">
+						Stop
+					</Button>
+				</div>
+			)}
+
+			{undo && (
+				<div
+					className="flex items-center gap-3 text-sm rounded-md bg-muted px-3 py-2"
+					role="status"
+				>
+					<span>{undo.label}</span>
+					<Button variant="outline" size="sm" onClick={bulk.undoLast} className="h-7 ml-auto">
+						<Undo2 className="h-3 w-3 mr-1" />
+						Undo
+					</Button>
+				</div>
+			)}
+
+			{result && !progress && (
+				<div className="text-sm rounded-md border px-3 py-2 space-y-1">
+					<div className="flex items-center gap-2">
+						<span>
+							{result.label}: {result.succeeded} done
+							{result.failed.length > 0 && `, ${result.failed.length} failed`}
+						</span>
+						<Button
+							variant="ghost"
+							size="sm"
+							onClick={bulk.dismissResult}
+							className="h-7 px-2 ml-auto"
+							aria-label="Dismiss"
+						>
+							<X className="h-3 w-3" />
+						</Button>
+					</div>
+					{result.error && <p className="text-destructive">{result.error}</p>}
+					{result.failed.length > 0 && (
+						<ul className="text-destructive space-y-0.5">
+							{result.failed.map(({ gist, message }) => (
+								<li key={gist.id}>
+									{gist.description || Object.keys(gist.files || {})[0] || gist.id}: {message}
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default BulkActionBar;
@@ -0,0 +1,187 @@
+/**
+ * CommandPalette Component
+ * Ctrl/Cmd+K dialog that fuzzy-finds commands (see contexts/CommandContext) and
+ * the user's gists by title, and runs or opens the chosen one from the keyboard.
+ */
+
+import { FileCode, Search } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useCommands } from '../contexts/CommandContext';
+import { useUserGists } from '../hooks/useUserGists';
+import { formatShortcut } from '../services/shortcuts';
+import { gistTitle } from '../utils/describeGist';
+import { fuzzyFilter, fuzzySegments } from '../utils/fuzzyMatch';
+import Highlight from './common/Highlight';
+import { Dialog, DialogContent, DialogDescription, DialogTitle } from './ui/dialog';
+
+// Gists listed before anything is typed, most recently updated first
+const RECENT_GISTS = 5;
+const MAX_GIST_RESULTS = 20;
+
+/**
+ * @param {Object} props
+ * @param {string} props.combo
+ */
+export const ShortcutKeys = ({ combo }) => (
+	<span className="flex items-center gap-1">
+		{formatShortcut(combo).map((key) => (
+			<kbd
+				key={key}
+				className="min-w-5 px-1.5 py-0.5 rounded border bg-muted text-[11px] font-mono text-center"
+			>
+				{key}
+			</kbd>
+		))}
+	</span>
+);
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+const CommandPalette = ({ open, onOpenChange }) => {
+	const { commands, shortcuts, runCommand } = useCommands();
+	const navigate = useNavigate();
+	const [query, setQuery] = useState('');
+	const [selected, setSelected] = useState(0);
+	const gists = useUserGists(open);
+	const listRef = useRef(null);
+
+	useEffect(() => {
+		if (!open) return;
+		setQuery('');
+		setSelected(0);
+	}, [open]);
+
+	const items = useMemo(() => {
+		const commandItems = commands
+			.filter((command) => !command.hidden)
+			.map((command) => ({
+				key: command.id,
+				label: command.label,
+				group: command.group,
+				icon: command.icon,
+				keywords: command.keywords || [],
+				shortcut: shortcuts[command.id],
+				run: () => runCommand(command.id),
+			}));
+		const gistItems = [...gists]
+			.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))
+			.map((gist) => ({
+				key: `gist:${gist.id}`,
+				label: gistTitle(gist),
+				group: 'Gist',
+				icon: FileCode,
+				keywords: Object.keys(gist.files || {}),
+				run: () => {
+					onOpenChange(false);
+					navigate(`/gist/${gist.id}`);
+				},
+			}));
+
+		if (!query.trim()) {
+			return [...commandItems, ...gistItems.slice(0, RECENT_GISTS)].map((item) => ({
+				item,
+				indices: [],
+			}));
+		}
+		const results = fuzzyFilter(commandItems, query, (item) => [item.label, ...item.keywords]);
+		const gistResults = fuzzyFilter(gistItems, query, (item) => [
+			item.label,
+			...item.keywords,
+		]).slice(0, MAX_GIST_RESULTS);
+		return [...results, ...gistResults].sort((a, b) => b.score - a.score);
+	}, [commands, shortcuts, runCommand, gists, query, navigate, onOpenChange]);
+
+	const activeIndex = Math.min(selected, items.length - 1);
+
+	useEffect(() => {
+		listRef.current
+			?.querySelector(`[data-index="${activeIndex}"]`)
+			?.scrollIntoView?.({ block: 'nearest' });
+	}, [activeIndex]);
+
+	const handleKeyDown = (e) => {
+		if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+			e.preventDefault();
+			if (!items.length) return;
+			const step = e.key === 'ArrowDown' ? 1 : -1;
+			setSelected((activeIndex + step + items.length) % items.length);
+		} else if (e.key === 'Enter') {
+			e.preventDefault();
+			items[activeIndex]?.item.run();
+		}
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-xl p-0 gap-0 overflow-hidden top-[20%] translate-y-0">
+				<DialogTitle className="sr-only">Command palette</DialogTitle>
+				<DialogDescription className="sr-only">
+					Search commands, pages and your gists. Use the arrow keys to choose and Enter to run.
+				</DialogDescription>
+				<div className="flex items-center gap-2 border-b px-3">
+					<Search className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+					<input
+						role="combobox"
+						aria-expanded="true"
+						aria-controls="command-palette-results"
+						aria-activedescendant={items.length ? `command-palette-item-${activeIndex}` : undefined}
+						aria-label="Search commands and gists"
+						value={query}
+						onChange={(e) => {
+							setQuery(e.target.value);
+							setSelected(0);
+						}}
+						onKeyDown={handleKeyDown}
+						placeholder="Type a command or gist title..."
+						className="flex-1 h-12 bg-transparent text-sm outline-none placeholder:text-muted-foreground"
+					/>
+				</div>
+				<div
+					ref={listRef}
+					id="command-palette-results"
+					role="listbox"
+					aria-label="Results"
+					className="max-h-[50vh] overflow-y-auto p-1"
+				>
+					{items.map(({ item, indices }, index) => {
+						const Icon = item.icon;
+						return (
+							<div
+								key={item.key}
+								id={`command-palette-item-${index}`}
+								data-index={index}
+								role="option"
+								aria-selected={index === activeIndex}
+								tabIndex={-1}
+								onMouseMove={() => setSelected(index)}
+								onClick={item.run}
+								onKeyDown={handleKeyDown}
+								className={`flex items-center gap-3 px-3 py-2 rounded-md text-sm cursor-pointer ${
+									index === activeIndex ? 'bg-accent text-accent-foreground' : ''
+								}`}
+							>
+								{Icon && <Icon className="h-4 w-4 flex-shrink-0 text-muted-foreground" />}
+								<span className="flex-1 min-w-0 truncate">
+									<Highlight segments={fuzzySegments(item.label, indices)} />
+								</span>
+								<span className="text-xs text-muted-foreground">{item.group}</span>
+								{item.shortcut && <ShortcutKeys combo={item.shortcut} />}
+							</div>
+						);
+					})}
+					{items.length === 0 && (
+						<p className="px-3 py-6 text-sm text-center text-muted-foreground">
+							Nothing matches "{query}"
+						</p>
+					)}
+				</div>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default CommandPalette;
@@ -0,0 +1,163 @@
+/**
+ * Tests for CommandPalette Component
+ * Tests opening the palette with Ctrl+K, running commands and opening gists,
+ * page commands, and changing shortcuts in the shortcuts overlay.
+ */
+
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { CommandProvider, useRegisterCommands } from '../contexts/CommandContext';
+import { ThemeProvider } from '../contexts/ThemeContext';
+import * as gistsApi from '../services/api/gists';
+import { METADATA_FILENAME } from '../services/gistMetadata';
+import { mockUser } from '../test/fixtures';
+
+vi.mock('../services/api/gists');
+
+vi.mock('../contexts/AuthContext', () => ({
+	useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token' })),
+}));
+
+vi.mock('../contexts/GistMetadataContext', () => ({
+	useGistMetadata: vi.fn(() => ({ metadata: { templates: [] }, ready: true })),
+}));
+
+const gists = [
+	{
+		id: 'g1',
+		description: 'Deploy notes',
+		files: { 'rollout.yaml': {} },
+		updated_at: '2025-01-02T00:00:00Z',
+	},
+	{ id: 'g2', description: '', files: { 'README.md': {} }, updated_at: '2025-01-01T00:00:00Z' },
+	{
+		id: 'meta',
+		description: 'gist-manager metadata',
+		files: { [METADATA_FILENAME]: {} },
+		updated_at: '2025-01-03T00:00:00Z',
+	},
+];
+
+const Location = () => <div data-testid="location">{useLocation().pathname}</div>;
+
+const GistPage = ({ onCopy }) => {
+	useRegisterCommands([{ id: 'gist.copy-raw', run: onCopy }]);
+	return null;
+};
+
+const renderApp = ({ path = '/', onCopy = vi.fn() } = {}) =>
+	render(
+		<ThemeProvider>
+			<MemoryRouter initialEntries={[path]}>
+				<CommandProvider>
+					<Routes>
+						<Route path="/view/:id" element={<GistPage onCopy={onCopy} />} />
+						<Route path="*" element={null} />
+					</Routes>
+					<input aria-label="Elsewhere" />
+					<Location />
+				</CommandProvider>
+			</MemoryRouter>
+		</ThemeProvider>,
+	);
+
+const pressKey = (init, target = document.body) => {
+	fireEvent.keyDown(target, init);
+};
+
+const openPalette = () => pressKey({ key: 'k', code: 'KeyK', ctrlKey: true });
+
+describe('CommandPalette Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		localStorage.clear();
+		gistsApi.getCachedGists.mockResolvedValue(null);
+		gistsApi.getGists.mockResolvedValue(gists);
+	});
+
+	it('opens with Ctrl+K and runs the chosen command', async () => {
+		renderApp();
+
+		openPalette();
+		const input = await screen.findByRole('combobox', { name: 'Search commands and gists' });
+		fireEvent.change(input, { target: { value: 'starred' } });
+		fireEvent.keyDown(input, { key: 'Enter' });
+
+		expect(screen.getByTestId('location')).toHaveTextContent('/starred');
+		await waitFor(() => {
+			expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+		});
+	});
+
+	it('finds gists by title and by filename', async () => {
+		renderApp();
+
+		openPalette();
+		const input = await screen.findByRole('combobox');
+		// Untitled gists go by their generated title
+		fireEvent.change(input, { target: { value: 'readme doc' } });
+		await waitFor(() => {
+			expect(screen.getAllByRole('option')[0]).toHaveTextContent('README Documentation');
+		});
+
+		// The metadata gist isn't one of the user's gists to open
+		fireEvent.change(input, { target: { value: 'gist-manager' } });
+		expect(screen.queryByRole('option', { name: /gist-manager metadata/ })).not.toBeInTheDocument();
+
+		fireEvent.change(input, { target: { value: 'rollout' } });
+		expect(screen.getAllByRole('option')).toHaveLength(1);
+		fireEvent.click(screen.getByRole('option'));
+
+		expect(screen.getByTestId('location')).toHaveTextContent('/gist/g1');
+		expect(gistsApi.getGists).toHaveBeenCalledWith('test-token', undefined, mockUser.id);
+	});
+
+	it('leaves keys to whatever already handled them', () => {
+		renderApp();
+		const input = screen.getByLabelText('Elsewhere');
+		input.addEventListener('keydown', (e) => e.preventDefault());
+
+		pressKey({ key: 'k', code: 'KeyK', ctrlKey: true }, input);
+		pressKey({ key: '?', code: 'Slash', shiftKey: true }, input);
+
+		expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+	});
+
+	it('offers page commands while the page is open and runs their shortcuts', async () => {
+		const onCopy = vi.fn();
+		renderApp({ path: '/view/g1', onCopy });
+
+		pressKey({ key: 'c', code: 'KeyC', altKey: true });
+		expect(onCopy).toHaveBeenCalledTimes(1);
+
+		openPalette();
+		fireEvent.change(await screen.findByRole('combobox'), { target: { value: 'copy raw' } });
+		expect(screen.getAllByRole('option')[0]).toHaveTextContent('Copy raw file');
+	});
+
+	it('records a new shortcut in the shortcuts overlay', async () => {
+		renderApp();
+
+		pressKey({ key: '?', code: 'Slash', shiftKey: true });
+		await screen.findByRole('heading', { name: 'Keyboard shortcuts' });
+
+		fireEvent.click(screen.getByTitle('Change the shortcut for Go to Explore'));
+		fireEvent.keyDown(screen.getByLabelText('Press the new shortcut for Go to Explore'), {
+			key: 'x',
+			code: 'KeyX',
+			altKey: true,
+		});
+		expect(JSON.parse(localStorage.getItem('keyboardShortcuts'))).toEqual({
+			'nav.explore': 'Alt+X',
+		});
+
+		fireEvent.keyDown(document, { key: 'Escape' });
+		await waitFor(() => {
+			expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+		});
+		act(() => pressKey({ key: 'x', code: 'KeyX', altKey: true }));
+
+		expect(screen.getByTestId('location')).toHaveTextContent('/explore');
+	});
+});
@@ -2,7 +2,8 @@ import { Github } from 'lucide-react';
 import { useCallback, useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { getGists } from '../services/api/gists';
+import { getCachedGists, getGists } from '../services/api/gists';
+import { withoutMetadataGist } from '../services/gistMetadata';
 import { generateGistPreview } from '../utils/describeGist';
 import { logError } from '../utils/logger';
 import Spinner from './common/Spinner';
@@ -24,48 +25,63 @@ const Dashboard = () => {
 	});
 	const { user, token, initiateGithubLogin } = useAuth();
 
+	// Derive metrics and the recent list from gist data
+	const showGists = useCallback((allGists) => {
+		const gistsData = withoutMetadataGist(allGists);
+		const totalGists = gistsData.length;
+		let totalFiles = 0;
+		let mostRecentUpdate = null;
+		const fileTypes = {};
+
+		gistsData.forEach((gist) => {
+			const filesCount = Object.keys(gist.files).length;
+			totalFiles += filesCount;
+
+			Object.values(gist.files).forEach((file) => {
+				const extension = file.filename.split('.').pop().toLowerCase() || 'unknown';
+				fileTypes[extension] = (fileTypes[extension] || 0) + 1;
+			});
+
+			const updateDate = new Date(gist.updated_at);
+			if (!mostRecentUpdate || updateDate > mostRecentUpdate) {
+				mostRecentUpdate = updateDate;
+			}
+		});
+
+		setMetrics({
+			totalGists,
+			totalFiles,
+			avgFilesPerGist: totalGists ? (totalFiles / totalGists).toFixed(1) : 0,
+			mostRecentUpdate,
+			fileTypes,
+		});
+
+		setGists(gistsData.slice(0, 5));
+	}, []);
+
+	// Render the persisted copy first, then revalidate
 	const fetchGists = useCallback(async () => {
+		let showingCached = false;
 		try {
 			setLoading(true);
 			setError(null);
-			const gistsData = await getGists(token, setError, user?.id);
-
-			const totalGists = gistsData.length;
-			let totalFiles = 0;
-			let mostRecentUpdate = null;
-			const fileTypes = {};
-
-			gistsData.forEach((gist) => {
-				const filesCount = Object.keys(gist.files).length;
-				totalFiles += filesCount;
-
-				Object.values(gist.files).forEach((file) => {
-					const extension = file.filename.split('.').pop().toLowerCase() || 'unknown';
-					fileTypes[extension] = (fileTypes[extension] || 0) + 1;
-				});
-
-				const updateDate = new Date(gist.updated_at);
-				if (!mostRecentUpdate || updateDate > mostRecentUpdate) {
-					mostRecentUpdate = updateDate;
-				}
-			});
 
-			setMetrics({
-				totalGists,
-				totalFiles,
-				avgFilesPerGist: totalGists ? (totalFiles / totalGists).toFixed(1) : 0,
-				mostRecentUpdate,
-				fileTypes,
-			});
+			const cached = await getCachedGists(token, user?.id);
+			if (Array.isArray(cached) && cached.length > 0) {
+				showGists(cached);
+				showingCached = true;
+				setLoading(false);
+			}
 
-			setGists(gistsData.slice(0, 5));
+			const gistsData = await getGists(token, showingCached ? undefined : setError, user?.id);
+			showGists(gistsData);
 		} catch (error) {
 			logError('Error fetching gists', error);
-			setError('Failed to fetch gists. Please try again later.');
+			if (!showingCached) setError('Failed to fetch gists. Please try again later.');
 		} finally {
 			setLoading(false);
 		}
-	}, [token, user]);
+	}, [token, user, showGists]);
 
 	useEffect(() => {
 		if (user && token) {
@@ -0,0 +1,114 @@
+/**
+ * DiffView Component
+ * Renders per-file diffs (see utils/gistDiff) in unified or side-by-side layout.
+ */
+
+import { cn } from '../lib/utils';
+import { toSplitRows } from '../utils/gistDiff';
+import { Badge } from './ui/badge';
+
+const lineClassNames = {
+	add: 'bg-green-500/15',
+	remove: 'bg-red-500/15',
+	context: '',
+};
+
+const markers = { add: '+', remove: '-', context: ' ' };
+
+const statusVariants = {
+	added: 'default',
+	removed: 'destructive',
+	modified: 'secondary',
+	unchanged: 'outline',
+};
+
+const numberCell = 'w-10 select-none px-2 text-right align-top text-muted-foreground';
+const textCell = 'whitespace-pre-wrap break-all px-2';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.hunk - `{ header, lines }`
+ * @param {'unified'|'split'} props.mode
+ */
+const Hunk = ({ hunk, mode }) => (
+	<>
+		<tr className="bg-muted/50 text-muted-foreground">
+			<td colSpan={mode === 'split' ? 4 : 3} className="px-2 py-0.5">
+				{hunk.header}
+			</td>
+		</tr>
+		{mode === 'split'
+			? toSplitRows(hunk.lines).map((row) => (
+					<tr key={`${row.left?.oldNumber ?? '-'}:${row.right?.newNumber ?? '-'}`}>
+						<td className={cn(numberCell, row.left && lineClassNames[row.left.type])}>
+							{row.left?.oldNumber}
+						</td>
+						<td
+							className={cn(textCell, 'w-1/2 border-r', row.left && lineClassNames[row.left.type])}
+						>
+							{row.left?.text}
+						</td>
+						<td className={cn(numberCell, row.right && lineClassNames[row.right.type])}>
+							{row.right?.newNumber}
+						</td>
+						<td className={cn(textCell, 'w-1/2', row.right && lineClassNames[row.right.type])}>
+							{row.right?.text}
+						</td>
+					</tr>
+				))
+			: hunk.lines.map((line) => (
+					<tr
+						key={`${line.oldNumber ?? '-'}:${line.newNumber ?? '-'}`}
+						className={lineClassNames[line.type]}
+					>
+						<td className={numberCell}>{line.oldNumber}</td>
+						<td className={numberCell}>{line.newNumber}</td>
+						<td className={textCell}>
+							{markers[line.type]} {line.text}
+						</td>
+					</tr>
+				))}
+	</>
+);
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.files - FileDiff list from diffGistFiles
+ * @param {'unified'|'split'} [props.mode='unified']
+ * @param {boolean} [props.hideUnchanged=true]
+ */
+const DiffView = ({ files, mode = 'unified', hideUnchanged = true }) => {
+	const shown = hideUnchanged ? files.filter((file) => file.status !== 'unchanged') : files;
+
+	if (!shown.length) {
+		return <p className="text-sm text-muted-foreground py-4 text-center">No changes.</p>;
+	}
+
+	return (
+		<div className="space-y-4">
+			{shown.map((file) => (
+				<div key={file.filename} className="border rounded-[var(--radius)] overflow-hidden">
+					<div className="flex items-center gap-2 px-3 py-2 border-b bg-muted/30 text-sm">
+						<span className="font-mono font-medium truncate">{file.filename}</span>
+						<Badge variant={statusVariants[file.status]}>{file.status}</Badge>
+						<span className="ml-auto text-xs">
+							<span className="text-green-600">+{file.additions}</span>{' '}
+							<span className="text-red-600">-{file.deletions}</span>
+						</span>
+					</div>
+					<div className="overflow-x-auto">
+						<table className="w-full font-mono text-xs border-collapse">
+							<tbody>
+								{file.hunks.map((hunk) => (
+									<Hunk key={hunk.header} hunk={hunk} mode={mode} />
+								))}
+							</tbody>
+						</table>
+					</div>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default DiffView;
@@ -0,0 +1,62 @@
+/**
+ * DraftRecoveryBanner Component
+ * Shown in the editor when an autosaved draft differs from the version being
+ * opened. Lets the user inspect the differences, restore the draft or discard it.
+ */
+
+import { FileClock } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { diffFile, diffGistFiles } from '../utils/gistDiff';
+import DiffView from './DiffView';
+import { Button } from './ui/button';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.draft - Stored draft (see services/draftStore)
+ * @param {Object} props.base - Gist the draft is compared with (the server version)
+ * @param {() => void} props.onRestore
+ * @param {() => void} props.onDiscard
+ */
+const DraftRecoveryBanner = ({ draft, base, onRestore, onDiscard }) => {
+	const [showDiff, setShowDiff] = useState(false);
+
+	const files = useMemo(() => {
+		const diffs = diffGistFiles(base.files, draft.files);
+		const description = base.description || '';
+		return draft.description === description
+			? diffs
+			: [diffFile('Description', description, draft.description), ...diffs];
+	}, [draft, base]);
+
+	return (
+		<div
+			role="alert"
+			className="mx-2 my-2 rounded-md border border-yellow-500/40 bg-yellow-500/10 p-3 text-sm"
+		>
+			<div className="flex flex-wrap items-center gap-2">
+				<FileClock className="h-4 w-4 shrink-0" />
+				<span className="flex-1">
+					{draft.gistId ? 'You have unsaved changes to this gist' : 'You have an unsaved new gist'}{' '}
+					from {formatRelativeTime(draft.updatedAt)}.
+				</span>
+				<Button type="button" size="sm" variant="ghost" onClick={() => setShowDiff((s) => !s)}>
+					{showDiff ? 'Hide changes' : 'Show changes'}
+				</Button>
+				<Button type="button" size="sm" onClick={onRestore}>
+					Restore draft
+				</Button>
+				<Button type="button" size="sm" variant="outline" onClick={onDiscard}>
+					Discard
+				</Button>
+			</div>
+			{showDiff && (
+				<div className="mt-3 max-h-80 overflow-auto">
+					<DiffView files={files} />
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default DraftRecoveryBanner;
@@ -0,0 +1,115 @@
+/**
+ * Drafts Component
+ * Lists autosaved editor drafts (see services/draftStore) so unsaved work can be
+ * resumed or thrown away.
+ */
+
+import { FileClock, Trash2 } from 'lucide-react';
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { deleteDraft, listDrafts } from '../services/draftStore';
+import { formatRelativeTime } from '../utils/dateUtils';
+import Spinner from './common/Spinner';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+
+/**
+ * @param {Object} draft
+ * @returns {string} Editor URL that resumes the draft
+ */
+const resumePath = (draft) =>
+	draft.gistId ? `/gist/${draft.gistId}` : `/gist?draft=${encodeURIComponent(draft.draftKey)}`;
+
+const Drafts = () => {
+	const [drafts, setDrafts] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const { user } = useAuth();
+
+	const loadDrafts = useCallback(async () => {
+		setDrafts(await listDrafts(user?.id));
+		setLoading(false);
+	}, [user?.id]);
+
+	useEffect(() => {
+		loadDrafts();
+		window.addEventListener('drafts:changed', loadDrafts);
+		return () => window.removeEventListener('drafts:changed', loadDrafts);
+	}, [loadDrafts]);
+
+	if (!user) {
+		return (
+			<div className="p-6 bg-surface rounded shadow-md text-center">
+				Please log in to see your drafts.
+			</div>
+		);
+	}
+
+	if (loading) {
+		return <Spinner />;
+	}
+
+	return (
+		<Card>
+			<CardHeader>
+				<CardTitle className="flex items-center gap-2">
+					<FileClock className="h-5 w-5" />
+					Drafts
+				</CardTitle>
+			</CardHeader>
+			<CardContent>
+				{drafts.length === 0 ? (
+					<p className="text-center py-8 text-muted-foreground">
+						No unsaved drafts. Edits you haven't saved yet are kept here automatically.
+					</p>
+				) : (
+					<ul className="divide-y divide-border">
+						{drafts.map((draft) => {
+							const filenames = Object.keys(draft.files || {});
+							return (
+								<li key={draft.key} className="flex items-center gap-3 py-3">
+									<div className="min-w-0 flex-1">
+										<Link
+											to={resumePath(draft)}
+											className="block font-medium truncate hover:text-primary"
+										>
+											{draft.description || filenames[0] || 'Untitled'}
+										</Link>
+										<div className="flex items-center gap-2 mt-1 text-xs text-muted-foreground">
+											{draft.gistId ? (
+												<span className="font-mono">{draft.gistId.slice(0, 7)}</span>
+											) : (
+												<Badge variant="secondary">New gist</Badge>
+											)}
+											<span>&middot;</span>
+											<span>
+												{filenames.length} {filenames.length === 1 ? 'file' : 'files'}
+											</span>
+											<span>&middot;</span>
+											<span>Edited {formatRelativeTime(draft.updatedAt)}</span>
+										</div>
+									</div>
+									<Button asChild size="sm">
+										<Link to={resumePath(draft)}>Resume</Link>
+									</Button>
+									<Button
+										type="button"
+										size="sm"
+										variant="ghost"
+										onClick={() => deleteDraft(user.id, draft.draftKey)}
+										aria-label={`Discard draft ${draft.description || filenames[0] || ''}`.trim()}
+									>
+										<Trash2 className="h-4 w-4" />
+									</Button>
+								</li>
+							);
+						})}
+					</ul>
+				)}
+			</CardContent>
+		</Card>
+	);
+};
+
+export default Drafts;
@@ -1,25 +1,37 @@
 /**
  * Explore Component
- * Load a gist by URL/ID, or browse a user's public gists by username.
- * Works without authentication (uses public GitHub API).
+ * Load a gist by URL/ID, browse a user's public gists by username, or page
+ * through the community feed of gists shared on this instance.
+ * Works without authentication (uses public GitHub API and the shared-gists index).
  */
 
-import { ArrowRight, Eye, FileText, GitFork, Globe, Search } from 'lucide-react';
-import { useCallback, useRef, useState } from 'react';
+import { ArrowRight, Eye, FileText, GitFork, Globe, Search, Star, Users } from 'lucide-react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
-import { forkGist } from '../services/api/gists';
+import { forkGist, getStarredGists } from '../services/api/gists';
 import { getUserGists } from '../services/api/github';
+import {
+	forkSharedGist,
+	getSharedGists,
+	SHARED_GIST_SORTS,
+	setSharedGistStarred,
+	toGistShape,
+} from '../services/api/sharedGists';
 import { generateGistPreview } from '../utils/describeGist';
 import { logError } from '../utils/logger';
 import Spinner from './common/Spinner';
+import StarToggle from './StarToggle';
 import { Badge } from './ui/badge';
 import { Button } from './ui/button';
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from './ui/card';
 import { ErrorState } from './ui/error-state';
 import { Input } from './ui/input';
 import { Separator } from './ui/separator';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+
+const COMMUNITY_PAGE_SIZE = 12;
 
 /**
  * Parse a gist ID from various input formats:
@@ -70,6 +82,344 @@ const detectInputType = (input) => {
 	return 'user';
 };
 
+/**
+ * Card for a gist in search results or the community feed
+ * @param {Object} props
+ * @param {Object} props.gist - Gist (or shared entry adapted with toGistShape)
+ * @param {boolean} props.canFork - Whether to show the fork button
+ * @param {boolean} props.forking - Fork in progress for this gist
+ * @param {() => void} props.onFork - Fork handler
+ * @param {React.ReactNode} [props.meta] - Extra footer content (feed stats)
+ * @param {React.ReactNode} [props.actions] - Extra footer buttons
+ */
+const ExploreGistCard = ({ gist, canFork, forking, onFork, meta, actions }) => {
+	const navigate = useNavigate();
+	const preview = generateGistPreview(gist, 120);
+	const filenames = Object.keys(gist.files);
+
+	return (
+		<Card className="flex flex-col hover:shadow-lg transition-shadow">
+			<CardHeader className="pb-3">
+				<div className="flex items-start justify-between gap-2 mb-2">
+					<Badge variant="outline">
+						{preview.fileCount} {preview.fileCount === 1 ? 'file' : 'files'}
+					</Badge>
+					<Badge variant="secondary">{preview.primaryLanguage}</Badge>
+				</div>
+				<CardTitle
+					className="text-base hover:text-primary transition-colors line-clamp-1 cursor-pointer"
+					onClick={() => navigate(`/view/${gist.id}`)}
+				>
+					{gist.description || preview.generatedTitle || 'Untitled Gist'}
+				</CardTitle>
+			</CardHeader>
+
+			<CardContent
+				className="flex-1 pb-3 cursor-pointer"
+				onClick={() => navigate(`/view/${gist.id}`)}
+			>
+				<p className="text-sm text-muted-foreground line-clamp-3">{preview.preview}</p>
+				<div className="flex flex-wrap gap-1 mt-3">
+					{preview.fileTypes.slice(0, 3).map((fileType, index) => {
+						const filename = filenames[index];
+						return (
+							<Badge key={filename} variant="outline" className="text-xs">
+								{fileType.icon} {filename.split('.').pop()}
+							</Badge>
+						);
+					})}
+					{preview.fileCount > 3 && (
+						<Badge variant="outline" className="text-xs">
+							+{preview.fileCount - 3}
+						</Badge>
+					)}
+				</div>
+			</CardContent>
+
+			<Separator />
+
+			<CardFooter className="pt-3 flex items-center justify-between text-xs text-muted-foreground">
+				<div className="flex flex-col gap-1">
+					<span>Updated {new Date(gist.updated_at).toLocaleDateString()}</span>
+					{meta}
+				</div>
+				<div className="flex gap-2">
+					<Button
+						variant="ghost"
+						size="sm"
+						onClick={() => navigate(`/view/${gist.id}`)}
+						className="h-8 px-2"
+						title="View gist"
+					>
+						<Eye className="h-3 w-3" />
+					</Button>
+					{actions}
+					{canFork && (
+						<Button
+							variant="ghost"
+							size="sm"
+							onClick={onFork}
+							disabled={forking}
+							className="h-8 px-2"
+							title="Fork gist"
+						>
+							<GitFork className="h-3 w-3" />
+						</Button>
+					)}
+				</div>
+			</CardFooter>
+		</Card>
+	);
+};
+
+/**
+ * Community feed: pages through the gists shared on this instance
+ */
+const CommunityFeed = () => {
+	const [entries, setEntries] = useState([]);
+	const [page, setPage] = useState(1);
+	const [totalPages, setTotalPages] = useState(0);
+	const [total, setTotal] = useState(0);
+	const [sort, setSort] = useState('newest');
+	const [language, setLanguage] = useState('');
+	const [languages, setLanguages] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [forkingId, setForkingId] = useState(null);
+	const [starringId, setStarringId] = useState(null);
+	const requestRef = useRef(0);
+
+	const navigate = useNavigate();
+	const { user, token } = useAuth();
+	const toast = useToast();
+
+	const fetchFeed = useCallback(async () => {
+		const requestId = ++requestRef.current;
+		setLoading(true);
+		setError(null);
+
+		try {
+			const data = await getSharedGists({
+				page,
+				perPage: COMMUNITY_PAGE_SIZE,
+				sort,
+				language,
+			});
+			if (requestId !== requestRef.current) return;
+
+			setEntries(data.gists);
+			setTotal(data.total);
+			setTotalPages(data.totalPages);
+			setLanguages(data.languages || []);
+		} catch (err) {
+			if (requestId !== requestRef.current) return;
+			logError('Community feed error', err);
+			setError('Failed to load the community feed. Please try again.');
+		} finally {
+			if (requestId === requestRef.current) {
+				setLoading(false);
+			}
+		}
+	}, [page, sort, language]);
+
+	useEffect(() => {
+		fetchFeed();
+	}, [fetchFeed]);
+
+	const replaceEntry = (updated) => {
+		if (!updated) return;
+		setEntries((prev) => prev.map((entry) => (entry.id === updated.id ? updated : entry)));
+	};
+
+	const handleFork = async (gistId) => {
+		if (!token) {
+			toast.error('Please log in to fork gists');
+			return;
+		}
+		try {
+			setForkingId(gistId);
+			const { gist: forked } = await forkSharedGist(gistId);
+			toast.success('Gist forked successfully!');
+			navigate(`/gist/${forked.id}`);
+		} catch (err) {
+			logError('Failed to fork shared gist', err);
+			toast.error('Failed to fork gist');
+		} finally {
+			setForkingId(null);
+		}
+	};
+
+	const handleToggleStar = async (entry) => {
+		if (!token) {
+			toast.error('Please log in to star gists');
+			return;
+		}
+		try {
+			setStarringId(entry.id);
+			replaceEntry(await setSharedGistStarred(entry.id, !entry.starred));
+		} catch (err) {
+			logError('Failed to update star', err);
+			toast.error('Failed to update star');
+		} finally {
+			setStarringId(null);
+		}
+	};
+
+	const selectClassName = 'flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm';
+
+	return (
+		<div className="space-y-4">
+			<div className="flex flex-wrap items-end gap-4">
+				<div>
+					<label htmlFor="community-sort" className="text-sm font-medium mb-1 block">
+						Sort
+					</label>
+					<select
+						id="community-sort"
+						value={sort}
+						onChange={(e) => {
+							setSort(e.target.value);
+							setPage(1);
+						}}
+						className={selectClassName}
+					>
+						{SHARED_GIST_SORTS.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label htmlFor="community-language" className="text-sm font-medium mb-1 block">
+						Language
+					</label>
+					<select
+						id="community-language"
+						value={language}
+						onChange={(e) => {
+							setLanguage(e.target.value);
+							setPage(1);
+						}}
+						className={selectClassName}
+					>
+						<option value="">All languages</option>
+						{languages.map((lang) => (
+							<option key={lang.name} value={lang.name}>
+								{lang.name} ({lang.count})
+							</option>
+						))}
+					</select>
+				</div>
+				{!loading && !error && (
+					<p className="text-sm text-muted-foreground ml-auto">
+						{total} shared gist{total !== 1 ? 's' : ''}
+					</p>
+				)}
+			</div>
+
+			{error && <ErrorState message={error} variant="card" onRetry={fetchFeed} />}
+
+			{loading && (
+				<div className="flex flex-col items-center justify-center py-12">
+					<Spinner />
+					<p className="mt-4 text-muted-foreground">Loading community gists...</p>
+				</div>
+			)}
+
+			{!loading && !error && entries.length > 0 && (
+				<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+					{entries.map((entry) => (
+						<ExploreGistCard
+							key={entry.id}
+							gist={toGistShape(entry)}
+							canFork={!!token && entry.username !== user?.login}
+							forking={forkingId === entry.id}
+							onFork={() => handleFork(entry.id)}
+							meta={
+								<>
+									{entry.tagline && (
+										<span className="italic line-clamp-1" title={entry.tagline}>
+											{entry.tagline}
+										</span>
+									)}
+									{entry.tags?.length > 0 && (
+										<span className="flex flex-wrap gap-1">
+											{entry.tags.map((tag) => (
+												<Badge key={tag} variant="outline" className="text-xs">
+													#{tag}
+												</Badge>
+											))}
+										</span>
+									)}
+									<span className="flex items-center gap-2">
+										<span>by @{entry.username}</span>
+										<span className="flex items-center gap-1" title="Forks">
+											<GitFork className="h-3 w-3" />
+											{entry.forks}
+										</span>
+										<span className="flex items-center gap-1" title="Stars">
+											<Star className="h-3 w-3" />
+											{entry.stars}
+										</span>
+									</span>
+								</>
+							}
+							actions={
+								token && (
+									<Button
+										variant="ghost"
+										size="sm"
+										onClick={() => handleToggleStar(entry)}
+										disabled={starringId === entry.id}
+										className="h-8 px-2"
+										title={entry.starred ? 'Unstar gist' : 'Star gist'}
+									>
+										<Star className={`h-3 w-3 ${entry.starred ? 'fill-current' : ''}`} />
+									</Button>
+								)
+							}
+						/>
+					))}
+				</div>
+			)}
+
+			{!loading && !error && entries.length === 0 && (
+				<Card>
+					<CardContent className="flex flex-col items-center justify-center py-12">
+						<Users className="h-12 w-12 text-muted-foreground mb-4" />
+						<p className="text-muted-foreground">
+							{language ? `No shared ${language} gists yet.` : 'No gists have been shared yet.'}
+						</p>
+					</CardContent>
+				</Card>
+			)}
+
+			{!loading && totalPages > 1 && (
+				<div className="flex items-center justify-center gap-2">
+					<Button
+						onClick={() => setPage((p) => Math.max(1, p - 1))}
+						disabled={page === 1}
+						variant="outline"
+					>
+						Previous
+					</Button>
+					<span className="text-sm text-muted-foreground">
+						Page {page} of {totalPages}
+					</span>
+					<Button
+						onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+						disabled={page === totalPages}
+						variant="outline"
+					>
+						Next
+					</Button>
+				</div>
+			)}
+		</div>
+	);
+};
+
 const Explore = () => {
 	const [query, setQuery] = useState('');
 	const [gists, setGists] = useState([]);
@@ -77,12 +427,49 @@ const Explore = () => {
 	const [error, setError] = useState(null);
 	const [resultLabel, setResultLabel] = useState('');
 	const [forkingId, setForkingId] = useState(null);
+	const [mode, setMode] = useState('search');
+	// The user's starred gist IDs, loaded once results need star buttons
+	const [starredIds, setStarredIds] = useState(null);
 	const abortRef = useRef(0);
 
 	const navigate = useNavigate();
 	const { user, token } = useAuth();
 	const toast = useToast();
 
+	const hasResults = gists.length > 0;
+	useEffect(() => {
+		if (!token || !hasResults || starredIds) return;
+
+		let cancelled = false;
+		const loadStarred = async () => {
+			try {
+				const starred = await getStarredGists(token);
+				if (!cancelled && Array.isArray(starred)) {
+					setStarredIds(new Set(starred.map((gist) => gist.id)));
+				}
+			} catch (err) {
+				logError('Failed to load starred gists', err);
+			}
+		};
+
+		loadStarred();
+		return () => {
+			cancelled = true;
+		};
+	}, [token, hasResults, starredIds]);
+
+	const handleStarChange = (gistId, starred) => {
+		setStarredIds((prev) => {
+			const next = new Set(prev);
+			if (starred) {
+				next.add(gistId);
+			} else {
+				next.delete(gistId);
+			}
+			return next;
+		});
+	};
+
 	const handleSearch = useCallback(
 		async (e) => {
 			e?.preventDefault();
@@ -159,144 +546,115 @@ const Explore = () => {
 	};
 
 	return (
-		<div className="space-y-6">
-			{/* Search */}
+		<Tabs value={mode} onValueChange={setMode} className="space-y-6">
 			<Card>
 				<CardHeader>
-					<CardTitle className="flex items-center gap-2">
-						<Globe className="h-5 w-5" />
-						Explore Gists
-					</CardTitle>
+					<div className="flex flex-wrap items-center justify-between gap-4">
+						<CardTitle className="flex items-center gap-2">
+							<Globe className="h-5 w-5" />
+							Explore Gists
+						</CardTitle>
+						<TabsList>
+							<TabsTrigger value="search">
+								<Search className="h-4 w-4 mr-2" />
+								Search
+							</TabsTrigger>
+							<TabsTrigger value="community">
+								<Users className="h-4 w-4 mr-2" />
+								Community
+							</TabsTrigger>
+						</TabsList>
+					</div>
 				</CardHeader>
 				<CardContent>
-					<form onSubmit={handleSearch} className="flex gap-2">
-						<div className="relative flex-1">
-							<Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-							<Input
-								type="text"
-								value={query}
-								onChange={(e) => setQuery(e.target.value)}
-								placeholder="GitHub username or gist URL / ID"
-								className="pl-10"
-								autoFocus
-							/>
-						</div>
-						<Button type="submit" disabled={loading || !query.trim()}>
-							{loading ? <Spinner className="h-4 w-4" /> : <ArrowRight className="h-4 w-4" />}
-						</Button>
-					</form>
-					<p className="text-xs text-muted-foreground mt-2">
-						Enter a username to browse their public gists, or paste a gist URL to view it directly.
-					</p>
+					{mode === 'search' ? (
+						<>
+							<form onSubmit={handleSearch} className="flex gap-2">
+								<div className="relative flex-1">
+									<Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+									<Input
+										type="text"
+										value={query}
+										onChange={(e) => setQuery(e.target.value)}
+										placeholder="GitHub username or gist URL / ID"
+										className="pl-10"
+										autoFocus
+									/>
+								</div>
+								<Button type="submit" disabled={loading || !query.trim()}>
+									{loading ? <Spinner className="h-4 w-4" /> : <ArrowRight className="h-4 w-4" />}
+								</Button>
+							</form>
+							<p className="text-xs text-muted-foreground mt-2">
+								Enter a username to browse their public gists, or paste a gist URL to view it
+								directly.
+							</p>
+						</>
+					) : (
+						<p className="text-xs text-muted-foreground">
+							Gists shared by users of this instance. Share your own public gists from the viewer.
+						</p>
+					)}
 				</CardContent>
 			</Card>
 
-			{/* Error */}
-			{error && <ErrorState message={error} variant="card" />}
+			<TabsContent value="search" className="space-y-6">
+				{/* Error */}
+				{error && <ErrorState message={error} variant="card" />}
 
-			{/* Loading */}
-			{loading && (
-				<div className="flex flex-col items-center justify-center py-12">
-					<Spinner />
-					<p className="mt-4 text-muted-foreground">Searching...</p>
-				</div>
-			)}
+				{/* Loading */}
+				{loading && (
+					<div className="flex flex-col items-center justify-center py-12">
+						<Spinner />
+						<p className="mt-4 text-muted-foreground">Searching...</p>
+					</div>
+				)}
 
-			{/* Results */}
-			{!loading && resultLabel && (
-				<>
-					<p className="text-sm text-muted-foreground">{resultLabel}</p>
-
-					{gists.length > 0 && (
-						<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-							{gists.map((gist) => {
-								const preview = generateGistPreview(gist, 120);
-								return (
-									<Card key={gist.id} className="flex flex-col hover:shadow-lg transition-shadow">
-										<CardHeader className="pb-3">
-											<div className="flex items-start justify-between gap-2 mb-2">
-												<Badge variant="outline">
-													{preview.fileCount} {preview.fileCount === 1 ? 'file' : 'files'}
-												</Badge>
-												<Badge variant="secondary">{preview.primaryLanguage}</Badge>
-											</div>
-											<CardTitle
-												className="text-base hover:text-primary transition-colors line-clamp-1 cursor-pointer"
-												onClick={() => navigate(`/view/${gist.id}`)}
-											>
-												{gist.description || preview.generatedTitle || 'Untitled Gist'}
-											</CardTitle>
-										</CardHeader>
-
-										<CardContent
-											className="flex-1 pb-3 cursor-pointer"
-											onClick={() => navigate(`/view/${gist.id}`)}
-										>
-											<p className="text-sm text-muted-foreground line-clamp-3">
-												{preview.preview}
-											</p>
-											<div className="flex flex-wrap gap-1 mt-3">
-												{preview.fileTypes.slice(0, 3).map((fileType, index) => {
-													const filename = Object.keys(gist.files)[index];
-													return (
-														<Badge key={filename} variant="outline" className="text-xs">
-															{fileType.icon} {filename.split('.').pop()}
-														</Badge>
-													);
-												})}
-												{preview.fileCount > 3 && (
-													<Badge variant="outline" className="text-xs">
-														+{preview.fileCount - 3}
-													</Badge>
-												)}
-											</div>
-										</CardContent>
-
-										<Separator />
-
-										<CardFooter className="pt-3 flex items-center justify-between text-xs text-muted-foreground">
-											<span>Updated {new Date(gist.updated_at).toLocaleDateString()}</span>
-											<div className="flex gap-2">
-												<Button
-													variant="ghost"
-													size="sm"
-													onClick={() => navigate(`/view/${gist.id}`)}
-													className="h-8 px-2"
-													title="View gist"
-												>
-													<Eye className="h-3 w-3" />
-												</Button>
-												{token && gist.owner?.login !== user?.login && (
-													<Button
-														variant="ghost"
-														size="sm"
-														onClick={() => handleFork(gist.id)}
-														disabled={forkingId === gist.id}
-														className="h-8 px-2"
-														title="Fork gist"
-													>
-														<GitFork className="h-3 w-3" />
-													</Button>
-												)}
-											</div>
-										</CardFooter>
-									</Card>
-								);
-							})}
-						</div>
-					)}
+				{/* Results */}
+				{!loading && resultLabel && (
+					<>
+						<p className="text-sm text-muted-foreground">{resultLabel}</p>
 
-					{gists.length === 0 && !error && (
-						<Card>
-							<CardContent className="flex flex-col items-center justify-center py-12">
-								<FileText className="h-12 w-12 text-muted-foreground mb-4" />
-								<p className="text-muted-foreground">No public gists found for this user.</p>
-							</CardContent>
-						</Card>
-					)}
-				</>
-			)}
-		</div>
+						{gists.length > 0 && (
+							<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+								{gists.map((gist) => (
+									<ExploreGistCard
+										key={gist.id}
+										gist={gist}
+										canFork={!!token && gist.owner?.login !== user?.login}
+										forking={forkingId === gist.id}
+										onFork={() => handleFork(gist.id)}
+										actions={
+											starredIds && (
+												<StarToggle
+													gistId={gist.id}
+													starred={starredIds.has(gist.id)}
+													onChange={(starred) => handleStarChange(gist.id, starred)}
+													compact
+												/>
+											)
+										}
+									/>
+								))}
+							</div>
+						)}
+
+						{gists.length === 0 && !error && (
+							<Card>
+								<CardContent className="flex flex-col items-center justify-center py-12">
+									<FileText className="h-12 w-12 text-muted-foreground mb-4" />
+									<p className="text-muted-foreground">No public gists found for this user.</p>
+								</CardContent>
+							</Card>
+						)}
+					</>
+				)}
+			</TabsContent>
+
+			<TabsContent value="community">
+				<CommunityFeed />
+			</TabsContent>
+		</Tabs>
 	);
 };
 
@@ -0,0 +1,308 @@
+/**
+ * GistComments Component
+ * Comment thread shown under a gist in the viewer. Comments render as markdown;
+ * signed-in users can post, and edit or delete their own. Changes show at once
+ * and are rolled back if GitHub rejects them.
+ */
+
+import { MessageSquare, Pencil, Trash2 } from 'lucide-react';
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import {
+	createGistComment,
+	deleteGistComment,
+	getGistComments,
+	updateGistComment,
+} from '../services/api/gists';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { logError } from '../utils/logger';
+import Spinner from './common/Spinner';
+import MarkdownPreview from './markdown/MarkdownPreview';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+
+/**
+ * Add comments to a thread, replacing ones with the same ID, oldest first
+ * @param {Array<Object>} comments
+ * @param {Array<Object>} added
+ * @returns {Array<Object>}
+ */
+const mergeComments = (comments, added) => {
+	const byId = new Map(comments.map((comment) => [comment.id, comment]));
+	for (const comment of added) byId.set(comment.id, comment);
+	return [...byId.values()].sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+/** Ctrl/Cmd+Enter submits a comment form */
+const isSubmitShortcut = (e) => e.key === 'Enter' && (e.ctrlKey || e.metaKey);
+
+/**
+ * @param {Object} props
+ * @param {string} props.gistId
+ * @param {number} [props.count=0] - Comment count from the gist, shown until every page is loaded
+ */
+const GistComments = ({ gistId, count = 0 }) => {
+	const { user, token } = useAuth();
+	const toast = useToast();
+
+	const [comments, setComments] = useState([]);
+	const [page, setPage] = useState(0);
+	const [hasMore, setHasMore] = useState(false);
+	const [loading, setLoading] = useState(true);
+	const [loadingMore, setLoadingMore] = useState(false);
+	const [error, setError] = useState(null);
+	const [draft, setDraft] = useState('');
+	// { id, body } of the comment being edited
+	const [editing, setEditing] = useState(null);
+	const [confirmingId, setConfirmingId] = useState(null);
+
+	const loadFirstPage = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const result = await getGistComments(gistId, 1);
+			setComments(result.comments);
+			setHasMore(result.hasMore);
+			setPage(1);
+		} catch (err) {
+			logError('Failed to load gist comments', err);
+			setError('Failed to load comments.');
+		} finally {
+			setLoading(false);
+		}
+	}, [gistId]);
+
+	useEffect(() => {
+		setEditing(null);
+		setConfirmingId(null);
+		loadFirstPage();
+	}, [loadFirstPage]);
+
+	const handleLoadMore = async () => {
+		try {
+			setLoadingMore(true);
+			const result = await getGistComments(gistId, page + 1);
+			setComments((prev) => mergeComments(prev, result.comments));
+			setHasMore(result.hasMore);
+			setPage(page + 1);
+		} catch (err) {
+			logError('Failed to load more gist comments', err);
+			toast.error('Failed to load more comments');
+		} finally {
+			setLoadingMore(false);
+		}
+	};
+
+	const handlePost = async () => {
+		const body = draft.trim();
+		if (!body) return;
+
+		const pendingId = `pending-${Date.now()}`;
+		const now = new Date().toISOString();
+		setComments((prev) => [
+			...prev,
+			{ id: pendingId, body, user, created_at: now, updated_at: now, _pending: true },
+		]);
+		setDraft('');
+
+		try {
+			const created = await createGistComment(gistId, body, token);
+			setComments((prev) => prev.map((comment) => (comment.id === pendingId ? created : comment)));
+		} catch (err) {
+			logError('Failed to post gist comment', err);
+			setComments((prev) => prev.filter((comment) => comment.id !== pendingId));
+			setDraft((current) => current || body);
+			toast.error('Failed to post comment');
+		}
+	};
+
+	const handleSaveEdit = async () => {
+		const body = editing.body.trim();
+		const original = comments.find((comment) => comment.id === editing.id);
+		if (!body || !original) return;
+
+		setEditing(null);
+		if (body === original.body) return;
+		setComments((prev) =>
+			prev.map((comment) =>
+				comment.id === original.id ? { ...comment, body, _pending: true } : comment,
+			),
+		);
+
+		try {
+			const updated = await updateGistComment(gistId, original.id, body, token);
+			setComments((prev) =>
+				prev.map((comment) => (comment.id === original.id ? updated : comment)),
+			);
+		} catch (err) {
+			logError('Failed to edit gist comment', err);
+			setComments((prev) =>
+				prev.map((comment) => (comment.id === original.id ? original : comment)),
+			);
+			setEditing({ id: original.id, body });
+			toast.error('Failed to update comment');
+		}
+	};
+
+	const handleDelete = async (comment) => {
+		setConfirmingId(null);
+		setComments((prev) => prev.filter((c) => c.id !== comment.id));
+
+		try {
+			await deleteGistComment(gistId, comment.id, token);
+		} catch (err) {
+			logError('Failed to delete gist comment', err);
+			setComments((prev) => mergeComments(prev, [comment]));
+			toast.error('Failed to delete comment');
+		}
+	};
+
+	const isOwn = (comment) => Boolean(user) && comment.user?.login === user.login;
+	const total = hasMore ? Math.max(count, comments.length) : comments.length;
+
+	return (
+		<section className="viewer-comments" aria-label="Comments">
+			<h2 className="viewer-comments-title">
+				<MessageSquare className="h-4 w-4" />
+				{loading ? 'Comments' : `${total} ${total === 1 ? 'comment' : 'comments'}`}
+			</h2>
+
+			{loading ? (
+				<div className="flex justify-center py-4">
+					<Spinner />
+				</div>
+			) : error ? (
+				<div className="flex items-center gap-3 text-sm text-muted-foreground">
+					<span>{error}</span>
+					<Button variant="outline" size="sm" onClick={loadFirstPage}>
+						Retry
+					</Button>
+				</div>
+			) : (
+				<ol className="viewer-comment-list">
+					{comments.map((comment) => (
+						<li
+							key={comment.id}
+							className={`viewer-comment ${comment._pending ? 'viewer-comment-pending' : ''}`}
+						>
+							<div className="viewer-comment-header">
+								{comment.user?.avatar_url && (
+									<img src={comment.user.avatar_url} alt="" className="viewer-comment-avatar" />
+								)}
+								<span className="font-medium text-foreground">
+									{comment.user?.login || 'ghost'}
+								</span>
+								<span>
+									{formatRelativeTime(comment.created_at)}
+									{comment.updated_at !== comment.created_at && ' (edited)'}
+								</span>
+								{isOwn(comment) && !comment._pending && editing?.id !== comment.id && (
+									<div className="ml-auto flex items-center gap-1">
+										{confirmingId === comment.id ? (
+											<>
+												<span>Delete this comment?</span>
+												<Button variant="ghost" size="sm" onClick={() => setConfirmingId(null)}>
+													Cancel
+												</Button>
+												<Button
+													variant="destructive"
+													size="sm"
+													onClick={() => handleDelete(comment)}
+												>
+													Delete
+												</Button>
+											</>
+										) : (
+											<>
+												<Button
+													variant="ghost"
+													size="sm"
+													className="h-7 px-2"
+													title="Edit comment"
+													onClick={() => setEditing({ id: comment.id, body: comment.body })}
+												>
+													<Pencil className="h-3 w-3" />
+												</Button>
+												<Button
+													variant="ghost"
+													size="sm"
+													className="h-7 px-2"
+													title="Delete comment"
+													onClick={() => setConfirmingId(comment.id)}
+												>
+													<Trash2 className="h-3 w-3" />
+												</Button>
+											</>
+										)}
+									</div>
+								)}
+							</div>
+							{editing?.id === comment.id ? (
+								<div className="viewer-comment-body space-y-2">
+									<Textarea
+										aria-label="Edit comment"
+										value={editing.body}
+										onChange={(e) => setEditing({ id: comment.id, body: e.target.value })}
+										onKeyDown={(e) => isSubmitShortcut(e) && handleSaveEdit()}
+									/>
+									<div className="flex justify-end gap-2">
+										<Button variant="ghost" size="sm" onClick={() => setEditing(null)}>
+											Cancel
+										</Button>
+										<Button size="sm" onClick={handleSaveEdit} disabled={!editing.body.trim()}>
+											Save
+										</Button>
+									</div>
+								</div>
+							) : (
+								<div className="viewer-comment-body">
+									<MarkdownPreview content={comment.body} />
+								</div>
+							)}
+						</li>
+					))}
+				</ol>
+			)}
+
+			{hasMore && !loading && (
+				<Button
+					variant="outline"
+					size="sm"
+					className="w-full"
+					onClick={handleLoadMore}
+					disabled={loadingMore}
+				>
+					{loadingMore ? 'Loading...' : 'Load more comments'}
+				</Button>
+			)}
+
+			{token ? (
+				<form
+					className="space-y-2"
+					onSubmit={(e) => {
+						e.preventDefault();
+						handlePost();
+					}}
+				>
+					<Textarea
+						aria-label="New comment"
+						placeholder="Leave a comment (Markdown supported)"
+						value={draft}
+						onChange={(e) => setDraft(e.target.value)}
+						onKeyDown={(e) => isSubmitShortcut(e) && handlePost()}
+					/>
+					<div className="flex justify-end">
+						<Button type="submit" size="sm" disabled={!draft.trim()}>
+							Comment
+						</Button>
+					</div>
+				</form>
+			) : (
+				<p className="text-sm text-muted-foreground">Log in to join the discussion.</p>
+			)}
+		</section>
+	);
+};
+
+export default GistComments;
@@ -0,0 +1,151 @@
+/**
+ * Tests for GistComments Component
+ * Tests listing, paging, posting, editing and deleting comments.
+ */
+
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ToastProvider } from '../contexts/ToastContext';
+import * as gistsApi from '../services/api/gists';
+import { mockUser } from '../test/fixtures';
+import GistComments from './GistComments';
+
+vi.mock('../services/api/gists');
+
+vi.mock('../contexts/AuthContext', () => ({
+	useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token' })),
+}));
+
+const comment = (id, login, body) => ({
+	id,
+	body,
+	user: { login, avatar_url: `https://avatars.example/${login}` },
+	created_at: `2024-01-0${id}T00:00:00Z`,
+	updated_at: `2024-01-0${id}T00:00:00Z`,
+});
+
+const ownComment = comment(1, mockUser.login, 'My **note**');
+const otherComment = comment(2, 'someone', 'Their reply');
+
+const renderComments = () =>
+	render(
+		<ToastProvider>
+			<GistComments gistId="gist-1" count={2} />
+		</ToastProvider>,
+	);
+
+describe('GistComments Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.getGistComments.mockResolvedValue({
+			comments: [ownComment, otherComment],
+			hasMore: false,
+		});
+	});
+
+	it('renders comments as markdown with controls only on your own', async () => {
+		renderComments();
+
+		await waitFor(() => {
+			expect(screen.getByText('note', { selector: 'strong' })).toBeInTheDocument();
+		});
+		expect(screen.getByText('Their reply')).toBeInTheDocument();
+		expect(screen.getByText('2 comments')).toBeInTheDocument();
+		expect(screen.getAllByTitle('Edit comment')).toHaveLength(1);
+		expect(gistsApi.getGistComments).toHaveBeenCalledWith('gist-1', 1);
+	});
+
+	it('loads the next page on demand', async () => {
+		gistsApi.getGistComments
+			.mockResolvedValueOnce({ comments: [ownComment], hasMore: true })
+			.mockResolvedValueOnce({ comments: [otherComment], hasMore: false });
+
+		renderComments();
+
+		fireEvent.click(await screen.findByRole('button', { name: 'Load more comments' }));
+
+		await waitFor(() => {
+			expect(screen.getByText('Their reply')).toBeInTheDocument();
+		});
+		expect(gistsApi.getGistComments).toHaveBeenLastCalledWith('gist-1', 2);
+		expect(screen.queryByRole('button', { name: 'Load more comments' })).not.toBeInTheDocument();
+	});
+
+	it('shows a new comment immediately and keeps it once saved', async () => {
+		let resolve;
+		gistsApi.createGistComment.mockImplementation(
+			() =>
+				new Promise((r) => {
+					resolve = r;
+				}),
+		);
+		renderComments();
+		await screen.findByText('Their reply');
+
+		fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'Looks good' } });
+		fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+		expect(screen.getByText('Looks good')).toBeInTheDocument();
+		expect(screen.getByLabelText('New comment')).toHaveValue('');
+		expect(gistsApi.createGistComment).toHaveBeenCalledWith('gist-1', 'Looks good', 'test-token');
+
+		resolve(comment(3, mockUser.login, 'Looks good'));
+		await waitFor(() => {
+			expect(screen.getAllByTitle('Edit comment')).toHaveLength(2);
+		});
+	});
+
+	it('rolls back a failed post and restores the draft', async () => {
+		gistsApi.createGistComment.mockRejectedValue(new Error('API Error'));
+		renderComments();
+		await screen.findByText('Their reply');
+
+		fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'Looks good' } });
+		fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+		await waitFor(() => {
+			expect(screen.getByText('Failed to post comment')).toBeInTheDocument();
+		});
+		expect(screen.getByLabelText('New comment')).toHaveValue('Looks good');
+		expect(screen.getByText('2 comments')).toBeInTheDocument();
+	});
+
+	it('edits your own comment', async () => {
+		gistsApi.updateGistComment.mockResolvedValue({
+			...ownComment,
+			body: 'Updated note',
+			updated_at: '2024-02-01T00:00:00Z',
+		});
+		renderComments();
+
+		fireEvent.click(await screen.findByTitle('Edit comment'));
+		fireEvent.change(screen.getByLabelText('Edit comment'), { target: { value: 'Updated note' } });
+		fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+		expect(screen.getByText('Updated note')).toBeInTheDocument();
+		await waitFor(() => {
+			expect(screen.getByText(/\(edited\)/)).toBeInTheDocument();
+		});
+		expect(gistsApi.updateGistComment).toHaveBeenCalledWith(
+			'gist-1',
+			1,
+			'Updated note',
+			'test-token',
+		);
+	});
+
+	it('puts a comment back when deleting it fails', async () => {
+		gistsApi.deleteGistComment.mockRejectedValue(new Error('API Error'));
+		renderComments();
+
+		fireEvent.click(await screen.findByTitle('Delete comment'));
+		fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+		expect(screen.queryByText('note', { selector: 'strong' })).not.toBeInTheDocument();
+		await waitFor(() => {
+			expect(screen.getByText('note', { selector: 'strong' })).toBeInTheDocument();
+		});
+		expect(screen.getByText('Failed to delete comment')).toBeInTheDocument();
+		expect(gistsApi.deleteGistComment).toHaveBeenCalledWith('gist-1', 1, 'test-token');
+	});
+});
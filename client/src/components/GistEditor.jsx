@@ -1,14 +1,41 @@
 // GistEditor.js - Enhanced split-panel Markdown editor
 
-import React, { useCallback, useEffect, useRef, useState } from 'react';
-import { Link, useNavigate, useParams } from 'react-router-dom';
+import { BookmarkPlus, Copy, LayoutTemplate, PanelsTopLeft } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { useAuth } from '../contexts/AuthContext';
+import { useRegisterCommands } from '../contexts/CommandContext';
 import { useToast } from '../contexts/ToastContext';
-import { createGist, getGist, updateGist } from '../services/api/gists';
+import { useDraftAutosave } from '../hooks/useDraftAutosave';
+import {
+	createGist,
+	getCachedGist,
+	getGist,
+	getGistRevision,
+	updateGist,
+} from '../services/api/gists';
+import {
+	createNewDraftKey,
+	deleteDraft,
+	getDraft,
+	isNewDraftKey,
+	listDrafts,
+	sameDraftContent,
+} from '../services/draftStore';
+import { isLocalGistId } from '../services/syncQueue';
+import { copyToClipboard } from '../utils/download';
+import { getFileLanguage, isMarkdownFile } from '../utils/fileLanguage';
 import { logError } from '../utils/logger';
+import { mergeGistFiles } from '../utils/threeWayMerge';
+import DraftRecoveryBanner from './DraftRecoveryBanner';
+import CodeEditor from './editor/CodeEditor';
+import MergeDialog from './MergeDialog';
 import MarkdownPreview from './markdown/MarkdownPreview';
+import RevisionHistory from './RevisionHistory';
+import SaveTemplateDialog from './SaveTemplateDialog';
+import TemplatePicker from './TemplatePicker';
 import { ErrorState } from './ui/error-state';
 import { ResizableHandle, ResizablePanel, ResizablePanelGroup } from './ui/resizable';
 import '../styles/gistEditor.css';
@@ -340,30 +367,84 @@ const getPrettierConfig = (ext) => {
 	return map[ext] || null;
 };
 
+/**
+ * Snapshot of the revision a save is based on, for three-way merges
+ * @param {Object} data - Gist as returned by the API
+ * @returns {{ version: string, description: string, files: Object }|null}
+ */
+const revisionSnapshot = (data) => {
+	const version = data?.history?.[0]?.version;
+	return version ? { version, description: data.description, files: data.files } : null;
+};
+
+const EMPTY_GIST = { description: '', files: { untitled: { content: '' } }, public: false };
+
+const INDENT_STORAGE_KEY = 'editorIndent';
+
+/** Indentation choices for the editor and the formatter */
+const INDENT_OPTIONS = {
+	'tabs-2': { label: 'Tabs (2)', useTabs: true, size: 2 },
+	'tabs-4': { label: 'Tabs (4)', useTabs: true, size: 4 },
+	'spaces-2': { label: '2 spaces', useTabs: false, size: 2 },
+	'spaces-4': { label: '4 spaces', useTabs: false, size: 4 },
+};
+
+const getInitialIndent = () => {
+	const stored = typeof localStorage !== 'undefined' && localStorage.getItem(INDENT_STORAGE_KEY);
+	return INDENT_OPTIONS[stored] ? stored : 'tabs-2';
+};
+
 /**
  * Main GistEditor Component with Enhanced Split Panel
+ *
+ * Edits the gist in the route, or, inside the workspace (see Workspace), the
+ * gist of one of its tabs. Workspace editors stay mounted while other tabs are
+ * shown, so page-wide keys and commands only apply to the active one.
+ * @param {Object} props
+ * @param {import('../services/workspace').WorkspaceTab} [props.tab] - Workspace tab to edit instead of the route's gist
+ * @param {boolean} [props.active] - Whether the workspace tab is the one shown
+ * @param {(status: { dirty: boolean, title: string }) => void} [props.onStatusChange] - Unsaved state and title for the tab
+ * @param {(gistId: string) => void} [props.onCreated] - A new gist in the tab was saved and got an ID
  */
-const GistEditor = () => {
-	const [gist, setGist] = useState({
-		description: '',
-		files: { untitled: { content: '' } },
-		public: false,
-	});
+const GistEditor = ({ tab = null, active = true, onStatusChange, onCreated }) => {
+	const [gist, setGist] = useState(EMPTY_GIST);
 	const [loading, setLoading] = useState(false);
 	const [error, setError] = useState(null);
 	const [previewMode, setPreviewMode] = useState('split');
 	const [wrapText, setWrapText] = useState(true);
+	const [indentSetting, setIndentSetting] = useState(getInitialIndent);
+	const indent = INDENT_OPTIONS[indentSetting];
 	const [activeFile, setActiveFile] = useState(null);
 	const [editingTab, setEditingTab] = useState(null);
 	const [editingName, setEditingName] = useState('');
 	const [formatting, setFormatting] = useState(false);
+	const [historyOpen, setHistoryOpen] = useState(false);
+	const [merge, setMerge] = useState(null);
+	const [mergeSaving, setMergeSaving] = useState(false);
+	// Draft found on open, waiting for the user to restore or discard it
+	const [offeredDraft, setOfferedDraft] = useState(null);
+	const [templatePickerOpen, setTemplatePickerOpen] = useState(false);
+	const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
 
-	const { id } = useParams();
+	const params = useParams();
+	const inWorkspace = Boolean(tab);
+	const id = inWorkspace ? tab.gistId || undefined : params.id;
+	const [searchParams] = useSearchParams();
 	const navigate = useNavigate();
+	const location = useLocation();
 	const { user, token } = useAuth();
 	const toast = useToast();
 
+	// New gists get their own draft key; ?draft= resumes one from the Drafts page
+	const draftParam = inWorkspace ? tab.draftKey : searchParams.get('draft');
+	// Filled-in template from TemplatePicker to start a new gist from
+	const templateGist = inWorkspace ? undefined : location.state?.templateGist;
+	const [newDraftKey, setNewDraftKey] = useState(createNewDraftKey);
+	const draftKey = id || newDraftKey;
+
 	const editorRef = useRef(null);
+	// Revision the editor started from; compared with GitHub's latest before saving
+	const loadedRevision = useRef(null);
 	const previewRef = useRef(null);
 	const tabInputRef = useRef(null);
 
@@ -373,6 +454,29 @@ const GistEditor = () => {
 
 	const currentFileContent = activeFile ? gist.files[activeFile]?.content || '' : '';
 
+	const { setBaseline, clearDraft, dirty } = useDraftAutosave({
+		userId: user?.id,
+		draftKey,
+		gist,
+		activeFile,
+		baseVersion: loadedRevision.current?.version,
+		enabled: !loading && !offeredDraft,
+	});
+
+	/** Offer a stored draft unless it matches what was loaded */
+	const checkForDraft = useCallback(
+		async (gistId, loaded) => {
+			const draft = await getDraft(user?.id, gistId);
+			if (!draft) return;
+			if (sameDraftContent(draft, loaded)) {
+				deleteDraft(user?.id, gistId);
+				return;
+			}
+			setOfferedDraft({ draft, base: loaded });
+		},
+		[user?.id],
+	);
+
 	useEffect(() => {
 		if (previewMode !== 'split') return;
 		clearTimeout(debounceTimer.current);
@@ -387,32 +491,91 @@ const GistEditor = () => {
 			try {
 				setLoading(true);
 				setError(null);
-				const data = await getGist(gistId, token, setError);
+				setBaseline(null);
+				setOfferedDraft(null);
+				const data = await getGist(gistId, token, setError, user?.id);
+				loadedRevision.current = revisionSnapshot(data);
+				setBaseline(data);
 				setGist(data);
 				setActiveFile(Object.keys(data.files)[0]);
+				await checkForDraft(gistId, data);
 			} catch (err) {
-				logError('Failed to fetch gist', err);
-				setError('Failed to fetch gist. Please try again later.');
+				// Offline: keep editing the last known copy
+				const cached = await getCachedGist(gistId, token, user?.id);
+				if (cached) {
+					loadedRevision.current = revisionSnapshot(cached);
+					setBaseline(cached);
+					setError(null);
+					setGist(cached);
+					setActiveFile(Object.keys(cached.files)[0]);
+					await checkForDraft(gistId, cached);
+				} else {
+					logError('Failed to fetch gist', err);
+					setError('Failed to fetch gist. Please try again later.');
+				}
 			} finally {
 				setLoading(false);
 			}
 		},
-		[token],
+		[token, user?.id, setBaseline, checkForDraft],
 	);
 
+	/** Resume a new-gist draft from the Drafts page, or offer the latest one */
+	const loadNewDraft = useCallback(async () => {
+		setBaseline(EMPTY_GIST);
+		setOfferedDraft(null);
+		setGist(templateGist || EMPTY_GIST);
+		// A workspace tab keeps its key, so its draft is found again after a reload
+		setNewDraftKey(inWorkspace ? draftParam : createNewDraftKey());
+
+		if (draftParam) {
+			const draft = await getDraft(user?.id, draftParam);
+			if (draft) {
+				setNewDraftKey(draftParam);
+				setGist({ description: draft.description, files: draft.files, public: draft.public });
+				setActiveFile(
+					draft.files[draft.activeFile] ? draft.activeFile : Object.keys(draft.files)[0],
+				);
+				setEditingTab(null);
+			}
+			return;
+		}
+
+		const latest = (await listDrafts(user?.id)).find((draft) => isNewDraftKey(draft.draftKey));
+		if (latest) setOfferedDraft({ draft: latest, base: EMPTY_GIST });
+	}, [inWorkspace, draftParam, templateGist, user?.id, setBaseline]);
+
 	useEffect(() => {
 		if (id) {
 			fetchGist(id);
+		} else if (templateGist) {
+			setActiveFile(Object.keys(templateGist.files)[0]);
+			setEditingTab(null);
+			loadNewDraft();
 		} else {
 			setActiveFile('untitled');
 			setEditingTab('untitled');
 			setEditingName('untitled');
+			loadNewDraft();
 		}
-	}, [id, fetchGist]);
+	}, [id, templateGist, fetchGist, loadNewDraft]);
+
+	// A gist created offline gets its real ID once synced
+	useEffect(() => {
+		const handleSynced = (event) => {
+			const syncedId = event.detail?.idMap?.[id];
+			if (!syncedId) return;
+			if (inWorkspace) onCreated?.(syncedId);
+			else navigate(`/gist/${syncedId}`, { replace: true });
+		};
+		window.addEventListener('sync:completed', handleSynced);
+		return () => window.removeEventListener('sync:completed', handleSynced);
+	}, [id, inWorkspace, onCreated, navigate]);
 
 	useEffect(() => {
 		if (gist && Object.keys(gist.files).length && !activeFile) {
-			setActiveFile(Object.keys(gist.files)[0]);
+			// Functional so a file picked earlier in the same commit (a template's) wins
+			setActiveFile((current) => current || Object.keys(gist.files)[0]);
 		}
 	}, [gist, activeFile]);
 
@@ -424,6 +587,86 @@ const GistEditor = () => {
 		}
 	}, [editingTab]);
 
+	/**
+	 * Three-way merge against GitHub when the gist changed after it was loaded
+	 * @returns {Promise<{ remote: Object, merges: Array }|null>} null when the save can go ahead
+	 */
+	const checkRemoteChanges = async () => {
+		const base = loadedRevision.current;
+		if (!base || isLocalGistId(id)) return null;
+
+		let remote;
+		try {
+			remote = await getGist(id, token, undefined, user?.id);
+		} catch (err) {
+			// Unreachable: updateGist queues the save, and the sync does its own conflict check
+			logError('Failed to check gist for remote changes', err);
+			return null;
+		}
+
+		const remoteVersion = remote?.history?.[0]?.version;
+		if (!remoteVersion || remoteVersion === base.version) return null;
+		return { remote, merges: mergeGistFiles(base.files, gist.files, remote.files) };
+	};
+
+	const handleRestoreDraft = async () => {
+		const { draft } = offeredDraft;
+		setOfferedDraft(null);
+
+		if (isNewDraftKey(draft.draftKey)) {
+			setNewDraftKey(draft.draftKey);
+		} else if (draft.baseVersion && draft.baseVersion !== loadedRevision.current?.version) {
+			// The draft was started from an older revision: merge against that one when saving
+			try {
+				const base = await getGistRevision(id, draft.baseVersion, token, undefined, user?.id);
+				loadedRevision.current = revisionSnapshot({
+					...base,
+					history: [{ version: draft.baseVersion }],
+				});
+			} catch (err) {
+				logError('Failed to load the revision a draft was based on', err);
+			}
+		}
+
+		setGist((prev) => ({
+			...prev,
+			description: draft.description,
+			files: draft.files,
+			public: isNewDraftKey(draft.draftKey) ? draft.public : prev.public,
+		}));
+		setActiveFile(draft.files[draft.activeFile] ? draft.activeFile : Object.keys(draft.files)[0]);
+		setEditingTab(null);
+		toast.info('Draft restored');
+	};
+
+	const handleDiscardDraft = () => {
+		deleteDraft(user?.id, offeredDraft.draft.draftKey);
+		setOfferedDraft(null);
+	};
+
+	const handleMergeConfirm = async (files) => {
+		const base = loadedRevision.current;
+		const description =
+			gist.description !== base?.description ? gist.description : merge.remote.description;
+
+		setMergeSaving(true);
+		try {
+			const saved = await updateGist(id, { description, files }, token, setError, user?.id);
+			if (!saved?._pendingSync) loadedRevision.current = revisionSnapshot(saved);
+			setBaseline(saved);
+			clearDraft();
+			setGist(saved);
+			setActiveFile((current) => (saved.files[current] ? current : Object.keys(saved.files)[0]));
+			setMerge(null);
+			toast.success('Merged and saved');
+		} catch (err) {
+			logError('Failed to save merged gist', err);
+			toast.error('Failed to save gist. Please try again.');
+		} finally {
+			setMergeSaving(false);
+		}
+	};
+
 	const handleSubmit = async (e) => {
 		e.preventDefault();
 		if (!Object.keys(gist.files).length) {
@@ -440,12 +683,27 @@ const GistEditor = () => {
 
 		try {
 			if (id) {
-				await updateGist(id, gist, token, setError, user?.id);
-				toast.success('Gist updated successfully!');
+				const stale = await checkRemoteChanges();
+				if (stale) {
+					setMerge(stale);
+					return;
+				}
+			}
+
+			const saved = id
+				? await updateGist(id, gist, token, setError, user?.id)
+				: await createGist(gist, token, setError, user?.id);
+			if (id && !saved?._pendingSync) loadedRevision.current = revisionSnapshot(saved);
+			setBaseline(gist);
+			await clearDraft();
+			if (saved?._pendingSync) {
+				toast.info("Saved offline. Changes will sync when you're back online.");
 			} else {
-				const newG = await createGist(gist, token, setError, user?.id);
-				toast.success('Gist created successfully!');
-				navigate(`/gist/${newG.id}`);
+				toast.success(id ? 'Gist updated successfully!' : 'Gist created successfully!');
+			}
+			if (!id) {
+				if (inWorkspace) onCreated?.(saved.id);
+				else navigate(`/gist/${saved.id}`);
 			}
 		} catch (err) {
 			logError('Failed to save gist', err);
@@ -455,6 +713,17 @@ const GistEditor = () => {
 		}
 	};
 
+	const handleRestore = async (payload) => {
+		const restored = await updateGist(id, payload, token, setError, user?.id);
+		if (!restored?._pendingSync) loadedRevision.current = revisionSnapshot(restored);
+		setBaseline(restored);
+		clearDraft();
+		setGist(restored);
+		setActiveFile(Object.keys(restored.files)[0]);
+		setHistoryOpen(false);
+		toast.success('Revision restored');
+	};
+
 	const handleDescriptionChange = (e) =>
 		setGist((prev) => ({ ...prev, description: e.target.value }));
 	const handlePublicChange = (e) => setGist((prev) => ({ ...prev, public: e.target.checked }));
@@ -579,8 +848,8 @@ const GistEditor = () => {
 			const formatted = await prettier.format(currentFileContent, {
 				parser: config.parser,
 				plugins,
-				useTabs: true,
-				tabWidth: 2,
+				useTabs: indent.useTabs,
+				tabWidth: indent.size,
 				printWidth: 100,
 				singleQuote: true,
 				trailingComma: 'all',
@@ -593,13 +862,14 @@ const GistEditor = () => {
 		} finally {
 			setFormatting(false);
 		}
-	}, [activeFile, currentFileContent, handleFileChange, toast]);
+	}, [activeFile, currentFileContent, handleFileChange, indent, toast]);
 
 	const syncScroll = useCallback(
 		(e) => {
 			if (previewMode !== 'split') return;
 			const src = e.target;
-			const dst = src === editorRef.current ? previewRef.current : editorRef.current;
+			const editorScroller = editorRef.current?.scrollDOM;
+			const dst = src === editorScroller ? previewRef.current : editorScroller;
 			if (dst) {
 				window.requestAnimationFrame(() => {
 					const ratio = src.scrollTop / (src.scrollHeight - src.clientHeight || 1);
@@ -612,116 +882,65 @@ const GistEditor = () => {
 
 	const insertText = useCallback(
 		(before, after = '') => {
-			if (!editorRef.current || !activeFile) return;
-			const ta = editorRef.current;
-			const { selectionStart: s, selectionEnd: e, value } = ta;
-			const sel = value.slice(s, e);
-			const txt = before + sel + after;
-			const newPos = sel ? s + before.length + sel.length + after.length : s + before.length;
-			handleFileChange(activeFile, value.slice(0, s) + txt + value.slice(e));
-			setTimeout(() => {
-				ta.focus();
-				ta.setSelectionRange(newPos, newPos);
-			}, 0);
+			if (!activeFile) return;
+			editorRef.current?.wrapSelection(before, after);
 		},
-		[activeFile, handleFileChange],
+		[activeFile],
 	);
 
+	// Shift+Alt+F: format active file (works globally in editor)
 	useEffect(() => {
+		if (!active) return;
 		const onKeyDown = (e) => {
-			// Shift+Alt+F: format active file (works globally in editor)
 			if (e.shiftKey && e.altKey && e.key === 'F') {
 				e.preventDefault();
 				formatActiveFile();
-				return;
-			}
-			if (document.activeElement !== editorRef.current) return;
-			if (e.metaKey || e.ctrlKey) {
-				switch (e.key) {
-					case 'b':
-						e.preventDefault();
-						insertText('**', '**');
-						break;
-					case 'i':
-						e.preventDefault();
-						insertText('*', '*');
-						break;
-					case 'k':
-						e.preventDefault();
-						insertText('[', '](https://)');
-						break;
-					case '`':
-						e.preventDefault();
-						insertText('`', '`');
-						break;
-					case '/':
-						e.preventDefault();
-						setPreviewMode((pm) => (pm === 'split' ? 'editor' : 'split'));
-						break;
-					default:
-						break;
-				}
 			}
 		};
 		document.addEventListener('keydown', onKeyDown);
 		return () => document.removeEventListener('keydown', onKeyDown);
-	}, [insertText, formatActiveFile]);
-
-	const isMarkdownFile = (fn) => fn?.match(/\.(md|markdown|mdx)$/i);
-	const getFileLanguage = (fn) => {
-		const ext = fn.split('.').pop().toLowerCase();
-		const map = {
-			js: 'javascript',
-			mjs: 'javascript',
-			cjs: 'javascript',
-			jsx: 'jsx',
-			ts: 'typescript',
-			tsx: 'tsx',
-			py: 'python',
-			rb: 'ruby',
-			java: 'java',
-			go: 'go',
-			rs: 'rust',
-			c: 'c',
-			cpp: 'cpp',
-			h: 'c',
-			hpp: 'cpp',
-			cs: 'csharp',
-			swift: 'swift',
-			kt: 'kotlin',
-			html: 'html',
-			htm: 'html',
-			css: 'css',
-			scss: 'scss',
-			less: 'less',
-			json: 'json',
-			yaml: 'yaml',
-			yml: 'yaml',
-			toml: 'toml',
-			xml: 'xml',
-			sql: 'sql',
-			graphql: 'graphql',
-			gql: 'graphql',
-			sh: 'bash',
-			bash: 'bash',
-			zsh: 'bash',
-			fish: 'bash',
-			ps1: 'powershell',
-			dockerfile: 'docker',
-			tf: 'hcl',
-			lua: 'lua',
-			r: 'r',
-			php: 'php',
-			pl: 'perl',
-			ex: 'elixir',
-			exs: 'elixir',
-			erl: 'erlang',
-			hs: 'haskell',
-			txt: 'text',
+	}, [active, formatActiveFile]);
+
+	// Shortcuts while the editor has focus; these win over CodeMirror's own bindings
+	const editorKeyBindings = useMemo(() => {
+		const run = (action) => () => {
+			action();
+			return true;
 		};
-		return map[ext] || 'text';
+		const bindings = [
+			{
+				key: 'Mod-/',
+				run: run(() => setPreviewMode((pm) => (pm === 'split' ? 'editor' : 'split'))),
+			},
+		];
+		if (isMarkdownFile(activeFile)) {
+			bindings.push(
+				{ key: 'Mod-b', run: run(() => insertText('**', '**')) },
+				{ key: 'Mod-i', run: run(() => insertText('*', '*')) },
+				{ key: 'Mod-k', run: run(() => insertText('[', '](https://)')) },
+				{ key: 'Mod-`', run: run(() => insertText('`', '`')) },
+			);
+		}
+		return bindings;
+	}, [activeFile, insertText]);
+
+	const copyActiveFile = async () => {
+		if (!activeFile || !gist.files[activeFile]) return;
+		if (await copyToClipboard(gist.files[activeFile].content)) {
+			toast.success(`Copied ${activeFile}`);
+		} else {
+			toast.error('Failed to copy to clipboard');
+		}
 	};
 
+	useRegisterCommands(active ? [{ id: 'gist.copy-raw', icon: Copy, run: copyActiveFile }] : []);
+
+	const title = gist.description?.trim() || Object.keys(gist.files)[0] || 'New gist';
+	const unsaved = dirty || Boolean(offeredDraft);
+	useEffect(() => {
+		onStatusChange?.({ dirty: unsaved, title });
+	}, [onStatusChange, unsaved, title]);
+
 	/** @returns {boolean} Whether the active file has a Prettier-supported extension */
 	const canFormat = activeFile
 		? getPrettierConfig(activeFile.includes('.') ? activeFile.split('.').pop().toLowerCase() : '')
@@ -729,9 +948,15 @@ const GistEditor = () => {
 
 	// Add page class to body for layout targeting
 	useEffect(() => {
+		if (!active) return;
 		document.body.classList.add('gist-editor-page');
 		return () => document.body.classList.remove('gist-editor-page');
-	}, []);
+	}, [active]);
+
+	const handleIndentChange = (e) => {
+		setIndentSetting(e.target.value);
+		localStorage.setItem(INDENT_STORAGE_KEY, e.target.value);
+	};
 
 	if (!user)
 		return (
@@ -743,13 +968,29 @@ const GistEditor = () => {
 	if (loading && id)
 		return <div className="p-6 bg-surface rounded shadow-md text-center">Loading...</div>;
 
+	const codeEditor = activeFile && (
+		<CodeEditor
+			ref={editorRef}
+			value={currentFileContent}
+			onChange={(value) => handleFileChange(activeFile, value)}
+			language={getFileLanguage(activeFile)}
+			docKey={activeFile}
+			wrap={wrapText}
+			indent={indent}
+			keyBindings={editorKeyBindings}
+			onScroll={syncScroll}
+			placeholder="Enter file content here..."
+			ariaLabel={`Editor for ${activeFile}`}
+		/>
+	);
+
 	return (
 		<form onSubmit={handleSubmit} className="gist-editor-form">
 			{/* Compact Header */}
 			<div className="form-header-compact">
 				<input
 					type="text"
-					id="description"
+					id={inWorkspace ? `description-${tab.key}` : 'description'}
 					value={gist.description}
 					onChange={handleDescriptionChange}
 					placeholder="Gist description (optional)"
@@ -765,6 +1006,14 @@ const GistEditor = () => {
 
 			{/* Messages */}
 			{error && <ErrorState message={error} variant="inline" />}
+			{offeredDraft && (
+				<DraftRecoveryBanner
+					draft={offeredDraft.draft}
+					base={offeredDraft.base}
+					onRestore={handleRestoreDraft}
+					onDiscard={handleDiscardDraft}
+				/>
+			)}
 
 			{/* Controls */}
 			<div className="buttons-container">
@@ -785,6 +1034,24 @@ const GistEditor = () => {
 					</svg>
 					Add File
 				</button>
+				<button
+					type="button"
+					onClick={() => setTemplatePickerOpen(true)}
+					className="button secondary"
+					title="Start a new gist from a template"
+				>
+					<LayoutTemplate className="h-4 w-4" aria-hidden="true" />
+					From Template
+				</button>
+				<button
+					type="button"
+					onClick={() => setSaveTemplateOpen(true)}
+					className="button secondary"
+					title="Save this gist's files as a template for new gists"
+				>
+					<BookmarkPlus className="h-4 w-4" aria-hidden="true" />
+					Save as Template
+				</button>
 				<button
 					type="button"
 					onClick={() => setPreviewMode((pm) => (pm === 'split' ? 'editor' : 'split'))}
@@ -820,6 +1087,40 @@ const GistEditor = () => {
 						View
 					</Link>
 				)}
+				{id && !inWorkspace && (
+					<Link
+						to={`/workspace?open=${id}`}
+						className="button secondary"
+						title="Open in a workspace tab, next to other gists"
+					>
+						<PanelsTopLeft className="h-4 w-4" aria-hidden="true" />
+						Open in Workspace
+					</Link>
+				)}
+				{id && gist.history?.length > 0 && (
+					<button
+						type="button"
+						onClick={() => setHistoryOpen(true)}
+						className="button secondary"
+						title="Browse revisions and restore an older one"
+					>
+						<svg
+							className="h-4 w-4"
+							viewBox="0 0 24 24"
+							fill="none"
+							stroke="currentColor"
+							aria-hidden="true"
+						>
+							<path
+								strokeLinecap="round"
+								strokeLinejoin="round"
+								strokeWidth={2}
+								d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+							/>
+						</svg>
+						History
+					</button>
+				)}
 				<button
 					type="submit"
 					className="button primary"
@@ -828,7 +1129,22 @@ const GistEditor = () => {
 				>
 					{loading ? 'Saving...' : id ? 'Update Gist' : 'Create Gist'}
 				</button>
-				<div className="ml-auto">
+				<div className="ml-auto flex items-center gap-3">
+					<label className="wrap-text">
+						<span>Indent</span>
+						<select
+							value={indentSetting}
+							onChange={handleIndentChange}
+							className="indent-select"
+							aria-label="Indentation"
+						>
+							{Object.entries(INDENT_OPTIONS).map(([value, option]) => (
+								<option key={value} value={value}>
+									{option.label}
+								</option>
+							))}
+						</select>
+					</label>
 					<label className="wrap-text">
 						<input type="checkbox" checked={wrapText} onChange={() => setWrapText((w) => !w)} />
 						<span>Wrap Text</span>
@@ -929,17 +1245,7 @@ const GistEditor = () => {
 					{previewMode === 'split' ? (
 						<ResizablePanelGroup direction="horizontal" className="h-full">
 							<ResizablePanel defaultSize={50} minSize={20}>
-								<div className="editor-panel h-full">
-									<textarea
-										ref={editorRef}
-										value={currentFileContent}
-										onChange={(e) => handleFileChange(activeFile, e.target.value)}
-										onScroll={syncScroll}
-										className={`editor ${wrapText ? 'wrap' : 'no-wrap'}`}
-										placeholder="Enter file content here..."
-										aria-label={`Editor for ${activeFile}`}
-									/>
-								</div>
+								<div className="editor-panel h-full">{codeEditor}</div>
 							</ResizablePanel>
 							<ResizableHandle withHandle />
 							<ResizablePanel defaultSize={50} minSize={20}>
@@ -966,19 +1272,34 @@ const GistEditor = () => {
 						</ResizablePanelGroup>
 					) : (
 						<div className="editor-panel" style={{ width: '100%', height: '100%' }}>
-							<textarea
-								ref={editorRef}
-								value={currentFileContent}
-								onChange={(e) => handleFileChange(activeFile, e.target.value)}
-								onScroll={syncScroll}
-								className={`editor ${wrapText ? 'wrap' : 'no-wrap'}`}
-								placeholder="Enter file content here..."
-								aria-label={`Editor for ${activeFile}`}
-							/>
+							{codeEditor}
 						</div>
 					)}
 				</div>
 			)}
+
+			{merge && (
+				<MergeDialog
+					open
+					merges={merge.merges}
+					saving={mergeSaving}
+					onCancel={() => setMerge(null)}
+					onConfirm={handleMergeConfirm}
+				/>
+			)}
+
+			<TemplatePicker open={templatePickerOpen} onOpenChange={setTemplatePickerOpen} />
+			<SaveTemplateDialog open={saveTemplateOpen} onOpenChange={setSaveTemplateOpen} gist={gist} />
+
+			{id && (
+				<RevisionHistory
+					gist={gist}
+					open={historyOpen}
+					onOpenChange={setHistoryOpen}
+					canRestore
+					onRestore={handleRestore}
+				/>
+			)}
 		</form>
 	);
 };
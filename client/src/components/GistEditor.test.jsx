@@ -4,15 +4,44 @@
  */
 
 import { fireEvent, render, screen, waitFor } from '@testing-library/react';
-import { BrowserRouter, useParams } from 'react-router-dom';
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { BrowserRouter, useNavigate, useParams } from 'react-router-dom';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { GistMetadataProvider } from '../contexts/GistMetadataContext';
 import { ToastProvider } from '../contexts/ToastContext';
 import * as gistsApi from '../services/api/gists';
+import * as draftStore from '../services/draftStore';
 import { mockGist, mockUser } from '../test/fixtures';
 import GistEditor from './GistEditor';
 
 vi.mock('../services/api/gists');
 
+// CodeMirror needs real layout; a textarea stands in for it here (see editor/CodeEditor.test.jsx)
+vi.mock('./editor/CodeEditor', async () => {
+	const { forwardRef } = await vi.importActual('react');
+	return {
+		default: forwardRef(({ value, onChange, placeholder, ariaLabel }, ref) => (
+			<textarea
+				ref={ref}
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+				placeholder={placeholder}
+				aria-label={ariaLabel}
+			/>
+		)),
+	};
+});
+
+vi.mock('../services/draftStore', async () => {
+	const actual = await vi.importActual('../services/draftStore');
+	return {
+		...actual,
+		saveDraft: vi.fn(),
+		getDraft: vi.fn(async () => null),
+		listDrafts: vi.fn(async () => []),
+		deleteDraft: vi.fn(),
+	};
+});
+
 vi.mock('react-router-dom', async () => {
 	const actual = await vi.importActual('react-router-dom');
 	return {
@@ -39,7 +68,9 @@ const renderEditor = (props = {}) => {
 	return render(
 		<BrowserRouter>
 			<ToastProvider>
-				<GistEditor {...props} />
+				<GistMetadataProvider>
+					<GistEditor {...props} />
+				</GistMetadataProvider>
 			</ToastProvider>
 		</BrowserRouter>,
 	);
@@ -81,6 +112,7 @@ describe('GistEditor Component', () => {
 					'test-gist-123',
 					'test-token',
 					expect.any(Function),
+					mockUser.id,
 				);
 			});
 		});
@@ -156,6 +188,70 @@ describe('GistEditor Component', () => {
 			});
 		});
 
+		it('tells the user when the save was queued offline', async () => {
+			useParams.mockReturnValue({ id: 'test-gist-123' });
+			gistsApi.getGist.mockResolvedValue(mockGist);
+			gistsApi.updateGist.mockResolvedValue({ ...mockGist, _pendingSync: true });
+
+			renderEditor();
+
+			await waitFor(() => {
+				expect(screen.getByDisplayValue('Test Gist Description')).toBeInTheDocument();
+			});
+
+			fireEvent.click(screen.getByRole('button', { name: /update gist/i }));
+
+			await waitFor(() => {
+				expect(screen.getByText(/saved offline/i)).toBeInTheDocument();
+			});
+		});
+
+		it('opens a three-way merge when the gist changed since it was loaded', async () => {
+			const loaded = { ...mockGist, history: [{ version: 'a'.repeat(40) }] };
+			const remote = {
+				...mockGist,
+				history: [{ version: 'b'.repeat(40) }],
+				files: {
+					...mockGist.files,
+					'test.js': { ...mockGist.files['test.js'], content: 'console.log("theirs");' },
+				},
+			};
+			useParams.mockReturnValue({ id: 'test-gist-123' });
+			gistsApi.getGist.mockResolvedValueOnce(loaded).mockResolvedValueOnce(remote);
+
+			renderEditor();
+
+			await waitFor(() => {
+				expect(screen.getByDisplayValue('Test Gist Description')).toBeInTheDocument();
+			});
+			fireEvent.change(screen.getByPlaceholderText(/enter file content/i), {
+				target: { value: 'console.log("mine");' },
+			});
+			fireEvent.click(screen.getByRole('button', { name: /update gist/i }));
+
+			expect(await screen.findByText(/changed since you opened it/i)).toBeInTheDocument();
+			expect(gistsApi.updateGist).not.toHaveBeenCalled();
+
+			fireEvent.click(screen.getByRole('button', { name: /all mine/i }));
+			fireEvent.click(screen.getByRole('button', { name: /save merged gist/i }));
+
+			await waitFor(() => {
+				expect(gistsApi.updateGist).toHaveBeenCalledWith(
+					'test-gist-123',
+					{
+						description: 'Test Gist Description',
+						files: {
+							'README.md': { content: mockGist.files['README.md'].content },
+							'test.js': { content: 'console.log("mine");' },
+						},
+					},
+					'test-token',
+					expect.any(Function),
+					mockUser.id,
+				);
+			});
+		});
+
 		it('shows validation error when files are empty', async () => {
 			renderEditor();
 
@@ -170,6 +266,55 @@ describe('GistEditor Component', () => {
 		});
 	});
 
+	describe('Drafts', () => {
+		it('autosaves unsaved edits to a new gist', async () => {
+			renderEditor();
+
+			fireEvent.change(screen.getByPlaceholderText(/enter file content/i), {
+				target: { value: 'work in progress' },
+			});
+
+			await waitFor(
+				() => {
+					expect(draftStore.saveDraft).toHaveBeenCalledWith(
+						mockUser.id,
+						expect.stringMatching(/^new-/),
+						expect.objectContaining({ files: { untitled: { content: 'work in progress' } } }),
+					);
+				},
+				{ timeout: 3000 },
+			);
+		});
+
+		it('offers to restore a draft that differs from the saved gist', async () => {
+			useParams.mockReturnValue({ id: 'test-gist-123' });
+			gistsApi.getGist.mockResolvedValue(mockGist);
+			draftStore.getDraft.mockResolvedValueOnce({
+				draftKey: 'test-gist-123',
+				gistId: 'test-gist-123',
+				description: 'Draft description',
+				public: true,
+				files: { 'test.js': { content: 'console.log("draft");' } },
+				activeFile: 'test.js',
+				baseVersion: null,
+				updatedAt: Date.now(),
+			});
+
+			renderEditor();
+
+			expect(await screen.findByText(/unsaved changes to this gist/i)).toBeInTheDocument();
+			fireEvent.click(screen.getByRole('button', { name: /show changes/i }));
+			expect(screen.getByText(/console\.log\("draft"\)/)).toBeInTheDocument();
+
+			fireEvent.click(screen.getByRole('button', { name: /restore draft/i }));
+
+			await waitFor(() => {
+				expect(screen.getByDisplayValue('Draft description')).toBeInTheDocument();
+			});
+			expect(screen.queryByText(/unsaved changes to this gist/i)).not.toBeInTheDocument();
+		});
+	});
+
 	describe('File management', () => {
 		it('adds new file when Add File button clicked', async () => {
 			renderEditor();
@@ -190,6 +335,60 @@ describe('GistEditor Component', () => {
 		});
 	});
 
+	describe('Templates', () => {
+		afterEach(() => {
+			window.history.replaceState(null, '', '/');
+		});
+
+		it('opens the gist a template was filled into', async () => {
+			window.history.pushState(
+				{
+					usr: {
+						templateGist: {
+							description: 'Bug: Crash on save',
+							public: false,
+							files: { 'bug-report.md': { content: '# Bug: Crash on save' } },
+						},
+					},
+					key: 'template',
+					idx: 0,
+				},
+				'',
+				'/gist',
+			);
+			renderEditor();
+
+			expect(await screen.findByDisplayValue('Bug: Crash on save')).toBeInTheDocument();
+			expect(screen.getByDisplayValue('# Bug: Crash on save')).toBeInTheDocument();
+			expect(screen.getByText('bug-report.md')).toBeInTheDocument();
+		});
+
+		it('creates a gist from a built-in template', async () => {
+			const navigate = vi.fn();
+			useNavigate.mockReturnValue(navigate);
+			renderEditor();
+
+			fireEvent.click(screen.getByRole('button', { name: /from template/i }));
+			fireEvent.click(await screen.findByRole('button', { name: /bug report/i }));
+			fireEvent.change(screen.getByLabelText('Bug summary'), {
+				target: { value: 'Crash on save' },
+			});
+			fireEvent.click(screen.getByRole('button', { name: 'Create gist' }));
+
+			expect(navigate).toHaveBeenCalledWith('/gist', {
+				state: {
+					templateGist: expect.objectContaining({
+						description: 'Bug: Crash on save',
+						files: {
+							'bug-report.md': { content: expect.stringContaining('# Bug: Crash on save') },
+						},
+					}),
+				},
+			});
+			expect(gistsApi.createGist).not.toHaveBeenCalled();
+		});
+	});
+
 	describe('Unauthenticated state', () => {
 		it('shows login prompt when user is not authenticated', async () => {
 			const { useAuth } = await import('../contexts/AuthContext');
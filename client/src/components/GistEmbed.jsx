@@ -0,0 +1,120 @@
+/**
+ * GistEmbed Component
+ * Bare page for <iframe> embeds on other sites (see ShareDialog): one file of a
+ * gist with no app layout or sign-in. ?theme= picks the theme and ?lines= (e.g.
+ * 10-24) shows only those lines; Markdown files are rendered unless lines are
+ * picked, in which case their source is shown.
+ */
+
+import { ExternalLink } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { useTheme } from '../contexts/ThemeContext';
+import { getPublicGist } from '../services/api/gists';
+import { getShareableUrl } from '../utils/download';
+import { getFileLanguage, isMarkdownFile } from '../utils/fileLanguage';
+import { logError } from '../utils/logger';
+import { formatLineRange, parseLineRange } from '../utils/shareLinks';
+import Spinner from './common/Spinner';
+import MarkdownPreview from './markdown/MarkdownPreview';
+import '../styles/markdownPreview.css';
+
+const GistEmbed = () => {
+	const { id, filename } = useParams();
+	const [searchParams] = useSearchParams();
+	const { themes } = useTheme();
+	const [gist, setGist] = useState(null);
+	const [error, setError] = useState(null);
+
+	const themeParam = searchParams.get('theme');
+	const theme = themes.includes(themeParam) ? themeParam : 'light';
+	const range = parseLineRange(searchParams.get('lines'));
+
+	useEffect(() => {
+		let cancelled = false;
+		setGist(null);
+		setError(null);
+		getPublicGist(id)
+			.then((data) => {
+				if (!cancelled) setGist(data);
+			})
+			.catch((err) => {
+				logError('Failed to load gist for embed', err);
+				if (!cancelled) {
+					setError(
+						err.response?.status === 404 ? 'This gist was not found.' : 'Failed to load gist.',
+					);
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [id]);
+
+	const file = gist?.files?.[filename];
+	const lines = (file?.content || '').split('\n');
+	const shown = range ? lines.slice(range.start - 1, range.end) : lines;
+
+	let body;
+	if (error || (gist && !file)) {
+		body = (
+			<p className="p-4 text-sm text-muted-foreground">
+				{error || `${filename} is not in this gist.`}
+			</p>
+		);
+	} else if (!gist) {
+		body = (
+			<div className="flex justify-center p-6">
+				<Spinner />
+			</div>
+		);
+	} else if (range && range.start > lines.length) {
+		body = (
+			<p className="p-4 text-sm text-muted-foreground">
+				{filename} has only {lines.length} lines.
+			</p>
+		);
+	} else if (isMarkdownFile(filename) && !range) {
+		body = (
+			<div className="p-4">
+				<MarkdownPreview content={file.content} />
+			</div>
+		);
+	} else {
+		body = (
+			<SyntaxHighlighter
+				language={getFileLanguage(filename)}
+				style={tomorrow}
+				showLineNumbers
+				startingLineNumber={range?.start ?? 1}
+				wrapLongLines
+				customStyle={{ margin: 0, borderRadius: 0 }}
+			>
+				{shown.join('\n')}
+			</SyntaxHighlighter>
+		);
+	}
+
+	return (
+		<div className={`${theme} min-h-screen bg-background text-foreground flex flex-col`}>
+			<div className="flex items-center gap-2 px-3 py-2 border-b text-xs">
+				<span className="font-mono font-medium truncate">{filename}</span>
+				{range && <span className="text-muted-foreground">lines {formatLineRange(range)}</span>}
+				<a
+					href={getShareableUrl(id, filename)}
+					target="_blank"
+					rel="noopener noreferrer"
+					className="ml-auto flex items-center gap-1 text-muted-foreground hover:text-foreground"
+				>
+					{gist?.owner ? `@${gist.owner.login} · ` : ''}View gist
+					<ExternalLink className="h-3 w-3" />
+				</a>
+			</div>
+			<div className="flex-1 overflow-auto">{body}</div>
+		</div>
+	);
+};
+
+export default GistEmbed;
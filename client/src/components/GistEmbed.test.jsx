@@ -0,0 +1,68 @@
+/**
+ * Tests for GistEmbed Component
+ * Tests the bare embed page: line ranges, themes, Markdown and missing files.
+ */
+
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ThemeProvider } from '../contexts/ThemeContext';
+import * as gistsApi from '../services/api/gists';
+import GistEmbed from './GistEmbed';
+
+vi.mock('../services/api/gists');
+
+const gist = {
+	id: 'abc123',
+	owner: { login: 'octocat' },
+	files: {
+		'deploy.sh': { content: 'set -e\nbuild_release\nupload_release\necho done' },
+		'README.md': { content: '# Deploying\n\nRun `deploy.sh`.' },
+	},
+};
+
+const renderEmbed = (path) =>
+	render(
+		<ThemeProvider>
+			<MemoryRouter initialEntries={[path]}>
+				<Routes>
+					<Route path="/embed/:id/:filename" element={<GistEmbed />} />
+				</Routes>
+			</MemoryRouter>
+		</ThemeProvider>,
+	);
+
+describe('GistEmbed Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.getPublicGist.mockResolvedValue(gist);
+	});
+
+	it('shows only the chosen lines in the chosen theme', async () => {
+		const { container } = renderEmbed('/embed/abc123/deploy.sh?theme=dark&lines=2-3');
+
+		expect(await screen.findByText(/build_release/)).toBeInTheDocument();
+		expect(screen.getByText(/upload_release/)).toBeInTheDocument();
+		expect(screen.queryByText(/set -e/)).not.toBeInTheDocument();
+		expect(screen.getByText('lines 2-3')).toBeInTheDocument();
+		expect(container.firstChild).toHaveClass('dark');
+		expect(screen.getByRole('link', { name: /View gist/ })).toHaveAttribute(
+			'href',
+			`${window.location.origin}/view/abc123/deploy.sh`,
+		);
+		expect(gistsApi.getPublicGist).toHaveBeenCalledWith('abc123');
+	});
+
+	it('renders Markdown files and falls back to the light theme', async () => {
+		const { container } = renderEmbed('/embed/abc123/README.md?theme=neon');
+
+		expect(await screen.findByRole('heading', { name: /Deploying/ })).toBeInTheDocument();
+		expect(container.firstChild).toHaveClass('light');
+	});
+
+	it('says so when the file is not in the gist', async () => {
+		renderEmbed('/embed/abc123/missing.txt');
+
+		expect(await screen.findByText('missing.txt is not in this gist.')).toBeInTheDocument();
+	});
+});
@@ -0,0 +1,338 @@
+/**
+ * GistForks Component
+ * Forks tab of the gist viewer: the gist this one was forked from, the forks of
+ * this gist, and a per-file diff between any of them and their parent. Owners of
+ * a fork can pull the parent's changes in with a three-way merge from the point
+ * they forked, resolving conflicts in MergeDialog.
+ */
+
+import { Columns2, GitCompare, GitFork, GitPullRequestArrow, X } from 'lucide-react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { getGist, getGistForks, getGistRevision, getPublicGist } from '../services/api/gists';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { diffGistFiles } from '../utils/gistDiff';
+import { logError } from '../utils/logger';
+import { findForkPoint, mergeGistFiles } from '../utils/threeWayMerge';
+import Spinner from './common/Spinner';
+import DiffView from './DiffView';
+import MergeDialog from './MergeDialog';
+import { Button } from './ui/button';
+
+const pullSideLabels = { base: 'When you forked', mine: 'Your fork', theirs: 'Parent' };
+
+/**
+ * @param {Object} gist
+ * @returns {string}
+ */
+const gistLabel = (gist) => gist.description || Object.keys(gist.files || {})[0] || gist.id;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.gist - The gist open in the viewer, with its files and history
+ * @param {boolean} [props.canPull=false] - Whether the user owns this fork
+ * @param {(payload: Object) => Promise<void>} [props.onPull] - Saves an updateGist payload
+ */
+const GistForks = ({ gist, canPull = false, onPull }) => {
+	const { user, token } = useAuth();
+	const toast = useToast();
+	const parent = gist.fork_of;
+
+	const [forks, setForks] = useState([]);
+	const [page, setPage] = useState(0);
+	const [hasMore, setHasMore] = useState(false);
+	const [loading, setLoading] = useState(true);
+	const [loadingMore, setLoadingMore] = useState(false);
+	const [error, setError] = useState(null);
+	// { id, title, before, after } of the pair being diffed
+	const [comparison, setComparison] = useState(null);
+	const [comparingId, setComparingId] = useState(null);
+	const [mode, setMode] = useState('unified');
+	const [pullMerges, setPullMerges] = useState(null);
+	const [pulling, setPulling] = useState(false);
+	const [saving, setSaving] = useState(false);
+
+	const loadFirstPage = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const result = await getGistForks(gist.id, 1);
+			setForks(result.forks);
+			setHasMore(result.hasMore);
+			setPage(1);
+		} catch (err) {
+			logError('Failed to load gist forks', err);
+			setError('Failed to load forks.');
+		} finally {
+			setLoading(false);
+		}
+	}, [gist.id]);
+
+	useEffect(() => {
+		setComparison(null);
+		loadFirstPage();
+	}, [loadFirstPage]);
+
+	// Fork list entries and fork_of come without file contents
+	const loadFullGist = (id) =>
+		token ? getGist(id, token, undefined, user?.id) : getPublicGist(id);
+
+	const handleLoadMore = async () => {
+		try {
+			setLoadingMore(true);
+			const result = await getGistForks(gist.id, page + 1);
+			setForks((prev) => [
+				...prev,
+				...result.forks.filter((fork) => !prev.some((f) => f.id === fork.id)),
+			]);
+			setHasMore(result.hasMore);
+			setPage(page + 1);
+		} catch (err) {
+			logError('Failed to load more gist forks', err);
+			toast.error('Failed to load more forks');
+		} finally {
+			setLoadingMore(false);
+		}
+	};
+
+	const compare = async (id, title, toPair) => {
+		try {
+			setComparingId(id);
+			const other = await loadFullGist(id);
+			setComparison({ id, title, ...toPair(other) });
+		} catch (err) {
+			logError('Failed to load gist for comparison', err);
+			toast.error('Failed to load that gist');
+		} finally {
+			setComparingId(null);
+		}
+	};
+
+	const compareFork = (fork) =>
+		compare(
+			fork.id,
+			`@${fork.owner?.login ?? 'unknown'}'s fork compared with this gist`,
+			(full) => ({
+				before: gist.files,
+				after: full.files,
+			}),
+		);
+
+	const compareWithParent = () =>
+		compare(parent.id, 'This gist compared with the gist it was forked from', (full) => ({
+			before: full.files,
+			after: gist.files,
+		}));
+
+	const files = useMemo(
+		() => (comparison ? diffGistFiles(comparison.before, comparison.after) : []),
+		[comparison],
+	);
+
+	const handlePull = async () => {
+		try {
+			setPulling(true);
+			const upstream = await getGist(parent.id, token, undefined, user?.id);
+			// Without shared history, fall back to the fork's first revision
+			const forkPoint = findForkPoint(gist.history, upstream.history);
+			const firstRevision = gist.history?.at(-1)?.version;
+			const base = forkPoint
+				? await getGistRevision(parent.id, forkPoint, token, undefined, user?.id)
+				: firstRevision
+					? await getGistRevision(gist.id, firstRevision, token, undefined, user?.id)
+					: { files: {} };
+
+			const truncated = [gist, upstream, base]
+				.flatMap((version) => Object.values(version.files || {}))
+				.find((file) => file?.truncated);
+			if (truncated) throw new Error(`${truncated.filename} is too large to merge here`);
+
+			// Files deleted in the fork since it was made stay deleted
+			const forkFiles = {
+				...Object.fromEntries(Object.keys(base.files || {}).map((filename) => [filename, null])),
+				...gist.files,
+			};
+			const merges = mergeGistFiles(base.files, forkFiles, upstream.files);
+			if (merges.every((merge) => merge.status === 'unchanged' || merge.status === 'mine')) {
+				toast.info('Your fork already has every change from the parent');
+				return;
+			}
+			setPullMerges(merges);
+		} catch (err) {
+			logError('Failed to prepare pull from parent gist', err);
+			toast.error(err.message || 'Failed to load the parent gist');
+		} finally {
+			setPulling(false);
+		}
+	};
+
+	const handlePullConfirm = async (mergedFiles) => {
+		// MergeDialog leaves deleted files out; the fork still has them
+		const payload = { files: { ...mergedFiles } };
+		for (const filename of Object.keys(gist.files || {})) {
+			if (!(filename in mergedFiles)) payload.files[filename] = null;
+		}
+
+		try {
+			setSaving(true);
+			await onPull(payload);
+			setPullMerges(null);
+			setComparison(null);
+		} catch (err) {
+			logError('Failed to pull changes from parent gist', err);
+			toast.error('Failed to save the pulled changes');
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	return (
+		<div className="viewer-content space-y-6">
+			{parent && (
+				<section className="flex flex-wrap items-center gap-2 rounded-md border p-3 text-sm">
+					<GitFork className="h-4 w-4 text-muted-foreground" />
+					<span>
+						Forked from{' '}
+						<Link
+							to={`/view/${parent.id}`}
+							className="font-medium underline-offset-2 hover:underline"
+						>
+							{parent.owner?.login ? `@${parent.owner.login} / ` : ''}
+							{gistLabel(parent)}
+						</Link>
+					</span>
+					<div className="ml-auto flex gap-2">
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={compareWithParent}
+							disabled={comparingId === parent.id}
+						>
+							<GitCompare className="h-4 w-4 mr-2" />
+							Compare with parent
+						</Button>
+						{canPull && onPull && (
+							<Button size="sm" onClick={handlePull} disabled={pulling}>
+								<GitPullRequestArrow className="h-4 w-4 mr-2" />
+								{pulling ? 'Checking...' : 'Pull changes from parent'}
+							</Button>
+						)}
+					</div>
+				</section>
+			)}
+
+			{comparison && (
+				<section className="space-y-3" aria-label="Comparison">
+					<div className="flex flex-wrap items-center gap-2">
+						<h2 className="text-sm font-medium">{comparison.title}</h2>
+						<div className="ml-auto flex gap-1">
+							<Button
+								type="button"
+								size="sm"
+								variant={mode === 'unified' ? 'default' : 'outline'}
+								onClick={() => setMode('unified')}
+							>
+								Unified
+							</Button>
+							<Button
+								type="button"
+								size="sm"
+								variant={mode === 'split' ? 'default' : 'outline'}
+								onClick={() => setMode('split')}
+							>
+								<Columns2 className="h-4 w-4 mr-1" />
+								Split
+							</Button>
+							<Button
+								type="button"
+								size="sm"
+								variant="ghost"
+								title="Close comparison"
+								onClick={() => setComparison(null)}
+							>
+								<X className="h-4 w-4" />
+							</Button>
+						</div>
+					</div>
+					<DiffView files={files} mode={mode} />
+				</section>
+			)}
+
+			<section className="space-y-3" aria-label="Forks">
+				<h2 className="flex items-center gap-2 text-base font-semibold">
+					<GitFork className="h-4 w-4" />
+					Forks
+				</h2>
+				{loading ? (
+					<div className="flex justify-center py-4">
+						<Spinner />
+					</div>
+				) : error ? (
+					<div className="flex items-center gap-3 text-sm text-muted-foreground">
+						<span>{error}</span>
+						<Button variant="outline" size="sm" onClick={loadFirstPage}>
+							Retry
+						</Button>
+					</div>
+				) : forks.length === 0 ? (
+					<p className="text-sm text-muted-foreground">Nobody has forked this gist yet.</p>
+				) : (
+					<ul className="divide-y rounded-md border">
+						{forks.map((fork) => (
+							<li key={fork.id} className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm">
+								{fork.owner?.avatar_url && (
+									<img src={fork.owner.avatar_url} alt="" className="h-5 w-5 rounded-full" />
+								)}
+								<Link
+									to={`/view/${fork.id}`}
+									className="font-medium underline-offset-2 hover:underline"
+								>
+									@{fork.owner?.login ?? 'unknown'}
+								</Link>
+								<span className="text-muted-foreground">
+									updated {formatRelativeTime(fork.updated_at)}
+								</span>
+								<Button
+									variant="outline"
+									size="sm"
+									className="ml-auto"
+									onClick={() => compareFork(fork)}
+									disabled={comparingId === fork.id}
+								>
+									<GitCompare className="h-4 w-4 mr-2" />
+									{comparingId === fork.id ? 'Loading...' : 'Compare'}
+								</Button>
+							</li>
+						))}
+					</ul>
+				)}
+				{hasMore && !loading && (
+					<Button
+						variant="outline"
+						size="sm"
+						className="w-full"
+						onClick={handleLoadMore}
+						disabled={loadingMore}
+					>
+						{loadingMore ? 'Loading...' : 'Load more forks'}
+					</Button>
+				)}
+			</section>
+
+			<MergeDialog
+				open={Boolean(pullMerges)}
+				merges={pullMerges || []}
+				saving={saving}
+				onCancel={() => setPullMerges(null)}
+				onConfirm={handlePullConfirm}
+				title="Pull changes from the parent gist"
+				sideLabels={pullSideLabels}
+				confirmLabel="Save to your fork"
+			/>
+		</div>
+	);
+};
+
+export default GistForks;
@@ -0,0 +1,129 @@
+/**
+ * Tests for GistForks Component
+ * Tests the fork list, comparing a fork with its parent and pulling from the parent.
+ */
+
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ToastProvider } from '../contexts/ToastContext';
+import * as gistsApi from '../services/api/gists';
+import { mockUser } from '../test/fixtures';
+import GistForks from './GistForks';
+
+vi.mock('../services/api/gists');
+
+vi.mock('../contexts/AuthContext', () => ({
+	useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token' })),
+}));
+
+const files = (contents) =>
+	Object.fromEntries(
+		Object.entries(contents).map(([filename, content]) => [filename, { filename, content }]),
+	);
+
+const base = 'one\ntwo\nthree\nfour\nfive';
+
+const fork = {
+	id: 'fork-1',
+	description: 'My fork',
+	fork_of: { id: 'parent-1', description: 'Parent gist', owner: { login: 'upstream' } },
+	files: files({ 'a.txt': base.replace('one', 'ONE'), 'b.txt': 'b' }),
+	history: [{ version: 'f1' }, { version: 'p1' }],
+};
+
+const parent = {
+	id: 'parent-1',
+	files: files({ 'a.txt': base.replace('five', 'FIVE') }),
+	history: [{ version: 'p2' }, { version: 'p1' }],
+};
+
+const renderForks = (props = {}) =>
+	render(
+		<MemoryRouter>
+			<ToastProvider>
+				<GistForks gist={fork} {...props} />
+			</ToastProvider>
+		</MemoryRouter>,
+	);
+
+describe('GistForks Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.getGistForks.mockResolvedValue({
+			forks: [{ id: 'fork-2', owner: { login: 'alice' }, updated_at: '2024-01-02T00:00:00Z' }],
+			hasMore: false,
+		});
+		gistsApi.getGist.mockImplementation(async (id) =>
+			id === 'parent-1'
+				? parent
+				: {
+						id,
+						files: files({ 'a.txt': base.replace('three', 'changed by alice'), 'b.txt': 'b' }),
+					},
+		);
+		gistsApi.getGistRevision.mockResolvedValue({
+			files: files({ 'a.txt': base, 'b.txt': 'b' }),
+		});
+	});
+
+	it('links the parent and lists forks', async () => {
+		renderForks();
+
+		expect(screen.getByRole('link', { name: '@upstream / Parent gist' })).toHaveAttribute(
+			'href',
+			'/view/parent-1',
+		);
+		expect(await screen.findByRole('link', { name: '@alice' })).toHaveAttribute(
+			'href',
+			'/view/fork-2',
+		);
+		expect(gistsApi.getGistForks).toHaveBeenCalledWith('fork-1', 1);
+	});
+
+	it('diffs a fork against this gist', async () => {
+		renderForks();
+
+		fireEvent.click(await screen.findByRole('button', { name: 'Compare' }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/changed by alice/)).toBeInTheDocument();
+		});
+		expect(screen.getByText("@alice's fork compared with this gist")).toBeInTheDocument();
+		expect(gistsApi.getGist).toHaveBeenCalledWith('fork-2', 'test-token', undefined, mockUser.id);
+	});
+
+	it('only offers pulling to the owner of the fork', async () => {
+		renderForks();
+		await screen.findByRole('link', { name: '@alice' });
+
+		expect(
+			screen.queryByRole('button', { name: 'Pull changes from parent' }),
+		).not.toBeInTheDocument();
+	});
+
+	it('merges parent changes from the fork point and saves them to the fork', async () => {
+		const onPull = vi.fn().mockResolvedValue();
+		renderForks({ canPull: true, onPull });
+
+		fireEvent.click(screen.getByRole('button', { name: 'Pull changes from parent' }));
+
+		fireEvent.click(await screen.findByRole('button', { name: 'Save to your fork' }));
+
+		await waitFor(() => {
+			expect(onPull).toHaveBeenCalledWith({
+				files: {
+					'a.txt': { content: 'ONE\ntwo\nthree\nfour\nFIVE' },
+					'b.txt': null,
+				},
+			});
+		});
+		expect(gistsApi.getGistRevision).toHaveBeenCalledWith(
+			'parent-1',
+			'p1',
+			'test-token',
+			undefined,
+			mockUser.id,
+		);
+	});
+});
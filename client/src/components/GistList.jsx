@@ -1,22 +1,52 @@
 import {
+	Archive,
 	ArrowUpDown,
 	Edit2,
 	Eye,
 	FileText,
 	Filter,
+	Globe,
 	Plus,
 	RefreshCw,
 	Search,
+	Tag,
 	Trash2,
+	Upload,
+	X,
 } from 'lucide-react';
 import { useCallback, useEffect, useRef, useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { deleteGist, getGists, updateGist } from '../services/api/gists';
+import { useGistMetadata } from '../contexts/GistMetadataContext';
+import { useBulkActions } from '../hooks/useBulkActions';
+import { useContentHydration } from '../hooks/useContentHydration';
+import {
+	deleteGist,
+	getCachedGists,
+	getGists,
+	getStarredGists,
+	updateGist,
+} from '../services/api/gists';
+import { getUserSharedGists } from '../services/api/sharedGists';
+import { mergeGistContent } from '../services/contentHydration';
+import { getTagCounts, withoutMetadataGist } from '../services/gistMetadata';
 import { generateGistPreview } from '../utils/describeGist';
 import { logError } from '../utils/logger';
+import {
+	createSearchIndex,
+	getMatchSnippet,
+	highlightMatches,
+	parseSearchQuery,
+	searchGistIndex,
+	updateSearchIndex,
+} from '../utils/search';
+import BulkActionBar from './BulkActionBar';
 import ConfirmationDialog from './ConfirmationDialog';
+import Highlight from './common/Highlight';
 import Spinner from './common/Spinner';
+import GistTagEditor from './GistTagEditor';
+import ShareToggle from './ShareToggle';
+import StarToggle from './StarToggle';
 import { Badge } from './ui/badge';
 import { Button } from './ui/button';
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from './ui/card';
@@ -24,7 +54,23 @@ import { ErrorState } from './ui/error-state';
 import { Input } from './ui/input';
 import { Separator } from './ui/separator';
 
-const GistList = () => {
+/**
+ * @param {Object} gist
+ * @returns {string[]} Lowercased extensions of the gist's files
+ */
+const getFileExtensions = (gist) =>
+	Object.keys(gist.files)
+		.filter((filename) => filename.includes('.'))
+		.map((filename) => filename.split('.').pop().toLowerCase());
+
+/**
+ * The user's own gists, or (with `starred`) the gists they have starred. Starred
+ * gists may belong to others, so editing, deleting, sharing and prefixing are
+ * left out there.
+ * @param {Object} props
+ * @param {boolean} [props.starred=false]
+ */
+const GistList = ({ starred = false }) => {
 	const [gists, setGists] = useState([]);
 	const [filteredGists, setFilteredGists] = useState([]);
 	const [loading, setLoading] = useState(true);
@@ -34,14 +80,26 @@ const GistList = () => {
 	const [currentPage, setCurrentPage] = useState(1);
 	const [gistsPerPage] = useState(12);
 	const [searchTerm, setSearchTerm] = useState('');
-	const [searchIndex, setSearchIndex] = useState({});
-	const [sortOption, setSortOption] = useState('updated_at');
+	const [searchIndex, setSearchIndex] = useState(() => createSearchIndex([]));
+	// Matched terms by gist ID, for highlighting the current search
+	const [searchMatches, setSearchMatches] = useState({ terms: {}, phrases: [] });
+	// IDs of the gists the user has starred, once known
+	const [starredIds, setStarredIds] = useState(null);
+	const [sortOption, setSortOption] = useState('relevance');
 	const [sortDirection, setSortDirection] = useState('desc');
 	const [isAdvancedSearch, setIsAdvancedSearch] = useState(false);
 	const [editingGist, setEditingGist] = useState(null);
 	const [editingDescription, setEditingDescription] = useState('');
+	// Shared entries keyed by gist ID; null until loaded (or if the index is unreachable)
+	const [sharedById, setSharedById] = useState(null);
+	const [sharedLoaded, setSharedLoaded] = useState(false);
+	const [selectedIds, setSelectedIds] = useState(() => new Set());
+	const [isBulkDeleteOpen, setIsBulkDeleteOpen] = useState(false);
+	const [taggingGistId, setTaggingGistId] = useState(null);
+	const [collectionName, setCollectionName] = useState(null);
 	const hasDataFetchedRef = useRef(false);
 	const searchTimeoutRef = useRef(null);
+	const criteriaRef = useRef('');
 	const [filterOptions, setFilterOptions] = useState({
 		fileType: '',
 		minFiles: '',
@@ -51,35 +109,77 @@ const GistList = () => {
 	});
 	const { user, token } = useAuth();
 	const navigate = useNavigate();
+	const [searchParams, setSearchParams] = useSearchParams();
+	const tagFilter = searchParams.get('tag') || '';
+	const collectionFilter = searchParams.get('collection') || '';
+	const {
+		metadata,
+		ready: metadataReady,
+		saveError: metadataError,
+		renameCollection,
+		deleteCollection,
+	} = useGistMetadata();
+	const activeCollection = metadata.collections.find(
+		(collection) => collection.id === collectionFilter,
+	);
 
-	// Build search index
-	const buildSearchIndex = useCallback((gistsData) => {
-		if (!gistsData || !Array.isArray(gistsData)) return;
-
-		const index = {};
-		gistsData.forEach((gist) => {
-			index[gist.id] = {
-				description: gist.description?.toLowerCase() || '',
-				filenames: Object.keys(gist.files).map((name) => name.toLowerCase()),
-				content: [],
-				fileTypes: new Set(),
-				filesCount: Object.keys(gist.files).length,
-			};
-
-			Object.entries(gist.files).forEach(([filename, file]) => {
-				const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
-				if (extension) {
-					index[gist.id].fileTypes.add(extension);
-				}
-				if (file.content && file.content.length < 100000) {
-					index[gist.id].content.push(file.content.toLowerCase());
+	/** Reflect starring done here, in the star buttons or in bulk */
+	const handleStarChange = useCallback((ids, isStarred) => {
+		setStarredIds((prev) => {
+			const next = new Set(prev);
+			for (const id of ids) {
+				if (isStarred) {
+					next.add(id);
+				} else {
+					next.delete(id);
 				}
-			});
+			}
+			return next;
 		});
-
-		setSearchIndex(index);
 	}, []);
 
+	const bulk = useBulkActions({
+		onRemove: useCallback((ids) => {
+			const removed = new Set(ids);
+			const keep = (list) => list.filter((gist) => !removed.has(gist.id));
+			setGists(keep);
+			setFilteredGists(keep);
+			setSelectedIds((prev) => new Set([...prev].filter((id) => !removed.has(id))));
+		}, []),
+		// The filter effect re-applies search and sort to the restored list
+		onRestore: useCallback((restored) => {
+			setGists((prev) => [
+				...restored.filter((gist) => !prev.some((g) => g.id === gist.id)),
+				...prev,
+			]);
+		}, []),
+		onUpdate: useCallback((descriptions) => {
+			const apply = (list) =>
+				list.map((gist) =>
+					gist.id in descriptions ? { ...gist, description: descriptions[gist.id] } : gist,
+				);
+			setGists(apply);
+			setFilteredGists(apply);
+		}, []),
+		onStarred: handleStarChange,
+	});
+
+	// Keep the search index in step with the list; only changed gists are re-indexed
+	useEffect(() => {
+		setSearchIndex((prev) => updateSearchIndex(prev, gists));
+	}, [gists]);
+
+	// File contents arrive in the background, since the list API leaves them out
+	const hydration = useContentHydration(
+		gists,
+		useCallback((hydrated) => {
+			const byId = new Map(hydrated.map((gist) => [gist.id, gist]));
+			setGists((prev) =>
+				prev.map((gist) => (byId.has(gist.id) ? mergeGistContent(gist, byId.get(gist.id)) : gist)),
+			);
+		}, []),
+	);
+
 	// Apply filters and sort
 	const applyFiltersAndSort = useCallback(
 		(gistsData, search, filters, sort, direction) => {
@@ -91,26 +191,38 @@ const GistList = () => {
 			let results = [...gistsData];
 
 			// Search
+			const query = parseSearchQuery(search);
+			const scores = new Map();
 			if (search && search.trim() !== '') {
-				const searchLower = search.toLowerCase().trim();
-				results = results.filter((gist) => {
-					const indexEntry = searchIndex[gist.id];
-					if (!indexEntry) return false;
-					return (
-						indexEntry.description.includes(searchLower) ||
-						indexEntry.filenames.some((name) => name.includes(searchLower)) ||
-						indexEntry.content.some((content) => content.includes(searchLower))
-					);
+				const matches = searchGistIndex(searchIndex, query, {
+					starredIds,
+					getTags: (gistId) => metadata.tags[gistId] || [],
+				});
+				for (const match of matches) scores.set(match.gist.id, match.score);
+				results = results.filter((gist) => scores.has(gist.id));
+				setSearchMatches({
+					terms: Object.fromEntries(matches.map((match) => [match.gist.id, match.matched])),
+					phrases: query.phrases,
 				});
+			} else {
+				setSearchMatches({ terms: {}, phrases: [] });
+			}
+
+			// Tags and collections
+			if (filters.tag) {
+				results = results.filter((gist) => metadata.tags[gist.id]?.includes(filters.tag));
+			}
+
+			const collection = metadata.collections.find(({ id }) => id === filters.collection);
+			if (collection) {
+				const members = new Set(collection.gistIds);
+				results = results.filter((gist) => members.has(gist.id));
 			}
 
 			// Filters
 			if (filters.fileType && filters.fileType.trim() !== '') {
 				const fileType = filters.fileType.toLowerCase().trim();
-				results = results.filter((gist) => {
-					const indexEntry = searchIndex[gist.id];
-					return indexEntry?.fileTypes.has(fileType);
-				});
+				results = results.filter((gist) => getFileExtensions(gist).includes(fileType));
 			}
 
 			if (filters.minFiles && !Number.isNaN(parseInt(filters.minFiles, 10))) {
@@ -136,9 +248,14 @@ const GistList = () => {
 				results = results.filter((gist) => new Date(gist.updated_at) <= toDate);
 			}
 
-			// Sort
+			// Sort; best match only applies when there are words to rank by
+			const byRelevance = sort === 'relevance' && query.terms.length > 0;
+			const sortField = sort === 'relevance' ? 'updated_at' : sort;
 			results.sort((a, b) => {
-				if (sort === 'description') {
+				if (byRelevance) {
+					const difference = scores.get(b.id) - scores.get(a.id);
+					return direction === 'asc' ? -difference : difference;
+				} else if (sort === 'description') {
 					const aVal = (a.description || '').toLowerCase();
 					const bVal = (b.description || '').toLowerCase();
 					return direction === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
@@ -148,38 +265,60 @@ const GistList = () => {
 					return direction === 'asc' ? aCount - bCount : bCount - aCount;
 				} else {
 					return direction === 'asc'
-						? new Date(a[sort]) - new Date(b[sort])
-						: new Date(b[sort]) - new Date(a[sort]);
+						? new Date(a[sortField]) - new Date(b[sortField])
+						: new Date(b[sortField]) - new Date(a[sortField]);
 				}
 			});
 
 			setFilteredGists(results);
-			setCurrentPage(1);
+			// Stay on the current page unless it no longer exists
+			const lastPage = Math.max(1, Math.ceil(results.length / gistsPerPage));
+			setCurrentPage((page) => Math.min(page, lastPage));
 		},
-		[searchIndex],
+		[searchIndex, metadata, starredIds, gistsPerPage],
 	);
 
-	// Fetch gists
+	// Fetch gists: show the persisted copy first, then revalidate
 	const fetchGists = useCallback(async () => {
 		if (hasDataFetchedRef.current) return;
 
+		let showingCached = false;
 		try {
 			setLoading(true);
 			setError(null);
-			const gistsData = await getGists(token, setError, user?.id);
-			if (Array.isArray(gistsData)) {
+
+			// The starred list isn't persisted; only the user's own list is
+			const cachedAll = starred ? null : await getCachedGists(token, user?.id);
+			const cached = Array.isArray(cachedAll) ? withoutMetadataGist(cachedAll) : null;
+			if (cached?.length > 0) {
+				setGists(cached);
+				applyFiltersAndSort(cached, '', {}, 'relevance', 'desc');
+				showingCached = true;
+				setLoading(false);
+			}
+
+			const allGists = starred
+				? await getStarredGists(token, setError)
+				: await getGists(token, showingCached ? undefined : setError, user?.id);
+			if (starred && Array.isArray(allGists)) {
+				setStarredIds(new Set(allGists.map((gist) => gist.id)));
+			}
+			if (Array.isArray(allGists)) {
+				const gistsData = withoutMetadataGist(allGists);
 				setGists(gistsData);
-				buildSearchIndex(gistsData);
-				applyFiltersAndSort(gistsData, '', {}, 'updated_at', 'desc');
+				// With cached data on screen the debounce effect re-applies the current filters
+				if (!showingCached) {
+					applyFiltersAndSort(gistsData, '', {}, 'relevance', 'desc');
+				}
 			}
 		} catch (error) {
 			logError('Error fetching gists', error);
-			setError('Failed to fetch gists.');
+			if (!showingCached) setError('Failed to fetch gists.');
 		} finally {
 			hasDataFetchedRef.current = true;
 			setLoading(false);
 		}
-	}, [token, user, buildSearchIndex, applyFiltersAndSort]);
+	}, [token, user, starred, applyFiltersAndSort]);
 
 	useEffect(() => {
 		if (user && !hasDataFetchedRef.current) {
@@ -187,6 +326,83 @@ const GistList = () => {
 		}
 	}, [user, fetchGists]);
 
+	// Reflect queued offline changes (and their sync) without a full reload
+	useEffect(() => {
+		if (!token || starred) return;
+
+		const reloadFromCache = async () => {
+			try {
+				const cached = await getCachedGists(token, user?.id);
+				if (Array.isArray(cached)) {
+					setGists(withoutMetadataGist(cached));
+				}
+			} catch (error) {
+				logError('Error reloading gists after sync', error);
+			}
+		};
+
+		window.addEventListener('sync:changed', reloadFromCache);
+		return () => window.removeEventListener('sync:changed', reloadFromCache);
+	}, [token, user?.id, starred]);
+
+	// Star buttons and is:starred need to know which gists are starred
+	useEffect(() => {
+		if (!token || starred) return;
+
+		let cancelled = false;
+		const loadStarred = async () => {
+			try {
+				const starredGists = await getStarredGists(token);
+				if (!cancelled && Array.isArray(starredGists)) {
+					setStarredIds(new Set(starredGists.map((gist) => gist.id)));
+				}
+			} catch (error) {
+				logError('Error fetching starred gists', error);
+			}
+		};
+
+		loadStarred();
+		return () => {
+			cancelled = true;
+		};
+	}, [token, starred]);
+
+	// Load share status for all cards in one request
+	useEffect(() => {
+		if (!token || starred) return;
+
+		let cancelled = false;
+		const loadShared = async () => {
+			try {
+				const entries = await getUserSharedGists();
+				if (!cancelled && Array.isArray(entries)) {
+					setSharedById(Object.fromEntries(entries.map((entry) => [entry.id, entry])));
+				}
+			} catch (error) {
+				logError('Error fetching shared gists', error);
+			} finally {
+				if (!cancelled) setSharedLoaded(true);
+			}
+		};
+
+		loadShared();
+		return () => {
+			cancelled = true;
+		};
+	}, [token, starred]);
+
+	const handleSharedChange = (gistId, entry) => {
+		setSharedById((prev) => {
+			const next = { ...prev };
+			if (entry) {
+				next[gistId] = entry;
+			} else {
+				delete next[gistId];
+			}
+			return next;
+		});
+	};
+
 	// Search debounce
 	useEffect(() => {
 		if (searchTimeoutRef.current) {
@@ -194,14 +410,30 @@ const GistList = () => {
 		}
 		if (gists.length === 0) return;
 		searchTimeoutRef.current = setTimeout(() => {
-			applyFiltersAndSort(gists, searchTerm, filterOptions, sortOption, sortDirection);
+			const filters = { ...filterOptions, tag: tagFilter, collection: collectionFilter };
+			// New criteria start from the first page; new data (e.g. loaded contents) doesn't
+			const criteria = JSON.stringify([searchTerm, filters, sortOption, sortDirection]);
+			if (criteria !== criteriaRef.current) {
+				criteriaRef.current = criteria;
+				setCurrentPage(1);
+			}
+			applyFiltersAndSort(gists, searchTerm, filters, sortOption, sortDirection);
 		}, 300);
 		return () => {
 			if (searchTimeoutRef.current) {
 				clearTimeout(searchTimeoutRef.current);
 			}
 		};
-	}, [searchTerm, filterOptions, sortOption, sortDirection, gists, applyFiltersAndSort]);
+	}, [
+		searchTerm,
+		filterOptions,
+		tagFilter,
+		collectionFilter,
+		sortOption,
+		sortDirection,
+		gists,
+		applyFiltersAndSort,
+	]);
 
 	const handleSortChange = (option) => {
 		if (option === sortOption) {
@@ -234,8 +466,68 @@ const GistList = () => {
 		setGistToDelete(null);
 	};
 
+	const toggleSelected = (gistId) => {
+		setSelectedIds((prev) => {
+			const next = new Set(prev);
+			if (next.has(gistId)) {
+				next.delete(gistId);
+			} else {
+				next.add(gistId);
+			}
+			return next;
+		});
+	};
+
+	const allFilteredSelected =
+		filteredGists.length > 0 && filteredGists.every((gist) => selectedIds.has(gist.id));
+
+	const toggleAllFiltered = () => {
+		setSelectedIds((prev) => {
+			const next = new Set(prev);
+			for (const gist of filteredGists) {
+				if (allFilteredSelected) {
+					next.delete(gist.id);
+				} else {
+					next.add(gist.id);
+				}
+			}
+			return next;
+		});
+	};
+
+	const selectedGists = gists.filter((gist) => selectedIds.has(gist.id));
+
+	const confirmBulkDelete = () => {
+		setIsBulkDeleteOpen(false);
+		bulk.deleteGists(selectedGists);
+	};
+
+	/** Set or clear the `tag` / `collection` URL filters */
+	const setListParam = (name, value) => {
+		setSearchParams((prev) => {
+			const next = new URLSearchParams(prev);
+			if (value) {
+				next.set(name, value);
+			} else {
+				next.delete(name);
+			}
+			return next;
+		});
+	};
+
+	const saveCollectionName = () => {
+		if (collectionName?.trim()) renameCollection(collectionFilter, collectionName);
+		setCollectionName(null);
+	};
+
+	const handleDeleteCollection = () => {
+		deleteCollection(collectionFilter);
+		setListParam('collection', '');
+	};
+
 	const resetFilters = () => {
 		setSearchTerm('');
+		setSearchParams({});
 		setFilterOptions({ fileType: '', minFiles: '', maxFiles: '', dateFrom: '', dateTo: '' });
 		setIsAdvancedSearch(false);
 		if (gists.length > 0) {
@@ -317,11 +609,9 @@ const GistList = () => {
 		return <ErrorState message={error} variant="card" onRetry={refreshGists} />;
 	}
 
-	const allFileTypes = new Set();
-	Object.values(searchIndex).forEach((entry) => {
-		entry.fileTypes.forEach((type) => allFileTypes.add(type));
-	});
-	const fileTypeOptions = Array.from(allFileTypes).sort();
+	const fileTypeOptions = [...new Set(gists.flatMap(getFileExtensions))].sort();
+	const tagOptions = getTagCounts(metadata);
+	const isFiltered = Boolean(tagFilter || activeCollection);
 
 	return (
 		<div className="space-y-6">
@@ -329,7 +619,57 @@ const GistList = () => {
 			<Card>
 				<CardHeader>
 					<div className="flex items-center justify-between">
-						<CardTitle>My Gists</CardTitle>
+						{activeCollection ? (
+							<div className="flex items-center gap-2 min-w-0">
+								{collectionName !== null ? (
+									<Input
+										value={collectionName}
+										onChange={(e) => setCollectionName(e.target.value)}
+										onKeyDown={(e) => {
+											if (e.key === 'Enter') saveCollectionName();
+											if (e.key === 'Escape') setCollectionName(null);
+										}}
+										onBlur={saveCollectionName}
+										aria-label="Collection name"
+										className="h-8 w-56"
+										autoFocus
+									/>
+								) : (
+									<CardTitle className="truncate">{activeCollection.name}</CardTitle>
+								)}
+								<Button
+									variant="ghost"
+									size="sm"
+									onClick={() => setCollectionName(activeCollection.name)}
+									disabled={!metadataReady}
+									className="h-8 px-2"
+									title="Rename collection"
+								>
+									<Edit2 className="h-3 w-3" />
+								</Button>
+								<Button
+									variant="ghost"
+									size="sm"
+									onClick={handleDeleteCollection}
+									disabled={!metadataReady}
+									className="h-8 px-2 text-destructive hover:text-destructive"
+									title="Delete collection (its gists are kept)"
+								>
+									<Trash2 className="h-3 w-3" />
+								</Button>
+								<Button
+									variant="ghost"
+									size="sm"
+									onClick={() => setListParam('collection', '')}
+									className="h-8 px-2"
+									title="Show all gists"
+								>
+									<X className="h-3 w-3" />
+								</Button>
+							</div>
+						) : (
+							<CardTitle>{starred ? 'Starred Gists' : 'My Gists'}</CardTitle>
+						)}
 						<div className="flex gap-2">
 							<Button
 								onClick={() => setIsAdvancedSearch(!isAdvancedSearch)}
@@ -339,6 +679,26 @@ const GistList = () => {
 								<Filter className="h-4 w-4 mr-2" />
 								{isAdvancedSearch ? 'Hide' : 'Show'} Filters
 							</Button>
+							{!starred && (
+								<>
+									<Button
+										onClick={bulk.exportAll}
+										disabled={Boolean(bulk.progress)}
+										variant="outline"
+										size="sm"
+										title="Download every gist as a ZIP with a manifest"
+									>
+										<Archive className="h-4 w-4 mr-2" />
+										Export all
+									</Button>
+									<Button asChild variant="outline" size="sm">
+										<Link to="/import">
+											<Upload className="h-4 w-4 mr-2" />
+											Import
+										</Link>
+									</Button>
+								</>
+							)}
 							<Button onClick={refreshGists} variant="ghost" size="sm">
 								<RefreshCw className="h-4 w-4" />
 							</Button>
@@ -352,6 +712,7 @@ const GistList = () => {
 						<Input
 							type="text"
 							placeholder="Search gists by title, filename, or content..."
+							title="Qualifiers: filename:, lang:, desc:, tag:, is:public, is:secret, is:starred, updated:>YYYY-MM-DD, created:<YYYY-MM-DD. Quote exact phrases; prefix with - to exclude."
 							value={searchTerm}
 							onChange={(e) => setSearchTerm(e.target.value)}
 							className="pl-10"
@@ -382,6 +743,25 @@ const GistList = () => {
 									))}
 								</select>
 							</div>
+							<div>
+								<label htmlFor="filter-tag" className="text-sm font-medium mb-1 block">
+									Tag
+								</label>
+								<select
+									id="filter-tag"
+									name="tag"
+									value={tagFilter}
+									onChange={(e) => setListParam('tag', e.target.value)}
+									className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+								>
+									<option value="">Any tag</option>
+									{tagOptions.map(({ tag, count }) => (
+										<option key={tag} value={tag}>
+											{tag} ({count})
+										</option>
+									))}
+								</select>
+							</div>
 							<div>
 								<label htmlFor="filter-min-files" className="text-sm font-medium mb-1 block">
 									Min Files
@@ -452,27 +832,81 @@ const GistList = () => {
 
 					{/* Sort Options */}
 					<div className="flex flex-wrap gap-2">
-						{['updated_at', 'created_at', 'description', 'files_count'].map((option) => (
-							<Button
-								key={option}
-								onClick={() => handleSortChange(option)}
-								variant={sortOption === option ? 'default' : 'outline'}
-								size="sm"
-							>
-								{option === 'updated_at' && 'Updated'}
-								{option === 'created_at' && 'Created'}
-								{option === 'description' && 'Alphabetical'}
-								{option === 'files_count' && 'Files'}
-								{sortOption === option && <ArrowUpDown className="ml-2 h-3 w-3" />}
-							</Button>
-						))}
+						{['relevance', 'updated_at', 'created_at', 'description', 'files_count'].map(
+							(option) => (
+								<Button
+									key={option}
+									onClick={() => handleSortChange(option)}
+									variant={sortOption === option ? 'default' : 'outline'}
+									size="sm"
+								>
+									{option === 'relevance' && 'Best match'}
+									{option === 'updated_at' && 'Updated'}
+									{option === 'created_at' && 'Created'}
+									{option === 'description' && 'Alphabetical'}
+									{option === 'files_count' && 'Files'}
+									{sortOption === option && <ArrowUpDown className="ml-2 h-3 w-3" />}
+								</Button>
+							),
+						)}
 					</div>
 
 					{/* Results Stats */}
 					<div className="text-sm text-muted-foreground">
 						Showing {filteredGists.length} of {gists.length} gists
 						{searchTerm && <span> matching "{searchTerm}"</span>}
+						{tagFilter && (
+							<Badge variant="secondary" className="ml-2 gap-1">
+								#{tagFilter}
+								<button
+									type="button"
+									onClick={() => setListParam('tag', '')}
+									aria-label={`Remove tag filter ${tagFilter}`}
+								>
+									<X className="h-3 w-3" />
+								</button>
+							</Badge>
+						)}
 					</div>
+					{metadataError && <p className="text-sm text-destructive">{metadataError}</p>}
+					{hydration.progress && (
+						<div className="flex items-center gap-3 text-xs text-muted-foreground" role="status">
+							<span>
+								Loading file contents for search… {hydration.progress.done} /{' '}
+								{hydration.progress.total}
+							</span>
+							<div className="h-1.5 flex-1 rounded-full bg-muted overflow-hidden">
+								<div
+									className="h-full bg-primary transition-all"
+									style={{
+										width: `${(hydration.progress.done / hydration.progress.total) * 100}%`,
+									}}
+								/>
+							</div>
+						</div>
+					)}
+					{!hydration.progress && hydration.failed > 0 && (
+						<p className="text-xs text-muted-foreground">
+							Contents of {hydration.failed} {hydration.failed === 1 ? 'gist' : 'gists'} couldn't be
+							loaded, so search only covers their titles and filenames.
+						</p>
+					)}
+
+					{/* Bulk Actions */}
+					<BulkActionBar
+						filteredCount={filteredGists.length}
+						selectedCount={selectedGists.length}
+						allSelected={allFilteredSelected}
+						onToggleAll={toggleAllFiltered}
+						onClearSelection={() => setSelectedIds(new Set())}
+						bulk={bulk}
+						onDelete={starred ? undefined : () => setIsBulkDeleteOpen(true)}
+						onPrefix={
+							starred ? undefined : (prefix, mode) => bulk.setPrefix(selectedGists, prefix, mode)
+						}
+						onStar={(isStarred) => bulk.setStarred(selectedGists, isStarred)}
+						onExport={() => bulk.exportGists(selectedGists)}
+					/>
 				</CardContent>
 			</Card>
 
@@ -482,18 +916,33 @@ const GistList = () => {
 					{currentGists.map((gist) => {
 						const preview = generateGistPreview(gist, 120);
 						const isEditing = editingGist === gist.id;
+						const matchedTerms = searchMatches.terms[gist.id] || [];
+						const snippet = getMatchSnippet(gist, matchedTerms, searchMatches.phrases);
+						const gistPath = starred ? `/view/${gist.id}` : `/gist/${gist.id}`;
 
 						return (
 							<Card key={gist.id} className="flex flex-col hover:shadow-lg transition-shadow">
 								<CardHeader className="pb-3">
 									<div className="flex items-start justify-between gap-2 mb-2">
-										<div className="flex gap-2">
+										<div className="flex items-center gap-2">
+											<input
+												type="checkbox"
+												checked={selectedIds.has(gist.id)}
+												onChange={() => toggleSelected(gist.id)}
+												aria-label={`Select ${gist.description || preview.generatedTitle || gist.id}`}
+											/>
 											<Badge variant={gist.public ? 'default' : 'secondary'}>
 												{gist.public ? 'Public' : 'Private'}
 											</Badge>
 											<Badge variant="outline">
 												{preview.fileCount} {preview.fileCount === 1 ? 'file' : 'files'}
 											</Badge>
+											{gist._pendingSync && (
+												<Badge variant="outline" className="gap-1" title="Saved offline">
+													<RefreshCw className="h-3 w-3" />
+													Pending sync
+												</Badge>
+											)}
 										</div>
 										<Badge variant="secondary">{preview.primaryLanguage}</Badge>
 									</div>
@@ -513,17 +962,40 @@ const GistList = () => {
 											/>
 										</div>
 									) : (
-										<Link to={`/gist/${gist.id}`}>
+										<Link to={gistPath}>
 											<CardTitle className="text-base hover:text-primary transition-colors line-clamp-1">
-												{gist.description || preview.generatedTitle || 'Untitled Gist'}
+												{gist.description ? (
+													<Highlight
+														segments={highlightMatches(
+															gist.description,
+															matchedTerms,
+															searchMatches.phrases,
+														)}
+													/>
+												) : (
+													preview.generatedTitle || 'Untitled Gist'
+												)}
 											</CardTitle>
 										</Link>
 									)}
 								</CardHeader>
 
 								<CardContent className="flex-1 pb-3">
-									<Link to={`/gist/${gist.id}`}>
-										<p className="text-sm text-muted-foreground line-clamp-3">{preview.preview}</p>
+									<Link to={gistPath}>
+										{snippet ? (
+											<div className="text-sm text-muted-foreground">
+												<p className="text-xs mb-1">
+													{snippet.filename}:{snippet.line}
+												</p>
+												<p className="font-mono text-xs line-clamp-3 break-all">
+													<Highlight segments={snippet.segments} />
+												</p>
+											</div>
+										) : (
+											<p className="text-sm text-muted-foreground line-clamp-3">
+												{preview.preview}
+											</p>
+										)}
 									</Link>
 
 									<div className="flex flex-wrap gap-1 mt-3">
@@ -541,12 +1013,38 @@ const GistList = () => {
 											</Badge>
 										)}
 									</div>
+
+									{taggingGistId === gist.id ? (
+										<div className="mt-3">
+											<GistTagEditor gistId={gist.id} onClose={() => setTaggingGistId(null)} />
+										</div>
+									) : (
+										metadata.tags[gist.id]?.length > 0 && (
+											<div className="flex flex-wrap gap-1 mt-3">
+												{metadata.tags[gist.id].map((tag) => (
+													<button
+														key={tag}
+														type="button"
+														onClick={() => setListParam('tag', tag)}
+														title={`Show gists tagged ${tag}`}
+													>
+														<Badge variant="secondary" className="text-xs">
+															#{tag}
+														</Badge>
+													</button>
+												))}
+											</div>
+										)
+									)}
 								</CardContent>
 
 								<Separator />
 
 								<CardFooter className="pt-3 flex items-center justify-between text-xs text-muted-foreground">
-									<span>Updated {new Date(gist.updated_at).toLocaleDateString()}</span>
+									<span>
+										{starred && gist.owner && <>@{gist.owner.login} · </>}
+										Updated {new Date(gist.updated_at).toLocaleDateString()}
+									</span>
 									<div className="flex gap-2">
 										<Button
 											variant="ghost"
@@ -561,24 +1059,54 @@ const GistList = () => {
 										>
 											<Eye className="h-3 w-3" />
 										</Button>
+										{starredIds && (
+											<StarToggle
+												gistId={gist.id}
+												starred={starredIds.has(gist.id)}
+												onChange={(isStarred) => handleStarChange([gist.id], isStarred)}
+												compact
+											/>
+										)}
+										{sharedLoaded && (
+											<ShareToggle
+												gist={gist}
+												sharedEntry={sharedById ? (sharedById[gist.id] ?? null) : undefined}
+												onChange={(entry) => handleSharedChange(gist.id, entry)}
+												compact
+											/>
+										)}
 										<Button
 											variant="ghost"
 											size="sm"
-											onClick={(e) => handleEditDescription(gist, e)}
+											onClick={() => setTaggingGistId(taggingGistId === gist.id ? null : gist.id)}
+											disabled={!metadataReady}
 											className="h-8 px-2"
-											title="Edit description"
+											title="Edit tags and collections"
 										>
-											<Edit2 className="h-3 w-3" />
-										</Button>
-										<Button
-											variant="ghost"
-											size="sm"
-											onClick={(e) => handleDeleteClick(gist, e)}
-											className="h-8 px-2 text-destructive hover:text-destructive"
-											title="Delete gist"
-										>
-											<Trash2 className="h-3 w-3" />
+											<Tag className="h-3 w-3" />
 										</Button>
+										{!starred && (
+											<>
+												<Button
+													variant="ghost"
+													size="sm"
+													onClick={(e) => handleEditDescription(gist, e)}
+													className="h-8 px-2"
+													title="Edit description"
+												>
+													<Edit2 className="h-3 w-3" />
+												</Button>
+												<Button
+													variant="ghost"
+													size="sm"
+													onClick={(e) => handleDeleteClick(gist, e)}
+													className="h-8 px-2 text-destructive hover:text-destructive"
+													title="Delete gist"
+												>
+													<Trash2 className="h-3 w-3" />
+												</Button>
+											</>
+										)}
 									</div>
 								</CardFooter>
 							</Card>
@@ -590,19 +1118,38 @@ const GistList = () => {
 					<CardContent className="flex flex-col items-center justify-center py-12">
 						<FileText className="h-12 w-12 text-muted-foreground mb-4" />
 						<h3 className="text-lg font-medium mb-2">
-							{searchTerm ? 'No matches found' : 'No gists yet'}
+							{searchTerm
+								? 'No matches found'
+								: isFiltered
+									? 'No gists here yet'
+									: starred
+										? 'No starred gists yet'
+										: 'No gists yet'}
 						</h3>
 						<p className="text-muted-foreground mb-6 text-center">
 							{searchTerm
 								? `No gists found matching "${searchTerm}"`
-								: 'Get started by creating your first gist'}
+								: isFiltered
+									? 'Add gists with the tag button on their cards'
+									: starred
+										? 'Star gists from the viewer or Explore to find them here'
+										: 'Get started by creating your first gist'}
 						</p>
-						<Button asChild>
-							<Link to="/gist">
-								<Plus className="mr-2 h-4 w-4" />
-								Create new gist
-							</Link>
-						</Button>
+						{starred ? (
+							<Button asChild>
+								<Link to="/explore">
+									<Globe className="mr-2 h-4 w-4" />
+									Explore gists
+								</Link>
+							</Button>
+						) : (
+							<Button asChild>
+								<Link to="/gist">
+									<Plus className="mr-2 h-4 w-4" />
+									Create new gist
+								</Link>
+							</Button>
+						)}
 					</CardContent>
 				</Card>
 			)}
@@ -656,6 +1203,13 @@ const GistList = () => {
 				title="Confirm Delete"
 				message="Are you sure you want to delete this gist? This action cannot be undone."
 			/>
+			<ConfirmationDialog
+				isOpen={isBulkDeleteOpen}
+				onClose={() => setIsBulkDeleteOpen(false)}
+				onConfirm={confirmBulkDelete}
+				title="Delete selected gists"
+				message={`Delete ${selectedGists.length} ${selectedGists.length === 1 ? 'gist' : 'gists'}? You can undo for a few seconds afterwards.`}
+			/>
 		</div>
 	);
 };
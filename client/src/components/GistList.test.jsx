@@ -3,15 +3,19 @@
  * Tests gist fetching, filtering, and CRUD operations.
  */
 
-import { render, screen, waitFor } from '@testing-library/react';
+import 'fake-indexeddb/auto';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { GistMetadataProvider } from '../contexts/GistMetadataContext';
 import { ToastProvider } from '../contexts/ToastContext';
 import * as gistsApi from '../services/api/gists';
+import * as syncQueue from '../services/syncQueue';
 import { mockGistList, mockUser } from '../test/fixtures';
 import GistList from './GistList';
 
 vi.mock('../services/api/gists');
+vi.mock('../services/api/sharedGists');
 
 vi.mock('../contexts/AuthContext', async () => {
 	const actual = await vi.importActual('../contexts/AuthContext');
@@ -26,11 +30,13 @@ vi.mock('../contexts/AuthContext', async () => {
 	};
 });
 
-const renderList = () => {
+const renderList = (props = {}) => {
 	return render(
 		<BrowserRouter>
 			<ToastProvider>
-				<GistList />
+				<GistMetadataProvider>
+					<GistList {...props} />
+				</GistMetadataProvider>
 			</ToastProvider>
 		</BrowserRouter>,
 	);
@@ -77,6 +83,18 @@ describe('GistList Component', () => {
 			expect(screen.getByText(/loading/i)).toBeInTheDocument();
 		});
 
+		it('renders cached gists while revalidating', async () => {
+			gistsApi.getCachedGists.mockResolvedValueOnce(mockGistList);
+			gistsApi.getGists.mockImplementation(() => new Promise(() => {}));
+
+			renderList();
+
+			await waitFor(() => {
+				expect(screen.getAllByText('Test Gist Description').length).toBeGreaterThan(0);
+			});
+			expect(gistsApi.getGists).toHaveBeenCalledWith('test-token', undefined, mockUser.id);
+		});
+
 		it('displays error message on fetch failure', async () => {
 			gistsApi.getGists.mockRejectedValue(new Error('API Error'));
 
@@ -114,6 +132,234 @@ describe('GistList Component', () => {
 			const searchInput = screen.getByPlaceholderText(/search/i);
 			expect(searchInput).toBeInTheDocument();
 		});
+
+		it('shows matching gists with the match highlighted', async () => {
+			renderList();
+			await waitFor(() => {
+				expect(screen.getAllByText('Test Gist Description').length).toBeGreaterThan(0);
+			});
+
+			fireEvent.change(screen.getByPlaceholderText(/search/i), { target: { value: 'helo' } });
+
+			await waitFor(() => {
+				expect(screen.queryAllByText('Test Gist Description')).toHaveLength(0);
+			});
+			expect(screen.getByText('script.py:1')).toBeInTheDocument();
+			expect(screen.getByText('hello', { selector: 'mark' })).toBeInTheDocument();
+		});
+
+		it('loads file contents in the background so search covers them', async () => {
+			const withoutContent = (gist) => ({
+				...gist,
+				files: Object.fromEntries(
+					Object.entries(gist.files).map(([name, { content, ...file }]) => [name, file]),
+				),
+			});
+			gistsApi.getGists.mockResolvedValue(mockGistList.map(withoutContent));
+			gistsApi.getGist.mockImplementation(async (id) =>
+				mockGistList.find((gist) => gist.id === id),
+			);
+
+			renderList();
+			await waitFor(() => {
+				expect(gistsApi.getGist).toHaveBeenCalledTimes(3);
+			});
+
+			fireEvent.change(screen.getByPlaceholderText(/search/i), { target: { value: 'value' } });
+
+			await waitFor(() => {
+				expect(screen.getByText('config.json:1')).toBeInTheDocument();
+			});
+			expect(screen.getByText(/Showing 1 of 3 gists/)).toBeInTheDocument();
+		});
+
+		it('filters with query qualifiers', async () => {
+			renderList();
+			await waitFor(() => {
+				expect(screen.getAllByText('Test Gist Description').length).toBeGreaterThan(0);
+			});
+
+			fireEvent.change(screen.getByPlaceholderText(/search/i), {
+				target: { value: 'test is:secret' },
+			});
+
+			await waitFor(() => {
+				expect(screen.getByText(/Showing 1 of 3 gists/)).toBeInTheDocument();
+			});
+			expect(screen.getAllByText('Private Test Gist').length).toBeGreaterThan(0);
+		});
+	});
+
+	describe('Bulk actions', () => {
+		beforeEach(() => {
+			gistsApi.getGists.mockResolvedValue(mockGistList);
+		});
+
+		const waitForList = () =>
+			waitFor(() => {
+				expect(screen.getAllByText('Test Gist Description').length).toBeGreaterThan(0);
+			});
+
+		it('selects every filtered gist from the select-all checkbox', async () => {
+			renderList();
+			await waitForList();
+
+			fireEvent.click(screen.getByLabelText(/select all 3 filtered/i));
+
+			expect(screen.getByText('3 selected')).toBeInTheDocument();
+			expect(screen.getByLabelText('Select Another Test Gist')).toBeChecked();
+		});
+
+		it('hides deleted gists and restores them on undo without calling the API', async () => {
+			renderList();
+			await waitForList();
+
+			fireEvent.click(screen.getByLabelText('Select Another Test Gist'));
+			fireEvent.click(screen.getByRole('button', { name: /^delete$/i }));
+			fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+			expect(screen.queryAllByText('Another Test Gist')).toHaveLength(0);
+			fireEvent.click(screen.getByRole('button', { name: /undo/i }));
+
+			await waitFor(() => {
+				expect(screen.getAllByText('Another Test Gist').length).toBeGreaterThan(0);
+			});
+			expect(gistsApi.deleteGist).not.toHaveBeenCalled();
+		});
+
+		it('queues a delete still held when the page is closed', async () => {
+			await syncQueue.clearQueue();
+			renderList();
+			await waitForList();
+
+			fireEvent.click(screen.getByLabelText('Select Another Test Gist'));
+			fireEvent.click(screen.getByRole('button', { name: /^delete$/i }));
+			fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+			window.dispatchEvent(new Event('pagehide'));
+
+			await waitFor(async () => {
+				expect(await syncQueue.getPendingOperations(mockUser.id)).toEqual([
+					expect.objectContaining({
+						type: 'delete',
+						gistId: 'test-gist-456',
+						baseUpdatedAt: mockGistList[1].updated_at,
+					}),
+				]);
+			});
+			expect(screen.queryByRole('button', { name: /undo/i })).not.toBeInTheDocument();
+			expect(gistsApi.deleteGist).not.toHaveBeenCalled();
+		});
+
+		it('says so instead of downloading an empty backup', async () => {
+			renderList();
+			await waitForList();
+
+			gistsApi.getGists.mockResolvedValueOnce([]);
+			fireEvent.click(screen.getByRole('button', { name: /export all/i }));
+
+			expect(
+				await screen.findByText('No gists were found to back up, so nothing was downloaded.'),
+			).toBeInTheDocument();
+			expect(gistsApi.getGist).not.toHaveBeenCalled();
+		});
+
+		it('adds a description prefix to the selected gists', async () => {
+			gistsApi.updateGist.mockResolvedValue({});
+			renderList();
+			await waitForList();
+
+			fireEvent.click(screen.getByLabelText('Select Another Test Gist'));
+			fireEvent.change(screen.getByLabelText('Description prefix'), {
+				target: { value: '[wip]' },
+			});
+			fireEvent.click(screen.getByRole('button', { name: 'Add prefix' }));
+
+			await waitFor(() => {
+				expect(screen.getAllByText('[wip] Another Test Gist').length).toBeGreaterThan(0);
+			});
+			expect(gistsApi.updateGist).toHaveBeenCalledWith(
+				'test-gist-456',
+				{ description: '[wip] Another Test Gist' },
+				'test-token',
+				undefined,
+				mockUser.id,
+			);
+		});
+	});
+
+	describe('Tags', () => {
+		beforeEach(() => {
+			gistsApi.getGists.mockResolvedValue(mockGistList);
+			gistsApi.createGist.mockResolvedValue({ id: 'metadata-gist' });
+		});
+
+		it('tags a gist, filters by the tag and saves tags to a metadata gist', async () => {
+			renderList();
+			await waitFor(() => {
+				expect(screen.getAllByTitle('Edit tags and collections')[0]).toBeEnabled();
+			});
+
+			fireEvent.click(screen.getAllByTitle('Edit tags and collections')[1]);
+			fireEvent.change(screen.getByLabelText('Tags'), { target: { value: 'API, #web dev' } });
+			fireEvent.keyDown(screen.getByLabelText('Tags'), { key: 'Enter' });
+
+			expect(screen.getByText('#web-dev')).toBeInTheDocument();
+			fireEvent.click(screen.getByText('#api'));
+
+			await waitFor(() => {
+				expect(screen.getByText(/showing 1 of 3 gists/i)).toBeInTheDocument();
+			});
+			await waitFor(
+				() => {
+					expect(gistsApi.createGist).toHaveBeenCalledWith(
+						expect.objectContaining({
+							public: false,
+							files: { 'gist-manager-metadata.json': expect.any(Object) },
+						}),
+						'test-token',
+						undefined,
+						mockUser.id,
+					);
+				},
+				{ timeout: 2000 },
+			);
+			const saved = gistsApi.createGist.mock.calls[0][0].files['gist-manager-metadata.json'];
+			expect(JSON.parse(saved.content).tags).toEqual({ 'test-gist-456': ['api', 'web-dev'] });
+		});
+	});
+
+	describe('Starred gists', () => {
+		it('lists starred gists without edit or delete controls', async () => {
+			gistsApi.getStarredGists.mockResolvedValue([mockGistList[1]]);
+
+			renderList({ starred: true });
+
+			await waitFor(() => {
+				expect(screen.getAllByText('Another Test Gist').length).toBeGreaterThan(0);
+			});
+			expect(screen.getByText('Starred Gists')).toBeInTheDocument();
+			expect(gistsApi.getStarredGists).toHaveBeenCalledWith('test-token', expect.any(Function));
+			expect(screen.queryByTitle('Delete gist')).not.toBeInTheDocument();
+			expect(screen.getByRole('switch', { name: 'Unstar gist' })).toBeChecked();
+		});
+
+		it('stars a gist from its card', async () => {
+			gistsApi.getGists.mockResolvedValue(mockGistList);
+			gistsApi.getStarredGists.mockResolvedValue([]);
+			gistsApi.starGist.mockResolvedValue(true);
+
+			renderList();
+
+			await waitFor(() => {
+				expect(screen.getAllByRole('switch', { name: 'Star gist' })).toHaveLength(3);
+			});
+			fireEvent.click(screen.getAllByRole('switch', { name: 'Star gist' })[0]);
+
+			await waitFor(() => {
+				expect(screen.getAllByRole('switch', { name: 'Unstar gist' })).toHaveLength(1);
+			});
+			expect(gistsApi.starGist).toHaveBeenCalledWith(mockGistList[0].id, 'test-token');
+		});
 	});
 
 	describe('Unauthenticated state', () => {
@@ -0,0 +1,67 @@
+/**
+ * GistTagEditor Component
+ * Inline editor on a gist card for its tags and collection membership.
+ */
+
+import { useState } from 'react';
+import { useGistMetadata } from '../contexts/GistMetadataContext';
+import { parseTags } from '../services/gistMetadata';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+
+/**
+ * @param {Object} props
+ * @param {string} props.gistId
+ * @param {() => void} props.onClose
+ */
+const GistTagEditor = ({ gistId, onClose }) => {
+	const { metadata, setTags, setInCollection } = useGistMetadata();
+	const [input, setInput] = useState(() => (metadata.tags[gistId] || []).join(', '));
+
+	const save = () => {
+		setTags(gistId, parseTags(input));
+		onClose();
+	};
+
+	return (
+		<div className="space-y-2 rounded-md border p-2 text-sm">
+			<Input
+				value={input}
+				onChange={(e) => setInput(e.target.value)}
+				onKeyDown={(e) => {
+					if (e.key === 'Enter') save();
+					if (e.key === 'Escape') onClose();
+				}}
+				placeholder="Tags, separated by commas"
+				aria-label="Tags"
+				className="h-8"
+				autoFocus
+			/>
+			{metadata.collections.length > 0 && (
+				<fieldset className="space-y-1">
+					<legend className="text-xs text-muted-foreground mb-1">Collections</legend>
+					{metadata.collections.map((collection) => (
+						<label key={collection.id} className="flex items-center gap-2">
+							<input
+								type="checkbox"
+								checked={collection.gistIds.includes(gistId)}
+								onChange={(e) => setInCollection(collection.id, gistId, e.target.checked)}
+							/>
+							<span className="truncate">{collection.name}</span>
+						</label>
+					))}
+				</fieldset>
+			)}
+			<div className="flex justify-end gap-2">
+				<Button variant="ghost" size="sm" onClick={onClose} className="h-7">
+					Cancel
+				</Button>
+				<Button size="sm" onClick={save} className="h-7">
+					Save tags
+				</Button>
+			</div>
+		</div>
+	);
+};
+
+export default GistTagEditor;
@@ -1,6 +1,10 @@
 /**
  * GistViewer - Read-only markdown viewer with sharing capabilities
  * Supports public gists without authentication for shareable links.
+ *
+ * A #L10-L25 fragment highlights and scrolls to those lines of the file (click
+ * a line number to pick one, shift-click to extend), and ?rev=<version> shows
+ * the gist as it was at that revision, so links can point at exact lines.
  */
 
 import {
@@ -12,83 +16,48 @@ import {
 	Eye,
 	GitFork,
 	Globe,
+	History,
+	Link2,
 	Lock,
+	Share2,
 } from 'lucide-react';
-import { useCallback, useEffect, useState } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { useAuth } from '../contexts/AuthContext';
+import { useRegisterCommands } from '../contexts/CommandContext';
 import { useToast } from '../contexts/ToastContext';
-import { forkGist, getGist, getPublicGist } from '../services/api/gists';
-import { copyToClipboard, downloadFile, getShareableUrl } from '../utils/download';
+import {
+	forkGist,
+	getCachedGist,
+	getGist,
+	getGistRevision,
+	getPublicGist,
+	updateGist,
+} from '../services/api/gists';
+import { copyToClipboard, downloadFile } from '../utils/download';
+import { getFileLanguage, isMarkdownFile } from '../utils/fileLanguage';
 import { logError } from '../utils/logger';
+import {
+	formatLineFragment,
+	formatLineRange,
+	getPermalink,
+	parseLineRange,
+} from '../utils/shareLinks';
 import Spinner from './common/Spinner';
+import GistComments from './GistComments';
+import GistForks from './GistForks';
 import MarkdownPreview from './markdown/MarkdownPreview';
+import RevisionHistory from './RevisionHistory';
+import ShareDialog from './ShareDialog';
+import ShareToggle from './ShareToggle';
+import StarToggle from './StarToggle';
 import { Button } from './ui/button';
 import { Card, CardContent } from './ui/card';
+import { Tabs, TabsList, TabsTrigger } from './ui/tabs';
 import '../styles/gistViewer.css';
 
-/**
- * Determines the programming language from a filename extension.
- * @param {string} filename - The filename to analyze
- * @returns {string} - The language identifier for syntax highlighting
- */
-const getFileLanguage = (filename) => {
-	if (!filename) return 'text';
-	const ext = filename.split('.').pop().toLowerCase();
-	const languageMap = {
-		js: 'javascript',
-		jsx: 'jsx',
-		ts: 'typescript',
-		tsx: 'tsx',
-		py: 'python',
-		rb: 'ruby',
-		java: 'java',
-		go: 'go',
-		rs: 'rust',
-		html: 'html',
-		css: 'css',
-		scss: 'scss',
-		json: 'json',
-		yaml: 'yaml',
-		yml: 'yaml',
-		sh: 'bash',
-		bash: 'bash',
-		zsh: 'bash',
-		sql: 'sql',
-		c: 'c',
-		cpp: 'cpp',
-		h: 'c',
-		hpp: 'cpp',
-		cs: 'csharp',
-		php: 'php',
-		swift: 'swift',
-		kt: 'kotlin',
-		scala: 'scala',
-		r: 'r',
-		lua: 'lua',
-		vim: 'vim',
-		dockerfile: 'dockerfile',
-		makefile: 'makefile',
-		toml: 'toml',
-		ini: 'ini',
-		xml: 'xml',
-		txt: 'text',
-	};
-	return languageMap[ext] || 'text';
-};
-
-/**
- * Checks if a file is a markdown file.
- * @param {string} filename - The filename to check
- * @returns {boolean} - True if the file is markdown
- */
-const isMarkdownFile = (filename) => {
-	if (!filename) return false;
-	return /\.(md|markdown|mdx)$/i.test(filename);
-};
-
 /**
  * Formats a relative time string.
  * @param {string} dateString - ISO date string
@@ -117,6 +86,8 @@ const formatRelativeTime = (dateString) => {
 
 const GistViewer = () => {
 	const { id, filename: urlFilename } = useParams();
+	const [searchParams] = useSearchParams();
+	const location = useLocation();
 	const navigate = useNavigate();
 	const { user, token } = useAuth();
 	const toast = useToast();
@@ -126,6 +97,20 @@ const GistViewer = () => {
 	const [error, setError] = useState(null);
 	const [activeFile, setActiveFile] = useState(null);
 	const [forking, setForking] = useState(false);
+	const [historyOpen, setHistoryOpen] = useState(false);
+	const [shareOpen, setShareOpen] = useState(false);
+	// Markdown source instead of the rendered file; line links always show source
+	const [showSource, setShowSource] = useState(false);
+	const codeRef = useRef(null);
+	// Line a shift-click extends the selection from
+	const lineAnchor = useRef(null);
+	// Selection changed by clicking a line number, which shouldn't scroll
+	const selectedByClick = useRef(false);
+
+	// Revision the view is pinned to, if any
+	const revision = searchParams.get('rev');
+	const lineRange = parseLineRange(location.hash.slice(1));
+	const [view, setView] = useState('files');
 
 	// Add page class for layout targeting
 	useEffect(() => {
@@ -135,29 +120,44 @@ const GistViewer = () => {
 
 	// Fetch gist data - works without auth for public gists
 	const fetchGist = useCallback(async () => {
+		const showGist = (data, keepActiveFile = false) => {
+			setGist(data);
+
+			// Set active file from URL or first file; a revalidation keeps the user's choice
+			setActiveFile((current) => {
+				if (keepActiveFile && current && data?.files?.[current]) return current;
+				if (urlFilename && data?.files?.[urlFilename]) return urlFilename;
+				return data?.files ? Object.keys(data.files)[0] : null;
+			});
+		};
+
+		let showingCached = false;
 		try {
 			setLoading(true);
 			setError(null);
 
 			let data;
-			if (token) {
-				// Authenticated - can see all user's gists
-				data = await getGist(id, token, setError);
+			if (revision) {
+				// A revision never changes, so there's nothing to revalidate
+				data = await getGistRevision(id, revision, token, setError, user?.id);
+			} else if (token) {
+				// Authenticated - render the persisted copy, then revalidate
+				const cached = await getCachedGist(id, token, user?.id);
+				if (cached) {
+					showGist(cached);
+					showingCached = true;
+					setLoading(false);
+				}
+				data = await getGist(id, token, showingCached ? undefined : setError, user?.id);
 			} else {
 				// Unauthenticated - only public gists
 				data = await getPublicGist(id, setError);
 			}
 
-			setGist(data);
-
-			// Set active file from URL or first file
-			if (urlFilename && data?.files?.[urlFilename]) {
-				setActiveFile(urlFilename);
-			} else if (data?.files) {
-				setActiveFile(Object.keys(data.files)[0]);
-			}
+			showGist(data, showingCached);
 		} catch (err) {
 			logError('Failed to fetch gist for viewer', err);
+			if (showingCached) return;
 			if (err.response?.status === 404) {
 				setError('Gist not found or is private. Please log in to view private gists.');
 			} else {
@@ -166,7 +166,7 @@ const GistViewer = () => {
 		} finally {
 			setLoading(false);
 		}
-	}, [id, token, urlFilename]);
+	}, [id, revision, token, user?.id, urlFilename]);
 
 	useEffect(() => {
 		if (id) {
@@ -174,6 +174,51 @@ const GistViewer = () => {
 		}
 	}, [id, fetchGist]);
 
+	/**
+	 * Point the URL fragment at lines of the active file
+	 * @param {{ start: number, end: number }|null} range - null clears the selection
+	 */
+	const setLineRange = useCallback(
+		(range) => {
+			navigate(
+				{ search: location.search, hash: range ? formatLineFragment(range) : '' },
+				{ replace: true },
+			);
+		},
+		[navigate, location.search],
+	);
+
+	const handleLineNumberClick = (lineNumber, extend) => {
+		selectedByClick.current = true;
+		const anchor = lineAnchor.current ?? lineRange?.start;
+		if (extend && anchor != null) {
+			setLineRange({ start: Math.min(anchor, lineNumber), end: Math.max(anchor, lineNumber) });
+			return;
+		}
+		lineAnchor.current = lineNumber;
+		setLineRange({ start: lineNumber, end: lineNumber });
+	};
+
+	const selectFile = (filename) => {
+		setActiveFile(filename);
+		lineAnchor.current = null;
+		// Line numbers belong to the file they were picked in
+		if (lineRange) setLineRange(null);
+	};
+
+	// Scroll to lines from a link (not to ones just clicked)
+	useEffect(() => {
+		const range = parseLineRange(location.hash.slice(1));
+		if (!range || loading) return;
+		if (selectedByClick.current) {
+			selectedByClick.current = false;
+			return;
+		}
+		codeRef.current
+			?.querySelector(`[data-line="${range.start}"]`)
+			?.scrollIntoView?.({ block: 'center' });
+	}, [location.hash, loading]);
+
 	// Action handlers
 	const handleCopyRaw = async () => {
 		if (!activeFile || !gist?.files?.[activeFile]) return;
@@ -187,10 +232,21 @@ const GistViewer = () => {
 	};
 
 	const handleCopyLink = async () => {
-		const url = getShareableUrl(id, activeFile);
+		const url = getPermalink(id, activeFile, { revision, lines: lineRange });
 		const success = await copyToClipboard(url);
 		if (success) {
-			toast.success('Link copied!');
+			toast.success(lineRange ? 'Link to the selected lines copied!' : 'Link copied!');
+		} else {
+			toast.error('Failed to copy link');
+		}
+	};
+
+	// Like Copy Link, but keeps pointing at this revision after the gist is edited
+	const handleCopyPermalink = async () => {
+		const pinned = revision || gist?.history?.[0]?.version;
+		const url = getPermalink(id, activeFile, { revision: pinned, lines: lineRange });
+		if (await copyToClipboard(url)) {
+			toast.success('Permalink copied!');
 		} else {
 			toast.error('Failed to copy link');
 		}
@@ -222,6 +278,19 @@ const GistViewer = () => {
 		}
 	};
 
+	const saveFiles = async (payload, message) => {
+		const saved = await updateGist(id, payload, token, undefined, user?.id);
+		setGist(saved);
+		setActiveFile((current) =>
+			saved.files?.[current] ? current : Object.keys(saved.files || {})[0] || null,
+		);
+		toast.success(message);
+	};
+
+	const handleRestore = (payload) => saveFiles(payload, 'Revision restored');
+
+	const handlePull = (payload) => saveFiles(payload, 'Pulled changes from the parent gist');
+
 	const handleEdit = () => {
 		navigate(`/gist/${id}`);
 	};
@@ -229,9 +298,30 @@ const GistViewer = () => {
 	// Determine if current user owns the gist
 	const isOwner = user?.login === gist?.owner?.login;
 
+	// Palette commands for this gist; hooks must run before the early returns below
+	useRegisterCommands(
+		gist
+			? [
+					{ id: 'gist.copy-raw', icon: Copy, run: handleCopyRaw },
+					{ id: 'gist.copy-link', icon: ExternalLink, run: handleCopyLink },
+					...(gist.history?.length || revision
+						? [{ id: 'gist.copy-permalink', icon: Link2, run: handleCopyPermalink }]
+						: []),
+					{ id: 'gist.share', icon: Share2, run: () => setShareOpen(true) },
+					{ id: 'gist.download', icon: Download, run: handleDownload },
+					...(token && !isOwner && !forking
+						? [{ id: 'gist.fork', icon: GitFork, run: handleFork }]
+						: []),
+					...(isOwner ? [{ id: 'gist.edit', icon: Edit, run: handleEdit }] : []),
+				]
+			: [],
+	);
+
 	// Current file content
 	const currentContent = activeFile ? gist?.files?.[activeFile]?.content || '' : '';
 	const fileList = gist?.files ? Object.keys(gist.files) : [];
+	const markdown = isMarkdownFile(activeFile);
+	const showCode = !markdown || showSource || Boolean(lineRange);
 
 	// Loading state
 	if (loading) {
@@ -303,17 +393,37 @@ const GistViewer = () => {
 						{fileList.length} {fileList.length === 1 ? 'file' : 'files'}
 					</span>
 				</div>
+
+				{revision && (
+					<div className="viewer-revision-banner">
+						<History className="h-4 w-4" />
+						<span>
+							Viewing revision <code>{revision.slice(0, 7)}</code>
+						</span>
+						<Link to={{ pathname: location.pathname, hash: location.hash }}>View latest</Link>
+					</div>
+				)}
+
+				<Tabs value={view} onValueChange={setView} className="mt-3">
+					<TabsList>
+						<TabsTrigger value="files">Files</TabsTrigger>
+						<TabsTrigger value="forks">
+							<GitFork className="h-4 w-4 mr-2" />
+							Forks
+						</TabsTrigger>
+					</TabsList>
+				</Tabs>
 			</div>
 
 			{/* File tabs */}
-			{fileList.length > 1 && (
+			{view === 'files' && fileList.length > 1 && (
 				<div className="viewer-tabs">
 					{fileList.map((filename) => (
 						<button
 							type="button"
 							key={filename}
 							className={`viewer-tab ${activeFile === filename ? 'active' : ''}`}
-							onClick={() => setActiveFile(filename)}
+							onClick={() => selectFile(filename)}
 						>
 							{filename}
 						</button>
@@ -330,18 +440,41 @@ const GistViewer = () => {
 					</Button>
 					<Button variant="outline" size="sm" onClick={handleCopyLink}>
 						<ExternalLink className="h-4 w-4 mr-2" />
-						Copy Link
+						{lineRange ? 'Copy Link to Lines' : 'Copy Link'}
 					</Button>
+					{(gist.history?.length > 0 || revision) && (
+						<Button
+							variant="outline"
+							size="sm"
+							onClick={handleCopyPermalink}
+							title="Link to this revision, which later edits won't change"
+						>
+							<Link2 className="h-4 w-4 mr-2" />
+							Copy Permalink
+						</Button>
+					)}
 					<Button variant="outline" size="sm" onClick={handleDownload}>
 						<Download className="h-4 w-4 mr-2" />
 						Download
 					</Button>
+					<Button variant="outline" size="sm" onClick={() => setShareOpen(true)}>
+						<Share2 className="h-4 w-4 mr-2" />
+						Share / Embed
+					</Button>
+					<StarToggle gistId={id} />
 					{token && !isOwner && (
 						<Button variant="outline" size="sm" onClick={handleFork} disabled={forking}>
 							<GitFork className="h-4 w-4 mr-2" />
 							{forking ? 'Forking...' : 'Fork'}
 						</Button>
 					)}
+					{gist.history?.length > 0 && (
+						<Button variant="outline" size="sm" onClick={() => setHistoryOpen(true)}>
+							<History className="h-4 w-4 mr-2" />
+							History
+						</Button>
+					)}
+					{isOwner && <ShareToggle gist={gist} />}
 				</div>
 				<div className="viewer-actions-right">
 					{isOwner && (
@@ -359,28 +492,84 @@ const GistViewer = () => {
 				</div>
 			</div>
 
-			{/* Content */}
-			<div
-				className={
-					isMarkdownFile(activeFile) ? 'viewer-content' : 'viewer-content viewer-content-code'
-				}
-			>
-				{activeFile &&
-					(isMarkdownFile(activeFile) ? (
-						<MarkdownPreview content={currentContent} />
-					) : (
-						<div className="viewer-code-block">
-							<SyntaxHighlighter
-								language={getFileLanguage(activeFile)}
-								style={tomorrow}
-								showLineNumbers
-								wrapLongLines
+			{view === 'forks' ? (
+				<GistForks gist={gist} canPull={isOwner && Boolean(gist.fork_of)} onPull={handlePull} />
+			) : (
+				<>
+					{/* Content */}
+					{activeFile && markdown && (
+						<div className="viewer-source-toggle">
+							<Button
+								variant={showCode ? 'ghost' : 'secondary'}
+								size="sm"
+								aria-pressed={!showCode}
+								onClick={() => {
+									setShowSource(false);
+									if (lineRange) setLineRange(null);
+								}}
 							>
-								{currentContent}
-							</SyntaxHighlighter>
+								Rendered
+							</Button>
+							<Button
+								variant={showCode ? 'secondary' : 'ghost'}
+								size="sm"
+								aria-pressed={showCode}
+								onClick={() => setShowSource(true)}
+							>
+								Source
+							</Button>
 						</div>
-					))}
-			</div>
+					)}
+					<div className={showCode ? 'viewer-content viewer-content-code' : 'viewer-content'}>
+						{activeFile &&
+							(showCode ? (
+								<div className="viewer-code-block" ref={codeRef}>
+									<SyntaxHighlighter
+										language={getFileLanguage(activeFile)}
+										style={tomorrow}
+										showLineNumbers
+										wrapLongLines
+										lineNumberStyle={{ cursor: 'pointer', userSelect: 'none' }}
+										lineProps={(lineNumber) => ({
+											'data-line': lineNumber,
+											className:
+												lineRange && lineNumber >= lineRange.start && lineNumber <= lineRange.end
+													? 'viewer-line selected'
+													: 'viewer-line',
+											onClick: (e) => {
+												if (e.target.closest?.('.linenumber')) {
+													handleLineNumberClick(lineNumber, e.shiftKey);
+												}
+											},
+										})}
+									>
+										{currentContent}
+									</SyntaxHighlighter>
+								</div>
+							) : (
+								<MarkdownPreview content={currentContent} />
+							))}
+					</div>
+
+					<GistComments gistId={id} count={gist.comments} />
+				</>
+			)}
+
+			<ShareDialog
+				open={shareOpen}
+				onOpenChange={setShareOpen}
+				gist={gist}
+				filename={activeFile}
+				lines={formatLineRange(lineRange)}
+			/>
+
+			<RevisionHistory
+				gist={gist}
+				open={historyOpen}
+				onOpenChange={setHistoryOpen}
+				canRestore={isOwner}
+				onRestore={handleRestore}
+			/>
 		</div>
 	);
 };
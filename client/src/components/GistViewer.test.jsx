@@ -0,0 +1,141 @@
+/**
+ * Tests for GistViewer Component
+ * Tests line-range links: highlighting, picking lines, copied links and revisions.
+ */
+
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ThemeProvider } from '../contexts/ThemeContext';
+import { ToastProvider } from '../contexts/ToastContext';
+import * as gistsApi from '../services/api/gists';
+import { copyToClipboard } from '../utils/download';
+import GistViewer from './GistViewer';
+
+vi.mock('../services/api/gists');
+
+vi.mock('../utils/download', async () => {
+	const actual = await vi.importActual('../utils/download');
+	return { ...actual, copyToClipboard: vi.fn(async () => true) };
+});
+
+vi.mock('../contexts/AuthContext', async () => {
+	const actual = await vi.importActual('../contexts/AuthContext');
+	return {
+		...actual,
+		useAuth: vi.fn(() => ({ user: null, token: null, isAuthenticated: false, loading: false })),
+	};
+});
+
+const gist = {
+	id: 'abc123',
+	description: 'Deploy script',
+	public: true,
+	updated_at: '2024-01-02T00:00:00Z',
+	owner: { login: 'octocat' },
+	history: [{ version: 'rev9abcdef' }, { version: 'rev8abcdef' }],
+	files: {
+		'deploy.sh': { content: 'set -e\nbuild_release\nupload_release\ntag_release\necho done' },
+	},
+};
+
+const LocationDisplay = () => {
+	const location = useLocation();
+	return <output data-testid="location">{`${location.search}${location.hash}`}</output>;
+};
+
+const renderViewer = (path) =>
+	render(
+		<ThemeProvider>
+			<ToastProvider>
+				<MemoryRouter initialEntries={[path]}>
+					<Routes>
+						<Route path="/view/:id/:filename" element={<GistViewer />} />
+					</Routes>
+					<LocationDisplay />
+				</MemoryRouter>
+			</ToastProvider>
+		</ThemeProvider>,
+	);
+
+const line = (container, lineNumber) => container.querySelector(`[data-line="${lineNumber}"]`);
+
+const clickLineNumber = (container, lineNumber, options) =>
+	fireEvent.click(line(container, lineNumber).querySelector('.linenumber'), options);
+
+describe('GistViewer Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.getPublicGist.mockResolvedValue(gist);
+		gistsApi.getGistRevision.mockResolvedValue(gist);
+		gistsApi.getGistComments.mockResolvedValue({ comments: [], hasMore: false });
+		Element.prototype.scrollIntoView = vi.fn();
+	});
+
+	afterEach(() => {
+		delete Element.prototype.scrollIntoView;
+	});
+
+	it('highlights and scrolls to the lines in the fragment', async () => {
+		const { container } = renderViewer('/view/abc123/deploy.sh#L2-L3');
+
+		await screen.findByText(/build_release/, {}, { timeout: 3000 });
+		expect(line(container, 1)).not.toHaveClass('selected');
+		expect(line(container, 2)).toHaveClass('selected');
+		expect(line(container, 3)).toHaveClass('selected');
+		expect(line(container, 4)).not.toHaveClass('selected');
+		await waitFor(() =>
+			expect(Element.prototype.scrollIntoView).toHaveBeenCalledWith({ block: 'center' }),
+		);
+	});
+
+	it('builds a range with shift-click and copies a link to it', async () => {
+		const { container } = renderViewer('/view/abc123/deploy.sh');
+		await screen.findByText(/build_release/, {}, { timeout: 3000 });
+
+		clickLineNumber(container, 2);
+		expect(screen.getByTestId('location')).toHaveTextContent('#L2');
+		clickLineNumber(container, 4, { shiftKey: true });
+		expect(screen.getByTestId('location')).toHaveTextContent('#L2-L4');
+		expect(line(container, 3)).toHaveClass('selected');
+		expect(line(container, 5)).not.toHaveClass('selected');
+
+		fireEvent.click(screen.getByRole('button', { name: 'Copy Link to Lines' }));
+		await waitFor(() =>
+			expect(copyToClipboard).toHaveBeenCalledWith(
+				`${window.location.origin}/view/abc123/deploy.sh#L2-L4`,
+			),
+		);
+
+		fireEvent.click(screen.getByRole('button', { name: 'Copy Permalink' }));
+		await waitFor(() =>
+			expect(copyToClipboard).toHaveBeenCalledWith(
+				`${window.location.origin}/view/abc123/deploy.sh?rev=rev9abcdef#L2-L4`,
+			),
+		);
+	});
+
+	it('shows a pinned revision and keeps it in copied links', async () => {
+		renderViewer('/view/abc123/deploy.sh?rev=rev8abcdef#L1');
+
+		expect(await screen.findByText('rev8abc', {}, { timeout: 3000 })).toBeInTheDocument();
+		expect(gistsApi.getGistRevision).toHaveBeenCalledWith(
+			'abc123',
+			'rev8abcdef',
+			null,
+			expect.any(Function),
+			undefined,
+		);
+		expect(screen.getByRole('link', { name: 'View latest' })).toHaveAttribute(
+			'href',
+			'/view/abc123/deploy.sh#L1',
+		);
+
+		fireEvent.click(screen.getByRole('button', { name: 'Copy Link to Lines' }));
+		await waitFor(() =>
+			expect(copyToClipboard).toHaveBeenCalledWith(
+				`${window.location.origin}/view/abc123/deploy.sh?rev=rev8abcdef#L1`,
+			),
+		);
+	});
+});
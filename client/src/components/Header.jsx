@@ -2,7 +2,8 @@ import { ChevronDown, Github, Moon, Sparkles, Sun, Terminal } from 'lucide-react
 import { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useTheme } from '../contexts/ThemeContext';
+import { THEME_LABELS, useTheme } from '../contexts/ThemeContext';
+import SyncStatus from './SyncStatus';
 import { Button } from './ui/button';
 import { ErrorState } from './ui/error-state';
 
@@ -14,14 +15,6 @@ const themeIcons = {
 	'retro-dark': Sparkles,
 };
 
-const themeLabels = {
-	light: 'Light',
-	dark: 'Dark',
-	terminal: 'Terminal',
-	retro: 'Retro',
-	'retro-dark': 'Retro Dark',
-};
-
 const Header = () => {
 	const { user, initiateGithubLogin, error, clearError } = useAuth();
 	const { theme, themes, setTheme } = useTheme();
@@ -51,6 +44,8 @@ const Header = () => {
 					</Link>
 
 					<div className="flex items-center gap-2">
+						{user && <SyncStatus />}
+
 						{/* Theme selector */}
 						<div className="relative" ref={menuRef}>
 							<Button
@@ -60,7 +55,7 @@ const Header = () => {
 								className="gap-1"
 							>
 								<CurrentIcon className="h-4 w-4" />
-								<span className="hidden sm:inline text-xs">{themeLabels[theme]}</span>
+								<span className="hidden sm:inline text-xs">{THEME_LABELS[theme]}</span>
 								<ChevronDown className="h-3 w-3" />
 							</Button>
 
@@ -81,7 +76,7 @@ const Header = () => {
 												}`}
 											>
 												<Icon className="h-4 w-4" />
-												{themeLabels[t]}
+												{THEME_LABELS[t]}
 											</button>
 										);
 									})}
@@ -0,0 +1,406 @@
+/**
+ * ImportGists Component
+ * Bulk-creates gists from a ZIP archive or an uploaded folder (one folder per
+ * gist, optionally with a backup manifest.json). Shows what will be created
+ * first, then creates the selected gists with a progress log that survives
+ * reloads and can be resumed.
+ */
+
+import { FolderUp, Upload } from 'lucide-react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useGistImport } from '../hooks/useGistImport';
+import { getGists } from '../services/api/gists';
+import {
+	deleteImportLog,
+	getImportLog,
+	IMPORT_STATUS,
+	isImportComplete,
+	listImportLogs,
+} from '../services/importLog';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { getImportId, planImport, readFolderEntries, readZipEntries } from '../utils/importPlan';
+import { logError } from '../utils/logger';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * @param {Object|null} log
+ * @returns {Map<string, string>} Created gist ID by planned gist key
+ */
+const getCreatedIds = (log) =>
+	new Map(
+		(log?.gists || [])
+			.filter((gist) => gist.status === IMPORT_STATUS.CREATED)
+			.map((gist) => [gist.key, gist.gistId]),
+	);
+
+/**
+ * @param {Object} log
+ * @returns {number}
+ */
+const countCreated = (log) => getCreatedIds(log).size;
+
+const ImportGists = () => {
+	const { user, token } = useAuth();
+	const { progress, runImport, stop } = useGistImport();
+	const [existingGists, setExistingGists] = useState([]);
+	const [plan, setPlan] = useState(null);
+	const [selected, setSelected] = useState(() => new Set());
+	const [log, setLog] = useState(null);
+	const [unfinished, setUnfinished] = useState([]);
+	const [reading, setReading] = useState(false);
+	const [error, setError] = useState(null);
+	const createdIds = useMemo(() => getCreatedIds(log), [log]);
+
+	const loadUnfinished = useCallback(async () => {
+		const logs = await listImportLogs(user?.id);
+		setUnfinished(logs.filter((entry) => !isImportComplete(entry)));
+	}, [user?.id]);
+
+	useEffect(() => {
+		loadUnfinished();
+	}, [loadUnfinished]);
+
+	// Used to flag gists that already exist; importing still works without it
+	useEffect(() => {
+		if (!token) return;
+		getGists(token, undefined, user?.id)
+			.then(setExistingGists)
+			.catch(() => setExistingGists([]));
+	}, [token, user?.id]);
+
+	const openEntries = async (name, readEntries) => {
+		setReading(true);
+		setError(null);
+		try {
+			const { gists, hasManifest } = planImport(await readEntries(), { name, existingGists });
+			if (!gists.length) {
+				setError('No files to import were found.');
+				setPlan(null);
+				return;
+			}
+			const importId = getImportId(gists);
+			// Importing the same files again picks up where the last run stopped
+			const previous = await getImportLog(user.id, importId);
+			const created = getCreatedIds(previous);
+
+			setPlan({ name, importId, hasManifest, gists });
+			setLog(previous);
+			setSelected(
+				new Set(
+					gists
+						.filter(
+							(gist) =>
+								Object.keys(gist.files).length && !gist.duplicateOf && !created.has(gist.key),
+						)
+						.map((gist) => gist.key),
+				),
+			);
+		} catch (err) {
+			logError('Failed to read import', { error: err.message });
+			setError('Could not read that file. Choose a ZIP archive or a folder.');
+			setPlan(null);
+		} finally {
+			setReading(false);
+		}
+	};
+
+	const handleZip = (event) => {
+		const file = event.target.files?.[0];
+		event.target.value = '';
+		if (!file) return;
+		openEntries(file.name.replace(/\.zip$/i, ''), async () =>
+			readZipEntries(await file.arrayBuffer()),
+		);
+	};
+
+	const handleFolder = (event) => {
+		const files = Array.from(event.target.files || []);
+		event.target.value = '';
+		if (!files.length) return;
+		const name = files[0].webkitRelativePath?.split('/')[0] || 'Imported folder';
+		openEntries(name, () => readFolderEntries(files));
+	};
+
+	const toggleSelected = (key) => {
+		setSelected((prev) => {
+			const next = new Set(prev);
+			if (next.has(key)) {
+				next.delete(key);
+			} else {
+				next.add(key);
+			}
+			return next;
+		});
+	};
+
+	const toggleVisibility = (key) => {
+		setPlan((prev) => ({
+			...prev,
+			gists: prev.gists.map((gist) =>
+				gist.key === key ? { ...gist, public: !gist.public } : gist,
+			),
+		}));
+	};
+
+	const finishRun = async (finished) => {
+		setLog(finished);
+		await loadUnfinished();
+	};
+
+	const startImport = async () => {
+		const gists = plan.gists
+			.filter((gist) => selected.has(gist.key) || createdIds.has(gist.key))
+			.map((gist) => ({
+				key: gist.key,
+				description: gist.description,
+				public: gist.public,
+				files: gist.files,
+				...(createdIds.has(gist.key)
+					? { status: IMPORT_STATUS.CREATED, gistId: createdIds.get(gist.key) }
+					: { status: IMPORT_STATUS.PENDING }),
+			}));
+		await finishRun(
+			await runImport(
+				{ importId: plan.importId, name: plan.name, createdAt: log?.createdAt, gists },
+				setLog,
+			),
+		);
+	};
+
+	const resumeImport = async (entry) => {
+		setPlan(null);
+		setLog(entry);
+		await finishRun(await runImport(entry, setLog));
+	};
+
+	const discardImport = async (entry) => {
+		await deleteImportLog(user.id, entry.importId);
+		if (log?.importId === entry.importId) setLog(null);
+		await loadUnfinished();
+	};
+
+	if (!user) {
+		return (
+			<div className="p-6 bg-surface rounded shadow-md text-center">
+				Please log in to import gists.
+			</div>
+		);
+	}
+
+	const running = Boolean(progress);
+	const toCreate = [...selected].filter((key) => !createdIds.has(key)).length;
+	const failedInLog = log?.gists.filter((gist) => gist.status === IMPORT_STATUS.FAILED) ?? [];
+
+	return (
+		<div className="space-y-6">
+			<Card>
+				<CardHeader>
+					<CardTitle className="flex items-center gap-2">
+						<Upload className="h-5 w-5" />
+						Import Gists
+					</CardTitle>
+				</CardHeader>
+				<CardContent className="space-y-4">
+					<p className="text-sm text-muted-foreground">
+						Choose a ZIP archive or a folder with one sub-folder per gist. A{' '}
+						<code>manifest.json</code> from an "Export all" backup restores descriptions and
+						visibility; other gists are named after their folder and created secret.
+					</p>
+					<div className="flex flex-wrap gap-2">
+						<Button asChild variant="outline">
+							<label className="cursor-pointer">
+								<Upload className="h-4 w-4 mr-2" />
+								Choose ZIP
+								<input
+									type="file"
+									accept=".zip,application/zip"
+									className="sr-only"
+									onChange={handleZip}
+									disabled={running || reading}
+									aria-label="Choose ZIP archive"
+								/>
+							</label>
+						</Button>
+						<Button asChild variant="outline">
+							<label className="cursor-pointer">
+								<FolderUp className="h-4 w-4 mr-2" />
+								Choose folder
+								<input
+									type="file"
+									webkitdirectory=""
+									multiple
+									className="sr-only"
+									onChange={handleFolder}
+									disabled={running || reading}
+									aria-label="Choose folder"
+								/>
+							</label>
+						</Button>
+					</div>
+					{reading && <p className="text-sm text-muted-foreground">Reading files…</p>}
+					{error && <p className="text-sm text-destructive">{error}</p>}
+
+					{progress && (
+						<div className="flex items-center gap-3 text-sm" role="status">
+							<span>
+								Creating gists… {progress.done} / {progress.total}
+							</span>
+							<div className="h-2 flex-1 rounded-full bg-muted overflow-hidden">
+								<div
+									className="h-full bg-primary transition-all"
+									style={{ width: `${(progress.done / (progress.total || 1)) * 100}%` }}
+								/>
+							</div>
+							<Button variant="ghost" size="sm" onClick={stop} className="h-8 px-2">
+								Stop
+							</Button>
+						</div>
+					)}
+
+					{log && !running && (
+						<div className="text-sm rounded-md border px-3 py-2 space-y-1" role="status">
+							<p>
+								{countCreated(log)} of {plural(log.gists.length, 'gist')} created
+								{failedInLog.length > 0 && `, ${failedInLog.length} failed`}
+							</p>
+							{failedInLog.length > 0 && (
+								<ul className="text-destructive space-y-0.5">
+									{failedInLog.map((gist) => (
+										<li key={gist.key}>
+											{gist.description || gist.key}: {gist.error}
+										</li>
+									))}
+								</ul>
+							)}
+							{!isImportComplete(log) && (
+								<Button size="sm" variant="outline" onClick={() => resumeImport(log)}>
+									Resume
+								</Button>
+							)}
+						</div>
+					)}
+				</CardContent>
+			</Card>
+
+			{plan && (
+				<Card>
+					<CardHeader>
+						<div className="flex flex-wrap items-center justify-between gap-2">
+							<CardTitle className="text-base">
+								{plan.name}: {plural(plan.gists.length, 'gist')}
+								{plan.hasManifest && (
+									<Badge variant="secondary" className="ml-2">
+										manifest.json
+									</Badge>
+								)}
+							</CardTitle>
+							<Button onClick={startImport} disabled={running || !toCreate}>
+								Create {plural(toCreate, 'gist')}
+							</Button>
+						</div>
+					</CardHeader>
+					<CardContent>
+						<ul className="divide-y divide-border">
+							{plan.gists.map((gist) => {
+								const filenames = Object.keys(gist.files);
+								const createdId = createdIds.get(gist.key);
+								return (
+									<li key={gist.key} className="flex items-start gap-3 py-3">
+										<input
+											type="checkbox"
+											className="mt-1"
+											checked={selected.has(gist.key) && !createdId}
+											onChange={() => toggleSelected(gist.key)}
+											disabled={running || !filenames.length || Boolean(createdId)}
+											aria-label={`Import ${gist.description || gist.key}`}
+										/>
+										<div className="min-w-0 flex-1 space-y-1">
+											<div className="flex flex-wrap items-center gap-2">
+												<span className="font-medium truncate">{gist.description || gist.key}</span>
+												<button
+													type="button"
+													onClick={() => toggleVisibility(gist.key)}
+													disabled={running || Boolean(createdId)}
+													title="Toggle visibility"
+												>
+													<Badge variant={gist.public ? 'default' : 'secondary'}>
+														{gist.public ? 'Public' : 'Secret'}
+													</Badge>
+												</button>
+												{createdId && (
+													<Badge variant="outline">
+														<Link to={`/gist/${createdId}`}>Imported</Link>
+													</Badge>
+												)}
+												{!createdId && gist.duplicateOf && (
+													<Badge variant="outline">
+														<Link to={`/gist/${gist.duplicateOf}`}>Already exists</Link>
+													</Badge>
+												)}
+											</div>
+											<p className="text-xs text-muted-foreground break-all">
+												{filenames.length ? filenames.join(', ') : 'No importable files'}
+											</p>
+											{gist.renamed.map(({ from, to }) => (
+												<p key={from} className="text-xs text-muted-foreground">
+													{from} → {to}
+												</p>
+											))}
+											{gist.skipped.map(({ path, reason }) => (
+												<p key={path} className="text-xs text-destructive">
+													Skipped {path} ({reason})
+												</p>
+											))}
+										</div>
+									</li>
+								);
+							})}
+						</ul>
+					</CardContent>
+				</Card>
+			)}
+
+			{!plan && unfinished.length > 0 && (
+				<Card>
+					<CardHeader>
+						<CardTitle className="text-base">Unfinished imports</CardTitle>
+					</CardHeader>
+					<CardContent>
+						<ul className="divide-y divide-border">
+							{unfinished.map((entry) => (
+								<li key={entry.key} className="flex items-center gap-3 py-3">
+									<div className="min-w-0 flex-1">
+										<p className="font-medium truncate">{entry.name}</p>
+										<p className="text-xs text-muted-foreground">
+											{countCreated(entry)} of {plural(entry.gists.length, 'gist')} created &middot;{' '}
+											{formatRelativeTime(entry.updatedAt)}
+										</p>
+									</div>
+									<Button size="sm" onClick={() => resumeImport(entry)} disabled={running}>
+										Resume
+									</Button>
+									<Button
+										size="sm"
+										variant="ghost"
+										onClick={() => discardImport(entry)}
+										disabled={running}
+									>
+										Discard
+									</Button>
+								</li>
+							))}
+						</ul>
+					</CardContent>
+				</Card>
+			)}
+		</div>
+	);
+};
+
+export default ImportGists;
@@ -0,0 +1,236 @@
+/**
+ * MergeDialog Component
+ * Shown when saving a gist that changed on GitHub since the editor loaded it.
+ * Non-overlapping changes are merged automatically; each conflicting chunk shows
+ * base / mine / theirs and must be resolved before saving.
+ */
+
+import { GitMerge } from 'lucide-react';
+import { useEffect, useMemo, useState } from 'react';
+import { cn } from '../lib/utils';
+import { resolveFileMerge } from '../utils/threeWayMerge';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from './ui/dialog';
+
+const statusLabels = {
+	unchanged: 'Unchanged',
+	mine: 'Your changes',
+	theirs: 'Their changes',
+	merged: 'Merged',
+	conflict: 'Conflict',
+};
+
+const choiceLabels = {
+	mine: 'Use mine',
+	theirs: 'Use theirs',
+	both: 'Use both',
+};
+
+const defaultSideLabels = {
+	base: 'Base (when you opened it)',
+	mine: 'Mine',
+	theirs: 'Theirs (on GitHub)',
+};
+
+const preClassName =
+	'whitespace-pre-wrap break-all font-mono text-xs p-2 rounded-md bg-muted/40 max-h-48 overflow-auto';
+
+/**
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {string[]|null} props.lines - null when the file doesn't exist on that side
+ * @param {string} [props.className]
+ */
+const Side = ({ label, lines, className }) => (
+	<div className="min-w-0">
+		<div className="text-xs font-medium text-muted-foreground mb-1">{label}</div>
+		<pre className={cn(preClassName, className)}>
+			{lines === null ? <em>(file deleted)</em> : lines.join('\n') || ' '}
+		</pre>
+	</div>
+);
+
+/**
+ * One conflicted file with a choice per conflict chunk
+ * @param {Object} props
+ * @param {Object} props.merge - FileMerge
+ * @param {Object} props.choices - Chunk index -> choice
+ * @param {(index: number, choice: string) => void} props.onChoose
+ * @param {{ base: string, mine: string, theirs: string }} props.sideLabels
+ */
+const ConflictedFile = ({ merge, choices, onChoose, sideLabels }) => (
+	<div className="space-y-2">
+		{merge.chunks.map((chunk) =>
+			chunk.type === 'ok' ? (
+				<pre key={chunk.index} className={cn(preClassName, 'text-muted-foreground')}>
+					{chunk.lines.join('\n')}
+				</pre>
+			) : (
+				<fieldset key={chunk.index} className="border rounded-md p-2 space-y-2">
+					<legend className="px-1 text-xs font-medium text-destructive">Conflict</legend>
+					<div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+						<Side label={sideLabels.base} lines={chunk.base} />
+						<Side label={sideLabels.mine} lines={chunk.mine} className="bg-green-500/10" />
+						<Side label={sideLabels.theirs} lines={chunk.theirs} className="bg-blue-500/10" />
+					</div>
+					<div className="flex flex-wrap gap-2">
+						{Object.entries(choiceLabels).map(([choice, label]) => (
+							<Button
+								key={choice}
+								type="button"
+								size="sm"
+								variant={choices[chunk.index] === choice ? 'default' : 'outline'}
+								disabled={choice === 'both' && (chunk.mine === null || chunk.theirs === null)}
+								onClick={() => onChoose(chunk.index, choice)}
+							>
+								{label}
+							</Button>
+						))}
+					</div>
+				</fieldset>
+			),
+		)}
+	</div>
+);
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Array<Object>} props.merges - FileMerge list from mergeGistFiles
+ * @param {boolean} [props.saving=false]
+ * @param {() => void} props.onCancel
+ * @param {(files: Object) => void} props.onConfirm - Receives the merged `files` payload
+ * @param {string} [props.title] - Defaults to wording for a save conflict
+ * @param {{ base: string, mine: string, theirs: string }} [props.sideLabels]
+ * @param {string} [props.confirmLabel]
+ */
+const MergeDialog = ({
+	open,
+	merges,
+	saving = false,
+	onCancel,
+	onConfirm,
+	title = 'This gist changed since you opened it',
+	sideLabels = defaultSideLabels,
+	confirmLabel = 'Save merged gist',
+}) => {
+	const [choices, setChoices] = useState({});
+
+	useEffect(() => {
+		if (open) setChoices({});
+	}, [open]);
+
+	const resolved = useMemo(
+		() => merges.map((merge) => [merge, resolveFileMerge(merge, choices[merge.filename])]),
+		[merges, choices],
+	);
+	const unresolved = resolved.filter(([, content]) => content === undefined).length;
+	const conflicted = merges.filter((merge) => merge.status === 'conflict');
+
+	const choose = (filename, index, choice) =>
+		setChoices((prev) => ({ ...prev, [filename]: { ...prev[filename], [index]: choice } }));
+
+	const chooseAll = (merge, choice) =>
+		setChoices((prev) => ({
+			...prev,
+			[merge.filename]: Object.fromEntries(
+				merge.chunks.flatMap((chunk) => (chunk.type === 'conflict' ? [[chunk.index, choice]] : [])),
+			),
+		}));
+
+	const handleConfirm = () => {
+		// Files resolved to "deleted" are already gone remotely, so they are left out
+		const files = {};
+		for (const [merge, content] of resolved) {
+			if (content !== null) files[merge.filename] = { content };
+		}
+		onConfirm(files);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={(next) => !next && onCancel()}>
+			<DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto">
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<GitMerge className="h-5 w-5" />
+						{title}
+					</DialogTitle>
+					<DialogDescription>
+						{conflicted.length
+							? `${conflicted.length} ${conflicted.length === 1 ? 'file has' : 'files have'} conflicting changes. Choose which version to keep for each conflict.`
+							: 'Your changes and theirs touch different lines and were merged automatically.'}
+					</DialogDescription>
+				</DialogHeader>
+
+				<ul className="space-y-1 text-sm">
+					{merges.map((merge) => (
+						<li key={merge.filename} className="flex items-center gap-2">
+							<span className="font-mono truncate">{merge.filename}</span>
+							<Badge variant={merge.status === 'conflict' ? 'destructive' : 'outline'}>
+								{statusLabels[merge.status]}
+							</Badge>
+							{merge.result === null && merge.status !== 'conflict' && (
+								<span className="text-xs text-muted-foreground">deleted</span>
+							)}
+						</li>
+					))}
+				</ul>
+
+				{conflicted.map((merge) => (
+					<section key={merge.filename} className="space-y-2">
+						<div className="flex items-center gap-2">
+							<h3 className="font-mono text-sm font-medium">{merge.filename}</h3>
+							<div className="ml-auto flex gap-1">
+								<Button
+									type="button"
+									size="sm"
+									variant="ghost"
+									onClick={() => chooseAll(merge, 'mine')}
+								>
+									All mine
+								</Button>
+								<Button
+									type="button"
+									size="sm"
+									variant="ghost"
+									onClick={() => chooseAll(merge, 'theirs')}
+								>
+									All theirs
+								</Button>
+							</div>
+						</div>
+						<ConflictedFile
+							merge={merge}
+							choices={choices[merge.filename] || {}}
+							onChoose={(index, choice) => choose(merge.filename, index, choice)}
+							sideLabels={sideLabels}
+						/>
+					</section>
+				))}
+
+				<DialogFooter>
+					<Button type="button" variant="outline" onClick={onCancel} disabled={saving}>
+						Cancel
+					</Button>
+					<Button type="button" onClick={handleConfirm} disabled={saving || unresolved > 0}>
+						{saving
+							? 'Saving...'
+							: unresolved
+								? `${unresolved} unresolved ${unresolved === 1 ? 'file' : 'files'}`
+								: confirmLabel}
+					</Button>
+				</DialogFooter>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default MergeDialog;
@@ -0,0 +1,297 @@
+/**
+ * RevisionHistory Component
+ * Dialog listing a gist's revisions with a per-file diff between any two of them.
+ * Owners can restore an older revision, which is written back as a new revision.
+ */
+
+import { History, RotateCcw } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { cn } from '../lib/utils';
+import { getGistRevision } from '../services/api/gists';
+import { formatRelativeTime } from '../utils/dateUtils';
+import { buildRestorePayload, diffGistFiles } from '../utils/gistDiff';
+import { logError } from '../utils/logger';
+import Spinner from './common/Spinner';
+import DiffView from './DiffView';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+
+const selectClassName = 'flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm';
+
+const shortSha = (sha) => sha.slice(0, 7);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.gist - Gist with its `history` array
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {boolean} [props.canRestore=false] - Whether to offer "restore this revision"
+ * @param {(payload: Object) => Promise<void>} [props.onRestore] - Saves an updateGist payload
+ */
+const RevisionHistory = ({ gist, open, onOpenChange, canRestore = false, onRestore }) => {
+	const { user, token } = useAuth();
+	const history = gist?.history || [];
+	const latest = history[0]?.version;
+	const previous = history[1]?.version ?? '';
+
+	const [toSha, setToSha] = useState(latest);
+	const [fromSha, setFromSha] = useState(previous);
+	const [mode, setMode] = useState('unified');
+	const [revisions, setRevisions] = useState({});
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const [confirming, setConfirming] = useState(false);
+	const [restoring, setRestoring] = useState(false);
+	const requested = useRef(new Set());
+
+	// Start from the newest change whenever the gist gets a new revision
+	useEffect(() => {
+		setToSha(latest);
+		setFromSha(previous);
+		setConfirming(false);
+	}, [latest, previous]);
+
+	useEffect(() => {
+		if (!open || !gist?.id) return;
+
+		const missing = [toSha, fromSha].filter((sha) => sha && !requested.current.has(sha));
+		if (!missing.length) return;
+
+		let cancelled = false;
+		const load = async () => {
+			setLoading(true);
+			setError(null);
+			try {
+				const loaded = await Promise.all(
+					missing.map((sha) => getGistRevision(gist.id, sha, token, undefined, user?.id)),
+				);
+				for (const sha of missing) requested.current.add(sha);
+				if (!cancelled) {
+					setRevisions((prev) => ({
+						...prev,
+						...Object.fromEntries(missing.map((sha, i) => [sha, loaded[i]])),
+					}));
+				}
+			} catch (err) {
+				logError('Failed to load gist revisions', err);
+				if (!cancelled) setError('Failed to load this revision. Please try again.');
+			} finally {
+				if (!cancelled) setLoading(false);
+			}
+		};
+
+		load();
+		return () => {
+			cancelled = true;
+		};
+	}, [open, gist?.id, toSha, fromSha, token, user?.id]);
+
+	const fromRevision = fromSha ? revisions[fromSha] : null;
+	const toRevision = revisions[toSha];
+	const ready = toRevision && (!fromSha || fromRevision);
+
+	const files = useMemo(
+		() => (ready ? diffGistFiles(fromRevision?.files, toRevision.files) : []),
+		[ready, fromRevision, toRevision],
+	);
+
+	const selectRevision = (index) => {
+		setToSha(history[index].version);
+		setFromSha(history[index + 1]?.version ?? '');
+		setConfirming(false);
+	};
+
+	const handleRestore = async () => {
+		setRestoring(true);
+		setError(null);
+		try {
+			// Diff against the saved latest revision, not unsaved editor state
+			const current = await getGistRevision(gist.id, latest, token, undefined, user?.id);
+			await onRestore(buildRestorePayload(current, toRevision));
+			setConfirming(false);
+		} catch (err) {
+			logError('Failed to restore revision', err);
+			setError(err.message || 'Failed to restore this revision.');
+		} finally {
+			setRestoring(false);
+		}
+	};
+
+	const describe = (entry) =>
+		`${shortSha(entry.version)} · ${entry.user?.login ?? 'unknown'} · ${formatRelativeTime(entry.committed_at)}`;
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-6xl max-h-[90vh] overflow-hidden flex flex-col">
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<History className="h-5 w-5" />
+						Revision history
+					</DialogTitle>
+					<DialogDescription>
+						{history.length} {history.length === 1 ? 'revision' : 'revisions'}. Pick one to see what
+						it changed, or compare any two.
+					</DialogDescription>
+				</DialogHeader>
+
+				{history.length === 0 ? (
+					<p className="text-sm text-muted-foreground">No revisions yet.</p>
+				) : (
+					<div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-4 min-h-0 flex-1">
+						<ul className="space-y-1 overflow-y-auto md:max-h-[70vh]" aria-label="Revisions">
+							{history.map((entry, index) => (
+								<li key={entry.version}>
+									<button
+										type="button"
+										onClick={() => selectRevision(index)}
+										className={cn(
+											'w-full text-left rounded-md px-2 py-1.5 text-sm hover:bg-accent transition-colors',
+											entry.version === toSha && 'bg-accent',
+										)}
+									>
+										<div className="flex items-center gap-2">
+											{entry.user?.avatar_url && (
+												<img src={entry.user.avatar_url} alt="" className="h-5 w-5 rounded-full" />
+											)}
+											<span className="font-medium truncate">{entry.user?.login ?? 'unknown'}</span>
+											{index === 0 && (
+												<span className="ml-auto text-xs text-muted-foreground">latest</span>
+											)}
+										</div>
+										<div className="flex items-center gap-2 text-xs text-muted-foreground">
+											<span className="font-mono">{shortSha(entry.version)}</span>
+											<span title={new Date(entry.committed_at).toLocaleString()}>
+												{formatRelativeTime(entry.committed_at)}
+											</span>
+											{entry.change_status && (
+												<span className="ml-auto">
+													<span className="text-green-600">
+														+{entry.change_status.additions ?? 0}
+													</span>{' '}
+													<span className="text-red-600">
+														-{entry.change_status.deletions ?? 0}
+													</span>
+												</span>
+											)}
+										</div>
+									</button>
+								</li>
+							))}
+						</ul>
+
+						<div className="space-y-3 min-w-0 overflow-y-auto md:max-h-[70vh]">
+							<div className="flex flex-wrap items-end gap-2">
+								<label className="text-sm">
+									<span className="block text-xs text-muted-foreground mb-1">From</span>
+									<select
+										value={fromSha}
+										onChange={(e) => setFromSha(e.target.value)}
+										className={selectClassName}
+									>
+										<option value="">(empty)</option>
+										{history.map((entry) => (
+											<option key={entry.version} value={entry.version}>
+												{describe(entry)}
+											</option>
+										))}
+									</select>
+								</label>
+								<label className="text-sm">
+									<span className="block text-xs text-muted-foreground mb-1">To</span>
+									<select
+										value={toSha}
+										onChange={(e) => {
+											setToSha(e.target.value);
+											setConfirming(false);
+										}}
+										className={selectClassName}
+									>
+										{history.map((entry) => (
+											<option key={entry.version} value={entry.version}>
+												{describe(entry)}
+											</option>
+										))}
+									</select>
+								</label>
+								<div className="flex gap-1 ml-auto">
+									<Button
+										type="button"
+										size="sm"
+										variant={mode === 'unified' ? 'default' : 'outline'}
+										onClick={() => setMode('unified')}
+									>
+										Unified
+									</Button>
+									<Button
+										type="button"
+										size="sm"
+										variant={mode === 'split' ? 'default' : 'outline'}
+										onClick={() => setMode('split')}
+									>
+										Split
+									</Button>
+								</div>
+							</div>
+
+							{canRestore && onRestore && toSha !== latest && toRevision && (
+								<div className="flex flex-wrap items-center gap-2 rounded-md border p-2 text-sm">
+									{confirming ? (
+										<>
+											<span>
+												Restore all files to revision {shortSha(toSha)}? This saves a new revision.
+											</span>
+											<div className="flex gap-2 ml-auto">
+												<Button
+													type="button"
+													size="sm"
+													variant="outline"
+													onClick={() => setConfirming(false)}
+													disabled={restoring}
+												>
+													Cancel
+												</Button>
+												<Button
+													type="button"
+													size="sm"
+													onClick={handleRestore}
+													disabled={restoring}
+												>
+													{restoring ? 'Restoring...' : 'Restore'}
+												</Button>
+											</div>
+										</>
+									) : (
+										<Button
+											type="button"
+											size="sm"
+											variant="outline"
+											onClick={() => setConfirming(true)}
+										>
+											<RotateCcw className="h-4 w-4 mr-2" />
+											Restore this revision
+										</Button>
+									)}
+								</div>
+							)}
+
+							{error && <p className="text-sm text-destructive">{error}</p>}
+
+							{ready && !loading ? (
+								<DiffView files={files} mode={mode} />
+							) : (
+								!error && (
+									<div className="flex justify-center py-8">
+										<Spinner />
+									</div>
+								)
+							)}
+						</div>
+					</div>
+				)}
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default RevisionHistory;
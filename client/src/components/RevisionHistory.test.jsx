@@ -0,0 +1,98 @@
+/**
+ * Tests for RevisionHistory Component
+ * Tests revision listing, diffing between revisions and restoring.
+ */
+
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import * as gistsApi from '../services/api/gists';
+import { mockGist, mockUser } from '../test/fixtures';
+import RevisionHistory from './RevisionHistory';
+
+vi.mock('../services/api/gists');
+
+vi.mock('../contexts/AuthContext', () => ({
+	useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token' })),
+}));
+
+const NEW_SHA = 'b'.repeat(40);
+const OLD_SHA = 'a'.repeat(40);
+
+const gist = {
+	...mockGist,
+	history: [
+		{
+			version: NEW_SHA,
+			committed_at: '2024-01-02T00:00:00Z',
+			user: { login: 'editor' },
+			change_status: { additions: 1, deletions: 1 },
+		},
+		{
+			version: OLD_SHA,
+			committed_at: '2024-01-01T00:00:00Z',
+			user: { login: 'author' },
+			change_status: { additions: 1, deletions: 0 },
+		},
+	],
+};
+
+const revisions = {
+	[NEW_SHA]: { ...gist, files: { 'config.yml': { content: 'port: 8080\n' } } },
+	[OLD_SHA]: { ...gist, files: { 'config.yml': { content: 'port: 80\n' } } },
+};
+
+const renderHistory = (props = {}) =>
+	render(<RevisionHistory gist={gist} open onOpenChange={vi.fn()} {...props} />);
+
+describe('RevisionHistory Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.getGistRevision.mockImplementation(async (_id, sha) => revisions[sha]);
+	});
+
+	it('lists revisions and diffs the latest against its parent', async () => {
+		renderHistory();
+
+		expect(screen.getByText('editor')).toBeInTheDocument();
+		expect(screen.getByText('author')).toBeInTheDocument();
+
+		await waitFor(() => {
+			expect(screen.getByText(/port: 8080/)).toBeInTheDocument();
+		});
+		expect(screen.getByText(/port: 80$/)).toBeInTheDocument();
+		expect(gistsApi.getGistRevision).toHaveBeenCalledWith(
+			gist.id,
+			OLD_SHA,
+			'test-token',
+			undefined,
+			mockUser.id,
+		);
+	});
+
+	it('restores an older revision through onRestore', async () => {
+		const onRestore = vi.fn().mockResolvedValue(undefined);
+		renderHistory({ canRestore: true, onRestore });
+
+		fireEvent.click(screen.getByText('author'));
+		fireEvent.click(await screen.findByRole('button', { name: /restore this revision/i }));
+		fireEvent.click(screen.getByRole('button', { name: /^restore$/i }));
+
+		await waitFor(() => {
+			expect(onRestore).toHaveBeenCalledWith({
+				description: gist.description,
+				files: { 'config.yml': { content: 'port: 80\n' } },
+			});
+		});
+	});
+
+	it('does not offer restore without permission', async () => {
+		renderHistory();
+
+		fireEvent.click(screen.getByText('author'));
+
+		await waitFor(() => {
+			expect(screen.getByText(/port: 80$/)).toBeInTheDocument();
+		});
+		expect(screen.queryByRole('button', { name: /restore this revision/i })).toBeNull();
+	});
+});
@@ -0,0 +1,88 @@
+/**
+ * SaveTemplateDialog Component
+ * Saves the gist open in the editor as a template for "New from template".
+ * Placeholders such as {{date}} or {{client}} in it are kept and filled in
+ * whenever a gist is created from the template.
+ */
+
+import { LayoutTemplate } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useGistMetadata } from '../contexts/GistMetadataContext';
+import { useToast } from '../contexts/ToastContext';
+import { createTemplateFromGist } from '../services/gistTemplates';
+import { Button } from './ui/button';
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from './ui/dialog';
+import { Input } from './ui/input';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {Object} props.gist - Gist with file contents
+ */
+const SaveTemplateDialog = ({ open, onOpenChange, gist }) => {
+	const { ready, saveTemplate } = useGistMetadata();
+	const toast = useToast();
+	const [name, setName] = useState('');
+
+	useEffect(() => {
+		if (open) setName(gist.description || Object.keys(gist.files)[0] || '');
+	}, [open, gist]);
+
+	const handleSave = (e) => {
+		e.preventDefault();
+		// Rendered inside the editor's form; React bubbles submits through portals
+		e.stopPropagation();
+		try {
+			saveTemplate(createTemplateFromGist(gist, name));
+			toast.success(`Saved template "${name.trim()}"`);
+			onOpenChange(false);
+		} catch (err) {
+			toast.error(err.message);
+		}
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-md">
+				<form onSubmit={handleSave} className="space-y-4">
+					<DialogHeader>
+						<DialogTitle className="flex items-center gap-2">
+							<LayoutTemplate className="h-5 w-5" />
+							Save as template
+						</DialogTitle>
+						<DialogDescription>
+							Saves the description and files as they are now. Write placeholders like{' '}
+							<code>{'{{date}}'}</code>, <code>{'{{user}}'}</code> or{' '}
+							<code>{'{{client: Client name}}'}</code> to have them filled in on creation.
+						</DialogDescription>
+					</DialogHeader>
+					<Input
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						placeholder="Template name"
+						aria-label="Template name"
+						autoFocus
+					/>
+					<DialogFooter>
+						<Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+							Cancel
+						</Button>
+						<Button type="submit" disabled={!ready || !name.trim()}>
+							Save template
+						</Button>
+					</DialogFooter>
+				</form>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default SaveTemplateDialog;
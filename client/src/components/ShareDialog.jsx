@@ -0,0 +1,184 @@
+/**
+ * ShareDialog Component
+ * "Share / Embed" dialog in the gist viewer: ready-to-copy snippets for the
+ * file on screen (see utils/shareLinks). The iframe embed, served by this app's
+ * /embed page, can be given a theme and a range of lines, starting from the
+ * lines selected in the viewer.
+ */
+
+import { Copy, Share2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { THEME_LABELS, useTheme } from '../contexts/ThemeContext';
+import { useToast } from '../contexts/ToastContext';
+import { copyToClipboard } from '../utils/download';
+import {
+	getEmbedUrl,
+	getIframeEmbed,
+	getMarkdownLink,
+	getPinnedRawUrl,
+	getScriptEmbed,
+	parseLineRange,
+} from '../utils/shareLinks';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { Input } from './ui/input';
+
+const selectClassName = 'flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm';
+
+/**
+ * One copyable snippet
+ * @param {Object} props
+ * @param {string} props.id
+ * @param {string} props.label
+ * @param {string} props.hint
+ * @param {string} props.value
+ */
+const Snippet = ({ id, label, hint, value }) => {
+	const toast = useToast();
+
+	const copy = async () => {
+		if (await copyToClipboard(value)) {
+			toast.success(`${label} copied`);
+		} else {
+			toast.error('Failed to copy to clipboard');
+		}
+	};
+
+	return (
+		<div className="space-y-1">
+			<label htmlFor={id} className="text-sm font-medium block">
+				{label}
+			</label>
+			<p className="text-xs text-muted-foreground">{hint}</p>
+			<div className="flex gap-2">
+				<Input
+					id={id}
+					value={value}
+					readOnly
+					onFocus={(e) => e.target.select()}
+					className="font-mono text-xs"
+				/>
+				<Button variant="outline" size="sm" className="h-10" onClick={copy} title={`Copy ${label}`}>
+					<Copy className="h-4 w-4" />
+				</Button>
+			</div>
+		</div>
+	);
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {Object} props.gist
+ * @param {string} props.filename - File the snippets are for
+ * @param {string} [props.lines] - Lines selected in the viewer, e.g. "10-24"
+ */
+const ShareDialog = ({ open, onOpenChange, gist, filename, lines: selectedLines = '' }) => {
+	const { theme: appTheme, themes } = useTheme();
+	const [theme, setTheme] = useState(appTheme);
+	const [lines, setLines] = useState('');
+
+	useEffect(() => {
+		if (open) setLines(selectedLines);
+	}, [open, selectedLines]);
+
+	if (!filename) return null;
+
+	const range = parseLineRange(lines);
+	const invalidLines = Boolean(lines.trim()) && !range;
+	const lineCount = range
+		? range.end - range.start + 1
+		: (gist.files[filename]?.content || '').split('\n').length;
+	const embedUrl = getEmbedUrl(gist.id, filename, { theme, lines: range });
+	const rawUrl = getPinnedRawUrl(gist, filename);
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<Share2 className="h-5 w-5" />
+						Share / Embed
+					</DialogTitle>
+					<DialogDescription>
+						Links and embeds for <span className="font-mono">{filename}</span>.
+					</DialogDescription>
+				</DialogHeader>
+
+				<div className="space-y-4">
+					<section className="space-y-3 rounded-md border p-3">
+						<Snippet
+							id="share-iframe"
+							label="Embed (iframe)"
+							hint="Shows the file on any web page, served by this site."
+							value={getIframeEmbed(embedUrl, { title: filename, lineCount })}
+						/>
+						<div className="flex flex-wrap items-end gap-4">
+							<div>
+								<label htmlFor="share-theme" className="text-sm font-medium mb-1 block">
+									Theme
+								</label>
+								<select
+									id="share-theme"
+									value={theme}
+									onChange={(e) => setTheme(e.target.value)}
+									className={selectClassName}
+								>
+									{themes.map((name) => (
+										<option key={name} value={name}>
+											{THEME_LABELS[name]}
+										</option>
+									))}
+								</select>
+							</div>
+							<div>
+								<label htmlFor="share-lines" className="text-sm font-medium mb-1 block">
+									Lines
+								</label>
+								<Input
+									id="share-lines"
+									value={lines}
+									onChange={(e) => setLines(e.target.value)}
+									placeholder="All, or e.g. 10-24"
+									className="h-9 w-40"
+									aria-invalid={invalidLines}
+									aria-describedby={invalidLines ? 'share-lines-error' : undefined}
+								/>
+							</div>
+						</div>
+						{invalidLines && (
+							<p id="share-lines-error" className="text-xs text-destructive">
+								Use a line number or a range such as 10-24; the embed shows the whole file until
+								then.
+							</p>
+						)}
+					</section>
+
+					<Snippet
+						id="share-script"
+						label="GitHub embed"
+						hint="GitHub's own <script> embed, for sites that allow scripts."
+						value={getScriptEmbed(gist, filename)}
+					/>
+					{rawUrl && (
+						<Snippet
+							id="share-raw"
+							label="Raw URL"
+							hint="The file as it is now; later edits don't change what this link returns."
+							value={rawUrl}
+						/>
+					)}
+					<Snippet
+						id="share-markdown"
+						label="Markdown link"
+						hint="A link to this file in the viewer, for READMEs and issues."
+						value={getMarkdownLink(gist, filename)}
+					/>
+				</div>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default ShareDialog;
@@ -0,0 +1,208 @@
+/**
+ * ShareToggle Component
+ * "Share to community" switch for public gists owned by the current user.
+ * Sharing asks for an optional tagline and tags. On a shared gist the same dialog
+ * opens with its current listing, to update it or unshare the gist.
+ */
+
+import { Users } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { cn } from '../lib/utils';
+import { checkSharedGist, shareGist, unshareGist } from '../services/api/sharedGists';
+import { logError } from '../utils/logger';
+import { Button } from './ui/button';
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from './ui/dialog';
+import { Input } from './ui/input';
+
+/**
+ * Split free-form tag input on commas and whitespace
+ * @param {string} input
+ * @returns {string[]}
+ */
+const parseTags = (input) =>
+	input
+		.split(/[\s,]+/)
+		.map((tag) => tag.replace(/^#+/, '').trim())
+		.filter(Boolean);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.gist - Gist to share
+ * @param {Object|null} [props.sharedEntry] - Known index entry (null = not shared). When
+ *   omitted the component checks the share-status endpoint itself.
+ * @param {(entry: Object|null) => void} [props.onChange] - Called after sharing or unsharing
+ * @param {boolean} [props.compact=false] - Icon-only button for cards
+ */
+const ShareToggle = ({ gist, sharedEntry, onChange, compact = false }) => {
+	const { user, token } = useAuth();
+	const toast = useToast();
+	const [entry, setEntry] = useState(sharedEntry ?? null);
+	const [checked, setChecked] = useState(sharedEntry !== undefined);
+	const [busy, setBusy] = useState(false);
+	const [dialogOpen, setDialogOpen] = useState(false);
+	const [tagline, setTagline] = useState('');
+	const [tagInput, setTagInput] = useState('');
+
+	const canShare = !!token && !!gist?.public && gist?.owner?.login === user?.login;
+
+	useEffect(() => {
+		if (sharedEntry !== undefined) {
+			setEntry(sharedEntry);
+			setChecked(true);
+		}
+	}, [sharedEntry]);
+
+	useEffect(() => {
+		if (!canShare || sharedEntry !== undefined) return;
+
+		let cancelled = false;
+		const loadStatus = async () => {
+			try {
+				const status = await checkSharedGist(gist.id);
+				if (!cancelled) setEntry(status?.sharedGist ?? null);
+			} catch (err) {
+				logError('Failed to check share status', err);
+			} finally {
+				if (!cancelled) setChecked(true);
+			}
+		};
+
+		loadStatus();
+		return () => {
+			cancelled = true;
+		};
+	}, [canShare, gist?.id, sharedEntry]);
+
+	if (!canShare) return null;
+
+	const isShared = !!entry;
+
+	const openShareDialog = () => {
+		setTagline(entry?.tagline || '');
+		setTagInput((entry?.tags || []).join(', '));
+		setDialogOpen(true);
+	};
+
+	// Re-sharing a shared gist replaces its tagline and tags
+	const handleShare = async (e) => {
+		e.preventDefault();
+		try {
+			setBusy(true);
+			const shared = await shareGist(gist.id, { tagline, tags: parseTags(tagInput) });
+			setEntry(shared);
+			setDialogOpen(false);
+			onChange?.(shared);
+			toast.success(isShared ? 'Community listing updated' : 'Shared to community');
+		} catch (err) {
+			logError('Failed to share gist', err);
+			toast.error(err.response?.data?.error || 'Failed to share gist');
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const handleUnshare = async () => {
+		try {
+			setBusy(true);
+			await unshareGist(gist.id);
+			setEntry(null);
+			setDialogOpen(false);
+			onChange?.(null);
+			toast.success('Removed from community');
+		} catch (err) {
+			logError('Failed to unshare gist', err);
+			toast.error(err.response?.data?.error || 'Failed to unshare gist');
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const label = isShared ? 'Shared to community' : 'Share to community';
+	const submitLabel = isShared ? 'Update' : 'Share';
+
+	return (
+		<>
+			<Button
+				type="button"
+				variant={isShared ? 'secondary' : compact ? 'ghost' : 'outline'}
+				size="sm"
+				role="switch"
+				aria-checked={isShared}
+				aria-label={label}
+				title={isShared ? 'Shared to community (click to edit or unshare)' : 'Share to community'}
+				disabled={!checked || busy}
+				onClick={(e) => {
+					e.preventDefault();
+					e.stopPropagation();
+					openShareDialog();
+				}}
+				className={cn(compact && 'h-8 px-2')}
+			>
+				<Users className={cn(compact ? 'h-3 w-3' : 'h-4 w-4 mr-2', isShared && 'text-primary')} />
+				{!compact && label}
+			</Button>
+
+			<Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+				<DialogContent>
+					<form onSubmit={handleShare} className="space-y-4">
+						<DialogHeader>
+							<DialogTitle>{isShared ? 'Shared to community' : 'Share to community'}</DialogTitle>
+							<DialogDescription>
+								{isShared
+									? 'Other users of this instance see this gist in the Explore community feed.'
+									: 'Other users of this instance will see this gist in the Explore community feed.'}
+							</DialogDescription>
+						</DialogHeader>
+						<div>
+							<label htmlFor="share-tagline" className="text-sm font-medium mb-1 block">
+								Tagline (optional)
+							</label>
+							<Input
+								id="share-tagline"
+								value={tagline}
+								onChange={(e) => setTagline(e.target.value)}
+								maxLength={140}
+								placeholder="One line about what this gist is for"
+							/>
+						</div>
+						<div>
+							<label htmlFor="share-tags" className="text-sm font-medium mb-1 block">
+								Tags (optional)
+							</label>
+							<Input
+								id="share-tags"
+								value={tagInput}
+								onChange={(e) => setTagInput(e.target.value)}
+								placeholder="config, bash, snippets"
+							/>
+						</div>
+						<DialogFooter>
+							<Button type="button" variant="outline" onClick={() => setDialogOpen(false)}>
+								Cancel
+							</Button>
+							{isShared && (
+								<Button type="button" variant="destructive" disabled={busy} onClick={handleUnshare}>
+									Unshare
+								</Button>
+							)}
+							<Button type="submit" disabled={busy}>
+								{busy ? 'Saving...' : submitLabel}
+							</Button>
+						</DialogFooter>
+					</form>
+				</DialogContent>
+			</Dialog>
+		</>
+	);
+};
+
+export default ShareToggle;
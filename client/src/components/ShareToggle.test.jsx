@@ -0,0 +1,93 @@
+/**
+ * Tests for ShareToggle Component
+ * Tests sharing a gist, and editing or unsharing one that is already shared.
+ */
+
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ToastProvider } from '../contexts/ToastContext';
+import * as sharedGistsApi from '../services/api/sharedGists';
+import { mockGist, mockSharedGist, mockUser } from '../test/fixtures';
+import ShareToggle from './ShareToggle';
+
+vi.mock('../services/api/sharedGists');
+
+vi.mock('../contexts/AuthContext', () => ({
+	useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token' })),
+}));
+
+const sharedEntry = { ...mockSharedGist, tagline: 'Handy logger', tags: ['logging', 'node'] };
+
+const renderToggle = (props = {}) =>
+	render(
+		<ToastProvider>
+			<ShareToggle gist={mockGist} {...props} />
+		</ToastProvider>,
+	);
+
+describe('ShareToggle Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('shares with the tagline and tags from the dialog', async () => {
+		const onChange = vi.fn();
+		sharedGistsApi.shareGist.mockResolvedValue(sharedEntry);
+		renderToggle({ sharedEntry: null, onChange });
+
+		fireEvent.click(screen.getByRole('switch', { name: 'Share to community' }));
+		expect(screen.queryByRole('button', { name: 'Unshare' })).not.toBeInTheDocument();
+		fireEvent.change(screen.getByLabelText('Tagline (optional)'), {
+			target: { value: 'Handy logger' },
+		});
+		fireEvent.change(screen.getByLabelText('Tags (optional)'), {
+			target: { value: '#logging, node' },
+		});
+		fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+
+		await waitFor(() => expect(onChange).toHaveBeenCalledWith(sharedEntry));
+		expect(sharedGistsApi.shareGist).toHaveBeenCalledWith(mockGist.id, {
+			tagline: 'Handy logger',
+			tags: ['logging', 'node'],
+		});
+	});
+
+	it('opens a shared gist’s listing instead of unsharing it', async () => {
+		const onChange = vi.fn();
+		const updated = { ...sharedEntry, tags: ['logging'] };
+		sharedGistsApi.shareGist.mockResolvedValue(updated);
+		renderToggle({ sharedEntry, onChange });
+
+		fireEvent.click(screen.getByRole('switch', { name: 'Shared to community' }));
+
+		expect(sharedGistsApi.unshareGist).not.toHaveBeenCalled();
+		expect(screen.getByLabelText('Tagline (optional)')).toHaveValue('Handy logger');
+		expect(screen.getByLabelText('Tags (optional)')).toHaveValue('logging, node');
+
+		fireEvent.change(screen.getByLabelText('Tags (optional)'), { target: { value: 'logging' } });
+		fireEvent.click(screen.getByRole('button', { name: 'Update' }));
+
+		await waitFor(() => expect(onChange).toHaveBeenCalledWith(updated));
+		expect(sharedGistsApi.shareGist).toHaveBeenCalledWith(mockGist.id, {
+			tagline: 'Handy logger',
+			tags: ['logging'],
+		});
+		expect(sharedGistsApi.unshareGist).not.toHaveBeenCalled();
+	});
+
+	it('unshares from the dialog', async () => {
+		const onChange = vi.fn();
+		sharedGistsApi.unshareGist.mockResolvedValue({ success: true });
+		renderToggle({ sharedEntry, onChange });
+
+		fireEvent.click(screen.getByRole('switch', { name: 'Shared to community' }));
+		fireEvent.click(screen.getByRole('button', { name: 'Unshare' }));
+
+		await waitFor(() => expect(onChange).toHaveBeenCalledWith(null));
+		expect(sharedGistsApi.unshareGist).toHaveBeenCalledWith(mockGist.id);
+		expect(sharedGistsApi.shareGist).not.toHaveBeenCalled();
+		await waitFor(() =>
+			expect(screen.queryByLabelText('Tagline (optional)')).not.toBeInTheDocument(),
+		);
+	});
+});
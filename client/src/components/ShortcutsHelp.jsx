@@ -0,0 +1,196 @@
+/**
+ * ShortcutsHelp Component
+ * Overlay (press ?) listing every command's keyboard shortcut. Shortcuts can be
+ * changed by recording a new key combo, cleared, or reset to the defaults; the
+ * editor's own bindings are listed for reference but are fixed.
+ */
+
+import { Keyboard, RotateCcw } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { PAGE_COMMANDS, useCommands } from '../contexts/CommandContext';
+import { shortcutFromEvent } from '../services/shortcuts';
+import { ShortcutKeys } from './CommandPalette';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+
+const GROUP_ORDER = ['Actions', 'Navigation', 'This gist', 'Theme'];
+
+/** Bindings inside the gist editor (see GistEditor) */
+const EDITOR_SHORTCUTS = [
+	['Mod+/', 'Toggle the preview'],
+	['Shift+Alt+F', 'Format the file'],
+	['Mod+F', 'Find and replace'],
+	['Mod+B', 'Bold (Markdown)'],
+	['Mod+I', 'Italic (Markdown)'],
+	['Mod+K', 'Insert a link (Markdown; the palette opens from outside the text)'],
+	['Mod+`', 'Inline code (Markdown)'],
+];
+
+/**
+ * Focused button that takes the next key combo
+ * @param {Object} props
+ * @param {string} props.label - Command being changed
+ * @param {(e: import('react').KeyboardEvent) => void} props.onKeyDown
+ * @param {() => void} props.onCancel
+ */
+const ShortcutRecorder = ({ label, onKeyDown, onCancel }) => {
+	const ref = useRef(null);
+
+	useEffect(() => {
+		ref.current?.focus();
+	}, []);
+
+	return (
+		<button
+			ref={ref}
+			type="button"
+			className="px-2 py-1 rounded border border-primary text-xs"
+			onKeyDown={onKeyDown}
+			onBlur={onCancel}
+			aria-label={`Press the new shortcut for ${label}`}
+		>
+			Press keys... (Esc to cancel)
+		</button>
+	);
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+const ShortcutsHelp = ({ open, onOpenChange }) => {
+	const { commands, shortcuts, overrides, setShortcut, resetShortcuts } = useCommands();
+	// Command whose new shortcut is being recorded
+	const [recording, setRecording] = useState(null);
+
+	useEffect(() => {
+		if (!open) setRecording(null);
+	}, [open]);
+
+	// Page commands are listed even where they aren't available
+	const listed = [
+		...commands.filter(
+			(command, index) => commands.findIndex((other) => other.id === command.id) === index,
+		),
+		...Object.entries(PAGE_COMMANDS)
+			.filter(([id]) => !commands.some((command) => command.id === id))
+			.map(([id, label]) => ({ id, label, group: 'This gist' })),
+	];
+	const groups = GROUP_ORDER.map((group) => ({
+		group,
+		commands: listed.filter((command) => command.group === group),
+	})).filter(({ commands: grouped }) => grouped.length);
+
+	const handleRecord = (e) => {
+		// Tab moves on, which cancels recording
+		if (e.key === 'Tab') return;
+		e.preventDefault();
+		// Keeps the global shortcut handler from running what was just pressed
+		e.stopPropagation();
+		const combo = shortcutFromEvent(e.nativeEvent);
+		if (!combo) return;
+		setShortcut(recording, combo);
+		setRecording(null);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent
+				className="max-w-2xl max-h-[85vh] overflow-y-auto"
+				onEscapeKeyDown={(e) => {
+					// Escape cancels recording rather than closing the overlay
+					if (recording) {
+						e.preventDefault();
+						setRecording(null);
+					}
+				}}
+			>
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<Keyboard className="h-5 w-5" />
+						Keyboard shortcuts
+					</DialogTitle>
+					<DialogDescription>
+						Click a shortcut to change it. Shortcuts without Ctrl or ⌘ don't fire while you're
+						typing in a text field.
+					</DialogDescription>
+				</DialogHeader>
+
+				{groups.map(({ group, commands: grouped }) => (
+					<section key={group} className="space-y-1">
+						<h3 className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+							{group}
+						</h3>
+						<ul className="divide-y">
+							{grouped.map((command) => (
+								<li key={command.id} className="flex items-center gap-2 py-1.5 text-sm">
+									<span className="flex-1 min-w-0 truncate">{command.label}</span>
+									{recording === command.id ? (
+										<ShortcutRecorder
+											label={command.label}
+											onKeyDown={handleRecord}
+											onCancel={() => setRecording(null)}
+										/>
+									) : (
+										<button
+											type="button"
+											className="px-1 py-0.5 rounded hover:bg-accent text-xs text-muted-foreground"
+											onClick={() => setRecording(command.id)}
+											title={`Change the shortcut for ${command.label}`}
+										>
+											{shortcuts[command.id] ? (
+												<ShortcutKeys combo={shortcuts[command.id]} />
+											) : (
+												'Add shortcut'
+											)}
+										</button>
+									)}
+									{shortcuts[command.id] && recording !== command.id && (
+										<Button
+											variant="ghost"
+											size="sm"
+											className="h-6 px-2 text-xs"
+											onClick={() => setShortcut(command.id, null)}
+											title={`Remove the shortcut for ${command.label}`}
+										>
+											Clear
+										</Button>
+									)}
+								</li>
+							))}
+						</ul>
+					</section>
+				))}
+
+				<section className="space-y-1">
+					<h3 className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+						In the editor
+					</h3>
+					<ul className="divide-y">
+						{EDITOR_SHORTCUTS.map(([combo, label]) => (
+							<li key={combo} className="flex items-center gap-2 py-1.5 text-sm">
+								<span className="flex-1 min-w-0">{label}</span>
+								<ShortcutKeys combo={combo} />
+							</li>
+						))}
+					</ul>
+				</section>
+
+				<div className="flex justify-end">
+					<Button
+						variant="outline"
+						size="sm"
+						onClick={resetShortcuts}
+						disabled={!Object.keys(overrides).length}
+					>
+						<RotateCcw className="h-4 w-4 mr-2" />
+						Reset to defaults
+					</Button>
+				</div>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default ShortcutsHelp;
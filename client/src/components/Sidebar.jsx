@@ -2,30 +2,76 @@ import {
 	ArrowLeftRight,
 	ChevronLeft,
 	ChevronRight,
+	Command,
+	FileClock,
 	FilePlus,
 	FileText,
+	Folder,
 	Globe,
 	LayoutDashboard,
+	LayoutTemplate,
 	Menu,
 	Palette,
+	PanelsTopLeft,
+	Plus,
+	Star,
+	Upload,
 	User,
 	X,
 } from 'lucide-react';
 import { useState } from 'react';
-import { NavLink } from 'react-router-dom';
+import { Link, NavLink, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useCommands } from '../contexts/CommandContext';
+import { useGistMetadata } from '../contexts/GistMetadataContext';
 import { cn } from '../lib/utils';
 import { Button } from './ui/button';
+import { Input } from './ui/input';
 import { Separator } from './ui/separator';
 
 const Sidebar = () => {
 	const [isCollapsed, setIsCollapsed] = useState(false);
 	const [isMobileOpen, setIsMobileOpen] = useState(false);
+	// Name being typed for a new collection; null while the input is hidden
+	const [newCollection, setNewCollection] = useState(null);
+	const { user } = useAuth();
+	const { metadata, ready, createCollection } = useGistMetadata();
+	const { openPalette, runCommand } = useCommands();
+	const location = useLocation();
+	const navigate = useNavigate();
+	const activeCollectionId =
+		location.pathname === '/my-gists'
+			? new URLSearchParams(location.search).get('collection')
+			: null;
+
+	const saveNewCollection = () => {
+		const name = newCollection?.trim();
+		setNewCollection(null);
+		if (!name) return;
+		const id = createCollection(name);
+		if (id) navigate(`/my-gists?collection=${id}`);
+	};
 
 	const navItems = [
+		{ icon: Command, label: 'Commands', onClick: openPalette },
 		{ path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
 		{ path: '/my-gists', icon: FileText, label: 'My Gists' },
+		{ path: '/starred', icon: Star, label: 'Starred' },
 		{ path: '/explore', icon: Globe, label: 'Explore' },
 		{ path: '/gist', icon: FilePlus, label: 'New Gist' },
+		// Opens TemplatePicker (see CommandContext), which goes on to /gist
+		...(user
+			? [
+					{
+						icon: LayoutTemplate,
+						label: 'New from Template',
+						onClick: () => runCommand('gist.new-from-template'),
+					},
+				]
+			: []),
+		{ path: '/workspace', icon: PanelsTopLeft, label: 'Workspace' },
+		{ path: '/drafts', icon: FileClock, label: 'Drafts' },
+		{ path: '/import', icon: Upload, label: 'Import' },
 		{ path: '/convert', icon: ArrowLeftRight, label: 'Convert' },
 		{ path: '/profile', icon: User, label: 'Profile' },
 	];
@@ -98,6 +144,27 @@ const Sidebar = () => {
 					<ul className="flex flex-col gap-1">
 						{navItems.map((item) => {
 							const Icon = item.icon;
+							if (item.onClick) {
+								return (
+									<li key={item.label}>
+										<button
+											type="button"
+											onClick={() => {
+												setIsMobileOpen(false);
+												item.onClick();
+											}}
+											className={cn(
+												'w-full flex items-center gap-3 px-3 py-2 rounded-md transition-colors text-sm font-medium text-muted-foreground hover:bg-accent hover:text-accent-foreground',
+												isCollapsed && 'justify-center',
+											)}
+											title={isCollapsed ? item.label : ''}
+										>
+											<Icon className="h-5 w-5 flex-shrink-0" />
+											{!isCollapsed && <span className="truncate">{item.label}</span>}
+										</button>
+									</li>
+								);
+							}
 							return (
 								<li key={item.path}>
 									<NavLink
@@ -120,7 +187,6 @@ const Sidebar = () => {
 								</li>
 							);
 						})}
-
 						{/* Development Tools - only show in development mode */}
 						{process.env.NODE_ENV === 'development' && (
 							<>
@@ -161,6 +227,66 @@ const Sidebar = () => {
 							</>
 						)}
 					</ul>
+
+					{/* Collections (see GistMetadataContext) */}
+					{user && !isCollapsed && (
+						<div className="mt-6">
+							<div className="flex items-center justify-between px-3 py-2">
+								<span className="text-xs text-muted-foreground font-medium uppercase tracking-wide">
+									Collections
+								</span>
+								<Button
+									variant="ghost"
+									size="icon"
+									onClick={() => setNewCollection('')}
+									disabled={!ready}
+									className="h-6 w-6"
+									title="New collection"
+								>
+									<Plus className="h-3 w-3" />
+								</Button>
+							</div>
+							{newCollection !== null && (
+								<Input
+									value={newCollection}
+									onChange={(e) => setNewCollection(e.target.value)}
+									onKeyDown={(e) => {
+										if (e.key === 'Enter') saveNewCollection();
+										if (e.key === 'Escape') setNewCollection(null);
+									}}
+									onBlur={saveNewCollection}
+									placeholder="Collection name"
+									aria-label="New collection name"
+									className="h-8 mb-1"
+									autoFocus
+								/>
+							)}
+							<ul className="flex flex-col gap-1">
+								{metadata.collections.map((collection) => (
+									<li key={collection.id}>
+										<Link
+											to={`/my-gists?collection=${collection.id}`}
+											onClick={() => setIsMobileOpen(false)}
+											className={cn(
+												'flex items-center gap-3 px-3 py-2 rounded-md transition-colors text-sm font-medium',
+												activeCollectionId === collection.id
+													? 'bg-primary text-primary-foreground'
+													: 'text-muted-foreground hover:bg-accent hover:text-accent-foreground',
+											)}
+										>
+											<Folder className="h-4 w-4 flex-shrink-0" />
+											<span className="truncate">{collection.name}</span>
+										</Link>
+									</li>
+								))}
+							</ul>
+							{metadata.collections.length === 0 && newCollection === null && (
+								<p className="px-3 text-xs text-muted-foreground">
+									Group gists into collections with the + button.
+								</p>
+							)}
+						</div>
+					)}
 				</div>
 			</nav>
 		</>
@@ -0,0 +1,101 @@
+/**
+ * StarToggle Component
+ * Star / unstar button for a gist. Renders nothing when logged out.
+ */
+
+import { Star } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { isGistStarred, starGist, unstarGist } from '../services/api/gists';
+import { logError } from '../utils/logger';
+import { Button } from './ui/button';
+
+/**
+ * @param {Object} props
+ * @param {string} props.gistId
+ * @param {boolean} [props.starred] - Known state. When omitted the component checks
+ *   GitHub itself.
+ * @param {(starred: boolean) => void} [props.onChange] - Called after starring or unstarring
+ * @param {boolean} [props.compact=false] - Icon-only button for cards
+ */
+const StarToggle = ({ gistId, starred, onChange, compact = false }) => {
+	const { token } = useAuth();
+	const toast = useToast();
+	const [isStarred, setIsStarred] = useState(starred ?? false);
+	const [checked, setChecked] = useState(starred !== undefined);
+	const [busy, setBusy] = useState(false);
+
+	useEffect(() => {
+		if (starred !== undefined) {
+			setIsStarred(starred);
+			setChecked(true);
+		}
+	}, [starred]);
+
+	useEffect(() => {
+		if (!token || starred !== undefined) return;
+
+		let cancelled = false;
+		const loadStatus = async () => {
+			try {
+				const status = await isGistStarred(gistId, token);
+				if (!cancelled) setIsStarred(status);
+			} catch (err) {
+				logError('Failed to check star status', err);
+			} finally {
+				if (!cancelled) setChecked(true);
+			}
+		};
+
+		loadStatus();
+		return () => {
+			cancelled = true;
+		};
+	}, [token, gistId, starred]);
+
+	if (!token) return null;
+
+	const handleToggle = async () => {
+		const next = !isStarred;
+		try {
+			setBusy(true);
+			await (next ? starGist(gistId, token) : unstarGist(gistId, token));
+			setIsStarred(next);
+			onChange?.(next);
+		} catch (err) {
+			logError('Failed to update star', err);
+			toast.error('Failed to update star');
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const label = isStarred ? 'Unstar gist' : 'Star gist';
+
+	return (
+		<Button
+			type="button"
+			variant={compact ? 'ghost' : 'outline'}
+			size="sm"
+			role="switch"
+			aria-checked={isStarred}
+			aria-label={label}
+			title={label}
+			disabled={!checked || busy}
+			onClick={(e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				handleToggle();
+			}}
+			className={compact ? 'h-8 px-2' : undefined}
+		>
+			<Star
+				className={`${compact ? 'h-3 w-3' : 'h-4 w-4 mr-2'} ${isStarred ? 'fill-current' : ''}`}
+			/>
+			{!compact && (isStarred ? 'Starred' : 'Star')}
+		</Button>
+	);
+};
+
+export default StarToggle;
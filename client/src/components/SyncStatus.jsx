@@ -0,0 +1,124 @@
+/**
+ * SyncStatus Component
+ * Header indicator for offline mode and queued gist changes. Conflicts (the
+ * gist changed on GitHub while it was edited offline) and failed syncs open a
+ * prompt to keep or discard the local changes.
+ */
+
+import { AlertTriangle, CloudOff, RefreshCw } from 'lucide-react';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useSyncQueue } from '../hooks/useSyncQueue';
+import { cn } from '../lib/utils';
+import { isLocalGistId, OP_STATUS } from '../services/syncQueue';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+
+const operationLabels = {
+	create: 'New gist',
+	update: 'Edit',
+	delete: 'Delete',
+};
+
+/**
+ * One conflicted or failed operation with its resolution actions
+ * @param {Object} props
+ * @param {Object} props.op - Queued operation
+ * @param {(resolution: 'overwrite'|'discard') => Promise<void>} props.onResolve
+ */
+const IssueRow = ({ op, onResolve }) => {
+	const [busy, setBusy] = useState(false);
+	const isConflict = op.status === OP_STATUS.CONFLICT;
+
+	const handle = async (resolution) => {
+		setBusy(true);
+		try {
+			await onResolve(resolution);
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<li className="border rounded-[var(--radius)] p-3 space-y-2">
+			<div className="flex items-center justify-between gap-2">
+				<span className="text-sm font-medium truncate">
+					{operationLabels[op.type]}: {op.data?.description || op.gistId}
+				</span>
+				{!isLocalGistId(op.gistId) && (
+					<Link to={`/view/${op.gistId}`} className="text-xs text-primary hover:underline">
+						Open gist
+					</Link>
+				)}
+			</div>
+			<p className="text-xs text-muted-foreground">
+				{isConflict
+					? 'This gist changed on GitHub after you edited it offline.'
+					: `Sync failed: ${op.error || 'unknown error'}`}
+			</p>
+			<div className="flex justify-end gap-2">
+				<Button variant="outline" size="sm" disabled={busy} onClick={() => handle('discard')}>
+					Discard my changes
+				</Button>
+				<Button size="sm" disabled={busy} onClick={() => handle('overwrite')}>
+					{isConflict ? 'Keep my changes' : 'Retry'}
+				</Button>
+			</div>
+		</li>
+	);
+};
+
+const SyncStatus = () => {
+	const { online, syncing, pendingCount, issues, resolve } = useSyncQueue();
+	const [dialogOpen, setDialogOpen] = useState(false);
+
+	if (online && !pendingCount && !issues.length) return null;
+
+	return (
+		<div className="flex items-center gap-1">
+			{!online && (
+				<Badge variant="outline" className="gap-1" title="Changes are saved locally">
+					<CloudOff className="h-3 w-3" />
+					Offline
+				</Badge>
+			)}
+			{pendingCount > 0 && (
+				<Badge variant="secondary" className="gap-1" title="Waiting to sync">
+					<RefreshCw className={cn('h-3 w-3', syncing && 'animate-spin')} />
+					{pendingCount} pending
+				</Badge>
+			)}
+			{issues.length > 0 && (
+				<button type="button" onClick={() => setDialogOpen(true)}>
+					<Badge variant="destructive" className="gap-1">
+						<AlertTriangle className="h-3 w-3" />
+						{issues.length} to resolve
+					</Badge>
+				</button>
+			)}
+
+			<Dialog open={dialogOpen && issues.length > 0} onOpenChange={setDialogOpen}>
+				<DialogContent>
+					<DialogHeader>
+						<DialogTitle>Offline changes need attention</DialogTitle>
+						<DialogDescription>
+							Keeping your changes overwrites the version on GitHub.
+						</DialogDescription>
+					</DialogHeader>
+					<ul className="space-y-2 max-h-80 overflow-y-auto">
+						{issues.map((op) => (
+							<IssueRow
+								key={op.id}
+								op={op}
+								onResolve={(resolution) => resolve(op.id, resolution)}
+							/>
+						))}
+					</ul>
+				</DialogContent>
+			</Dialog>
+		</div>
+	);
+};
+
+export default SyncStatus;
@@ -0,0 +1,180 @@
+/**
+ * TemplatePicker Component
+ * "New from template" dialog: pick a built-in or saved template, answer its
+ * placeholders, and open the editor on the new gist (see services/gistTemplates).
+ */
+
+import { ArrowLeft, LayoutTemplate, Trash2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useGistMetadata } from '../contexts/GistMetadataContext';
+import { BUILT_IN_TEMPLATES, fillTemplate, findTemplatePrompts } from '../services/gistTemplates';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { Input } from './ui/input';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.template
+ * @param {() => void} props.onSelect
+ * @param {() => void} [props.onDelete]
+ */
+const TemplateOption = ({ template, onSelect, onDelete }) => (
+	<li className="flex items-center gap-2 rounded-md border">
+		<button
+			type="button"
+			onClick={onSelect}
+			className="flex-1 min-w-0 text-left px-3 py-2 rounded-md hover:bg-accent transition-colors"
+		>
+			<div className="text-sm font-medium truncate">{template.name}</div>
+			<div className="text-xs text-muted-foreground truncate">
+				{template.summary || Object.keys(template.files).join(', ')}
+			</div>
+		</button>
+		{onDelete && (
+			<Button
+				variant="ghost"
+				size="sm"
+				className="h-8 px-2 mr-1"
+				title={`Delete template ${template.name}`}
+				onClick={onDelete}
+			>
+				<Trash2 className="h-3 w-3" />
+			</Button>
+		)}
+	</li>
+);
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+const TemplatePicker = ({ open, onOpenChange }) => {
+	const { user } = useAuth();
+	const { metadata, ready, deleteTemplate } = useGistMetadata();
+	const navigate = useNavigate();
+	const [selected, setSelected] = useState(null);
+	const [values, setValues] = useState({});
+
+	useEffect(() => {
+		if (!open) setSelected(null);
+	}, [open]);
+
+	const prompts = selected ? findTemplatePrompts(selected) : [];
+
+	const create = (template, answers) => {
+		const gist = fillTemplate(template, answers, { user: user?.login });
+		onOpenChange(false);
+		navigate('/gist', { state: { templateGist: gist } });
+	};
+
+	const select = (template) => {
+		const templatePrompts = findTemplatePrompts(template);
+		if (!templatePrompts.length) {
+			create(template, {});
+			return;
+		}
+		setValues(
+			Object.fromEntries(templatePrompts.map((prompt) => [prompt.key, prompt.defaultValue])),
+		);
+		setSelected(template);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<LayoutTemplate className="h-5 w-5" />
+						{selected ? selected.name : 'New from template'}
+					</DialogTitle>
+					<DialogDescription>
+						{selected
+							? 'Fill in the blanks for your new gist.'
+							: 'Start a gist from a built-in template or one you saved.'}
+					</DialogDescription>
+				</DialogHeader>
+
+				{selected ? (
+					<form
+						className="space-y-3"
+						onSubmit={(e) => {
+							e.preventDefault();
+							// The editor renders this inside its own form
+							e.stopPropagation();
+							create(selected, values);
+						}}
+					>
+						{prompts.map((prompt, index) => (
+							<div key={prompt.key} className="text-sm">
+								<label htmlFor={`template-prompt-${prompt.key}`} className="block mb-1">
+									{prompt.label}
+								</label>
+								<Input
+									id={`template-prompt-${prompt.key}`}
+									value={values[prompt.key] ?? ''}
+									onChange={(e) => setValues((prev) => ({ ...prev, [prompt.key]: e.target.value }))}
+									autoFocus={index === 0}
+								/>
+							</div>
+						))}
+						<p className="text-xs text-muted-foreground">
+							Files: {Object.keys(selected.files).join(', ')}
+						</p>
+						<div className="flex justify-between gap-2">
+							<Button type="button" variant="ghost" onClick={() => setSelected(null)}>
+								<ArrowLeft className="h-4 w-4 mr-2" />
+								Back
+							</Button>
+							<Button type="submit">Create gist</Button>
+						</div>
+					</form>
+				) : (
+					<div className="space-y-4">
+						<section className="space-y-2">
+							<h3 className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+								Built-in
+							</h3>
+							<ul className="space-y-2">
+								{BUILT_IN_TEMPLATES.map((template) => (
+									<TemplateOption
+										key={template.id}
+										template={template}
+										onSelect={() => select(template)}
+									/>
+								))}
+							</ul>
+						</section>
+						<section className="space-y-2">
+							<h3 className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+								Your templates
+							</h3>
+							{metadata.templates.length ? (
+								<ul className="space-y-2">
+									{metadata.templates.map((template) => (
+										<TemplateOption
+											key={template.id}
+											template={template}
+											onSelect={() => select(template)}
+											onDelete={ready ? () => deleteTemplate(template.id) : undefined}
+										/>
+									))}
+								</ul>
+							) : (
+								<p className="text-sm text-muted-foreground">
+									{ready
+										? 'Use "Save as Template" in the editor to add your own.'
+										: 'Loading your templates...'}
+								</p>
+							)}
+						</section>
+					</div>
+				)}
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+export default TemplatePicker;
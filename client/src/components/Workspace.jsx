@@ -0,0 +1,330 @@
+/**
+ * Workspace Component
+ * Edit several gists side by side in top-level tabs, one GistEditor per tab.
+ * Every tab keeps its own unsaved changes while others are shown, marks them
+ * with a dot, and asks before it is closed with changes. Open tabs are kept
+ * (see services/workspace) and reopened on the next visit; ?open=<id> adds one.
+ */
+
+import { FilePlus, FolderOpen, PanelsTopLeft, Plus, X } from 'lucide-react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useUserGists } from '../hooks/useUserGists';
+import {
+	closeTab,
+	createEmptyWorkspace,
+	loadWorkspace,
+	openGistTab,
+	openNewTab,
+	saveWorkspace,
+	setTabGistId,
+} from '../services/workspace';
+import { gistTitle } from '../utils/describeGist';
+import { fuzzyFilter, fuzzySegments } from '../utils/fuzzyMatch';
+import ConfirmationDialog from './ConfirmationDialog';
+import Highlight from './common/Highlight';
+import GistEditor from './GistEditor';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { Input } from './ui/input';
+
+const MAX_PICKER_RESULTS = 50;
+
+/**
+ * Dialog for choosing one of the user's gists to open in a tab
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ * @param {(gistId: string) => void} props.onSelect
+ */
+const GistPicker = ({ open, onOpenChange, onSelect }) => {
+	const [query, setQuery] = useState('');
+	const gists = useUserGists(open);
+
+	useEffect(() => {
+		if (open) setQuery('');
+	}, [open]);
+
+	const results = useMemo(() => {
+		const items = [...gists]
+			.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''))
+			.map((gist) => ({ gist, label: gistTitle(gist), files: Object.keys(gist.files || {}) }));
+		if (!query.trim()) return items.map((item) => ({ item, indices: [] }));
+		return fuzzyFilter(items, query, (item) => [item.label, ...item.files]);
+	}, [gists, query]);
+
+	const select = (gistId) => {
+		onOpenChange(false);
+		onSelect(gistId);
+	};
+
+	return (
+		<Dialog open={open} onOpenChange={onOpenChange}>
+			<DialogContent className="max-w-lg max-h-[80vh] flex flex-col">
+				<DialogHeader>
+					<DialogTitle className="flex items-center gap-2">
+						<FolderOpen className="h-5 w-5" />
+						Open a gist
+					</DialogTitle>
+					<DialogDescription>Choose a gist to open in a new tab.</DialogDescription>
+				</DialogHeader>
+				<form
+					onSubmit={(e) => {
+						e.preventDefault();
+						if (results.length) select(results[0].item.gist.id);
+					}}
+				>
+					<Input
+						value={query}
+						onChange={(e) => setQuery(e.target.value)}
+						placeholder="Search by title or filename..."
+						aria-label="Search your gists"
+					/>
+				</form>
+				<ul className="flex-1 min-h-0 overflow-y-auto space-y-1">
+					{results.slice(0, MAX_PICKER_RESULTS).map(({ item, indices }) => (
+						<li key={item.gist.id}>
+							<button
+								type="button"
+								onClick={() => select(item.gist.id)}
+								className="w-full text-left px-3 py-2 rounded-md hover:bg-accent transition-colors"
+							>
+								<div className="text-sm font-medium truncate">
+									<Highlight segments={fuzzySegments(item.label, indices)} />
+								</div>
+								<div className="text-xs text-muted-foreground truncate">
+									{item.files.join(', ')}
+								</div>
+							</button>
+						</li>
+					))}
+					{results.length === 0 && (
+						<li className="px-3 py-6 text-sm text-center text-muted-foreground">
+							{query ? `Nothing matches "${query}"` : 'No gists yet'}
+						</li>
+					)}
+				</ul>
+			</DialogContent>
+		</Dialog>
+	);
+};
+
+/**
+ * One tab's editor, with callbacks that stay the same for the tab
+ * @param {Object} props
+ * @param {import('../services/workspace').WorkspaceTab} props.tab
+ * @param {boolean} props.active
+ * @param {(key: string, status: { dirty: boolean, title: string }) => void} props.onStatusChange
+ * @param {(key: string, gistId: string) => void} props.onCreated
+ */
+const WorkspacePanel = ({ tab, active, onStatusChange, onCreated }) => {
+	const handleStatusChange = useCallback(
+		(status) => onStatusChange(tab.key, status),
+		[onStatusChange, tab.key],
+	);
+	const handleCreated = useCallback((gistId) => onCreated(tab.key, gistId), [onCreated, tab.key]);
+
+	return (
+		<div
+			id={`workspace-panel-${tab.key}`}
+			role="tabpanel"
+			aria-labelledby={`workspace-tab-${tab.key}`}
+			className="workspace-panel"
+			hidden={!active}
+		>
+			<GistEditor
+				tab={tab}
+				active={active}
+				onStatusChange={handleStatusChange}
+				onCreated={handleCreated}
+			/>
+		</div>
+	);
+};
+
+const Workspace = () => {
+	const { user } = useAuth();
+	const [searchParams, setSearchParams] = useSearchParams();
+	const [workspace, setWorkspace] = useState(createEmptyWorkspace);
+	// Loaded for this user; nothing is saved before that
+	const [loadedFor, setLoadedFor] = useState(null);
+	// Unsaved state and title reported by each tab's editor, by tab key
+	const [statuses, setStatuses] = useState({});
+	const [pickerOpen, setPickerOpen] = useState(false);
+	// Tab waiting for the user to confirm closing it with unsaved changes
+	const [closing, setClosing] = useState(null);
+
+	const userId = user?.id;
+	const openParam = searchParams.get('open');
+
+	useEffect(() => {
+		if (userId == null) return;
+		setWorkspace(loadWorkspace(userId));
+		setStatuses({});
+		setLoadedFor(userId);
+	}, [userId]);
+
+	useEffect(() => {
+		if (loadedFor == null || loadedFor !== userId) return;
+		saveWorkspace(userId, workspace);
+	}, [loadedFor, userId, workspace]);
+
+	useEffect(() => {
+		if (!openParam || loadedFor == null || loadedFor !== userId) return;
+		setWorkspace((prev) => openGistTab(prev, openParam));
+		setSearchParams({}, { replace: true });
+	}, [openParam, loadedFor, userId, setSearchParams]);
+
+	const handleStatusChange = useCallback((key, status) => {
+		setStatuses((prev) =>
+			prev[key]?.dirty === status.dirty && prev[key]?.title === status.title
+				? prev
+				: { ...prev, [key]: status },
+		);
+	}, []);
+
+	const handleCreated = useCallback((key, gistId) => {
+		setWorkspace((prev) => setTabGistId(prev, key, gistId));
+	}, []);
+
+	const removeTab = (key) => {
+		setWorkspace((prev) => closeTab(prev, key));
+		setStatuses(({ [key]: _closed, ...rest }) => rest);
+	};
+
+	const requestClose = (key) => {
+		if (statuses[key]?.dirty) {
+			setClosing(key);
+		} else {
+			removeTab(key);
+		}
+	};
+
+	if (!user)
+		return (
+			<div className="p-6 bg-surface rounded shadow-md text-center">
+				Please log in to use the workspace.
+			</div>
+		);
+
+	const closingTitle = closing ? statuses[closing]?.title || 'this gist' : '';
+
+	return (
+		<div className="workspace">
+			<div className="workspace-tabs">
+				<div role="tablist" aria-label="Open gists" className="tabs-container">
+					{workspace.tabs.map((tab) => {
+						const status = statuses[tab.key];
+						const title = status?.title || (tab.gistId ? 'Loading...' : 'New gist');
+						const active = tab.key === workspace.activeKey;
+						return (
+							<div
+								key={tab.key}
+								id={`workspace-tab-${tab.key}`}
+								role="tab"
+								tabIndex={active ? 0 : -1}
+								aria-selected={active}
+								aria-controls={`workspace-panel-${tab.key}`}
+								onClick={() => setWorkspace((prev) => ({ ...prev, activeKey: tab.key }))}
+								onKeyDown={(e) => {
+									if (e.key === 'Enter' || e.key === ' ') {
+										e.preventDefault();
+										setWorkspace((prev) => ({ ...prev, activeKey: tab.key }));
+									}
+								}}
+								className={`tab workspace-tab ${active ? 'active' : ''}`}
+								title={title}
+							>
+								<span className="workspace-tab-title">{title}</span>
+								{status?.dirty && (
+									<span className="workspace-tab-unsaved" role="img" aria-label="Unsaved changes" />
+								)}
+								<button
+									type="button"
+									onClick={(e) => {
+										e.stopPropagation();
+										requestClose(tab.key);
+									}}
+									className="tab-close"
+									title={`Close ${title}`}
+									aria-label={`Close ${title}`}
+								>
+									<X className="h-3 w-3" />
+								</button>
+							</div>
+						);
+					})}
+				</div>
+				<div className="workspace-tab-actions">
+					<Button
+						variant="ghost"
+						size="sm"
+						className="h-8 px-2"
+						onClick={() => setWorkspace(openNewTab)}
+						title="New gist in a new tab"
+					>
+						<Plus className="h-4 w-4" />
+					</Button>
+					<Button
+						variant="ghost"
+						size="sm"
+						className="h-8 px-2"
+						onClick={() => setPickerOpen(true)}
+						title="Open one of your gists in a new tab"
+					>
+						<FolderOpen className="h-4 w-4" />
+					</Button>
+				</div>
+			</div>
+
+			{workspace.tabs.map((tab) => (
+				<WorkspacePanel
+					key={tab.key}
+					tab={tab}
+					active={tab.key === workspace.activeKey}
+					onStatusChange={handleStatusChange}
+					onCreated={handleCreated}
+				/>
+			))}
+
+			{workspace.tabs.length === 0 && (
+				<div className="p-8 bg-surface rounded shadow-md text-center space-y-4">
+					<PanelsTopLeft className="h-8 w-8 mx-auto text-muted-foreground" />
+					<p className="text-sm text-muted-foreground">
+						Open gists in tabs to edit them side by side. Each tab keeps its own unsaved changes.
+					</p>
+					<div className="flex justify-center gap-2">
+						<Button variant="outline" onClick={() => setWorkspace(openNewTab)}>
+							<FilePlus className="h-4 w-4 mr-2" />
+							New gist
+						</Button>
+						<Button onClick={() => setPickerOpen(true)}>
+							<FolderOpen className="h-4 w-4 mr-2" />
+							Open a gist
+						</Button>
+					</div>
+				</div>
+			)}
+
+			<GistPicker
+				open={pickerOpen}
+				onOpenChange={setPickerOpen}
+				onSelect={(gistId) => setWorkspace((prev) => openGistTab(prev, gistId))}
+			/>
+
+			<ConfirmationDialog
+				isOpen={Boolean(closing)}
+				onClose={() => setClosing(null)}
+				onConfirm={() => {
+					removeTab(closing);
+					setClosing(null);
+				}}
+				title="Close tab with unsaved changes?"
+				message={`"${closingTitle}" has changes that haven't been saved to GitHub. They stay in Drafts if you close the tab.`}
+			/>
+		</div>
+	);
+};
+
+export default Workspace;
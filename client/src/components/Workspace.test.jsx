@@ -0,0 +1,186 @@
+/**
+ * Tests for Workspace Component
+ * Tests restoring tabs, keeping each tab's unsaved edits, closing tabs with
+ * changes, and new gists getting their tab once created.
+ */
+
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { GistMetadataProvider } from '../contexts/GistMetadataContext';
+import { ToastProvider } from '../contexts/ToastContext';
+import * as gistsApi from '../services/api/gists';
+import { METADATA_FILENAME } from '../services/gistMetadata';
+import { loadWorkspace, saveWorkspace } from '../services/workspace';
+import { mockUser } from '../test/fixtures';
+import Workspace from './Workspace';
+
+vi.mock('../services/api/gists');
+
+// CodeMirror needs real layout; a textarea stands in for it here (see editor/CodeEditor.test.jsx)
+vi.mock('./editor/CodeEditor', async () => {
+	const { forwardRef } = await vi.importActual('react');
+	return {
+		default: forwardRef(({ value, onChange, ariaLabel }, ref) => (
+			<textarea
+				ref={ref}
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+				aria-label={ariaLabel}
+			/>
+		)),
+	};
+});
+
+vi.mock('../services/draftStore', async () => {
+	const actual = await vi.importActual('../services/draftStore');
+	return {
+		...actual,
+		saveDraft: vi.fn(),
+		getDraft: vi.fn(async () => null),
+		listDrafts: vi.fn(async () => []),
+		deleteDraft: vi.fn(),
+	};
+});
+
+vi.mock('../contexts/AuthContext', async () => {
+	const actual = await vi.importActual('../contexts/AuthContext');
+	return {
+		...actual,
+		useAuth: vi.fn(() => ({ user: mockUser, token: 'test-token', isAuthenticated: true })),
+	};
+});
+
+const gists = {
+	config: {
+		id: 'config',
+		description: 'App config',
+		public: false,
+		files: { 'config.yaml': { content: 'port: 80' } },
+	},
+	notes: {
+		id: 'notes',
+		description: 'Deploy notes',
+		public: false,
+		files: { 'notes.md': { content: '# Notes' } },
+	},
+};
+
+const renderWorkspace = (path = '/workspace') =>
+	render(
+		<MemoryRouter initialEntries={[path]}>
+			<ToastProvider>
+				<GistMetadataProvider>
+					<Workspace />
+				</GistMetadataProvider>
+			</ToastProvider>
+		</MemoryRouter>,
+	);
+
+const openTabs = (...ids) =>
+	saveWorkspace(mockUser.id, {
+		tabs: ids.map((id) => ({ key: `gist-${id}`, gistId: id })),
+		activeKey: `gist-${ids[0]}`,
+	});
+
+describe('Workspace Component', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		localStorage.clear();
+		gistsApi.getGist.mockImplementation(async (id) => structuredClone(gists[id]));
+		gistsApi.getGists.mockResolvedValue(Object.values(gists));
+		gistsApi.getCachedGists.mockResolvedValue(null);
+	});
+
+	it('reopens the stored tabs and keeps unsaved edits while switching', async () => {
+		openTabs('config', 'notes');
+		renderWorkspace();
+
+		const configTab = await screen.findByRole('tab', { name: /App config/ }, { timeout: 3000 });
+		const notesTab = await screen.findByRole('tab', { name: /Deploy notes/ });
+		expect(configTab).toHaveAttribute('aria-selected', 'true');
+
+		fireEvent.change(screen.getByLabelText('Editor for config.yaml'), {
+			target: { value: 'port: 8080' },
+		});
+		expect(within(configTab).getByRole('img', { name: 'Unsaved changes' })).toBeInTheDocument();
+
+		fireEvent.click(notesTab);
+		expect(screen.getByRole('tabpanel')).toHaveTextContent('notes.md');
+		fireEvent.click(configTab);
+
+		expect(screen.getByLabelText('Editor for config.yaml')).toHaveValue('port: 8080');
+		expect(within(notesTab).queryByRole('img')).not.toBeInTheDocument();
+	});
+
+	it('asks before closing a tab with unsaved changes', async () => {
+		openTabs('config', 'notes');
+		renderWorkspace();
+
+		await screen.findByRole('tab', { name: /Deploy notes/ });
+		fireEvent.click(screen.getByRole('button', { name: 'Close Deploy notes' }));
+		await waitFor(() => {
+			expect(screen.queryByRole('tab', { name: /Deploy notes/ })).not.toBeInTheDocument();
+		});
+
+		fireEvent.change(screen.getByLabelText('Editor for config.yaml'), {
+			target: { value: 'port: 8080' },
+		});
+		fireEvent.click(screen.getByRole('button', { name: 'Close App config' }));
+		expect(screen.getByText('Close tab with unsaved changes?')).toBeInTheDocument();
+		fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+		expect(screen.getByRole('tab', { name: /App config/ })).toBeInTheDocument();
+
+		fireEvent.click(screen.getByRole('button', { name: 'Close App config' }));
+		fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+		expect(screen.queryByRole('tab')).not.toBeInTheDocument();
+		expect(loadWorkspace(mockUser.id).tabs).toEqual([]);
+	});
+
+	it('adds a tab for ?open= and for gists picked from the list', async () => {
+		renderWorkspace('/workspace?open=config');
+
+		expect(await screen.findByRole('tab', { name: /App config/ })).toBeInTheDocument();
+
+		gistsApi.getGists.mockResolvedValue([
+			...Object.values(gists),
+			{ id: 'meta', description: 'gist-manager metadata', files: { [METADATA_FILENAME]: {} } },
+		]);
+		fireEvent.click(screen.getByTitle('Open one of your gists in a new tab'));
+		expect(await screen.findByRole('button', { name: /Deploy notes/ })).toBeInTheDocument();
+		expect(screen.queryByRole('button', { name: /gist-manager metadata/ })).not.toBeInTheDocument();
+		fireEvent.change(screen.getByLabelText('Search your gists'), {
+			target: { value: 'notes.md' },
+		});
+		fireEvent.click(await screen.findByRole('button', { name: /Deploy notes/ }));
+
+		expect(await screen.findByRole('tab', { name: /Deploy notes/ })).toHaveAttribute(
+			'aria-selected',
+			'true',
+		);
+		expect(loadWorkspace(mockUser.id).tabs.map((tab) => tab.gistId)).toEqual(['config', 'notes']);
+	});
+
+	it('keeps a new gist in its tab once it is created', async () => {
+		gistsApi.createGist.mockResolvedValue({ ...gists.notes, id: 'created' });
+		gistsApi.getGist.mockResolvedValue({ ...gists.notes, id: 'created' });
+		renderWorkspace();
+
+		fireEvent.click(screen.getByRole('button', { name: 'New gist' }));
+		const tabs = screen.getByRole('tablist', { name: 'Open gists' });
+		const tab = await within(tabs).findByRole('tab', { name: /untitled/ });
+		fireEvent.change(screen.getByLabelText('Editor for untitled'), {
+			target: { value: '# Notes' },
+		});
+		fireEvent.click(screen.getByRole('button', { name: /create gist/i }));
+
+		await waitFor(() => {
+			expect(loadWorkspace(mockUser.id).tabs).toEqual([
+				{ key: expect.any(String), gistId: 'created' },
+			]);
+		});
+		expect(await screen.findByRole('button', { name: /update gist/i })).toBeInTheDocument();
+		expect(tab).toHaveTextContent('Deploy notes');
+	});
+});
@@ -0,0 +1,22 @@
+/**
+ * Highlight Component
+ * Renders text split by highlightMatches (utils/search), marking the matches.
+ * @param {Object} props
+ * @param {Array<{ text: string, match: boolean }>} props.segments
+ */
+const Highlight = ({ segments }) => {
+	let offset = 0;
+	return segments.map((segment) => {
+		const start = offset;
+		offset += segment.text.length;
+		return segment.match ? (
+			<mark key={start} className="bg-yellow-200 dark:bg-yellow-800 text-inherit rounded-sm">
+				{segment.text}
+			</mark>
+		) : (
+			<span key={start}>{segment.text}</span>
+		);
+	});
+};
+
+export default Highlight;
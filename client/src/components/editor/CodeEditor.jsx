@@ -0,0 +1,286 @@
+/**
+ * CodeEditor Component
+ * CodeMirror 6 editor used by GistEditor. Highlights syntax by language, with
+ * line numbers, bracket matching, code folding, multiple cursors (Ctrl/Cmd+click,
+ * Alt+drag) and search/replace (Ctrl/Cmd+F).
+ */
+
+import { indentWithTab } from '@codemirror/commands';
+import { indentUnit, syntaxHighlighting } from '@codemirror/language';
+import { Annotation, Compartment, EditorSelection, EditorState, Prec } from '@codemirror/state';
+import { oneDarkHighlightStyle } from '@codemirror/theme-one-dark';
+import { EditorView, keymap, placeholder as placeholderText } from '@codemirror/view';
+import { basicSetup } from 'codemirror';
+import { forwardRef, useCallback, useEffect, useImperativeHandle, useRef } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { loadLanguage } from './languages';
+
+/** Marks transactions that sync the `value` prop, so they aren't echoed to onChange */
+const externalChange = Annotation.define();
+
+const DEFAULT_INDENT = { useTabs: true, size: 2 };
+
+// Editor chrome follows the app's theme variables
+const chromeTheme = EditorView.theme({
+	'&': {
+		height: '100%',
+		fontSize: '0.875rem',
+		backgroundColor: 'hsl(var(--card))',
+		color: 'hsl(var(--foreground))',
+	},
+	'&.cm-focused': {
+		outline: 'none',
+		boxShadow: 'inset 0 0 0 2px hsl(var(--ring))',
+	},
+	'.cm-scroller': {
+		fontFamily: '"JetBrains Mono", "Fira Code", Consolas, Monaco, monospace',
+		lineHeight: '1.6',
+	},
+	'.cm-content': { caretColor: 'hsl(var(--foreground))' },
+	'.cm-cursor, .cm-dropCursor': { borderLeftColor: 'hsl(var(--foreground))' },
+	'.cm-gutters': {
+		backgroundColor: 'hsl(var(--muted) / 0.4)',
+		color: 'hsl(var(--muted-foreground))',
+		borderRight: '1px solid hsl(var(--border))',
+	},
+	'.cm-activeLine': { backgroundColor: 'hsl(var(--accent) / 0.25)' },
+	'.cm-activeLineGutter': { backgroundColor: 'hsl(var(--accent) / 0.5)' },
+	'.cm-panels': {
+		backgroundColor: 'hsl(var(--popover))',
+		color: 'hsl(var(--popover-foreground))',
+	},
+	'.cm-placeholder': { color: 'hsl(var(--muted-foreground))' },
+});
+
+/**
+ * @param {boolean} dark
+ * @returns {import('@codemirror/state').Extension}
+ */
+const themeExtensions = (dark) => [
+	EditorView.darkTheme.of(dark),
+	// basicSetup's default highlight style is only a fallback, so this takes over in dark themes
+	dark ? syntaxHighlighting(oneDarkHighlightStyle) : [],
+];
+
+/**
+ * @param {{ useTabs: boolean, size: number }} indent
+ * @returns {import('@codemirror/state').Extension}
+ */
+const indentExtensions = ({ useTabs, size }) => [
+	EditorState.tabSize.of(size),
+	indentUnit.of(useTabs ? '\t' : ' '.repeat(size)),
+];
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Document text
+ * @param {(value: string) => void} props.onChange
+ * @param {string} [props.language='text'] - Language name from getFileLanguage
+ * @param {string} [props.docKey] - Changing it starts a fresh document (and undo history)
+ * @param {boolean} [props.wrap=true] - Soft-wrap long lines
+ * @param {{ useTabs: boolean, size: number }} [props.indent]
+ * @param {Array<import('@codemirror/view').KeyBinding>} [props.keyBindings] - Take precedence
+ *   over the built-in bindings; keep the array stable (useMemo) to avoid reconfiguring
+ * @param {string} [props.placeholder]
+ * @param {string} [props.ariaLabel]
+ * @param {(event: Event) => void} [props.onScroll]
+ * @param {React.Ref} ref - `{ view, scrollDOM, focus(), hasFocus(), wrapSelection(before, after) }`
+ */
+const CodeEditor = forwardRef(
+	(
+		{
+			value,
+			onChange,
+			language = 'text',
+			docKey,
+			wrap = true,
+			indent = DEFAULT_INDENT,
+			keyBindings = [],
+			placeholder,
+			ariaLabel,
+			onScroll,
+		},
+		ref,
+	) => {
+		const { theme } = useTheme();
+		const dark = theme !== 'light';
+
+		const containerRef = useRef(null);
+		const viewRef = useRef(null);
+		const compartments = useRef(null);
+		if (!compartments.current) {
+			compartments.current = {
+				language: new Compartment(),
+				wrap: new Compartment(),
+				indent: new Compartment(),
+				keys: new Compartment(),
+				theme: new Compartment(),
+			};
+		}
+		// Latest props, read when (re)creating the editor state
+		const props = useRef(null);
+		props.current = {
+			value,
+			onChange,
+			wrap,
+			indent,
+			keyBindings,
+			placeholder,
+			ariaLabel,
+			onScroll,
+			dark,
+		};
+		const languageSupport = useRef([]);
+
+		// Reads props through refs, so it stays stable and the view is only created once
+		const createState = useCallback((doc) => {
+			const c = compartments.current;
+			const p = props.current;
+			return EditorState.create({
+				doc,
+				extensions: [
+					c.keys.of(Prec.high(keymap.of(p.keyBindings))),
+					basicSetup,
+					keymap.of([indentWithTab]),
+					chromeTheme,
+					c.theme.of(themeExtensions(p.dark)),
+					c.language.of(languageSupport.current),
+					c.wrap.of(p.wrap ? EditorView.lineWrapping : []),
+					c.indent.of(indentExtensions(p.indent)),
+					p.placeholder ? placeholderText(p.placeholder) : [],
+					p.ariaLabel ? EditorView.contentAttributes.of({ 'aria-label': p.ariaLabel }) : [],
+					EditorView.updateListener.of((update) => {
+						if (
+							update.docChanged &&
+							!update.transactions.some((tr) => tr.annotation(externalChange))
+						) {
+							props.current.onChange?.(update.state.doc.toString());
+						}
+					}),
+				],
+			});
+		}, []);
+
+		useEffect(() => {
+			const view = new EditorView({
+				state: createState(props.current.value ?? ''),
+				parent: containerRef.current,
+			});
+			const handleScroll = (event) => props.current.onScroll?.(event);
+			view.scrollDOM.addEventListener('scroll', handleScroll);
+			viewRef.current = view;
+
+			return () => {
+				view.scrollDOM.removeEventListener('scroll', handleScroll);
+				view.destroy();
+				viewRef.current = null;
+			};
+		}, [createState]);
+
+		// A different file: new document and undo history
+		const loadedDocKey = useRef(docKey);
+		useEffect(() => {
+			const view = viewRef.current;
+			if (!view || loadedDocKey.current === docKey) return;
+			loadedDocKey.current = docKey;
+			view.setState(createState(props.current.value ?? ''));
+		}, [docKey, createState]);
+
+		// Changes made outside the editor (formatting, restores, toolbar inserts)
+		useEffect(() => {
+			const view = viewRef.current;
+			const doc = value ?? '';
+			if (!view || view.state.doc.toString() === doc) return;
+			view.dispatch({
+				changes: { from: 0, to: view.state.doc.length, insert: doc },
+				annotations: externalChange.of(true),
+			});
+		}, [value]);
+
+		useEffect(() => {
+			let cancelled = false;
+			loadLanguage(language)
+				.then((support) => {
+					if (cancelled || !viewRef.current) return;
+					languageSupport.current = support ?? [];
+					viewRef.current.dispatch({
+						effects: compartments.current.language.reconfigure(languageSupport.current),
+					});
+				})
+				.catch(() => {
+					// Highlighting is optional; keep editing as plain text
+				});
+			return () => {
+				cancelled = true;
+			};
+		}, [language]);
+
+		useEffect(() => {
+			viewRef.current?.dispatch({
+				effects: compartments.current.wrap.reconfigure(wrap ? EditorView.lineWrapping : []),
+			});
+		}, [wrap]);
+
+		useEffect(() => {
+			viewRef.current?.dispatch({
+				effects: compartments.current.indent.reconfigure(
+					indentExtensions({ useTabs: indent.useTabs, size: indent.size }),
+				),
+			});
+		}, [indent.useTabs, indent.size]);
+
+		useEffect(() => {
+			viewRef.current?.dispatch({
+				effects: compartments.current.keys.reconfigure(Prec.high(keymap.of(keyBindings))),
+			});
+		}, [keyBindings]);
+
+		useEffect(() => {
+			viewRef.current?.dispatch({
+				effects: compartments.current.theme.reconfigure(themeExtensions(dark)),
+			});
+		}, [dark]);
+
+		useImperativeHandle(
+			ref,
+			() => ({
+				get view() {
+					return viewRef.current;
+				},
+				get scrollDOM() {
+					return viewRef.current?.scrollDOM ?? null;
+				},
+				focus: () => viewRef.current?.focus(),
+				hasFocus: () => Boolean(viewRef.current?.hasFocus),
+				/**
+				 * Wrap every selection (or insert at every cursor)
+				 * @param {string} before
+				 * @param {string} [after='']
+				 */
+				wrapSelection: (before, after = '') => {
+					const view = viewRef.current;
+					if (!view) return;
+					view.dispatch(
+						view.state.changeByRange((range) => ({
+							changes: [
+								{ from: range.from, insert: before },
+								{ from: range.to, insert: after },
+							],
+							range: EditorSelection.cursor(
+								range.empty ? range.from + before.length : range.to + before.length + after.length,
+							),
+						})),
+					);
+					view.focus();
+				},
+			}),
+			[],
+		);
+
+		return <div ref={containerRef} className="editor" />;
+	},
+);
+
+CodeEditor.displayName = 'CodeEditor';
+
+export default CodeEditor;
@@ -0,0 +1,80 @@
+/**
+ * Tests for CodeEditor Component
+ * Tests syncing with the value prop, change events and toolbar-style inserts.
+ */
+
+import { undoDepth } from '@codemirror/commands';
+import { act, render } from '@testing-library/react';
+import { createRef } from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { ThemeProvider } from '../../contexts/ThemeContext';
+import CodeEditor from './CodeEditor';
+
+const renderEditor = (props) => {
+	const ref = createRef();
+	const onChange = vi.fn();
+	const result = render(
+		<ThemeProvider>
+			<CodeEditor ref={ref} onChange={onChange} {...props} />
+		</ThemeProvider>,
+	);
+	const rerender = (next) =>
+		result.rerender(
+			<ThemeProvider>
+				<CodeEditor ref={ref} onChange={onChange} {...props} {...next} />
+			</ThemeProvider>,
+		);
+	return { ref, onChange, rerender, container: result.container };
+};
+
+describe('CodeEditor Component', () => {
+	it('renders the document with line numbers', () => {
+		const { ref, container } = renderEditor({ value: 'one\ntwo', ariaLabel: 'Editor for a.js' });
+
+		expect(ref.current.view.state.doc.toString()).toBe('one\ntwo');
+		expect(container.querySelector('.cm-lineNumbers')).not.toBeNull();
+		expect(container.querySelector('[aria-label="Editor for a.js"]')).not.toBeNull();
+	});
+
+	it('reports edits but not changes that came from the value prop', () => {
+		const { ref, onChange, rerender } = renderEditor({ value: 'hello' });
+
+		rerender({ value: 'hello world' });
+		expect(ref.current.view.state.doc.toString()).toBe('hello world');
+		expect(onChange).not.toHaveBeenCalled();
+
+		act(() => {
+			ref.current.view.dispatch({ changes: { from: 0, insert: '// ' } });
+		});
+		expect(onChange).toHaveBeenCalledWith('// hello world');
+	});
+
+	it('wraps every selection when inserting markup', () => {
+		const { ref, onChange } = renderEditor({ value: 'one two' });
+
+		act(() => {
+			const { view } = ref.current;
+			view.dispatch({
+				selection: { anchor: 0, head: 3 },
+			});
+			ref.current.wrapSelection('**', '**');
+		});
+
+		expect(onChange).toHaveBeenLastCalledWith('**one** two');
+		expect(ref.current.view.state.selection.main.head).toBe(7);
+	});
+
+	it('starts a fresh undo history for a different file', () => {
+		const { ref, rerender } = renderEditor({ value: 'a', docKey: 'a.js' });
+
+		act(() => {
+			ref.current.view.dispatch({ changes: { from: 1, insert: 'b' } });
+		});
+		expect(undoDepth(ref.current.view.state)).toBe(1);
+
+		rerender({ value: 'other', docKey: 'b.js' });
+
+		expect(ref.current.view.state.doc.toString()).toBe('other');
+		expect(undoDepth(ref.current.view.state)).toBe(0);
+	});
+});
@@ -0,0 +1,60 @@
+// CodeMirror language modes, keyed by the names getFileLanguage returns
+// Each mode is a separate chunk so only the languages in use are downloaded.
+
+const legacy = async (load) => {
+	const [{ StreamLanguage }, mode] = await Promise.all([import('@codemirror/language'), load()]);
+	return StreamLanguage.define(mode);
+};
+
+const loaders = {
+	javascript: () => import('@codemirror/lang-javascript').then((m) => m.javascript()),
+	jsx: () => import('@codemirror/lang-javascript').then((m) => m.javascript({ jsx: true })),
+	typescript: () =>
+		import('@codemirror/lang-javascript').then((m) => m.javascript({ typescript: true })),
+	tsx: () =>
+		import('@codemirror/lang-javascript').then((m) =>
+			m.javascript({ jsx: true, typescript: true }),
+		),
+	markdown: () => import('@codemirror/lang-markdown').then((m) => m.markdown()),
+	python: () => import('@codemirror/lang-python').then((m) => m.python()),
+	html: () => import('@codemirror/lang-html').then((m) => m.html()),
+	css: () => import('@codemirror/lang-css').then((m) => m.css()),
+	scss: () => import('@codemirror/lang-sass').then((m) => m.sass()),
+	less: () => import('@codemirror/lang-less').then((m) => m.less()),
+	json: () => import('@codemirror/lang-json').then((m) => m.json()),
+	yaml: () => import('@codemirror/lang-yaml').then((m) => m.yaml()),
+	xml: () => import('@codemirror/lang-xml').then((m) => m.xml()),
+	sql: () => import('@codemirror/lang-sql').then((m) => m.sql()),
+	java: () => import('@codemirror/lang-java').then((m) => m.java()),
+	c: () => import('@codemirror/lang-cpp').then((m) => m.cpp()),
+	cpp: () => import('@codemirror/lang-cpp').then((m) => m.cpp()),
+	rust: () => import('@codemirror/lang-rust').then((m) => m.rust()),
+	go: () => import('@codemirror/lang-go').then((m) => m.go()),
+	php: () => import('@codemirror/lang-php').then((m) => m.php()),
+	csharp: () => legacy(() => import('@codemirror/legacy-modes/mode/clike').then((m) => m.csharp)),
+	kotlin: () => legacy(() => import('@codemirror/legacy-modes/mode/clike').then((m) => m.kotlin)),
+	swift: () => legacy(() => import('@codemirror/legacy-modes/mode/swift').then((m) => m.swift)),
+	ruby: () => legacy(() => import('@codemirror/legacy-modes/mode/ruby').then((m) => m.ruby)),
+	toml: () => legacy(() => import('@codemirror/legacy-modes/mode/toml').then((m) => m.toml)),
+	bash: () => legacy(() => import('@codemirror/legacy-modes/mode/shell').then((m) => m.shell)),
+	powershell: () =>
+		legacy(() => import('@codemirror/legacy-modes/mode/powershell').then((m) => m.powerShell)),
+	docker: () =>
+		legacy(() => import('@codemirror/legacy-modes/mode/dockerfile').then((m) => m.dockerFile)),
+	lua: () => legacy(() => import('@codemirror/legacy-modes/mode/lua').then((m) => m.lua)),
+	r: () => legacy(() => import('@codemirror/legacy-modes/mode/r').then((m) => m.r)),
+	perl: () => legacy(() => import('@codemirror/legacy-modes/mode/perl').then((m) => m.perl)),
+	erlang: () => legacy(() => import('@codemirror/legacy-modes/mode/erlang').then((m) => m.erlang)),
+	haskell: () =>
+		legacy(() => import('@codemirror/legacy-modes/mode/haskell').then((m) => m.haskell)),
+};
+
+/**
+ * Load the CodeMirror language support for a language name
+ * @param {string} language - As returned by getFileLanguage
+ * @returns {Promise<import('@codemirror/state').Extension|null>} null for plain text
+ */
+export const loadLanguage = async (language) => {
+	const load = loaders[language];
+	return load ? load() : null;
+};
@@ -19,9 +19,10 @@ export const GITHUB_CONFIG = {
 
 /**
  * GitHub API configuration
+ * Calls go through the server proxy, which authenticates with the session's token
  */
 export const GITHUB_API = {
-	baseURL: 'https://api.github.com',
+	baseURL: '/api/github',
 	headers: {
 		Accept: 'application/vnd.github.v3+json',
 	},
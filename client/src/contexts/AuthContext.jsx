@@ -1,12 +1,13 @@
 /**
  * Authentication Context
  * Provides authentication state and methods for GitHub OAuth PKCE flow.
+ * The session lives in an HTTP-only cookie; `token` is the server's non-secret
+ * session handle, used as an "is signed in" marker.
  * @module contexts/AuthContext
  */
 
 import { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import authService from '../services/api/auth';
-import { setAuthToken } from '../services/api/github';
 import { ErrorCategory, logError, logInfo, trackError } from '../utils/logger';
 
 const AuthContext = createContext();
@@ -28,54 +29,25 @@ export const AuthProvider = ({ children }) => {
 	const [error, setError] = useState(null);
 
 	/**
-	 * Clear session and log out user
+	 * Clear session state
+	 * @param {boolean} expired - The session expired rather than the user logging out
 	 */
-	const logout = useCallback(async () => {
+	const endSession = useCallback(async (expired) => {
 		try {
 			setUser(null);
 			setToken(null);
 			setError(null);
 
-			setAuthToken(null);
-
-			if (typeof window !== 'undefined') {
-				window.dispatchEvent(new CustomEvent('auth:logout'));
-			}
-
-			sessionStorage.removeItem('github_token');
-			sessionStorage.removeItem('gist_manager_session');
-			sessionStorage.removeItem('oauth_state');
-			sessionStorage.removeItem('code_verifier');
-
-			logInfo('User logged out successfully');
+			await authService.logout({ expired });
 		} catch (error) {
 			logError('Logout error:', { error: error.message });
 		}
 	}, []);
 
 	/**
-	 * Fetch current user data from GitHub
+	 * Log out user (clears their local work too, see authService.logout)
 	 */
-	const fetchUser = useCallback(async () => {
-		if (!token) {
-			setLoading(false);
-			return;
-		}
-
-		try {
-			setLoading(true);
-
-			const userData = await authService.getCurrentUser();
-			setUser(userData);
-			setError(null);
-		} catch (error) {
-			logError('Error fetching user', error);
-			setError('Failed to retrieve user information');
-			logout();
-		} finally {
-			setLoading(false);
-		}
-	}, [token, logout]);
+	const logout = useCallback(() => endSession(false), [endSession]);
 
 	/**
 	 * Check authentication status on load
@@ -85,29 +57,14 @@ export const AuthProvider = ({ children }) => {
 			try {
 				setLoading(true);
 
-				// Check sessionStorage for existing token
-				let savedToken = null;
-
-				try {
-					const sessionData = sessionStorage.getItem('gist_manager_session');
-					if (sessionData) {
-						const { token: sessionToken, expiration } = JSON.parse(sessionData);
-						if (expiration && Date.now() < expiration) {
-							savedToken = sessionToken;
-						}
-					}
-				} catch (e) {
-					logError('Error reading session data', { error: e.message });
-				}
-
-				if (!savedToken) {
-					savedToken = sessionStorage.getItem('github_token');
-				}
+				// Tokens are no longer kept in the browser
+				authService.clearLegacySession();
 
-				if (savedToken) {
-					setToken(savedToken);
-					setAuthToken(savedToken);
-					logInfo('Found existing session token');
+				const status = await authService.getSessionStatus();
+				if (status?.authenticated) {
+					setUser(status.user);
+					setToken(status.session.handle);
+					logInfo('Found existing session');
 				}
 			} catch (error) {
 				logError('Error checking authentication status:', error);
@@ -119,26 +76,18 @@ export const AuthProvider = ({ children }) => {
 		checkAuthStatus();
 	}, []);
 
-	/**
-	 * Fetch user when token changes
-	 */
-	useEffect(() => {
-		if (token) {
-			fetchUser();
-		}
-	}, [token, fetchUser]);
-
 	/**
 	 * Listen for token invalid events
 	 */
 	useEffect(() => {
 		const handleTokenInvalid = () => {
-			logInfo('Received token_invalid event, logging out');
+			logInfo('Received token_invalid event, ending session');
 			trackError(new Error('Token became invalid'), ErrorCategory.AUTHENTICATION, {
 				action: 'auto_logout',
 				reason: 'token_invalid_event',
 			});
-			logout();
+			// Expired, not logged out: keep queued edits, drafts and open tabs
+			endSession(true);
 		};
 
 		window.addEventListener('auth:token_invalid', handleTokenInvalid);
@@ -146,7 +95,7 @@ export const AuthProvider = ({ children }) => {
 		return () => {
 			window.removeEventListener('auth:token_invalid', handleTokenInvalid);
 		};
-	}, [logout]);
+	}, [endSession]);
 
 	/**
 	 * Initiate GitHub OAuth login with PKCE
@@ -227,25 +176,15 @@ export const AuthProvider = ({ children }) => {
 				throw new Error('Missing code verifier - OAuth flow may have been interrupted');
 			}
 
-			// Exchange code for token directly with GitHub
-			const accessToken = await authService.exchangeCodeForToken(code, codeVerifier);
+			// Exchange code for a server session
+			const status = await authService.exchangeCodeForSession(code, codeVerifier);
 
 			// Clear OAuth flow data
 			sessionStorage.removeItem('oauth_state');
 			sessionStorage.removeItem('code_verifier');
 
-			// Store token
-			sessionStorage.setItem('github_token', accessToken);
-			const sessionData = {
-				token: accessToken,
-				expiration: Date.now() + 24 * 60 * 60 * 1000,
-				createdAt: new Date().toISOString(),
-			};
-			sessionStorage.setItem('gist_manager_session', JSON.stringify(sessionData));
-
-			// Set token in state and API
-			setToken(accessToken);
-			setAuthToken(accessToken);
+			setUser(status.user);
+			setToken(status.session.handle);
 
 			logInfo('Login successful');
 			return true;
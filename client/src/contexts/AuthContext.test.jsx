@@ -0,0 +1,115 @@
+/**
+ * Tests for AuthContext
+ * Tests what happens to local work when the session expires versus on logout.
+ */
+
+import 'fake-indexeddb/auto';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import * as draftStore from '../services/draftStore';
+import * as importLog from '../services/importLog';
+import * as syncQueue from '../services/syncQueue';
+import * as workspace from '../services/workspace';
+import { AuthProvider, useAuth } from './AuthContext';
+
+vi.mock('../utils/logger', () => ({
+	ErrorCategory: { AUTHENTICATION: 'authentication' },
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+	trackError: vi.fn(),
+}));
+
+const Account = () => {
+	const { user, logout } = useAuth();
+	return user ? (
+		<button type="button" onClick={logout}>
+			Log out {user.login}
+		</button>
+	) : (
+		<p>Signed out</p>
+	);
+};
+
+const renderSignedIn = async () => {
+	render(
+		<AuthProvider>
+			<Account />
+		</AuthProvider>,
+	);
+	return screen.findByRole('button', { name: 'Log out octocat' });
+};
+
+const expireSession = async () => {
+	await renderSignedIn();
+	act(() => {
+		window.dispatchEvent(new CustomEvent('auth:token_invalid'));
+	});
+	expect(await screen.findByText('Signed out')).toBeInTheDocument();
+	await waitFor(() => expect(axios.post).toHaveBeenCalledWith('/api/auth/logout'));
+};
+
+const logOut = async () => {
+	fireEvent.click(await renderSignedIn());
+	expect(await screen.findByText('Signed out')).toBeInTheDocument();
+};
+
+describe('AuthContext', () => {
+	beforeEach(async () => {
+		vi.spyOn(axios, 'get').mockResolvedValue({
+			data: { authenticated: true, user: { id: 1, login: 'octocat' }, session: { handle: 'h1' } },
+		});
+		vi.spyOn(axios, 'post').mockResolvedValue({ data: {} });
+		await syncQueue.clearQueue();
+		await syncQueue.enqueueOperation({ userId: 1, type: 'update', gistId: 'abc', data: {} });
+		await draftStore.clearDrafts();
+		await draftStore.saveDraft(1, 'abc', { description: 'Notes', files: {} });
+		await importLog.clearImportLogs();
+		await importLog.saveImportLog(1, { importId: 'import1', name: 'backup', gists: [] });
+		workspace.saveWorkspace(1, workspace.openGistTab(workspace.createEmptyWorkspace(), 'abc'));
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('keeps queued offline edits when the session expires', async () => {
+		await expireSession();
+		expect(await syncQueue.getPendingOperations(1)).toHaveLength(1);
+	});
+
+	it('clears queued offline edits on logout', async () => {
+		await logOut();
+		await waitFor(async () => expect(await syncQueue.getPendingOperations(1)).toEqual([]));
+	});
+
+	it('keeps drafts when the session expires', async () => {
+		await expireSession();
+		expect(await draftStore.getDraft(1, 'abc')).toMatchObject({ description: 'Notes' });
+	});
+
+	it('clears drafts on logout', async () => {
+		await logOut();
+		await waitFor(async () => expect(await draftStore.getDraft(1, 'abc')).toBeNull());
+	});
+
+	it('keeps import logs when the session expires', async () => {
+		await expireSession();
+		expect(await importLog.listImportLogs(1)).toHaveLength(1);
+	});
+
+	it('clears import logs on logout', async () => {
+		await logOut();
+		await waitFor(async () => expect(await importLog.listImportLogs(1)).toEqual([]));
+	});
+
+	it('keeps the open workspace tabs when the session expires', async () => {
+		await expireSession();
+		expect(workspace.loadWorkspace(1).tabs).toHaveLength(1);
+	});
+
+	it('clears the open workspace tabs on logout', async () => {
+		await logOut();
+		expect(workspace.loadWorkspace(1)).toEqual(workspace.createEmptyWorkspace());
+	});
+});
@@ -0,0 +1,288 @@
+/**
+ * CommandContext
+ * Everything the command palette (Ctrl/Cmd+K) can do: app-wide commands such as
+ * navigation, new gist and theme switching, plus commands pages add while they
+ * are open (fork or copy the gist being viewed). Also runs keyboard shortcuts
+ * for them (see services/shortcuts), which can be changed in the shortcuts overlay.
+ *
+ * Shortcuts never fire for keys something else already handled, so the editor's
+ * own bindings (Ctrl/Cmd+K inserts a link in Markdown files) keep working.
+ */
+
+import {
+	ArrowLeftRight,
+	Command,
+	FileClock,
+	FilePlus,
+	FileText,
+	Globe,
+	Keyboard,
+	LayoutDashboard,
+	LayoutTemplate,
+	Palette,
+	PanelsTopLeft,
+	Star,
+	Upload,
+	User,
+} from 'lucide-react';
+import {
+	createContext,
+	useCallback,
+	useContext,
+	useEffect,
+	useId,
+	useMemo,
+	useRef,
+	useState,
+} from 'react';
+import { useNavigate } from 'react-router-dom';
+import CommandPalette from '../components/CommandPalette';
+import ShortcutsHelp from '../components/ShortcutsHelp';
+import TemplatePicker from '../components/TemplatePicker';
+import {
+	isTypingTarget,
+	loadShortcutOverrides,
+	matchesShortcut,
+	resolveShortcuts,
+	saveShortcutOverrides,
+	setShortcutOverride,
+	worksWhileTyping,
+} from '../services/shortcuts';
+import { useAuth } from './AuthContext';
+import { THEME_LABELS, useTheme } from './ThemeContext';
+
+/**
+ * @typedef {Object} AppCommand
+ * @property {string} id - Also the key for its shortcut
+ * @property {string} label
+ * @property {string} group - Actions, Navigation, Theme or This gist (page commands)
+ * @property {Function} run
+ * @property {import('react').ComponentType} [icon]
+ * @property {string[]} [keywords] - Extra words to match in the palette
+ * @property {boolean} [hidden] - Shortcut only; not listed in the palette
+ */
+
+const NAVIGATION = [
+	{ id: 'nav.dashboard', path: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
+	{ id: 'nav.my-gists', path: '/my-gists', label: 'My Gists', icon: FileText },
+	{ id: 'nav.starred', path: '/starred', label: 'Starred', icon: Star },
+	{ id: 'nav.explore', path: '/explore', label: 'Explore', icon: Globe },
+	{ id: 'nav.workspace', path: '/workspace', label: 'Workspace', icon: PanelsTopLeft },
+	{ id: 'nav.drafts', path: '/drafts', label: 'Drafts', icon: FileClock },
+	{ id: 'nav.import', path: '/import', label: 'Import', icon: Upload },
+	{ id: 'nav.profile', path: '/profile', label: 'Profile', icon: User },
+];
+
+/**
+ * Commands pages add with useRegisterCommands, by ID. Pages pass the ID and what
+ * to run; the label comes from here so the shortcuts overlay can list them on
+ * any page.
+ */
+export const PAGE_COMMANDS = {
+	'gist.copy-raw': 'Copy raw file',
+	'gist.copy-link': 'Copy link to this gist',
+	'gist.copy-permalink': 'Copy permalink to this revision',
+	'gist.share': 'Share or embed this gist',
+	'gist.download': 'Download file',
+	'gist.fork': 'Fork this gist',
+	'gist.edit': 'Edit this gist',
+};
+
+const PAGE_GROUP = 'This gist';
+
+const CommandContext = createContext(null);
+
+export const useCommands = () => {
+	const context = useContext(CommandContext);
+	if (!context) {
+		throw new Error('useCommands must be used within a CommandProvider');
+	}
+	return context;
+};
+
+/**
+ * Offer commands in the palette while the calling component is mounted. Commands
+ * are re-registered when their IDs change; `run` always calls the latest
+ * version. Does nothing outside a CommandProvider.
+ * @param {Array<{ id: string, run: Function, icon?: import('react').ComponentType }>} commands - IDs from PAGE_COMMANDS
+ */
+export const useRegisterCommands = (commands) => {
+	const context = useContext(CommandContext);
+	const register = context?.register;
+	const unregister = context?.unregister;
+	const key = useId();
+	const latestRef = useRef(commands);
+	latestRef.current = commands;
+	const signature = commands.map((command) => command.id).join('\n');
+
+	useEffect(() => {
+		if (!register || !signature) return undefined;
+		register(
+			key,
+			latestRef.current.map((command) => ({
+				...command,
+				label: PAGE_COMMANDS[command.id],
+				group: PAGE_GROUP,
+				run: () => latestRef.current.find((latest) => latest.id === command.id)?.run(),
+			})),
+		);
+		return () => unregister(key);
+	}, [register, unregister, key, signature]);
+};
+
+export const CommandProvider = ({ children }) => {
+	const navigate = useNavigate();
+	const { user } = useAuth();
+	const { themes, setTheme, cycleTheme } = useTheme();
+	const [paletteOpen, setPaletteOpen] = useState(false);
+	const [shortcutsOpen, setShortcutsOpen] = useState(false);
+	const [templatePickerOpen, setTemplatePickerOpen] = useState(false);
+	const [registered, setRegistered] = useState([]);
+	const [overrides, setOverrides] = useState(loadShortcutOverrides);
+
+	const register = useCallback((key, commands) => {
+		setRegistered((prev) => [...prev.filter((entry) => entry.key !== key), { key, commands }]);
+	}, []);
+
+	const unregister = useCallback((key) => {
+		setRegistered((prev) => prev.filter((entry) => entry.key !== key));
+	}, []);
+
+	const shortcuts = useMemo(() => resolveShortcuts(overrides), [overrides]);
+
+	const setShortcut = useCallback((commandId, combo) => {
+		setOverrides((prev) => {
+			const next = setShortcutOverride(prev, commandId, combo);
+			saveShortcutOverrides(next);
+			return next;
+		});
+	}, []);
+
+	const resetShortcuts = useCallback(() => {
+		saveShortcutOverrides({});
+		setOverrides({});
+	}, []);
+
+	const commands = useMemo(() => {
+		/** @type {AppCommand[]} */
+		const appCommands = [
+			{
+				id: 'palette.open',
+				label: 'Open command palette',
+				group: 'Actions',
+				icon: Command,
+				hidden: true,
+				run: () => setPaletteOpen((open) => !open),
+			},
+			{
+				id: 'shortcuts.show',
+				label: 'Keyboard shortcuts',
+				group: 'Actions',
+				icon: Keyboard,
+				keywords: ['help', 'keys', 'hotkeys'],
+				run: () => setShortcutsOpen(true),
+			},
+			{
+				id: 'gist.new',
+				label: 'New gist',
+				group: 'Actions',
+				icon: FilePlus,
+				keywords: ['create'],
+				run: () => navigate('/gist'),
+			},
+			...(user
+				? [
+						{
+							id: 'gist.new-from-template',
+							label: 'New gist from template',
+							group: 'Actions',
+							icon: LayoutTemplate,
+							run: () => setTemplatePickerOpen(true),
+						},
+					]
+				: []),
+			{
+				id: 'file.convert',
+				label: 'Convert a file',
+				group: 'Actions',
+				icon: ArrowLeftRight,
+				keywords: ['markdown', 'html', 'text'],
+				run: () => navigate('/convert'),
+			},
+			...NAVIGATION.map(({ id, path, label, icon }) => ({
+				id,
+				label: `Go to ${label}`,
+				group: 'Navigation',
+				icon,
+				run: () => navigate(path),
+			})),
+			{
+				id: 'theme.cycle',
+				label: 'Switch to the next theme',
+				group: 'Theme',
+				icon: Palette,
+				run: cycleTheme,
+			},
+			...themes.map((name) => ({
+				id: `theme.${name}`,
+				label: `Use the ${THEME_LABELS[name]} theme`,
+				group: 'Theme',
+				icon: Palette,
+				run: () => setTheme(name),
+			})),
+		];
+		// Page commands first: they are about what's on screen
+		return [...registered.flatMap((entry) => entry.commands), ...appCommands];
+	}, [registered, navigate, user, themes, setTheme, cycleTheme]);
+
+	const runCommand = useCallback(
+		(commandId) => {
+			const command = commands.find((candidate) => candidate.id === commandId);
+			if (!command) return false;
+			if (commandId !== 'palette.open') setPaletteOpen(false);
+			command.run();
+			return true;
+		},
+		[commands],
+	);
+
+	useEffect(() => {
+		const handleKeyDown = (event) => {
+			if (event.defaultPrevented || event.isComposing) return;
+			const match = Object.entries(shortcuts).find(([, combo]) => matchesShortcut(event, combo));
+			if (!match) return;
+			const [commandId, combo] = match;
+			if (isTypingTarget(event.target) && !worksWhileTyping(combo)) return;
+			if (runCommand(commandId)) event.preventDefault();
+		};
+		window.addEventListener('keydown', handleKeyDown);
+		return () => window.removeEventListener('keydown', handleKeyDown);
+	}, [shortcuts, runCommand]);
+
+	const value = useMemo(
+		() => ({
+			commands,
+			shortcuts,
+			overrides,
+			register,
+			unregister,
+			runCommand,
+			setShortcut,
+			resetShortcuts,
+			openPalette: () => setPaletteOpen(true),
+			openShortcuts: () => setShortcutsOpen(true),
+		}),
+		[commands, shortcuts, overrides, register, unregister, runCommand, setShortcut, resetShortcuts],
+	);
+
+	return (
+		<CommandContext.Provider value={value}>
+			{children}
+			<CommandPalette open={paletteOpen} onOpenChange={setPaletteOpen} />
+			<ShortcutsHelp open={shortcutsOpen} onOpenChange={setShortcutsOpen} />
+			<TemplatePicker open={templatePickerOpen} onOpenChange={setTemplatePickerOpen} />
+		</CommandContext.Provider>
+	);
+};
+
+export default CommandContext;
@@ -0,0 +1,212 @@
+/**
+ * GistMetadataContext
+ * Shares the user's tags, collections and templates (see services/gistMetadata)
+ * between the gist list, the editor and the sidebar. Changes apply immediately and are written to the
+ * metadata gist shortly after; the latest copy is reloaded when the window
+ * regains focus, so edits made on another device show up.
+ *
+ * Editing is only enabled once the metadata has loaded, so a failed load can't
+ * lead to a second metadata gist or overwrite the stored one with an empty copy.
+ */
+
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import {
+	addCollection,
+	addTemplate,
+	createEmptyMetadata,
+	loadMetadata,
+	remapGistIds,
+	removeCollection,
+	removeTemplate,
+	renameCollection,
+	saveMetadata,
+	setCollectionMember,
+	setGistTags,
+} from '../services/gistMetadata';
+import { logError } from '../utils/logger';
+import { useAuth } from './AuthContext';
+
+const SAVE_DELAY_MS = 800;
+const RELOAD_INTERVAL_MS = 60 * 1000;
+
+const GistMetadataContext = createContext();
+
+export const useGistMetadata = () => {
+	const context = useContext(GistMetadataContext);
+	if (!context) {
+		throw new Error('useGistMetadata must be used within a GistMetadataProvider');
+	}
+	return context;
+};
+
+export const GistMetadataProvider = ({ children }) => {
+	const { user, token } = useAuth();
+	const userId = user?.id;
+	const [metadata, setMetadata] = useState(createEmptyMetadata);
+	const [ready, setReady] = useState(false);
+	const [saveError, setSaveError] = useState(null);
+	const gistIdRef = useRef(null);
+	const latestRef = useRef(metadata);
+	const saveTimerRef = useRef(null);
+	// Local changes not yet written to GitHub
+	const dirtyRef = useRef(false);
+	const savingRef = useRef(Promise.resolve());
+	const loadedAtRef = useRef(0);
+
+	const reload = useCallback(async () => {
+		if (!token) return;
+		// Local edits win until they are saved
+		if (dirtyRef.current) return;
+		try {
+			const result = await loadMetadata(token, userId);
+			if (dirtyRef.current) return;
+			gistIdRef.current = result.gistId;
+			latestRef.current = result.metadata;
+			loadedAtRef.current = Date.now();
+			setMetadata(result.metadata);
+			setReady(true);
+		} catch (error) {
+			logError('Failed to load gist metadata', { error: error?.message });
+		}
+	}, [token, userId]);
+
+	useEffect(() => {
+		gistIdRef.current = null;
+		dirtyRef.current = false;
+		latestRef.current = createEmptyMetadata();
+		loadedAtRef.current = 0;
+		setMetadata(latestRef.current);
+		setReady(false);
+		reload();
+	}, [reload]);
+
+	useEffect(() => {
+		const handleFocus = () => {
+			if (Date.now() - loadedAtRef.current > RELOAD_INTERVAL_MS) reload();
+		};
+		window.addEventListener('focus', handleFocus);
+		return () => window.removeEventListener('focus', handleFocus);
+	}, [reload]);
+
+	const save = useCallback(() => {
+		saveTimerRef.current = null;
+		// Chained so the metadata gist is only created once
+		savingRef.current = savingRef.current.then(async () => {
+			try {
+				gistIdRef.current = await saveMetadata(gistIdRef.current, latestRef.current, token, userId);
+				setSaveError(null);
+				dirtyRef.current = Boolean(saveTimerRef.current);
+			} catch (error) {
+				logError('Failed to save gist metadata', { error: error?.message });
+				setSaveError('Tags, collections and templates could not be saved to GitHub.');
+			}
+		});
+		return savingRef.current;
+	}, [token, userId]);
+
+	/** Apply a change now and save it after a short pause */
+	const update = useCallback(
+		(change) => {
+			if (!loadedAtRef.current) return;
+			latestRef.current = change(latestRef.current);
+			dirtyRef.current = true;
+			setMetadata(latestRef.current);
+			clearTimeout(saveTimerRef.current);
+			saveTimerRef.current = setTimeout(save, SAVE_DELAY_MS);
+		},
+		[save],
+	);
+
+	// Don't lose a pending save when the provider goes away
+	useEffect(
+		() => () => {
+			if (saveTimerRef.current) {
+				clearTimeout(saveTimerRef.current);
+				save();
+			}
+		},
+		[save],
+	);
+
+	// Gists created offline get new IDs when they sync
+	useEffect(() => {
+		const handleSynced = (event) => {
+			const idMap = event.detail?.idMap || {};
+			if (gistIdRef.current in idMap) gistIdRef.current = idMap[gistIdRef.current];
+			const remapped = remapGistIds(latestRef.current, idMap);
+			if (remapped) update(() => remapped);
+		};
+		window.addEventListener('sync:completed', handleSynced);
+		return () => window.removeEventListener('sync:completed', handleSynced);
+	}, [update]);
+
+	const setTags = useCallback(
+		(gistId, tags) => update((current) => setGistTags(current, gistId, tags)),
+		[update],
+	);
+
+	const createCollection = useCallback(
+		(name) => {
+			let id = null;
+			update((current) => {
+				const result = addCollection(current, name);
+				id = result.id;
+				return result.metadata;
+			});
+			return id;
+		},
+		[update],
+	);
+
+	const renameCollectionById = useCallback(
+		(id, name) => update((current) => renameCollection(current, id, name)),
+		[update],
+	);
+
+	const deleteCollection = useCallback(
+		(id) => update((current) => removeCollection(current, id)),
+		[update],
+	);
+
+	const setInCollection = useCallback(
+		(id, gistId, member) => update((current) => setCollectionMember(current, id, gistId, member)),
+		[update],
+	);
+
+	const saveTemplate = useCallback(
+		(template) => {
+			let id = null;
+			update((current) => {
+				const result = addTemplate(current, template);
+				id = result.id;
+				return result.metadata;
+			});
+			return id;
+		},
+		[update],
+	);
+
+	const deleteTemplate = useCallback(
+		(id) => update((current) => removeTemplate(current, id)),
+		[update],
+	);
+
+	return (
+		<GistMetadataContext.Provider
+			value={{
+				metadata,
+				ready,
+				saveError,
+				setTags,
+				createCollection,
+				renameCollection: renameCollectionById,
+				deleteCollection,
+				setInCollection,
+				saveTemplate,
+				deleteTemplate,
+			}}
+		>
+			{children}
+		</GistMetadataContext.Provider>
+	);
+};
@@ -5,6 +5,13 @@ const ThemeContext = createContext();
 export const useTheme = () => useContext(ThemeContext);
 
 const THEMES = ['light', 'dark', 'terminal', 'retro', 'retro-dark'];
+export const THEME_LABELS = {
+	light: 'Light',
+	dark: 'Dark',
+	terminal: 'Terminal',
+	retro: 'Retro',
+	'retro-dark': 'Retro Dark',
+};
 const DARK_MODE_THEMES = new Set(['dark', 'retro-dark']);
 
 export const ThemeProvider = ({ children }) => {
@@ -0,0 +1,292 @@
+/**
+ * useBulkActions Hook
+ * Batch delete, description prefix, star/unstar and ZIP export for a gist selection,
+ * and a full backup of every gist.
+ * Deletes are held for an undo window before anything is sent to GitHub; prefix
+ * changes can be undone in the same window by writing the old descriptions back.
+ * A delete still held when the page is closed or reloaded is handed to the
+ * offline sync queue, which sends it on the next visit.
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { deleteGist, getGists, starGist, unstarGist, updateGist } from '../services/api/gists';
+import { buildBackupArchive, fetchGistForBackup, getBackupFilename } from '../services/backup';
+import { enqueueOperation } from '../services/syncQueue';
+import {
+	applyDescriptionPrefix,
+	describeError,
+	runBulk,
+	WRITE_DELAY_MS,
+} from '../utils/bulkOperations';
+import { downloadFile } from '../utils/download';
+
+export const UNDO_WINDOW_MS = 8000;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * @param {Object} handlers - How the list reflects changes
+ * @param {(ids: string[]) => void} handlers.onRemove - Hide gists (pending or after delete)
+ * @param {(gists: Array<Object>) => void} handlers.onRestore - Show gists again
+ * @param {(descriptions: Object<string, string>) => void} handlers.onUpdate - New descriptions by ID
+ * @param {(ids: string[], starred: boolean) => void} [handlers.onStarred] - Gists starred or unstarred
+ * @returns {{
+ *   progress: { label: string, done: number, total: number }|null,
+ *   result: { label: string, succeeded: number, failed: Array<{ gist: Object, message: string }>, error?: string }|null,
+ *   undo: { label: string }|null,
+ *   deleteGists: (gists: Array<Object>) => void,
+ *   setPrefix: (gists: Array<Object>, prefix: string, mode: 'add'|'remove') => Promise<void>,
+ *   setStarred: (gists: Array<Object>, starred: boolean) => Promise<void>,
+ *   exportGists: (gists: Array<Object>) => Promise<void>,
+ *   exportAll: () => Promise<void>,
+ *   cancel: () => void,
+ *   undoLast: () => void,
+ *   dismissResult: () => void,
+ * }}
+ */
+export const useBulkActions = ({ onRemove, onRestore, onUpdate, onStarred }) => {
+	const { user, token } = useAuth();
+	const userId = user?.id;
+	const login = user?.login;
+	const [progress, setProgress] = useState(null);
+	const [result, setResult] = useState(null);
+	const [undo, setUndo] = useState(null);
+	const undoRef = useRef(null);
+	const runRef = useRef(null);
+
+	/** Run an action over items, tracking progress and collecting per-item errors */
+	const execute = useCallback(async (label, items, action, { delay = WRITE_DELAY_MS } = {}) => {
+		const signal = { aborted: false };
+		runRef.current = signal;
+		setResult(null);
+		setProgress({ label, done: 0, total: items.length });
+
+		const outcome = await runBulk(items, action, {
+			delay,
+			signal,
+			onProgress: ({ done, total }) => setProgress({ label, done, total }),
+		});
+
+		runRef.current = null;
+		setProgress(null);
+		setResult({
+			label,
+			succeeded: outcome.succeeded.length,
+			failed: outcome.failed.map(({ item, error }) => ({
+				gist: item.gist ?? item,
+				message: describeError(error),
+			})),
+		});
+		return outcome;
+	}, []);
+
+	/** Close the undo window, running its expiry (e.g. the held delete) */
+	const settleUndo = useCallback(async () => {
+		const current = undoRef.current;
+		undoRef.current = null;
+		setUndo(null);
+		await current?.onExpire?.();
+	}, []);
+
+	const offerUndo = useCallback(
+		(next) => {
+			settleUndo();
+			undoRef.current = next;
+			setUndo(next);
+		},
+		[settleUndo],
+	);
+
+	useEffect(() => {
+		if (!undo) return;
+		const timer = setTimeout(settleUndo, UNDO_WINDOW_MS);
+		return () => clearTimeout(timer);
+	}, [undo, settleUndo]);
+
+	// Leaving the page doesn't cancel a confirmed delete
+	useEffect(() => () => undoRef.current?.onExpire?.(), []);
+
+	// Nor does closing or reloading it, when the timer and this hook are gone with it
+	useEffect(() => {
+		const handlePageHide = () => {
+			const current = undoRef.current;
+			if (!current?.onLeave) return;
+			undoRef.current = null;
+			setUndo(null);
+			current.onLeave();
+		};
+		window.addEventListener('pagehide', handlePageHide);
+		return () => window.removeEventListener('pagehide', handlePageHide);
+	}, []);
+
+	const undoLast = useCallback(() => {
+		const current = undoRef.current;
+		undoRef.current = null;
+		setUndo(null);
+		current?.run();
+	}, []);
+
+	const deleteGists = useCallback(
+		(gists) => {
+			onRemove(gists.map((gist) => gist.id));
+			offerUndo({
+				label: `Deleted ${plural(gists.length, 'gist')}`,
+				run: () => onRestore(gists),
+				onExpire: async () => {
+					const { failed } = await execute('Deleting gists', gists, (gist) =>
+						deleteGist(gist.id, token, undefined, userId),
+					);
+					if (failed.length) onRestore(failed.map(({ item }) => item));
+				},
+				onLeave: () =>
+					Promise.all(
+						gists.map((gist) =>
+							enqueueOperation({
+								userId,
+								type: 'delete',
+								gistId: gist.id,
+								baseUpdatedAt: gist.updated_at ?? null,
+							}),
+						),
+					),
+			});
+		},
+		[execute, offerUndo, onRemove, onRestore, token, userId],
+	);
+
+	const setPrefix = useCallback(
+		async (gists, prefix, mode) => {
+			const changes = gists
+				.map((gist) => ({
+					gist,
+					description: applyDescriptionPrefix(gist.description, prefix, mode),
+				}))
+				.filter(({ gist, description }) => description !== (gist.description || ''));
+			const label = mode === 'remove' ? 'Removing prefix' : 'Adding prefix';
+
+			await settleUndo();
+			if (!changes.length) {
+				setResult({ label, succeeded: 0, failed: [] });
+				return;
+			}
+
+			const { succeeded } = await execute(label, changes, ({ gist, description }) =>
+				updateGist(gist.id, { description }, token, undefined, userId),
+			);
+			const changed = succeeded.map(({ item }) => item);
+			onUpdate(Object.fromEntries(changed.map(({ gist, description }) => [gist.id, description])));
+			if (!changed.length) return;
+
+			offerUndo({
+				label: `Updated ${plural(changed.length, 'description')}`,
+				run: async () => {
+					const reverted = await execute('Restoring descriptions', changed, ({ gist }) =>
+						updateGist(gist.id, { description: gist.description || '' }, token, undefined, userId),
+					);
+					onUpdate(
+						Object.fromEntries(
+							reverted.succeeded.map(({ item }) => [item.gist.id, item.gist.description || '']),
+						),
+					);
+				},
+			});
+		},
+		[execute, offerUndo, settleUndo, onUpdate, token, userId],
+	);
+
+	const setStarred = useCallback(
+		async (gists, starred) => {
+			await settleUndo();
+			const { succeeded } = await execute(
+				starred ? 'Starring gists' : 'Unstarring gists',
+				gists,
+				(gist) => (starred ? starGist(gist.id, token) : unstarGist(gist.id, token)),
+			);
+			onStarred?.(
+				succeeded.map(({ item }) => item.id),
+				starred,
+			);
+		},
+		[execute, settleUndo, onStarred, token],
+	);
+
+	/** Fetch the gists in full and download them as a backup ZIP */
+	const backup = useCallback(
+		async (label, gists) => {
+			const { succeeded, failed } = await execute(
+				label,
+				gists,
+				(gist) => fetchGistForBackup(gist.id, token, userId),
+				{ delay: 0 },
+			);
+			// Stopped part way: don't hand over a backup that silently lacks gists
+			if (!succeeded.length || succeeded.length + failed.length < gists.length) return;
+
+			const archive = buildBackupArchive(
+				succeeded.map(({ result: gist }) => gist),
+				{
+					owner: login ?? null,
+					skipped: failed.map(({ item, error }) => ({
+						id: item.id,
+						description: item.description || '',
+						error: describeError(error),
+					})),
+				},
+			);
+			downloadFile(archive, getBackupFilename(), 'application/zip');
+		},
+		[execute, login, token, userId],
+	);
+
+	const exportGists = useCallback(
+		async (gists) => {
+			await settleUndo();
+			await backup('Exporting gists', gists);
+		},
+		[backup, settleUndo],
+	);
+
+	const exportAll = useCallback(async () => {
+		const label = 'Backing up all gists';
+		await settleUndo();
+		let gists;
+		try {
+			// Waits for a list fetch another view has running rather than skipping it
+			gists = await getGists(token, undefined, userId);
+		} catch (error) {
+			setResult({ label, succeeded: 0, failed: [], error: describeError(error) });
+			return;
+		}
+		// An empty backup would look like a successful one
+		if (!Array.isArray(gists) || !gists.length) {
+			setResult({
+				label,
+				succeeded: 0,
+				failed: [],
+				error: 'No gists were found to back up, so nothing was downloaded.',
+			});
+			return;
+		}
+		await backup(label, gists);
+	}, [backup, settleUndo, token, userId]);
+
+	const cancel = useCallback(() => {
+		if (runRef.current) runRef.current.aborted = true;
+	}, []);
+
+	const dismissResult = useCallback(() => setResult(null), []);
+
+	return {
+		progress,
+		result,
+		undo,
+		deleteGists,
+		setPrefix,
+		setStarred,
+		exportGists,
+		exportAll,
+		cancel,
+		undoLast,
+		dismissResult,
+	};
+};
@@ -0,0 +1,95 @@
+/**
+ * useContentHydration Hook
+ * Loads file contents for a gist list in the background (see
+ * services/contentHydration) and hands them over in batches, so the list
+ * re-renders and re-indexes a couple of times a second rather than per gist.
+ * Starts again when gists are added, removed or updated; a refreshed list
+ * (which comes without content again) gets what was already loaded straight back.
+ */
+import { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { hydrateGistContents, mergeGistContent, needsContent } from '../services/contentHydration';
+import { logError } from '../utils/logger';
+
+const FLUSH_INTERVAL_MS = 500;
+
+/**
+ * @param {Array<Object>} gists - From getGists
+ * @param {(gists: Array<Object>) => void} onContent - Receives list entries with their content
+ * @returns {{
+ *   progress: { done: number, total: number, failed: number }|null,
+ *   failed: number,
+ * }} Progress while loading; failures from the last run
+ */
+export const useContentHydration = (gists, onContent) => {
+	const { user, token } = useAuth();
+	const userId = user?.id;
+	const [progress, setProgress] = useState(null);
+	const [failed, setFailed] = useState(0);
+	const gistsRef = useRef(gists);
+	const onContentRef = useRef(onContent);
+	// Hydrated list entries by gist ID, for the current user
+	const loadedRef = useRef({ userId, byId: new Map() });
+	gistsRef.current = gists;
+	onContentRef.current = onContent;
+	if (loadedRef.current.userId !== userId) loadedRef.current = { userId, byId: new Map() };
+
+	useEffect(() => {
+		const restored = [];
+		for (const gist of gists) {
+			const loaded = loadedRef.current.byId.get(gist.id);
+			if (needsContent(gist) && loaded?.updated_at === gist.updated_at && !needsContent(loaded)) {
+				restored.push(mergeGistContent(gist, loaded));
+			}
+		}
+		if (restored.length) onContentRef.current(restored);
+	}, [gists]);
+
+	// Merging content in doesn't change this, so it doesn't restart the run
+	const listKey = gists.map((gist) => `${gist.id}@${gist.updated_at}`).join(',');
+
+	useEffect(() => {
+		if (!token || !listKey) return;
+
+		const signal = { aborted: false };
+		let batch = [];
+		let flushTimer = null;
+		const flush = () => {
+			flushTimer = null;
+			if (batch.length && !signal.aborted) {
+				for (const gist of batch) loadedRef.current.byId.set(gist.id, gist);
+				onContentRef.current(batch);
+			}
+			batch = [];
+		};
+
+		hydrateGistContents(gistsRef.current, token, userId, {
+			signal,
+			onContent: (hydrated) => {
+				batch.push(...hydrated);
+				flushTimer ??= setTimeout(flush, FLUSH_INTERVAL_MS);
+			},
+			onProgress: (next) => {
+				if (!signal.aborted) setProgress(next);
+			},
+		})
+			.then((result) => {
+				if (signal.aborted) return;
+				clearTimeout(flushTimer);
+				flush();
+				setFailed(result.failed);
+				setProgress(null);
+			})
+			.catch((error) => {
+				logError('Error loading gist contents', { error: error?.message });
+				if (!signal.aborted) setProgress(null);
+			});
+
+		return () => {
+			signal.aborted = true;
+			clearTimeout(flushTimer);
+		};
+	}, [token, userId, listKey]);
+
+	return { progress, failed };
+};
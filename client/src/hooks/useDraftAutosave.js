@@ -0,0 +1,91 @@
+/**
+ * useDraftAutosave Hook
+ * Autosaves editor state as a local draft (see services/draftStore) whenever it
+ * differs from the last saved version, and drops the draft once it matches again.
+ * Pending writes are flushed when the page is hidden or the editor unmounts.
+ */
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { deleteDraft, sameDraftContent, saveDraft, toDraftContent } from '../services/draftStore';
+
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * @param {Object} options
+ * @param {string|number} options.userId
+ * @param {string} options.draftKey - Gist ID or new-draft key
+ * @param {Object} options.gist - Editor gist state
+ * @param {string|null} options.activeFile
+ * @param {string|null} [options.baseVersion] - Revision the edits are based on
+ * @param {boolean} options.enabled - False while loading or while a draft is being offered
+ * @returns {{
+ *   setBaseline: (gist: Object|null) => void,
+ *   clearDraft: () => Promise<void>,
+ *   dirty: boolean,
+ * }} dirty is true while the editor differs from the saved version
+ */
+export const useDraftAutosave = ({ userId, draftKey, gist, activeFile, baseVersion, enabled }) => {
+	const baseline = useRef(null);
+	const hasDraft = useRef(false);
+	const pending = useRef(null);
+	// Same as baseline, for rendering
+	const [savedContent, setSavedContent] = useState(null);
+
+	/** Record the version that is saved on the server (null = nothing loaded yet) */
+	const setBaseline = useCallback((saved) => {
+		baseline.current = saved ? toDraftContent(saved) : null;
+		setSavedContent(baseline.current);
+	}, []);
+
+	const dirty = useMemo(
+		() => savedContent !== null && !sameDraftContent(gist, savedContent),
+		[gist, savedContent],
+	);
+
+	const clearDraft = useCallback(() => {
+		pending.current = null;
+		hasDraft.current = false;
+		return deleteDraft(userId, draftKey);
+	}, [userId, draftKey]);
+
+	useEffect(() => {
+		const saved = baseline.current;
+		if (!enabled || userId == null || !draftKey || !saved) return;
+
+		const persist = () => {
+			// Superseded, or dropped by clearDraft after a save
+			if (pending.current !== persist) return;
+			pending.current = null;
+			if (sameDraftContent(gist, saved)) {
+				if (hasDraft.current) {
+					hasDraft.current = false;
+					deleteDraft(userId, draftKey);
+				}
+				return;
+			}
+			hasDraft.current = true;
+			saveDraft(userId, draftKey, {
+				...toDraftContent(gist),
+				activeFile,
+				baseVersion: baseVersion ?? null,
+			});
+		};
+
+		pending.current = persist;
+		const timer = setTimeout(persist, AUTOSAVE_DELAY);
+		return () => clearTimeout(timer);
+	}, [enabled, userId, draftKey, gist, activeFile, baseVersion]);
+
+	useEffect(() => {
+		const flush = () => pending.current?.();
+		window.addEventListener('pagehide', flush);
+		return () => window.removeEventListener('pagehide', flush);
+	}, []);
+
+	// Write out the last edits before switching to another gist or leaving the editor
+	useEffect(() => {
+		if (userId == null || !draftKey) return;
+		return () => pending.current?.();
+	}, [userId, draftKey]);
+
+	return { setBaseline, clearDraft, dirty };
+};
@@ -0,0 +1,79 @@
+/**
+ * useGistImport Hook
+ * Creates the gists in an import log one at a time, throttled and backing off on
+ * rate limits (see utils/bulkOperations). Each created gist is written to the log
+ * straight away, so running the same log again only creates what is missing.
+ */
+import { useCallback, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { createGist } from '../services/api/gists';
+import { IMPORT_STATUS, saveImportLog, updateImportLog } from '../services/importLog';
+import { describeError, runBulk, WRITE_DELAY_MS } from '../utils/bulkOperations';
+
+/**
+ * @returns {{
+ *   progress: { done: number, total: number }|null,
+ *   runImport: (log: Object, onLogChange: (log: Object) => void) => Promise<Object>,
+ *   stop: () => void,
+ * }}
+ */
+export const useGistImport = () => {
+	const { user, token } = useAuth();
+	const userId = user?.id;
+	const [progress, setProgress] = useState(null);
+	const signalRef = useRef(null);
+
+	const runImport = useCallback(
+		async (initialLog, onLogChange) => {
+			const signal = { aborted: false };
+			signalRef.current = signal;
+
+			let log = await saveImportLog(userId, initialLog);
+			onLogChange(log);
+			const remaining = log.gists.filter((gist) => gist.status !== IMPORT_STATUS.CREATED);
+			setProgress({ done: 0, total: remaining.length });
+
+			const { failed } = await runBulk(
+				remaining,
+				async (gist) => {
+					const created = await createGist(
+						{ description: gist.description, public: gist.public, files: gist.files },
+						token,
+						undefined,
+						userId,
+					);
+					log = await updateImportLog(userId, log, gist.key, {
+						status: IMPORT_STATUS.CREATED,
+						gistId: created.id,
+						error: null,
+					});
+					onLogChange(log);
+					return created;
+				},
+				{
+					delay: WRITE_DELAY_MS,
+					signal,
+					onProgress: ({ done, total }) => setProgress({ done, total }),
+				},
+			);
+
+			for (const { item, error } of failed) {
+				log = await updateImportLog(userId, log, item.key, {
+					status: IMPORT_STATUS.FAILED,
+					error: describeError(error),
+				});
+			}
+			onLogChange(log);
+			signalRef.current = null;
+			setProgress(null);
+			return log;
+		},
+		[token, userId],
+	);
+
+	const stop = useCallback(() => {
+		if (signalRef.current) signalRef.current.aborted = true;
+	}, []);
+
+	return { progress, runImport, stop };
+};
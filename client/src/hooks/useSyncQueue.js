@@ -0,0 +1,94 @@
+/**
+ * useSyncQueue Hook
+ * Tracks connectivity and the offline operation queue for the signed-in user,
+ * and replays the queue on mount and whenever the browser comes back online.
+ */
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { syncPendingOperations } from '../services/api/gists';
+import {
+	getPendingOperations,
+	isOffline,
+	OP_STATUS,
+	resolveOperation,
+} from '../services/syncQueue';
+import { logError } from '../utils/logger';
+
+/**
+ * @returns {{
+ *   online: boolean,
+ *   syncing: boolean,
+ *   operations: Array<Object>,
+ *   pendingCount: number,
+ *   issues: Array<Object>,
+ *   sync: () => Promise<void>,
+ *   resolve: (opId: number, resolution: 'overwrite'|'discard') => Promise<void>,
+ * }}
+ */
+export const useSyncQueue = () => {
+	const { user, token } = useAuth();
+	const userId = user?.id;
+	const [online, setOnline] = useState(() => !isOffline());
+	const [syncing, setSyncing] = useState(false);
+	const [operations, setOperations] = useState([]);
+
+	const refresh = useCallback(async () => {
+		setOperations(await getPendingOperations(userId));
+	}, [userId]);
+
+	const sync = useCallback(async () => {
+		if (!token || userId == null || isOffline()) return;
+
+		setSyncing(true);
+		try {
+			await syncPendingOperations(token, userId);
+		} catch (err) {
+			logError('Failed to sync offline changes', err);
+		} finally {
+			setSyncing(false);
+			refresh();
+		}
+	}, [token, userId, refresh]);
+
+	const resolve = useCallback(
+		async (opId, resolution) => {
+			await resolveOperation(opId, resolution);
+			if (resolution === 'overwrite') await sync();
+		},
+		[sync],
+	);
+
+	useEffect(() => {
+		refresh();
+		window.addEventListener('sync:changed', refresh);
+		return () => window.removeEventListener('sync:changed', refresh);
+	}, [refresh]);
+
+	useEffect(() => {
+		const handleOnline = () => {
+			setOnline(true);
+			sync();
+		};
+		const handleOffline = () => setOnline(false);
+
+		window.addEventListener('online', handleOnline);
+		window.addEventListener('offline', handleOffline);
+		// Replay anything left over from a previous visit
+		sync();
+
+		return () => {
+			window.removeEventListener('online', handleOnline);
+			window.removeEventListener('offline', handleOffline);
+		};
+	}, [sync]);
+
+	return {
+		online,
+		syncing,
+		operations,
+		pendingCount: operations.filter((op) => op.status === OP_STATUS.PENDING).length,
+		issues: operations.filter((op) => op.status !== OP_STATUS.PENDING),
+		sync,
+		resolve,
+	};
+};
@@ -0,0 +1,45 @@
+/**
+ * useUserGists Hook
+ * The signed-in user's gists for pickers that open on demand (the command
+ * palette, the workspace's gist picker): the cached list straight away, then
+ * the fresh one, reloaded each time the picker opens. Opening it while another
+ * view is loading the list waits for that fetch (see getGists). The gist that stores
+ * tags and templates (see services/gistMetadata) is left out.
+ */
+import { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getCachedGists, getGists } from '../services/api/gists';
+import { withoutMetadataGist } from '../services/gistMetadata';
+import { logError } from '../utils/logger';
+
+/**
+ * @param {boolean} open - Whether the picker is open; loads when it becomes true
+ * @returns {Array<Object>} Gists, empty until loaded or when signed out
+ */
+export const useUserGists = (open) => {
+	const { user, token } = useAuth();
+	const [gists, setGists] = useState([]);
+
+	useEffect(() => {
+		if (!open || !token) return;
+
+		let cancelled = false;
+		const load = async () => {
+			try {
+				const cached = await getCachedGists(token, user?.id);
+				if (!cancelled && cached) setGists(withoutMetadataGist(cached));
+				const fresh = await getGists(token, undefined, user?.id);
+				if (!cancelled && Array.isArray(fresh)) setGists(withoutMetadataGist(fresh));
+			} catch (error) {
+				// The cached list (if any) stays
+				logError('Failed to load gists', error);
+			}
+		};
+		load();
+		return () => {
+			cancelled = true;
+		};
+	}, [open, token, user?.id]);
+
+	return gists;
+};
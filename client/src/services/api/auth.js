@@ -1,12 +1,18 @@
 /**
  * Authentication Service
- * Handles GitHub OAuth PKCE flow and session management.
+ * Handles GitHub OAuth PKCE flow and the server-side session. The GitHub token
+ * stays on the server; the browser only holds an HTTP-only session cookie.
  * @module services/api/auth
  */
 
 import axios from 'axios';
 import { ErrorCategory, logError, logInfo, trackError } from '../../utils/logger';
-import { setAuthToken } from './github';
+import { githubApi } from './github';
+
+/**
+ * sessionStorage keys used by versions that kept the token in the browser
+ */
+const LEGACY_SESSION_KEYS = ['github_token', 'gist_manager_session'];
 
 /**
  * Generate a cryptographically secure random string for PKCE code verifier
@@ -65,39 +71,36 @@ export const generateOAuthState = () => {
 };
 
 /**
- * Exchange authorization code for access token via local proxy
- * (GitHub's token endpoint doesn't support CORS)
+ * Exchange authorization code for a server session
+ * The server swaps the code for a token (GitHub's token endpoint doesn't support
+ * CORS), keeps the token and sets the session cookie.
  *
  * @param {string} code - The authorization code from GitHub OAuth redirect
  * @param {string} codeVerifier - The PKCE code verifier stored during login initiation
- * @returns {Promise<string>} The access token
+ * @returns {Promise<{ authenticated: boolean, user: Object, session: { handle: string, expiresAt: string } }>}
  */
-export const exchangeCodeForToken = async (code, codeVerifier) => {
+export const exchangeCodeForSession = async (code, codeVerifier) => {
 	try {
-		logInfo('Exchanging authorization code for token');
+		logInfo('Exchanging authorization code for session');
 
 		const response = await axios.post('/api/auth/token', {
 			code,
 			code_verifier: codeVerifier,
 		});
 
-		if (!response.data?.access_token) {
+		if (!response.data?.authenticated) {
 			const errorMsg =
-				response.data?.error_description || response.data?.error || 'No access token received';
+				response.data?.error_description || response.data?.error || 'No session received';
 			logError('Token exchange failed', { error: errorMsg });
 			trackError(new Error(errorMsg), ErrorCategory.AUTHENTICATION, {
-				step: 'exchangeCodeForToken',
+				step: 'exchangeCodeForSession',
 				hasError: !!response.data?.error,
 			});
 			throw new Error(errorMsg);
 		}
 
-		const accessToken = response.data.access_token;
-		logInfo('Successfully received access token');
-
-		setAuthToken(accessToken);
-
-		return accessToken;
+		logInfo('Session established', { username: response.data.user?.login });
+		return response.data;
 	} catch (error) {
 		logError('GitHub token exchange error', {
 			message: error.message,
@@ -105,7 +108,7 @@ export const exchangeCodeForToken = async (code, codeVerifier) => {
 		});
 
 		trackError(error, ErrorCategory.AUTHENTICATION, {
-			step: 'exchangeCodeForToken',
+			step: 'exchangeCodeForSession',
 			status: error.response?.status,
 		});
 
@@ -117,42 +120,32 @@ export const exchangeCodeForToken = async (code, codeVerifier) => {
 };
 
 /**
- * Get the current authenticated user from GitHub
- * @returns {Promise<Object>} The user data
+ * Ask the server whether the session cookie is valid. When it isn't, dispatches
+ * auth:signed_out so gists cached for whoever last signed in on this browser
+ * are dropped (drafts and queued edits are kept, as for an expired session).
+ * @returns {Promise<{ authenticated: boolean, user: Object|null, session: { handle: string, expiresAt: string }|null }>}
  */
-export const getCurrentUser = async () => {
+export const getSessionStatus = async () => {
 	try {
-		let token = null;
-
-		try {
-			const sessionData = sessionStorage.getItem('gist_manager_session');
-			if (sessionData) {
-				const { token: sessionToken, expiration } = JSON.parse(sessionData);
-				if (expiration && Date.now() < expiration) {
-					token = sessionToken;
-				}
-			}
-		} catch (e) {
-			logError('Error retrieving token from session data', { error: e.message });
-		}
-
-		if (!token) {
-			token = sessionStorage.getItem('github_token');
-		}
-
-		if (!token) {
-			const error = new Error('No authentication token found');
-			logError('No authentication token found');
-			trackError(error, ErrorCategory.AUTHENTICATION, { step: 'getCurrentUser' });
-			throw error;
+		const response = await axios.get('/api/auth/status');
+		if (!response.data?.authenticated && typeof window !== 'undefined') {
+			window.dispatchEvent(new CustomEvent('auth:signed_out'));
 		}
+		return response.data;
+	} catch (error) {
+		logError('Error checking session status', { error: error.message });
+		throw error;
+	}
+};
 
+/**
+ * Get the current authenticated user from GitHub (via the server proxy)
+ * @returns {Promise<Object>} The user data
+ */
+export const getCurrentUser = async () => {
+	try {
 		logInfo('Fetching current user data from GitHub API');
-		const response = await axios.get('https://api.github.com/user', {
-			headers: {
-				Authorization: `Bearer ${token}`,
-			},
-		});
+		const response = await githubApi.get('/user');
 
 		logInfo('Successfully fetched user data', { username: response.data.login });
 		return response.data;
@@ -165,7 +158,7 @@ export const getCurrentUser = async () => {
 		});
 
 		if (error.response?.status === 401) {
-			throw new Error('Authentication token is invalid or expired. Please log in again.');
+			throw new Error('Session is invalid or expired. Please log in again.');
 		} else if (error.response) {
 			throw new Error(`GitHub API error: ${error.response.data?.message || 'Unknown error'}`);
 		} else if (error.request) {
@@ -177,11 +170,11 @@ export const getCurrentUser = async () => {
 };
 
 /**
- * Handle OAuth callback - verify state and exchange code for token
+ * Handle OAuth callback - verify state and exchange code for a session
  *
  * @param {string} code - Authorization code from GitHub
  * @param {string} state - State parameter from callback URL
- * @returns {Promise<Object>} Auth result with access_token and user
+ * @returns {Promise<Object>} Session status with user and session handle
  */
 export const handleOAuthCallback = async (code, state) => {
 	try {
@@ -200,22 +193,11 @@ export const handleOAuthCallback = async (code, state) => {
 		sessionStorage.removeItem('oauth_state');
 		sessionStorage.removeItem('code_verifier');
 
-		const accessToken = await exchangeCodeForToken(code, codeVerifier);
+		const status = await exchangeCodeForSession(code, codeVerifier);
 
-		sessionStorage.setItem('github_token', accessToken);
+		logInfo('OAuth callback completed successfully', { username: status.user?.login });
 
-		const sessionData = {
-			token: accessToken,
-			expiration: Date.now() + 24 * 60 * 60 * 1000,
-			createdAt: new Date().toISOString(),
-		};
-		sessionStorage.setItem('gist_manager_session', JSON.stringify(sessionData));
-
-		const user = await getCurrentUser();
-
-		logInfo('OAuth callback completed successfully', { username: user.login });
-
-		return { access_token: accessToken, user };
+		return status;
 	} catch (error) {
 		logError('OAuth callback error', { error: error.message });
 		throw error;
@@ -223,140 +205,57 @@ export const handleOAuthCallback = async (code, state) => {
 };
 
 /**
- * Check if user is authenticated
- * @returns {boolean} Whether user has a valid session
- */
-export const isAuthenticated = () => {
-	try {
-		const sessionData = sessionStorage.getItem('gist_manager_session');
-		if (!sessionData) {
-			return false;
-		}
-
-		const { expiration } = JSON.parse(sessionData);
-		return expiration && Date.now() < expiration;
-	} catch (error) {
-		logError('Error checking authentication', { error: error.message });
-		return false;
-	}
-};
-
-/**
- * Check if session is expired
- * @returns {boolean} Whether session is expired
+ * Remove tokens left in sessionStorage by versions before server sessions
  */
-export const isSessionExpired = () => {
+export const clearLegacySession = () => {
 	try {
-		const sessionData = sessionStorage.getItem('gist_manager_session');
-		if (!sessionData) {
-			return true;
+		for (const key of LEGACY_SESSION_KEYS) {
+			sessionStorage.removeItem(key);
 		}
-
-		const { expiration } = JSON.parse(sessionData);
-		return !expiration || Date.now() >= expiration;
-	} catch (error) {
-		logError('Error checking session expiration', { error: error.message });
-		return true;
-	}
-};
-
-/**
- * Refresh session expiration if needed
- * @returns {Promise<boolean>} Whether session was refreshed
- */
-export const refreshTokenIfNeeded = async () => {
-	try {
-		const sessionData = sessionStorage.getItem('gist_manager_session');
-		if (!sessionData) {
-			return false;
-		}
-
-		const parsed = JSON.parse(sessionData);
-		const { expiration } = parsed;
-		const timeUntilExpiry = expiration - Date.now();
-
-		if (timeUntilExpiry < 60 * 60 * 1000) {
-			logInfo('Session refresh needed');
-			const sessionUpdate = {
-				...parsed,
-				expiration: Date.now() + 24 * 60 * 60 * 1000,
-			};
-			sessionStorage.setItem('gist_manager_session', JSON.stringify(sessionUpdate));
-			return true;
-		}
-
-		return false;
 	} catch (error) {
-		logError('Error refreshing session', { error: error.message });
-		return false;
+		logError('Error clearing legacy session data', { error: error.message });
 	}
 };
 
 /**
- * Logout user and clear all session data
+ * End the server session and clear client-side auth state.
+ * Only a logout the user asked for dispatches auth:logout, which clears local
+ * work such as queued offline edits and drafts; when the session expired that
+ * work is kept for the next sign-in.
+ * @param {Object} [options]
+ * @param {boolean} [options.expired=false] - The session expired (auth:token_invalid)
+ * @returns {Promise<void>}
  */
-export const logout = () => {
+export const logout = async ({ expired = false } = {}) => {
 	try {
-		logInfo('Logging out user');
+		logInfo(expired ? 'Ending expired session' : 'Logging out user');
 
-		sessionStorage.removeItem('github_token');
-		sessionStorage.removeItem('gist_manager_session');
 		sessionStorage.removeItem('oauth_state');
 		sessionStorage.removeItem('code_verifier');
+		clearLegacySession();
 
-		setAuthToken(null);
-
-		if (typeof window !== 'undefined') {
+		if (!expired && typeof window !== 'undefined') {
 			window.dispatchEvent(new CustomEvent('auth:logout'));
 		}
 
+		await axios.post('/api/auth/logout');
 		logInfo('User logged out successfully');
 	} catch (error) {
 		logError('Error during logout', { error: error.message });
 	}
 };
 
-/**
- * Clear session data
- */
-export const clearSession = () => {
-	try {
-		sessionStorage.removeItem('gist_manager_session');
-		sessionStorage.removeItem('github_token');
-		logInfo('Session cleared');
-	} catch (error) {
-		logError('Error clearing session', { error: error.message });
-	}
-};
-
-/**
- * Save session data
- * @param {Object} sessionData - Session data to save
- */
-export const saveSession = (sessionData) => {
-	try {
-		sessionStorage.setItem('gist_manager_session', JSON.stringify(sessionData));
-		logInfo('Session saved');
-	} catch (error) {
-		logError('Error saving session', { error: error.message });
-		throw error;
-	}
-};
-
 const authService = {
 	generateCodeVerifier,
 	generateCodeChallenge,
 	base64UrlEncode,
 	generateOAuthState,
-	exchangeCodeForToken,
+	exchangeCodeForSession,
+	getSessionStatus,
 	getCurrentUser,
 	handleOAuthCallback,
-	isAuthenticated,
-	isSessionExpired,
-	refreshTokenIfNeeded,
+	clearLegacySession,
 	logout,
-	clearSession,
-	saveSession,
 };
 
 export default authService;
@@ -1,7 +1,7 @@
 /**
  * Authentication Service Tests
  * Tests security-critical OAuth PKCE flow and session management.
- * Focus: State validation, PKCE flow, token handling, session security.
+ * Focus: State validation, PKCE flow, server session handling, no token in the browser.
  */
 
 import axios from 'axios';
@@ -15,7 +15,7 @@ vi.mock('axios', () => ({
 	},
 }));
 
-vi.mock('./github', () => ({ setAuthToken: vi.fn() }));
+vi.mock('./github', () => ({ githubApi: { get: vi.fn() } }));
 vi.mock('../../utils/logger', () => ({
 	logInfo: vi.fn(),
 	logError: vi.fn(),
@@ -31,10 +31,15 @@ vi.mock('../../utils/logger', () => ({
 }));
 
 const authService = await import('./auth');
-const { setAuthToken } = await import('./github');
+const { githubApi } = await import('./github');
 
 const mockUser = { id: 12345, login: 'testuser' };
 const mockToken = 'gho_test_token_12345';
+const mockStatus = {
+	authenticated: true,
+	user: mockUser,
+	session: { handle: 'session-handle', expiresAt: '2099-01-01T00:00:00.000Z' },
+};
 
 describe('Authentication Service', () => {
 	beforeEach(() => {
@@ -105,38 +110,41 @@ describe('Authentication Service', () => {
 			);
 		});
 
-		it('handleOAuthCallback exchanges code for token on valid state', async () => {
+		it('handleOAuthCallback exchanges code for a server session on valid state', async () => {
 			sessionStorage.setItem('oauth_state', 'valid_state');
 			sessionStorage.setItem('code_verifier', 'test_verifier');
-			axios.post.mockResolvedValue({ data: { access_token: mockToken } });
-			axios.get.mockResolvedValue({ data: mockUser });
+			axios.post.mockResolvedValue({ data: mockStatus });
 
 			const result = await authService.handleOAuthCallback('code', 'valid_state');
 
-			expect(result.access_token).toBe(mockToken);
-			expect(sessionStorage.getItem('github_token')).toBe(mockToken);
+			expect(result.user).toEqual(mockUser);
+			expect(result.session.handle).toBe('session-handle');
+			expect(sessionStorage.getItem('github_token')).toBeNull();
+			expect(sessionStorage.getItem('gist_manager_session')).toBeNull();
 			expect(sessionStorage.getItem('oauth_state')).toBeNull();
 			expect(sessionStorage.getItem('code_verifier')).toBeNull();
 		});
 
-		it('exchangeCodeForToken throws on missing token response', async () => {
+		it('exchangeCodeForSession throws when no session is created', async () => {
 			axios.post.mockResolvedValue({ data: {} });
 
-			await expect(authService.exchangeCodeForToken('code', 'verifier')).rejects.toThrow();
+			await expect(authService.exchangeCodeForSession('code', 'verifier')).rejects.toThrow();
 		});
 
-		it('exchangeCodeForToken throws on error response', async () => {
+		it('exchangeCodeForSession throws on error response', async () => {
 			axios.post.mockResolvedValue({
 				data: { error: 'bad_verification_code', error_description: 'The code passed is incorrect' },
 			});
 
-			await expect(authService.exchangeCodeForToken('bad_code', 'verifier')).rejects.toThrow();
+			await expect(authService.exchangeCodeForSession('bad_code', 'verifier')).rejects.toThrow(
+				'The code passed is incorrect',
+			);
 		});
 
-		it('exchangeCodeForToken calls local proxy endpoint', async () => {
-			axios.post.mockResolvedValue({ data: { access_token: mockToken } });
+		it('exchangeCodeForSession calls local proxy endpoint', async () => {
+			axios.post.mockResolvedValue({ data: mockStatus });
 
-			await authService.exchangeCodeForToken('test_code', 'test_verifier');
+			await authService.exchangeCodeForSession('test_code', 'test_verifier');
 
 			expect(axios.post).toHaveBeenCalledWith('/api/auth/token', {
 				code: 'test_code',
@@ -146,115 +154,86 @@ describe('Authentication Service', () => {
 	});
 
 	describe('Session Management', () => {
-		it('isAuthenticated returns false for expired session', () => {
-			sessionStorage.setItem(
-				'gist_manager_session',
-				JSON.stringify({
-					token: mockToken,
-					expiration: Date.now() - 1000,
-				}),
-			);
-			expect(authService.isAuthenticated()).toBe(false);
-		});
+		it('getSessionStatus reads the cookie-backed session from the server', async () => {
+			axios.get.mockResolvedValue({ data: mockStatus });
 
-		it('isAuthenticated returns true for valid session', () => {
-			sessionStorage.setItem(
-				'gist_manager_session',
-				JSON.stringify({
-					token: mockToken,
-					expiration: Date.now() + 3600000,
-				}),
-			);
-			expect(authService.isAuthenticated()).toBe(true);
-		});
+			const status = await authService.getSessionStatus();
 
-		it('isSessionExpired returns true when no session exists', () => {
-			expect(authService.isSessionExpired()).toBe(true);
+			expect(axios.get).toHaveBeenCalledWith('/api/auth/status');
+			expect(status).toEqual(mockStatus);
 		});
 
-		it('isSessionExpired returns false for valid session', () => {
-			sessionStorage.setItem(
-				'gist_manager_session',
-				JSON.stringify({
-					token: mockToken,
-					expiration: Date.now() + 3600000,
-				}),
-			);
-			expect(authService.isSessionExpired()).toBe(false);
+		it('getSessionStatus announces a signed-out browser so cached gists are dropped', async () => {
+			const listener = vi.fn();
+			window.addEventListener('auth:signed_out', listener);
+
+			axios.get.mockResolvedValue({ data: mockStatus });
+			await authService.getSessionStatus();
+			expect(listener).not.toHaveBeenCalled();
+
+			axios.get.mockResolvedValue({ data: { authenticated: false, user: null, session: null } });
+			await authService.getSessionStatus();
+			expect(listener).toHaveBeenCalledTimes(1);
+
+			// Unreachable isn't signed out
+			axios.get.mockRejectedValue(new Error('Network Error'));
+			await expect(authService.getSessionStatus()).rejects.toThrow('Network Error');
+			expect(listener).toHaveBeenCalledTimes(1);
+			window.removeEventListener('auth:signed_out', listener);
 		});
 
-		it('logout clears all auth data and dispatches event', () => {
+		it('clearLegacySession removes tokens stored by older versions', () => {
 			sessionStorage.setItem('github_token', mockToken);
 			sessionStorage.setItem('gist_manager_session', JSON.stringify({ token: mockToken }));
+
+			authService.clearLegacySession();
+
+			expect(sessionStorage.getItem('github_token')).toBeNull();
+			expect(sessionStorage.getItem('gist_manager_session')).toBeNull();
+		});
+
+		it('logout ends the server session, clears auth data and dispatches event', async () => {
+			sessionStorage.setItem('github_token', mockToken);
 			sessionStorage.setItem('oauth_state', 'test_state');
 			sessionStorage.setItem('code_verifier', 'test_verifier');
+			axios.post.mockResolvedValue({ data: { success: true } });
 			const listener = vi.fn();
 			window.addEventListener('auth:logout', listener);
 
-			authService.logout();
+			await authService.logout();
 
+			expect(axios.post).toHaveBeenCalledWith('/api/auth/logout');
 			expect(sessionStorage.getItem('github_token')).toBeNull();
-			expect(sessionStorage.getItem('gist_manager_session')).toBeNull();
 			expect(sessionStorage.getItem('oauth_state')).toBeNull();
 			expect(sessionStorage.getItem('code_verifier')).toBeNull();
-			expect(setAuthToken).toHaveBeenCalledWith(null);
 			expect(listener).toHaveBeenCalled();
 			window.removeEventListener('auth:logout', listener);
 		});
 
-		it('refreshTokenIfNeeded extends session when near expiry', async () => {
-			const nearExpiry = Date.now() + 30 * 60 * 1000; // 30 minutes
-			sessionStorage.setItem(
-				'gist_manager_session',
-				JSON.stringify({
-					token: mockToken,
-					expiration: nearExpiry,
-				}),
-			);
-
-			const refreshed = await authService.refreshTokenIfNeeded();
-
-			expect(refreshed).toBe(true);
-			const session = JSON.parse(sessionStorage.getItem('gist_manager_session'));
-			expect(session.expiration).toBeGreaterThan(nearExpiry);
-		});
-
-		it('refreshTokenIfNeeded does not extend when not near expiry', async () => {
-			const farExpiry = Date.now() + 12 * 60 * 60 * 1000; // 12 hours
-			sessionStorage.setItem(
-				'gist_manager_session',
-				JSON.stringify({
-					token: mockToken,
-					expiration: farExpiry,
-				}),
-			);
+		it('logout still clears client state when the server is unreachable', async () => {
+			axios.post.mockRejectedValue(new Error('Network Error'));
+			const listener = vi.fn();
+			window.addEventListener('auth:logout', listener);
 
-			const refreshed = await authService.refreshTokenIfNeeded();
+			await expect(authService.logout()).resolves.toBeUndefined();
 
-			expect(refreshed).toBe(false);
+			expect(listener).toHaveBeenCalled();
+			window.removeEventListener('auth:logout', listener);
 		});
 	});
 
 	describe('User Fetching', () => {
-		it('getCurrentUser throws when no token exists', async () => {
-			await expect(authService.getCurrentUser()).rejects.toThrow('No authentication token');
-		});
-
-		it('getCurrentUser returns user data with valid token', async () => {
-			sessionStorage.setItem('github_token', mockToken);
-			axios.get.mockResolvedValue({ data: mockUser });
+		it('getCurrentUser fetches the user through the proxy without a token', async () => {
+			githubApi.get.mockResolvedValue({ data: mockUser });
 
 			const result = await authService.getCurrentUser();
 
 			expect(result).toEqual(mockUser);
-			expect(axios.get).toHaveBeenCalledWith('https://api.github.com/user', {
-				headers: { Authorization: `Bearer ${mockToken}` },
-			});
+			expect(githubApi.get).toHaveBeenCalledWith('/user');
 		});
 
 		it('getCurrentUser throws on 401 response', async () => {
-			sessionStorage.setItem('github_token', mockToken);
-			axios.get.mockRejectedValue({ response: { status: 401 } });
+			githubApi.get.mockRejectedValue({ response: { status: 401 } });
 
 			await expect(authService.getCurrentUser()).rejects.toThrow('invalid or expired');
 		});
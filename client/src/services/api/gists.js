@@ -2,10 +2,36 @@
  * Gist API Service
  * Primary service for GitHub Gist CRUD operations with client-side caching.
  * Implements per-user cache isolation and security best practices.
+ * Fetched data is also persisted to IndexedDB (see services/gistStore) so views
+ * can render it instantly via getCachedGists/getCachedGist and then revalidate.
+ * Writes made while offline are queued (see services/syncQueue), returned
+ * optimistically with `_pendingSync: true`, and replayed by syncPendingOperations.
  * @module services/api/gists
  */
 
 import { handleApiError, logError, logInfo } from '../../utils/logger';
+import {
+	createSearchIndex,
+	parseSearchQuery,
+	searchGistIndex,
+	usesStarredFilter,
+} from '../../utils/search';
+import { deleteEntry, readEntry, writeEntry } from '../gistStore';
+import {
+	applyPendingOperations,
+	applyPendingToGist,
+	buildLocalGist,
+	createLocalGistId,
+	enqueueOperation,
+	getPendingOperations,
+	isLocalGistId,
+	isNetworkError,
+	isOffline,
+	OP_STATUS,
+	remapGistId,
+	removeOperation,
+	updateOperation,
+} from '../syncQueue';
 import { githubApi } from './github';
 
 /**
@@ -15,20 +41,22 @@ import { githubApi } from './github';
 const cacheByUser = new Map();
 const FETCH_COOLDOWN = 5000;
 const CACHE_TTL = 60000;
+const LIST_STORE_KEY = 'list';
+const gistStoreKey = (id) => `gist:${id}`;
 
 /**
- * Generate a secure cache key based on token and user ID
- * This prevents cache pollution between users
+ * Cache partition for a signed-in user. Keyed by user ID rather than the
+ * session handle, which changes on every sign-in and would strand the user's
+ * cached gists in a partition nothing reads again.
+ * @param {string} token - Session handle; no session means no cache
+ * @param {string|number} [userId]
+ * @returns {string|null}
  */
 const getCacheKey = (token, userId) => {
-	if (!token) {
-		// No token = no cache (security requirement)
+	if (!token || userId == null) {
 		return null;
 	}
-	// Include user ID if available for additional security
-	const key = userId ? `${token}_${userId}` : token;
-	// Hash the key for security (prevent token exposure in memory dumps)
-	return btoa(key).substring(0, 32); // Simple obfuscation
+	return `user-${userId}`;
 };
 
 /**
@@ -62,18 +90,113 @@ export const clearUserCache = () => {
 if (typeof window !== 'undefined') {
 	window.addEventListener('auth:logout', clearUserCache);
 	window.addEventListener('auth:token_invalid', clearUserCache);
+	window.addEventListener('auth:signed_out', clearUserCache);
 }
 
+/**
+ * Apply a change to the persisted gist list, if one exists
+ * @param {string} token - Session handle
+ * @param {string} userId - User ID (partition)
+ * @param {(gists: Array) => Array} change
+ */
+const updateStoredList = async (token, userId, change) => {
+	const storeKey = getCacheKey(token, userId);
+	const stored = await readEntry(storeKey, LIST_STORE_KEY);
+	if (Array.isArray(stored?.data)) {
+		await writeEntry(storeKey, LIST_STORE_KEY, change(stored.data));
+	}
+};
+
+const upsertGist = (gists, gist) => [gist, ...gists.filter((g) => g.id !== gist.id)];
+
+/**
+ * Show the user's queued offline changes on top of server data
+ * @param {Array} gists
+ * @param {string} [userId]
+ * @returns {Promise<Array>}
+ */
+const withPendingChanges = async (gists, userId) => {
+	const ops = await getPendingOperations(userId);
+	return ops.length ? applyPendingOperations(gists, ops) : gists;
+};
+
+/**
+ * Whether a failed or skipped write should go to the offline queue
+ * @param {Error|null} error - Request error, or null before trying
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+const shouldQueue = (error, userId) =>
+	userId != null && (error ? isNetworkError(error) : isOffline());
+
+/**
+ * Queue a write and return what the caller would have got back from GitHub
+ * @param {Object} operation - See enqueueOperation
+ * @param {string} token - Session handle
+ * @returns {Promise<Object|boolean>}
+ */
+const queueWrite = async (operation, token) => {
+	const { userId, type, gistId, data } = operation;
+	const stored = await readEntry(getCacheKey(token, userId), gistStoreKey(gistId));
+
+	await enqueueOperation({ ...operation, baseUpdatedAt: stored?.data?.updated_at ?? null });
+
+	if (type === 'delete') return true;
+	if (type === 'create') return buildLocalGist(gistId, data);
+	const ops = await getPendingOperations(userId);
+	return applyPendingToGist(stored?.data ?? { id: gistId, files: {} }, gistId, ops);
+};
+
+/**
+ * Last known gist list for instant rendering (memory first, then IndexedDB)
+ * Callers should follow up with getGists to revalidate.
+ *
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} [userId] - User ID for cache isolation
+ * @returns {Promise<Array|null>} Cached gists, or null when nothing is stored
+ */
+export const getCachedGists = async (token, userId = null) => {
+	const cacheKey = getCacheKey(token, userId);
+	if (!cacheKey) return null;
+
+	const entry = cacheByUser.get(cacheKey);
+	if (entry?.data) return withPendingChanges(entry.data, userId);
+
+	const stored = await readEntry(cacheKey, LIST_STORE_KEY);
+	return Array.isArray(stored?.data) ? withPendingChanges(stored.data, userId) : null;
+};
+
+/**
+ * Last known copy of a single gist for instant rendering
+ * Callers should follow up with getGist to revalidate.
+ *
+ * @param {string} id - Gist ID
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} [userId] - User ID for cache isolation
+ * @returns {Promise<Object|null>}
+ */
+export const getCachedGist = async (id, token, userId = null) => {
+	const stored = await readEntry(getCacheKey(token, userId), gistStoreKey(id));
+	const ops = await getPendingOperations(userId);
+	return applyPendingToGist(stored?.data ?? null, id, ops);
+};
+
 /**
  * Fetch all gists for the authenticated user, with pagination
- * Utilizes per-user caching with proper isolation
+ * Utilizes per-user caching with proper isolation. Pages go through the server
+ * proxy, which revalidates them with ETags, so refetches after the short
+ * in-memory TTL are mostly 304s that don't use rate limit.
+ * Queued offline changes are overlaid on the result.
  *
- * @param {string} token - REQUIRED: GitHub access token
+ * @param {string} token - REQUIRED: session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @param {string} [userId] - Optional user ID for cache isolation
  * @returns {Promise<Array>}
  */
-export const getGists = async (token, setError, userId = null) => {
+export const getGists = async (token, setError, userId = null) =>
+	withPendingChanges(await fetchGistList(token, setError, userId), userId);
+
+const fetchGistList = async (token, setError, userId) => {
 	// SECURITY: Require token for all gist fetching
 	if (!token) {
 		const error = new Error('Authentication required to fetch gists');
@@ -84,16 +207,15 @@ export const getGists = async (token, setError, userId = null) => {
 
 	const cacheKey = getCacheKey(token, userId);
 	if (!cacheKey) {
-		// Should not happen with token present, but handle gracefully
-		logError('Failed to generate cache key');
-		throw new Error('Cache key generation failed');
+		logError('getGists called without a user ID');
+		throw new Error('User ID required to fetch gists');
 	}
 
 	const now = Date.now();
 	let entry = cacheByUser.get(cacheKey);
 
 	if (!entry) {
-		entry = { data: null, ts: 0, fetching: false, userId };
+		entry = { data: null, ts: 0, pending: null, userId };
 		cacheByUser.set(cacheKey, entry);
 	}
 
@@ -101,7 +223,7 @@ export const getGists = async (token, setError, userId = null) => {
 	if (userId && entry.userId && entry.userId !== userId) {
 		logError('Cache entry user mismatch - clearing cache');
 		cacheByUser.delete(cacheKey);
-		entry = { data: null, ts: 0, fetching: false, userId };
+		entry = { data: null, ts: 0, pending: null, userId };
 		cacheByUser.set(cacheKey, entry);
 	}
 
@@ -111,75 +233,94 @@ export const getGists = async (token, setError, userId = null) => {
 		return entry.data;
 	}
 
-	// Prevent concurrent fetches
-	if (entry.fetching) {
-		logInfo('Fetch prevented: Already fetching gists');
-		return entry.data || [];
-	}
-
 	// Respect cooldown
-	if (now - entry.ts < FETCH_COOLDOWN) {
+	if (entry.data && now - entry.ts < FETCH_COOLDOWN) {
 		logInfo('Fetch prevented: Cooldown period not elapsed');
-		return entry.data || [];
+		return entry.data;
 	}
 
-	try {
+	// Concurrent callers share one fetch rather than each getting a partial or empty list
+	if (entry.pending) {
+		logInfo('Waiting for the gist list fetch already in progress');
+	} else {
 		logInfo('Fetching gists for authenticated user');
-		entry.fetching = true;
-
-		const allGists = [];
-		const perPage = 100;
-		let page = 1;
-
-		// Always use the provided token for authorization
-		const headers = { Authorization: `Bearer ${token}` };
-
-		while (true) {
-			const response = await githubApi.get(`/gists?per_page=${perPage}&page=${page}`, { headers });
-			const gists = response.data;
-			allGists.push(...gists);
-			if (gists.length < perPage) break;
-			page++;
-		}
-
-		// Cache result with user association
-		entry.data = allGists;
-		entry.ts = Date.now();
-		entry.userId = userId;
-		logInfo(`Successfully fetched ${allGists.length} gists`);
+		entry.pending = fetchAllGistPages(entry, cacheKey, userId).finally(() => {
+			entry.pending = null;
+		});
+	}
 
-		return allGists;
+	try {
+		return await entry.pending;
 	} catch (error) {
 		logError('Error fetching gists', { error: error.message });
 		handleApiError(error, setError);
 		throw error;
-	} finally {
-		entry.fetching = false;
 	}
 };
 
+/**
+ * Fetch every page of the user's gists into a cache entry
+ * @param {Object} entry - In-memory cache entry
+ * @param {string} cacheKey - Persistent cache partition
+ * @param {string} [userId]
+ * @returns {Promise<Array>}
+ */
+const fetchAllGistPages = async (entry, cacheKey, userId) => {
+	const allGists = [];
+	const perPage = 100;
+	let page = 1;
+
+	while (true) {
+		const response = await githubApi.get(`/gists?per_page=${perPage}&page=${page}`);
+		const gists = response.data;
+		allGists.push(...gists);
+		if (gists.length < perPage) break;
+		page++;
+	}
+
+	// Cache result with user association
+	entry.data = allGists;
+	entry.ts = Date.now();
+	entry.userId = userId;
+	writeEntry(cacheKey, LIST_STORE_KEY, allGists);
+	logInfo(`Successfully fetched ${allGists.length} gists`);
+
+	return allGists;
+};
+
 /**
  * Fetch a single gist by ID
  * SECURITY: Requires authentication token
  *
  * @param {string} id - Gist ID
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
+ * @param {string} [userId] - User ID for the persistent cache partition
  * @returns {Promise<Object>}
  */
-export const getGist = async (id, token, setError) => {
+export const getGist = async (id, token, setError, userId = null) => {
 	if (!token) {
 		const error = new Error('Authentication required');
 		if (setError) setError('Authentication required');
 		throw error;
 	}
 
+	// Gists created offline only exist in the queue
+	if (isLocalGistId(id)) {
+		const gist = await getCachedGist(id, token, userId);
+		if (gist) return gist;
+		const error = new Error('Gist not found');
+		if (setError) setError('Gist not found');
+		throw error;
+	}
+
 	try {
 		logInfo(`Fetching gist with ID: ${id}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		const response = await githubApi.get(`/gists/${id}`, { headers });
+		const response = await githubApi.get(`/gists/${id}`);
 		logInfo(`Successfully fetched gist: ${id}`);
-		return response.data;
+		writeEntry(getCacheKey(token, userId), gistStoreKey(id), response.data);
+		const ops = await getPendingOperations(userId);
+		return applyPendingToGist(response.data, id, ops) ?? response.data;
 	} catch (error) {
 		logError(`Error fetching gist: ${id}`, { error: error.message });
 		handleApiError(error, setError);
@@ -213,12 +354,43 @@ export const getPublicGist = async (id, setError) => {
 	}
 };
 
+/**
+ * Fetch a gist as it was at one revision
+ * Works without a session for public gists. Revisions never change, so they
+ * are kept in the persistent cache for signed-in users.
+ *
+ * @param {string} id - Gist ID
+ * @param {string} sha - Revision version from the gist's `history`
+ * @param {string|null} token - Session handle from useAuth(), if signed in
+ * @param {Function} [setError] - Error handler
+ * @param {string} [userId] - User ID for the persistent cache partition
+ * @returns {Promise<Object>}
+ */
+export const getGistRevision = async (id, sha, token, setError, userId = null) => {
+	const storeKey = getCacheKey(token, userId);
+	const revisionKey = `revision:${id}:${sha}`;
+
+	const stored = await readEntry(storeKey, revisionKey);
+	if (stored?.data) return stored.data;
+
+	try {
+		logInfo(`Fetching revision ${sha} of gist: ${id}`);
+		const response = await githubApi.get(`/gists/${id}/${sha}`);
+		writeEntry(storeKey, revisionKey, response.data);
+		return response.data;
+	} catch (error) {
+		logError(`Error fetching revision ${sha} of gist: ${id}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
 /**
  * Fork a gist to the authenticated user's account
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID to fork
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @param {string} [userId] - User ID for cache invalidation
  * @returns {Promise<Object>} - The forked gist
@@ -232,12 +404,12 @@ export const forkGist = async (gistId, token, setError, userId = null) => {
 
 	try {
 		logInfo(`Forking gist: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		const response = await githubApi.post(`/gists/${gistId}/forks`, {}, { headers });
+		const response = await githubApi.post(`/gists/${gistId}/forks`, {});
 		logInfo(`Successfully forked gist: ${gistId} -> ${response.data.id}`);
 
 		// Invalidate user-specific cache since they now have a new gist
 		invalidateGistsCache(token, userId);
+		await updateStoredList(token, userId, (gists) => upsertGist(gists, response.data));
 
 		return response.data;
 	} catch (error) {
@@ -249,11 +421,11 @@ export const forkGist = async (gistId, token, setError, userId = null) => {
 
 /**
  * Create a new gist
- * Invalidates cache on success
+ * Invalidates cache on success; queued for later sync when offline
  * SECURITY: Requires authentication
  *
  * @param {Object} gistData - Gist data
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @param {string} [userId] - User ID for cache invalidation
  * @returns {Promise<Object>}
@@ -265,17 +437,30 @@ export const createGist = async (gistData, token, setError, userId = null) => {
 		throw error;
 	}
 
+	if (shouldQueue(null, userId)) {
+		return queueWrite(
+			{ userId, type: 'create', gistId: createLocalGistId(), data: gistData },
+			token,
+		);
+	}
+
 	try {
 		logInfo('Creating new gist', { description: gistData.description });
-		const headers = { Authorization: `Bearer ${token}` };
-		const response = await githubApi.post('/gists', gistData, { headers });
+		const response = await githubApi.post('/gists', gistData);
 		logInfo(`Successfully created gist: ${response.data.id}`);
 
 		// Invalidate user-specific cache
 		invalidateGistsCache(token, userId);
+		await updateStoredList(token, userId, (gists) => upsertGist(gists, response.data));
 
 		return response.data;
 	} catch (error) {
+		if (shouldQueue(error, userId)) {
+			return queueWrite(
+				{ userId, type: 'create', gistId: createLocalGistId(), data: gistData },
+				token,
+			);
+		}
 		logError('Error creating gist', { error: error.message });
 		handleApiError(error, setError);
 		throw error;
@@ -284,12 +469,12 @@ export const createGist = async (gistData, token, setError, userId = null) => {
 
 /**
  * Update an existing gist
- * Invalidates cache on success
+ * Invalidates cache on success; queued for later sync when offline
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID
  * @param {Object} gistData - Updated gist data
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @param {string} [userId] - User ID for cache invalidation
  * @returns {Promise<Object>}
@@ -301,17 +486,25 @@ export const updateGist = async (gistId, gistData, token, setError, userId = nul
 		throw error;
 	}
 
+	if (isLocalGistId(gistId) || shouldQueue(null, userId)) {
+		return queueWrite({ userId, type: 'update', gistId, data: gistData }, token);
+	}
+
 	try {
 		logInfo(`Updating gist: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		const response = await githubApi.patch(`/gists/${gistId}`, gistData, { headers });
+		const response = await githubApi.patch(`/gists/${gistId}`, gistData);
 		logInfo(`Successfully updated gist: ${gistId}`);
 
 		// Invalidate user-specific cache
 		invalidateGistsCache(token, userId);
+		await writeEntry(getCacheKey(token, userId), gistStoreKey(gistId), response.data);
+		await updateStoredList(token, userId, (gists) => upsertGist(gists, response.data));
 
 		return response.data;
 	} catch (error) {
+		if (shouldQueue(error, userId)) {
+			return queueWrite({ userId, type: 'update', gistId, data: gistData }, token);
+		}
 		logError(`Error updating gist: ${gistId}`, { error: error.message });
 		handleApiError(error, setError);
 		throw error;
@@ -320,11 +513,11 @@ export const updateGist = async (gistId, gistData, token, setError, userId = nul
 
 /**
  * Delete a gist
- * Invalidates cache on success
+ * Invalidates cache on success; queued for later sync when offline
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @param {string} [userId] - User ID for cache invalidation
  * @returns {Promise<boolean>}
@@ -336,34 +529,177 @@ export const deleteGist = async (gistId, token, setError, userId = null) => {
 		throw error;
 	}
 
+	if (isLocalGistId(gistId) || shouldQueue(null, userId)) {
+		return queueWrite({ userId, type: 'delete', gistId }, token);
+	}
+
 	try {
 		logInfo(`Deleting gist: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		await githubApi.delete(`/gists/${gistId}`, { headers });
+		await githubApi.delete(`/gists/${gistId}`);
 		logInfo(`Successfully deleted gist: ${gistId}`);
 
 		// Invalidate user-specific cache
 		invalidateGistsCache(token, userId);
+		await deleteEntry(getCacheKey(token, userId), gistStoreKey(gistId));
+		await updateStoredList(token, userId, (gists) => gists.filter((g) => g.id !== gistId));
 
 		return true;
 	} catch (error) {
+		if (shouldQueue(error, userId)) {
+			return queueWrite({ userId, type: 'delete', gistId }, token);
+		}
 		logError(`Error deleting gist: ${gistId}`, { error: error.message });
 		handleApiError(error, setError);
 		throw error;
 	}
 };
 
+let syncInFlight = null;
+
+/**
+ * Replay one queued operation against GitHub
+ * Updates and deletes are checked against the remote `updated_at` first so a
+ * gist changed elsewhere in the meantime is flagged as a conflict, not overwritten.
+ *
+ * @param {Object} op - Queued operation
+ * @param {string} storeKey - Persistent cache partition
+ * @returns {Promise<{ gist?: Object, conflict?: boolean }>}
+ */
+const replayOperation = async (op, storeKey) => {
+	if (op.type === 'create') {
+		const response = await githubApi.post('/gists', op.data);
+		return { gist: response.data };
+	}
+
+	if (op.baseUpdatedAt) {
+		try {
+			const { data: remote } = await githubApi.get(`/gists/${op.gistId}`);
+			if (remote.updated_at !== op.baseUpdatedAt) {
+				writeEntry(storeKey, gistStoreKey(op.gistId), remote);
+				return { conflict: true };
+			}
+		} catch (error) {
+			// Already gone, which is what the delete wanted
+			if (op.type === 'delete' && error.response?.status === 404) return {};
+			throw error;
+		}
+	}
+
+	if (op.type === 'update') {
+		const response = await githubApi.patch(`/gists/${op.gistId}`, op.data);
+		return { gist: response.data };
+	}
+
+	try {
+		await githubApi.delete(`/gists/${op.gistId}`);
+	} catch (error) {
+		if (error.response?.status !== 404) throw error;
+	}
+	return {};
+};
+
+const replayQueue = async (token, userId) => {
+	const storeKey = getCacheKey(token, userId);
+	const ops = await getPendingOperations(userId);
+	const idMap = {};
+	// Later operations on a gist wait until earlier ones are settled
+	const blocked = new Set();
+	let synced = 0;
+	let conflicts = 0;
+
+	for (const queued of ops) {
+		const op = { ...queued, gistId: idMap[queued.gistId] ?? queued.gistId };
+		if (blocked.has(op.gistId) || op.status !== OP_STATUS.PENDING) {
+			blocked.add(op.gistId);
+			continue;
+		}
+
+		try {
+			logInfo(`Syncing queued ${op.type} for gist: ${op.gistId}`);
+			const { gist, conflict } = await replayOperation(op, storeKey);
+
+			if (conflict) {
+				await updateOperation(op.id, { status: OP_STATUS.CONFLICT });
+				blocked.add(op.gistId);
+				conflicts++;
+				continue;
+			}
+
+			await removeOperation(op.id);
+			synced++;
+
+			if (op.type === 'create') {
+				idMap[op.gistId] = gist.id;
+				await remapGistId(userId, op.gistId, gist.id);
+			}
+			if (gist) {
+				await writeEntry(storeKey, gistStoreKey(gist.id), gist);
+				await updateStoredList(token, userId, (gists) => upsertGist(gists, gist));
+			} else {
+				await deleteEntry(storeKey, gistStoreKey(op.gistId));
+				await updateStoredList(token, userId, (gists) => gists.filter((g) => g.id !== op.gistId));
+			}
+		} catch (error) {
+			if (isNetworkError(error)) {
+				logInfo('Sync paused: still offline');
+				break;
+			}
+			logError(`Failed to sync queued ${op.type} for gist: ${op.gistId}`, {
+				error: error.message,
+			});
+			await updateOperation(op.id, {
+				status: OP_STATUS.FAILED,
+				error: error.response?.data?.message || error.message,
+			});
+			blocked.add(op.gistId);
+		}
+	}
+
+	if (synced) {
+		invalidateGistsCache(token, userId);
+		logInfo(`Synced ${synced} queued gist operation(s)`);
+		window.dispatchEvent(new CustomEvent('sync:completed', { detail: { idMap } }));
+	}
+
+	return { synced, conflicts, idMap };
+};
+
+/**
+ * Replay queued offline operations in order
+ * Stops at the first network failure and leaves the rest queued. Conflicts and
+ * failures are kept in the queue for the user to resolve (see resolveOperation
+ * in services/syncQueue). Concurrent calls share one run.
+ * Dispatches `sync:completed` with `{ idMap }` (local ID -> GitHub ID) when
+ * anything was synced.
+ *
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} userId - User ID that owns the queue
+ * @returns {Promise<{ synced: number, conflicts: number, idMap: Object }>}
+ */
+export const syncPendingOperations = (token, userId) => {
+	if (!token || userId == null) return Promise.resolve({ synced: 0, conflicts: 0, idMap: {} });
+
+	if (!syncInFlight) {
+		syncInFlight = replayQueue(token, userId).finally(() => {
+			syncInFlight = null;
+		});
+	}
+	return syncInFlight;
+};
+
 /**
  * Search through user's gists (client-side)
  * SECURITY: Requires authentication
+ * See utils/search for the query syntax; results are ordered by relevance.
  *
  * @param {string} query - The search query
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Optional state setter for error handling
  * @param {string} [userId] - Optional user ID for cache key
+ * @param {Object} [context] - Passed to searchGistIndex, e.g. `getTags` for `tag:`
  * @returns {Promise<Array>}
  */
-export const searchGists = async (query, token, setError, userId = null) => {
+export const searchGists = async (query, token, setError, userId = null, context = {}) => {
 	if (!token) {
 		const error = new Error('Authentication required');
 		if (setError) setError('Authentication required');
@@ -372,16 +708,15 @@ export const searchGists = async (query, token, setError, userId = null) => {
 
 	try {
 		logInfo(`Searching gists with query: ${query}`);
-		const allGists = await getGists(token, setError, userId);
-		const normalizedQuery = query.toLowerCase();
-		const results = allGists.filter((gist) => {
-			if (gist.description?.toLowerCase().includes(normalizedQuery)) return true;
-			if (Object.keys(gist.files).some((fn) => fn.toLowerCase().includes(normalizedQuery)))
-				return true;
-			return Object.values(gist.files).some((file) =>
-				file.content?.toLowerCase().includes(normalizedQuery),
-			);
-		});
+		const parsed = parseSearchQuery(query);
+		const [allGists, starred] = await Promise.all([
+			getGists(token, setError, userId),
+			usesStarredFilter(parsed) ? getStarredGists(token, setError) : null,
+		]);
+		const results = searchGistIndex(createSearchIndex(allGists), parsed, {
+			...context,
+			starredIds: starred ? new Set(starred.map((gist) => gist.id)) : context.starredIds,
+		}).map((result) => result.gist);
 		logInfo(`Search returned ${results.length} results`);
 		return results;
 	} catch (error) {
@@ -391,12 +726,45 @@ export const searchGists = async (query, token, setError, userId = null) => {
 	}
 };
 
+/**
+ * Fetch the gists the user has starred
+ * SECURITY: Requires authentication
+ *
+ * @param {string} token - Session handle from useAuth()
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<Array>}
+ */
+export const getStarredGists = async (token, setError) => {
+	if (!token) {
+		const error = new Error('Authentication required');
+		if (setError) setError('Authentication required');
+		throw error;
+	}
+
+	try {
+		logInfo('Fetching starred gists');
+		const starred = [];
+		const perPage = 100;
+		for (let page = 1; ; page++) {
+			const response = await githubApi.get(`/gists/starred?per_page=${perPage}&page=${page}`);
+			starred.push(...response.data);
+			if (response.data.length < perPage) break;
+		}
+		logInfo(`Successfully fetched ${starred.length} starred gists`);
+		return starred;
+	} catch (error) {
+		logError('Error fetching starred gists', { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
 /**
  * Star a gist
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @returns {Promise<boolean>}
  */
@@ -409,8 +777,7 @@ export const starGist = async (gistId, token, setError) => {
 
 	try {
 		logInfo(`Starring gist: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		await githubApi.put(`/gists/${gistId}/star`, {}, { headers });
+		await githubApi.put(`/gists/${gistId}/star`, {});
 		logInfo(`Successfully starred gist: ${gistId}`);
 		return true;
 	} catch (error) {
@@ -425,7 +792,7 @@ export const starGist = async (gistId, token, setError) => {
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @returns {Promise<boolean>}
  */
@@ -438,8 +805,7 @@ export const unstarGist = async (gistId, token, setError) => {
 
 	try {
 		logInfo(`Unstarring gist: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		await githubApi.delete(`/gists/${gistId}/star`, { headers });
+		await githubApi.delete(`/gists/${gistId}/star`);
 		logInfo(`Successfully unstarred gist: ${gistId}`);
 		return true;
 	} catch (error) {
@@ -454,7 +820,7 @@ export const unstarGist = async (gistId, token, setError) => {
  * SECURITY: Requires authentication
  *
  * @param {string} gistId - Gist ID
- * @param {string} token - GitHub access token
+ * @param {string} token - Session handle from useAuth()
  * @param {Function} [setError] - Error handler
  * @returns {Promise<boolean>}
  */
@@ -467,8 +833,7 @@ export const isGistStarred = async (gistId, token, setError) => {
 
 	try {
 		logInfo(`Checking if gist is starred: ${gistId}`);
-		const headers = { Authorization: `Bearer ${token}` };
-		await githubApi.get(`/gists/${gistId}/star`, { headers });
+		await githubApi.get(`/gists/${gistId}/star`);
 		logInfo(`Gist is starred: ${gistId}`);
 		return true;
 	} catch (error) {
@@ -481,3 +846,148 @@ export const isGistStarred = async (gistId, token, setError) => {
 		throw error;
 	}
 };
+
+/** Page size for comment and fork lists; GitHub's maximum */
+const PAGE_SIZE = 100;
+
+/**
+ * Whether a list response has another page after it
+ * Uses the Link header when GitHub sends one, otherwise a full page.
+ * @param {import('axios').AxiosResponse} response
+ * @returns {boolean}
+ */
+const hasNextPage = (response) => {
+	const link = response.headers?.link;
+	return link ? link.includes('rel="next"') : response.data.length === PAGE_SIZE;
+};
+
+/**
+ * Fetch one page of a gist's comments, oldest first
+ * Works without a session for public gists.
+ *
+ * @param {string} gistId - Gist ID
+ * @param {number} [page=1] - Page number, from 1
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<{ comments: Array<Object>, hasMore: boolean }>}
+ */
+export const getGistComments = async (gistId, page = 1, setError) => {
+	try {
+		logInfo(`Fetching comments for gist: ${gistId}`, { page });
+		const response = await githubApi.get(
+			`/gists/${gistId}/comments?per_page=${PAGE_SIZE}&page=${page}`,
+		);
+		return { comments: response.data, hasMore: hasNextPage(response) };
+	} catch (error) {
+		logError(`Error fetching comments for gist: ${gistId}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
+/**
+ * Comment on a gist
+ * SECURITY: Requires authentication
+ *
+ * @param {string} gistId - Gist ID
+ * @param {string} body - Markdown text
+ * @param {string} token - Session handle from useAuth()
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<Object>} - The new comment
+ */
+export const createGistComment = async (gistId, body, token, setError) => {
+	if (!token) {
+		const error = new Error('Authentication required');
+		if (setError) setError('Authentication required');
+		throw error;
+	}
+
+	try {
+		logInfo(`Commenting on gist: ${gistId}`);
+		const response = await githubApi.post(`/gists/${gistId}/comments`, { body });
+		return response.data;
+	} catch (error) {
+		logError(`Error commenting on gist: ${gistId}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
+/**
+ * Edit a gist comment
+ * SECURITY: Requires authentication; GitHub only allows editing your own comments
+ *
+ * @param {string} gistId - Gist ID
+ * @param {number} commentId - Comment ID
+ * @param {string} body - New markdown text
+ * @param {string} token - Session handle from useAuth()
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<Object>} - The updated comment
+ */
+export const updateGistComment = async (gistId, commentId, body, token, setError) => {
+	if (!token) {
+		const error = new Error('Authentication required');
+		if (setError) setError('Authentication required');
+		throw error;
+	}
+
+	try {
+		logInfo(`Editing comment ${commentId} on gist: ${gistId}`);
+		const response = await githubApi.patch(`/gists/${gistId}/comments/${commentId}`, { body });
+		return response.data;
+	} catch (error) {
+		logError(`Error editing comment ${commentId} on gist: ${gistId}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
+/**
+ * Delete a gist comment
+ * SECURITY: Requires authentication
+ *
+ * @param {string} gistId - Gist ID
+ * @param {number} commentId - Comment ID
+ * @param {string} token - Session handle from useAuth()
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<boolean>}
+ */
+export const deleteGistComment = async (gistId, commentId, token, setError) => {
+	if (!token) {
+		const error = new Error('Authentication required');
+		if (setError) setError('Authentication required');
+		throw error;
+	}
+
+	try {
+		logInfo(`Deleting comment ${commentId} on gist: ${gistId}`);
+		await githubApi.delete(`/gists/${gistId}/comments/${commentId}`);
+		return true;
+	} catch (error) {
+		logError(`Error deleting comment ${commentId} on gist: ${gistId}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
+/**
+ * Fetch one page of a gist's forks, oldest first
+ * Fork entries come without file contents. Works without a session for public gists.
+ *
+ * @param {string} gistId - Gist ID
+ * @param {number} [page=1] - Page number, from 1
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<{ forks: Array<Object>, hasMore: boolean }>}
+ */
+export const getGistForks = async (gistId, page = 1, setError) => {
+	try {
+		logInfo(`Fetching forks of gist: ${gistId}`, { page });
+		const response = await githubApi.get(
+			`/gists/${gistId}/forks?per_page=${PAGE_SIZE}&page=${page}`,
+		);
+		return { forks: response.data, hasMore: hasNextPage(response) };
+	} catch (error) {
+		logError(`Error fetching forks of gist: ${gistId}`, { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
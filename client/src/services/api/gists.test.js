@@ -0,0 +1,103 @@
+/**
+ * Gist API Service Tests
+ * Tests the gist list fetch shared by callers that ask for it while it runs, and
+ * the per-user cache partition.
+ */
+
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { mockGistList } from '../../test/fixtures';
+
+vi.mock('../../utils/logger', () => ({
+	handleApiError: vi.fn(),
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+}));
+
+vi.mock('./github', () => ({
+	githubApi: { get: vi.fn() },
+}));
+
+const { githubApi } = await import('./github');
+const { handleApiError } = await import('../../utils/logger');
+const gistsApi = await import('./gists');
+
+describe('Gist API Service', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		gistsApi.clearUserCache();
+	});
+
+	it('gives concurrent callers the same list from one fetch', async () => {
+		githubApi.get.mockResolvedValueOnce({ data: mockGistList });
+
+		const [first, second] = await Promise.all([
+			gistsApi.getGists('token', undefined, 'u1'),
+			gistsApi.getGists('token', undefined, 'u1'),
+		]);
+
+		expect(first).toHaveLength(mockGistList.length);
+		expect(second).toEqual(first);
+		expect(githubApi.get).toHaveBeenCalledTimes(1);
+	});
+
+	it('makes a caller that arrives mid-fetch wait for the list', async () => {
+		let respond;
+		githubApi.get.mockReturnValueOnce(
+			new Promise((resolve) => {
+				respond = resolve;
+			}),
+		);
+
+		// e.g. the dashboard starts loading, then the command palette opens
+		const first = gistsApi.getGists('token', undefined, 'u1');
+		await Promise.resolve();
+		const later = gistsApi.getGists('token', undefined, 'u1');
+		respond({ data: mockGistList });
+
+		expect(await later).toHaveLength(mockGistList.length);
+		expect(await first).toHaveLength(mockGistList.length);
+		expect(githubApi.get).toHaveBeenCalledTimes(1);
+	});
+
+	it('fails every concurrent caller when the fetch fails', async () => {
+		const error = new Error('Network Error');
+		githubApi.get.mockRejectedValueOnce(error);
+		const setError = vi.fn();
+
+		const results = await Promise.allSettled([
+			gistsApi.getGists('token', undefined, 'u1'),
+			gistsApi.getGists('token', setError, 'u1'),
+		]);
+
+		expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+		expect(handleApiError).toHaveBeenCalledWith(error, setError);
+
+		// The next call tries again rather than reusing the failure
+		githubApi.get.mockResolvedValueOnce({ data: mockGistList });
+		expect(await gistsApi.getGists('token', undefined, 'u1')).toHaveLength(mockGistList.length);
+	});
+
+	it('keeps a user’s cached gists across sign-ins and apart from other users', async () => {
+		githubApi.get.mockResolvedValueOnce({ data: mockGistList });
+		await gistsApi.getGists('handle-1', undefined, 'u1');
+
+		// A new sign-in gets a new session handle but the same user ID
+		await vi.waitFor(async () =>
+			expect(await gistsApi.getCachedGists('handle-2', 'u1')).toHaveLength(mockGistList.length),
+		);
+		expect(await gistsApi.getCachedGists('handle-3', 'u2')).toBeNull();
+		expect(await gistsApi.getCachedGists(null, 'u1')).toBeNull();
+	});
+
+	it('drops cached gists when the server reports nobody is signed in', async () => {
+		githubApi.get.mockResolvedValueOnce({ data: mockGistList });
+		await gistsApi.getGists('handle-1', undefined, 'u1');
+
+		window.dispatchEvent(new CustomEvent('auth:signed_out'));
+
+		await vi.waitFor(async () =>
+			expect(await gistsApi.getCachedGists('handle-2', 'u1')).toBeNull(),
+		);
+	});
+});
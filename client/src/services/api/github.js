@@ -1,6 +1,8 @@
 /**
  * GitHub API Service
  * Provides axios instances and core utilities for GitHub API interactions.
+ * Requests go through the server's /api/github proxy, which adds the token from
+ * the session cookie; the browser never holds a GitHub token.
  * For gist-specific operations with caching, use gists.js instead.
  * @module services/api/github
  */
@@ -10,8 +12,8 @@ import { GITHUB_API } from '../../config/api';
 import { logError, logInfo, logWarning } from '../../utils/logger';
 
 /**
- * Axios instance for direct GitHub API requests
- * Configured with GitHub API base URL and accept headers
+ * Axios instance for GitHub API requests via the server proxy
+ * Configured with the proxy base URL and accept headers
  * @type {import('axios').AxiosInstance}
  */
 export const githubApi = axios.create(GITHUB_API);
@@ -52,10 +54,7 @@ githubApi.interceptors.response.use(
 		}
 
 		if (error.response?.status === 401) {
-			logError('Unauthorized GitHub API request - token may be invalid');
-
-			sessionStorage.removeItem('github_token');
-			sessionStorage.removeItem('gist_manager_session');
+			logError('Unauthorized GitHub API request - session may have expired');
 
 			if (typeof window !== 'undefined') {
 				window.dispatchEvent(new CustomEvent('auth:token_invalid'));
@@ -66,52 +65,6 @@ githubApi.interceptors.response.use(
 	},
 );
 
-// Request interceptor to add authorization header from sessionStorage
-githubApi.interceptors.request.use(
-	(config) => {
-		let token = null;
-
-		try {
-			const sessionData = sessionStorage.getItem('gist_manager_session');
-			if (sessionData) {
-				const { token: sessionToken, expiration } = JSON.parse(sessionData);
-				if (expiration && Date.now() < expiration) {
-					token = sessionToken;
-				}
-			}
-		} catch (error) {
-			logError('Error retrieving token from session data', { error: error.message });
-		}
-
-		if (!token) {
-			token = sessionStorage.getItem('github_token');
-		}
-
-		if (token) {
-			config.headers.Authorization = `Bearer ${token}`;
-		}
-
-		return config;
-	},
-	(error) => {
-		return Promise.reject(error);
-	},
-);
-
-/**
- * Set authorization token for GitHub API instance
- * @param {string|null} token - GitHub access token or null to clear
- */
-export const setAuthToken = (token) => {
-	if (token) {
-		githubApi.defaults.headers.common.Authorization = `Bearer ${token}`;
-		logInfo('Auth token set for API requests');
-	} else {
-		delete githubApi.defaults.headers.common.Authorization;
-		logInfo('Auth token cleared from API requests');
-	}
-};
-
 /**
  * Get gists for a specific user (not the authenticated user)
  * Use this for viewing other users' public gists
@@ -156,7 +109,6 @@ export const forkGist = async (gistId) => {
 
 const githubService = {
 	githubApi,
-	setAuthToken,
 	getUserGists,
 	forkGist,
 };
@@ -1,6 +1,6 @@
 /**
  * GitHub API Service Tests
- * Tests API call behavior for user gists and fork operations.
+ * Tests API call behavior for user gists, fork operations and session expiry.
  */
 
 import axios from 'axios';
@@ -28,6 +28,8 @@ vi.mock('axios', () => {
 });
 
 const githubApi = await import('./github');
+const [createConfig] = axios.create.mock.calls[0];
+const [, onResponseError] = axios._instance.interceptors.response.use.mock.calls[0];
 
 describe('GitHub API Service', () => {
 	beforeEach(() => {
@@ -78,16 +80,20 @@ describe('GitHub API Service', () => {
 		});
 	});
 
-	describe('setAuthToken', () => {
-		it('sets token on githubApi defaults', () => {
-			githubApi.setAuthToken('test_token');
-			expect(githubApi.githubApi.defaults.headers.common.Authorization).toBe('Bearer test_token');
+	describe('server proxy', () => {
+		it('sends requests through the session-backed proxy', () => {
+			expect(createConfig.baseURL).toBe('/api/github');
+			expect(createConfig.headers?.Authorization).toBeUndefined();
 		});
 
-		it('clears token when null passed', () => {
-			githubApi.setAuthToken('test_token');
-			githubApi.setAuthToken(null);
-			expect(githubApi.githubApi.defaults.headers.common.Authorization).toBeUndefined();
+		it('dispatches auth:token_invalid when the session is rejected', async () => {
+			const listener = vi.fn();
+			window.addEventListener('auth:token_invalid', listener);
+
+			await expect(onResponseError(createMockError(401, 'Not authenticated'))).rejects.toThrow();
+
+			expect(listener).toHaveBeenCalled();
+			window.removeEventListener('auth:token_invalid', listener);
 		});
 	});
 });
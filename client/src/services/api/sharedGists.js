@@ -0,0 +1,180 @@
+/**
+ * Shared Gists Service
+ * Client for the server's community index of shared gists. Endpoints that act
+ * on behalf of the user rely on the session cookie.
+ * @module services/api/sharedGists
+ */
+
+import axios from 'axios';
+import { handleApiError, logError, logInfo } from '../../utils/logger';
+
+const BASE_PATH = '/api/shared-gists';
+
+/**
+ * Feed sort options supported by the server
+ * @readonly
+ */
+export const SHARED_GIST_SORTS = [
+	{ value: 'newest', label: 'Newest' },
+	{ value: 'forks', label: 'Most forked' },
+	{ value: 'stars', label: 'Most starred' },
+];
+
+/**
+ * Fetch one page of the community feed
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - Page number (1-based)
+ * @param {number} [options.perPage=12] - Entries per page
+ * @param {'newest'|'forks'|'stars'} [options.sort='newest'] - Feed ordering
+ * @param {string} [options.language] - Only entries with a file in this language
+ * @param {string[]} [options.tags] - Only entries carrying all of these tags
+ * @param {Function} [setError] - Error handler
+ * @returns {Promise<{ gists: Array, page: number, perPage: number, total: number, totalPages: number, languages: Array<{ name: string, count: number }> }>}
+ */
+export const getSharedGists = async (options = {}, setError) => {
+	const { page = 1, perPage = 12, sort = 'newest', language, tags } = options;
+
+	try {
+		logInfo('Fetching shared gists', { page, sort, language });
+		const params = { page, per_page: perPage, sort };
+		if (language) params.language = language;
+		if (tags?.length) params.tag = tags.join(',');
+
+		const response = await axios.get(BASE_PATH, { params });
+		return response.data;
+	} catch (error) {
+		logError('Error fetching shared gists', { error: error.message });
+		handleApiError(error, setError);
+		throw error;
+	}
+};
+
+/**
+ * Check whether a gist is in the community index
+ * @param {string} gistId - Gist ID
+ * @returns {Promise<{ shared: boolean, sharedGist: Object|null }>}
+ */
+export const checkSharedGist = async (gistId) => {
+	try {
+		const response = await axios.get(`${BASE_PATH}/check/${gistId}`);
+		return response.data;
+	} catch (error) {
+		logError(`Error checking shared status: ${gistId}`, { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * List the gists the authenticated user has shared
+ * @returns {Promise<Array>} Shared entries, newest first
+ */
+export const getUserSharedGists = async () => {
+	try {
+		const response = await axios.get(`${BASE_PATH}/user`);
+		return response.data.gists;
+	} catch (error) {
+		logError('Error fetching user shared gists', { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Share a public gist owned by the user, or update its tagline and tags
+ * @param {string} gistId - Gist ID
+ * @param {Object} [details]
+ * @param {string} [details.tagline] - One-line pitch shown in the feed
+ * @param {string[]} [details.tags] - Feed tags
+ * @returns {Promise<Object>} The shared entry
+ */
+export const shareGist = async (gistId, details = {}) => {
+	try {
+		logInfo(`Sharing gist: ${gistId}`);
+		const response = await axios.post(BASE_PATH, {
+			gistId,
+			tagline: details.tagline || '',
+			tags: details.tags || [],
+		});
+		return response.data.sharedGist;
+	} catch (error) {
+		logError(`Error sharing gist: ${gistId}`, { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Remove a gist from the community index
+ * @param {string} gistId - Gist ID
+ * @returns {Promise<boolean>}
+ */
+export const unshareGist = async (gistId) => {
+	try {
+		logInfo(`Unsharing gist: ${gistId}`);
+		await axios.delete(`${BASE_PATH}/${gistId}`);
+		return true;
+	} catch (error) {
+		logError(`Error unsharing gist: ${gistId}`, { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Fork a shared gist through the server so the feed can count it
+ * @param {string} gistId - Gist ID
+ * @returns {Promise<{ gist: Object, sharedGist: Object|null }>} The new fork and the updated entry
+ */
+export const forkSharedGist = async (gistId) => {
+	try {
+		logInfo(`Forking shared gist: ${gistId}`);
+		const response = await axios.post(`${BASE_PATH}/${gistId}/fork`);
+		return response.data;
+	} catch (error) {
+		logError(`Error forking shared gist: ${gistId}`, { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Star or unstar a shared gist (also stars it on GitHub)
+ * @param {string} gistId - Gist ID
+ * @param {boolean} starred - Desired state
+ * @returns {Promise<Object|null>} The updated entry
+ */
+export const setSharedGistStarred = async (gistId, starred) => {
+	try {
+		logInfo(`${starred ? 'Starring' : 'Unstarring'} shared gist: ${gistId}`);
+		const response = starred
+			? await axios.put(`${BASE_PATH}/${gistId}/star`)
+			: await axios.delete(`${BASE_PATH}/${gistId}/star`);
+		return response.data.sharedGist;
+	} catch (error) {
+		logError(`Error updating shared gist star: ${gistId}`, { error: error.message });
+		throw error;
+	}
+};
+
+/**
+ * Adapt a shared-index entry to the gist shape used by cards and previews
+ * @param {Object} entry - Entry returned by the server
+ * @returns {Object}
+ */
+export const toGistShape = (entry) => ({
+	...entry,
+	owner: { login: entry.username, avatar_url: entry.avatarUrl },
+	html_url: entry.htmlUrl,
+	created_at: entry.createdAt,
+	updated_at: entry.gistUpdatedAt || entry.updatedAt,
+	public: true,
+});
+
+const sharedGistsService = {
+	getSharedGists,
+	checkSharedGist,
+	getUserSharedGists,
+	shareGist,
+	unshareGist,
+	forkSharedGist,
+	setSharedGistStarred,
+	toGistShape,
+};
+
+export default sharedGistsService;
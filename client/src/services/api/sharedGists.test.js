@@ -0,0 +1,103 @@
+/**
+ * Shared Gists Service Tests
+ * Tests community feed queries and authenticated feed actions.
+ */
+
+import axios from 'axios';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMockError, mockSharedGist } from '../../test/fixtures';
+
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}));
+
+const sharedGists = await import('./sharedGists');
+
+const feedResponse = {
+	gists: [mockSharedGist],
+	page: 1,
+	perPage: 12,
+	total: 1,
+	totalPages: 1,
+	languages: [{ name: 'JavaScript', count: 1 }],
+};
+
+describe('Shared Gists Service', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	describe('getSharedGists', () => {
+		it('requests the first page sorted by newest by default', async () => {
+			axios.get.mockResolvedValue({ data: feedResponse });
+
+			const result = await sharedGists.getSharedGists();
+
+			expect(axios.get).toHaveBeenCalledWith('/api/shared-gists', {
+				params: { page: 1, per_page: 12, sort: 'newest' },
+			});
+			expect(result.gists).toHaveLength(1);
+		});
+
+		it('passes sort, language and tag filters', async () => {
+			axios.get.mockResolvedValue({ data: feedResponse });
+
+			await sharedGists.getSharedGists({
+				page: 2,
+				sort: 'stars',
+				language: 'Python',
+				tags: ['cli', 'config'],
+			});
+
+			expect(axios.get).toHaveBeenCalledWith('/api/shared-gists', {
+				params: { page: 2, per_page: 12, sort: 'stars', language: 'Python', tag: 'cli,config' },
+			});
+		});
+
+		it('reports errors through setError and rethrows', async () => {
+			axios.get.mockRejectedValue(createMockError(500, 'boom'));
+			const setError = vi.fn();
+
+			await expect(sharedGists.getSharedGists({}, setError)).rejects.toThrow();
+			expect(setError).toHaveBeenCalled();
+		});
+	});
+
+	describe('feed actions', () => {
+		it('forks through the server without sending a token', async () => {
+			axios.post.mockResolvedValue({ data: { gist: { id: 'fork-1' }, sharedGist: null } });
+
+			const result = await sharedGists.forkSharedGist('abc123');
+
+			expect(axios.post).toHaveBeenCalledWith('/api/shared-gists/abc123/fork');
+			expect(result.gist.id).toBe('fork-1');
+		});
+
+		it('stars with PUT and unstars with DELETE', async () => {
+			axios.put.mockResolvedValue({ data: { sharedGist: { id: 'abc123', starred: true } } });
+			axios.delete.mockResolvedValue({ data: { sharedGist: { id: 'abc123', starred: false } } });
+
+			const starred = await sharedGists.setSharedGistStarred('abc123', true);
+			const unstarred = await sharedGists.setSharedGistStarred('abc123', false);
+
+			expect(starred.starred).toBe(true);
+			expect(unstarred.starred).toBe(false);
+			expect(axios.delete).toHaveBeenCalledWith('/api/shared-gists/abc123/star');
+		});
+	});
+
+	describe('toGistShape', () => {
+		it('maps entry fields onto the GitHub gist shape', () => {
+			const gist = sharedGists.toGistShape({ ...mockSharedGist, gistUpdatedAt: '2024-02-01' });
+
+			expect(gist.owner.login).toBe('testuser');
+			expect(gist.updated_at).toBe('2024-02-01');
+			expect(gist.public).toBe(true);
+		});
+	});
+});
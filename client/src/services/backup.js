@@ -0,0 +1,108 @@
+/**
+ * Gist Backup
+ * Builds ZIP backups of gists: one folder per gist (named by gist ID) holding its
+ * files under their original names, plus a manifest.json with each gist's
+ * description, visibility, timestamps and IDs.
+ * @module services/backup
+ */
+
+import { strToU8, zipSync } from 'fflate';
+import { getGist } from './api/gists';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Download a file's full content from its raw URL
+ * The gist API cuts file content off at about 1 MB and flags it `truncated`.
+ * @param {string} rawUrl
+ * @returns {Promise<string>}
+ */
+export const fetchRawFile = async (rawUrl) => {
+	const response = await fetch(rawUrl);
+	if (!response.ok) {
+		throw new Error(`Could not download ${rawUrl} (HTTP ${response.status})`);
+	}
+	return response.text();
+};
+
+/**
+ * Fetch a gist with the complete content of every file
+ * @param {string} id - Gist ID
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} [userId]
+ * @returns {Promise<Object>}
+ */
+export const fetchGistForBackup = async (id, token, userId) => {
+	const gist = await getGist(id, token, undefined, userId);
+	const files = {};
+	for (const [filename, file] of Object.entries(gist.files || {})) {
+		files[filename] =
+			file.truncated && file.raw_url
+				? { ...file, content: await fetchRawFile(file.raw_url), truncated: false }
+				: file;
+	}
+	return { ...gist, files };
+};
+
+/**
+ * Manifest entry for one gist
+ * @param {Object} gist
+ * @returns {Object}
+ */
+const toManifestEntry = (gist) => ({
+	id: gist.id,
+	folder: gist.id,
+	description: gist.description || '',
+	public: Boolean(gist.public),
+	created_at: gist.created_at,
+	updated_at: gist.updated_at,
+	html_url: gist.html_url,
+	files: Object.values(gist.files || {}).map((file) => ({
+		filename: file.filename,
+		language: file.language ?? null,
+		size: file.size ?? (file.content || '').length,
+	})),
+	...(gist._pendingSync && { pending_sync: true }),
+});
+
+/**
+ * Build a backup ZIP from fully fetched gists
+ * @param {Array<Object>} gists - Gists with file content (see fetchGistForBackup)
+ * @param {Object} [options]
+ * @param {string} [options.owner] - GitHub login recorded in the manifest
+ * @param {Array<{ id: string, description?: string, error: string }>} [options.skipped] - Gists
+ *   that couldn't be fetched, listed in the manifest so the backup is known to be incomplete
+ * @param {Date} [options.exportedAt]
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export const buildBackupArchive = (gists, options = {}) => {
+	const { owner = null, skipped = [], exportedAt = new Date() } = options;
+	const manifest = {
+		version: BACKUP_FORMAT_VERSION,
+		exported_at: exportedAt.toISOString(),
+		owner,
+		count: gists.length,
+		gists: gists.map(toManifestEntry),
+		...(skipped.length && { skipped }),
+	};
+
+	const entries = { [MANIFEST_FILENAME]: strToU8(JSON.stringify(manifest, null, 2)) };
+	for (const gist of gists) {
+		const mtime = gist.updated_at ? new Date(gist.updated_at) : exportedAt;
+		const folder = {};
+		for (const [filename, file] of Object.entries(gist.files || {})) {
+			folder[filename] = [strToU8(file.content ?? ''), { mtime }];
+		}
+		entries[gist.id] = folder;
+	}
+
+	return zipSync(entries);
+};
+
+/**
+ * @param {Date} [date]
+ * @returns {string} e.g. `gists-backup-2025-01-31.zip`
+ */
+export const getBackupFilename = (date = new Date()) =>
+	`gists-backup-${date.toISOString().slice(0, 10)}.zip`;
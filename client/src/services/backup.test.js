@@ -0,0 +1,71 @@
+/**
+ * Tests for gist backup archives
+ * Runs under node: jsdom's TextEncoder returns Uint8Arrays from another realm,
+ * which fflate doesn't recognise.
+ * @vitest-environment node
+ */
+
+import { strFromU8, unzipSync } from 'fflate';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { mockGist } from '../test/fixtures';
+import * as gistsApi from './api/gists';
+import { buildBackupArchive, fetchGistForBackup, MANIFEST_FILENAME } from './backup';
+
+vi.mock('./api/gists');
+
+describe('backup', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('writes one folder per gist and a manifest', () => {
+		const archive = buildBackupArchive([mockGist], {
+			owner: 'testuser',
+			skipped: [{ id: 'gone', description: '', error: 'Not Found' }],
+			exportedAt: new Date('2025-01-31T12:00:00Z'),
+		});
+
+		const entries = unzipSync(archive);
+		const manifest = JSON.parse(strFromU8(entries[MANIFEST_FILENAME]));
+		const [filename, file] = Object.entries(mockGist.files)[0];
+
+		expect(strFromU8(entries[`${mockGist.id}/${filename}`])).toBe(file.content);
+		expect(manifest).toMatchObject({
+			version: 1,
+			exported_at: '2025-01-31T12:00:00.000Z',
+			owner: 'testuser',
+			count: 1,
+			skipped: [{ id: 'gone', error: 'Not Found' }],
+		});
+		expect(manifest.gists[0]).toMatchObject({
+			id: mockGist.id,
+			folder: mockGist.id,
+			description: mockGist.description,
+			public: mockGist.public,
+			created_at: mockGist.created_at,
+			updated_at: mockGist.updated_at,
+		});
+		expect(manifest.gists[0].files.map((f) => f.filename)).toEqual(Object.keys(mockGist.files));
+	});
+
+	it('downloads the full content of truncated files', async () => {
+		gistsApi.getGist.mockResolvedValue({
+			...mockGist,
+			files: {
+				'big.txt': {
+					filename: 'big.txt',
+					content: 'partial',
+					truncated: true,
+					raw_url: 'https://gist.githubusercontent.com/raw/big.txt',
+				},
+			},
+		});
+		const fetchMock = vi.fn(async () => new Response('the whole file'));
+		vi.stubGlobal('fetch', fetchMock);
+
+		const gist = await fetchGistForBackup(mockGist.id, 'test-token', 123);
+
+		expect(fetchMock).toHaveBeenCalledWith('https://gist.githubusercontent.com/raw/big.txt');
+		expect(gist.files['big.txt']).toMatchObject({ content: 'the whole file', truncated: false });
+	});
+});
@@ -0,0 +1,99 @@
+/**
+ * Content Hydration
+ * The gist list API returns files without their content. This fills it in so
+ * search can cover file contents: gists whose persisted copy (see gistStore) is
+ * as new as the list entry are read from there, the rest are fetched a few at a
+ * time, backing off on rate limits. Fetched gists are persisted by getGist, so
+ * later visits only fetch what changed.
+ * @module services/contentHydration
+ */
+
+import { runConcurrent } from '../utils/bulkOperations';
+import { getCachedGist, getGist } from './api/gists';
+
+/** Requests in flight at once; GitHub discourages much more for one user */
+export const HYDRATION_CONCURRENCY = 4;
+
+/**
+ * @param {Object} gist
+ * @returns {boolean} Whether any of the gist's files is missing its content
+ */
+export const needsContent = (gist) =>
+	Object.values(gist.files || {}).some((file) => typeof file?.content !== 'string');
+
+/**
+ * Copy file contents from a full gist onto a list entry
+ * Files that already have content, or that the full gist doesn't have, are kept as they are.
+ * @param {Object} gist - List entry
+ * @param {Object} full - The same gist from getGist
+ * @returns {Object}
+ */
+export const mergeGistContent = (gist, full) => ({
+	...gist,
+	files: Object.fromEntries(
+		Object.entries(gist.files).map(([filename, file]) => {
+			const source = full.files?.[filename];
+			if (typeof file?.content === 'string' || typeof source?.content !== 'string') {
+				return [filename, file];
+			}
+			return [filename, { ...file, content: source.content, truncated: source.truncated }];
+		}),
+	),
+});
+
+/**
+ * Load file contents for every gist that lacks them
+ *
+ * @param {Array<Object>} gists - From getGists
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} [userId] - User ID for the persistent cache partition
+ * @param {Object} [options]
+ * @param {(gists: Array<Object>) => void} [options.onContent] - Called with list entries
+ *   that now have their content, cached ones first and then as they are fetched
+ * @param {(progress: { done: number, total: number, failed: number }) => void} [options.onProgress]
+ * @param {{ aborted: boolean }} [options.signal] - Stops starting new requests once aborted
+ * @param {number} [options.concurrency]
+ * @param {(ms: number) => Promise<void>} [options.wait] - Injectable for tests
+ * @returns {Promise<{ hydrated: number, failed: number }>}
+ */
+export const hydrateGistContents = async (gists, token, userId, options = {}) => {
+	const { onContent, onProgress, signal, concurrency = HYDRATION_CONCURRENCY, wait } = options;
+	const pending = gists.filter(needsContent);
+	const total = pending.length;
+	if (!total) return { hydrated: 0, failed: 0 };
+
+	const cached = [];
+	const toFetch = [];
+	for (const gist of pending) {
+		if (signal?.aborted) return { hydrated: cached.length, failed: 0 };
+		const stored = await getCachedGist(gist.id, token, userId);
+		if (stored?.updated_at === gist.updated_at && !needsContent(stored)) {
+			cached.push(mergeGistContent(gist, stored));
+		} else {
+			toFetch.push(gist);
+		}
+	}
+	if (cached.length) onContent?.(cached);
+	onProgress?.({ done: cached.length, total, failed: 0 });
+
+	let failedCount = 0;
+	const { succeeded } = await runConcurrent(
+		toFetch,
+		async (gist) => mergeGistContent(gist, await getGist(gist.id, token, undefined, userId)),
+		{
+			concurrency,
+			signal,
+			wait,
+			onProgress: ({ done, result, error }) => {
+				if (error) {
+					failedCount += 1;
+				} else {
+					onContent?.([result]);
+				}
+				onProgress?.({ done: cached.length + done, total, failed: failedCount });
+			},
+		},
+	);
+
+	return { hydrated: cached.length + succeeded.length, failed: failedCount };
+};
@@ -0,0 +1,76 @@
+/**
+ * Tests for background loading of gist file contents
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getCachedGist, getGist } from './api/gists';
+import { hydrateGistContents, mergeGistContent, needsContent } from './contentHydration';
+
+vi.mock('./api/gists');
+
+const listEntry = (id, updatedAt = '2025-01-01T00:00:00Z') => ({
+	id,
+	updated_at: updatedAt,
+	files: { 'a.js': { filename: 'a.js', language: 'JavaScript' } },
+});
+
+const fullGist = (id, content, updatedAt = '2025-01-01T00:00:00Z') => ({
+	id,
+	updated_at: updatedAt,
+	files: { 'a.js': { filename: 'a.js', content, truncated: false } },
+});
+
+describe('contentHydration', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('merges file contents into list entries', () => {
+		const merged = mergeGistContent(listEntry('1'), fullGist('1', 'let x;'));
+
+		expect(merged.files['a.js']).toEqual({
+			filename: 'a.js',
+			language: 'JavaScript',
+			content: 'let x;',
+			truncated: false,
+		});
+		expect(needsContent(merged)).toBe(false);
+		expect(needsContent(listEntry('1'))).toBe(true);
+	});
+
+	it('uses up-to-date cached copies and fetches the rest', async () => {
+		getCachedGist.mockImplementation(async (id) =>
+			id === 'fresh'
+				? fullGist('fresh', 'cached')
+				: fullGist('stale', 'old', '2024-01-01T00:00:00Z'),
+		);
+		getGist.mockImplementation(async (id) => fullGist(id, `fetched ${id}`));
+		const onContent = vi.fn();
+		const onProgress = vi.fn();
+		const done = { ...listEntry('done'), files: { 'a.js': { content: 'here' } } };
+
+		const result = await hydrateGistContents(
+			[listEntry('fresh'), listEntry('stale'), done],
+			'token',
+			'user-1',
+			{ onContent, onProgress },
+		);
+
+		expect(result).toEqual({ hydrated: 2, failed: 0 });
+		expect(getGist).toHaveBeenCalledTimes(1);
+		expect(getGist).toHaveBeenCalledWith('stale', 'token', undefined, 'user-1');
+		expect(
+			onContent.mock.calls.map(([gists]) => gists.map((g) => g.files['a.js'].content)),
+		).toEqual([['cached'], ['fetched stale']]);
+		expect(onProgress).toHaveBeenLastCalledWith({ done: 2, total: 2, failed: 0 });
+	});
+
+	it('counts gists that could not be fetched', async () => {
+		getCachedGist.mockResolvedValue(null);
+		getGist.mockRejectedValue(new Error('Not Found'));
+
+		const result = await hydrateGistContents([listEntry('1')], 'token', 'user-1');
+
+		expect(result).toEqual({ hydrated: 0, failed: 1 });
+	});
+});
@@ -0,0 +1,99 @@
+/**
+ * IndexedDB Access
+ * Opens the app database once per page and runs single-request transactions.
+ * Resolves to null when IndexedDB is unavailable (private mode, old browsers)
+ * so callers can degrade to a no-op.
+ * @module services/db
+ */
+
+import { logError } from '../utils/logger';
+
+const DB_NAME = 'gist-manager';
+const DB_VERSION = 4;
+
+/** Object store for cached gist data (services/gistStore) */
+export const GISTS_STORE = 'gists';
+/** Object store for queued offline operations (services/syncQueue) */
+export const SYNC_QUEUE_STORE = 'syncQueue';
+/** Object store for unsaved editor drafts (services/draftStore) */
+export const DRAFTS_STORE = 'drafts';
+/** Object store for gist import progress (services/importLog) */
+export const IMPORTS_STORE = 'imports';
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the database
+ * @returns {Promise<IDBDatabase|null>}
+ */
+export const openDb = () => {
+	if (dbPromise) return dbPromise;
+
+	if (typeof indexedDB === 'undefined') {
+		dbPromise = Promise.resolve(null);
+		return dbPromise;
+	}
+
+	dbPromise = new Promise((resolve) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(GISTS_STORE)) {
+				const store = db.createObjectStore(GISTS_STORE, { keyPath: 'key' });
+				store.createIndex('userKey', 'userKey');
+			}
+			if (!db.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
+				const queue = db.createObjectStore(SYNC_QUEUE_STORE, {
+					keyPath: 'id',
+					autoIncrement: true,
+				});
+				queue.createIndex('userId', 'userId');
+			}
+			if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+				const drafts = db.createObjectStore(DRAFTS_STORE, { keyPath: 'key' });
+				drafts.createIndex('userId', 'userId');
+			}
+			if (!db.objectStoreNames.contains(IMPORTS_STORE)) {
+				const imports = db.createObjectStore(IMPORTS_STORE, { keyPath: 'key' });
+				imports.createIndex('userId', 'userId');
+			}
+		};
+		request.onsuccess = () => {
+			const db = request.result;
+			// Let other tabs upgrade the schema
+			db.onversionchange = () => {
+				db.close();
+				dbPromise = null;
+			};
+			resolve(db);
+		};
+		request.onerror = () => {
+			logError('Failed to open IndexedDB', { error: request.error?.message });
+			resolve(null);
+		};
+		request.onblocked = () => resolve(null);
+	});
+
+	return dbPromise;
+};
+
+/**
+ * Run one request in its own transaction
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>} The request result, or null when IndexedDB is unavailable
+ */
+export const runInStore = async (storeName, mode, operation) => {
+	const db = await openDb();
+	if (!db) return null;
+
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeName, mode);
+		const request = operation(tx.objectStore(storeName));
+		tx.oncomplete = () => resolve(request.result ?? null);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+};
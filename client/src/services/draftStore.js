@@ -0,0 +1,169 @@
+/**
+ * Draft Store
+ * Unsaved editor state, autosaved to IndexedDB so it survives refreshes, closed
+ * tabs and crashes. Drafts are keyed per user by gist ID, or by a generated
+ * `new-…` key for gists that have not been created yet.
+ *
+ * Logging out (auth:logout) deletes every draft. When the session expires
+ * (auth:token_invalid) they are kept, so work in progress is still there after
+ * signing back in.
+ * @module services/draftStore
+ */
+
+import { logError } from '../utils/logger';
+import { DRAFTS_STORE, runInStore } from './db';
+
+/** Prefix for draft keys of gists that don't exist yet */
+export const NEW_DRAFT_PREFIX = 'new-';
+
+const run = (mode, operation) => runInStore(DRAFTS_STORE, mode, operation);
+
+const recordKey = (userId, draftKey) => `${userId}:${draftKey}`;
+
+const notifyChanged = () => {
+	if (typeof window !== 'undefined') {
+		window.dispatchEvent(new CustomEvent('drafts:changed'));
+	}
+};
+
+/**
+ * @returns {string} A fresh key for a new, unsaved gist
+ */
+export const createNewDraftKey = () =>
+	`${NEW_DRAFT_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {string} draftKey
+ * @returns {boolean} Whether the draft is for a gist that hasn't been created
+ */
+export const isNewDraftKey = (draftKey) =>
+	typeof draftKey === 'string' && draftKey.startsWith(NEW_DRAFT_PREFIX);
+
+/**
+ * The part of editor state a draft keeps
+ * @param {Object} gist - Editor gist state
+ * @returns {{ description: string, public: boolean, files: Object }}
+ */
+export const toDraftContent = (gist) => ({
+	description: gist?.description || '',
+	public: Boolean(gist?.public),
+	files: Object.fromEntries(
+		Object.entries(gist?.files || {}).map(([filename, file]) => [
+			filename,
+			{ content: file?.content ?? '' },
+		]),
+	),
+});
+
+/**
+ * Whether two gists/drafts have the same description and file contents
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export const sameDraftContent = (a, b) => {
+	const left = toDraftContent(a);
+	const right = toDraftContent(b);
+	return (
+		left.description === right.description &&
+		JSON.stringify(left.files) === JSON.stringify(right.files)
+	);
+};
+
+/**
+ * Save (or replace) a draft
+ * @param {string|number} userId
+ * @param {string} draftKey - Gist ID or new-draft key
+ * @param {Object} draft
+ * @param {string} draft.description
+ * @param {boolean} draft.public
+ * @param {Object} draft.files - `{ [filename]: { content } }`
+ * @param {string|null} [draft.activeFile]
+ * @param {string|null} [draft.baseVersion] - Revision the draft was started from
+ * @returns {Promise<void>}
+ */
+export const saveDraft = async (userId, draftKey, draft) => {
+	if (userId == null || !draftKey) return;
+
+	try {
+		await run('readwrite', (store) =>
+			store.put({
+				...draft,
+				key: recordKey(userId, draftKey),
+				userId,
+				draftKey,
+				gistId: isNewDraftKey(draftKey) ? null : draftKey,
+				updatedAt: Date.now(),
+			}),
+		);
+		notifyChanged();
+	} catch (error) {
+		logError('Failed to save draft', { draftKey, error: error?.message });
+	}
+};
+
+/**
+ * @param {string|number} userId
+ * @param {string} draftKey
+ * @returns {Promise<Object|null>}
+ */
+export const getDraft = async (userId, draftKey) => {
+	if (userId == null || !draftKey) return null;
+
+	try {
+		return (await run('readonly', (store) => store.get(recordKey(userId, draftKey)))) ?? null;
+	} catch (error) {
+		logError('Failed to read draft', { draftKey, error: error?.message });
+		return null;
+	}
+};
+
+/**
+ * All of a user's drafts, most recently edited first
+ * @param {string|number} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listDrafts = async (userId) => {
+	if (userId == null) return [];
+
+	try {
+		const drafts = await run('readonly', (store) => store.index('userId').getAll(userId));
+		return (drafts || []).sort((a, b) => b.updatedAt - a.updatedAt);
+	} catch (error) {
+		logError('Failed to list drafts', { error: error?.message });
+		return [];
+	}
+};
+
+/**
+ * @param {string|number} userId
+ * @param {string} draftKey
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (userId, draftKey) => {
+	if (userId == null || !draftKey) return;
+
+	try {
+		await run('readwrite', (store) => store.delete(recordKey(userId, draftKey)));
+		notifyChanged();
+	} catch (error) {
+		logError('Failed to delete draft', { draftKey, error: error?.message });
+	}
+};
+
+/**
+ * Drop every draft for every user
+ * @returns {Promise<void>}
+ */
+export const clearDrafts = async () => {
+	try {
+		await run('readwrite', (store) => store.clear());
+		notifyChanged();
+	} catch (error) {
+		logError('Failed to clear drafts', { error: error?.message });
+	}
+};
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('auth:logout', clearDrafts);
+}
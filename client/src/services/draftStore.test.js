@@ -0,0 +1,81 @@
+/**
+ * Draft Store Tests
+ * Tests per-user draft storage, listing order and content comparison.
+ */
+
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../utils/logger', () => ({
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+}));
+
+const draftStore = await import('./draftStore');
+
+const draft = {
+	description: 'Notes',
+	public: false,
+	files: { 'a.md': { content: 'hello' } },
+	activeFile: 'a.md',
+	baseVersion: null,
+};
+
+describe('Draft Store', () => {
+	beforeEach(async () => {
+		await draftStore.clearDrafts();
+	});
+
+	it('stores drafts per user and gist', async () => {
+		await draftStore.saveDraft(1, 'abc', draft);
+		await draftStore.saveDraft(2, 'abc', { ...draft, description: 'Other user' });
+
+		expect(await draftStore.getDraft(1, 'abc')).toMatchObject({
+			description: 'Notes',
+			gistId: 'abc',
+			draftKey: 'abc',
+		});
+		expect((await draftStore.getDraft(2, 'abc')).description).toBe('Other user');
+		expect(await draftStore.getDraft(1, 'missing')).toBeNull();
+	});
+
+	it('lists new and existing drafts, most recent first', async () => {
+		const newKey = draftStore.createNewDraftKey();
+		vi.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+		await draftStore.saveDraft(1, 'abc', draft);
+		await draftStore.saveDraft(1, newKey, draft);
+		vi.restoreAllMocks();
+
+		const drafts = await draftStore.listDrafts(1);
+
+		expect(drafts.map((d) => d.draftKey)).toEqual([newKey, 'abc']);
+		expect(drafts[0].gistId).toBeNull();
+		expect(draftStore.isNewDraftKey(newKey)).toBe(true);
+		expect(draftStore.isNewDraftKey('abc')).toBe(false);
+	});
+
+	it('deletes drafts and notifies listeners', async () => {
+		const listener = vi.fn();
+		window.addEventListener('drafts:changed', listener);
+		await draftStore.saveDraft(1, 'abc', draft);
+		await draftStore.deleteDraft(1, 'abc');
+		window.removeEventListener('drafts:changed', listener);
+
+		expect(await draftStore.listDrafts(1)).toEqual([]);
+		expect(listener).toHaveBeenCalledTimes(2);
+	});
+
+	it('compares description and file contents only', () => {
+		const gist = {
+			id: 'abc',
+			description: 'Notes',
+			files: { 'a.md': { filename: 'a.md', content: 'hello', raw_url: 'https://example' } },
+		};
+
+		expect(draftStore.sameDraftContent(draft, gist)).toBe(true);
+		expect(
+			draftStore.sameDraftContent(draft, { ...gist, files: { 'a.md': { content: 'bye' } } }),
+		).toBe(false);
+		expect(draftStore.sameDraftContent(draft, { ...gist, description: 'Changed' })).toBe(false);
+	});
+});
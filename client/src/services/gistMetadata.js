@@ -0,0 +1,277 @@
+/**
+ * Gist Metadata
+ * User-defined tags, named collections and gist templates, stored as JSON in one secret
+ * "gist-manager metadata" gist so they follow the user across devices.
+ * The metadata gist is created on first save and hidden from gist lists.
+ *
+ * The helpers that change metadata are pure and return a new object; the
+ * GistMetadataContext loads, applies and saves them.
+ * @module services/gistMetadata
+ */
+
+import { createGist, getGist, getGists, updateGist } from './api/gists';
+import { fetchRawFile } from './backup';
+import { parseTemplates } from './gistTemplates';
+
+export const METADATA_FILENAME = 'gist-manager-metadata.json';
+const METADATA_DESCRIPTION = 'gist-manager metadata (tags, collections and templates)';
+const METADATA_VERSION = 1;
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} gistIds
+ */
+
+/**
+ * @typedef {Object} GistMetadata
+ * @property {number} version
+ * @property {Object<string, string[]>} tags - Tags by gist ID
+ * @property {Collection[]} collections
+ * @property {import('./gistTemplates').GistTemplate[]} templates - Saved by the user
+ */
+
+/** @returns {GistMetadata} */
+export const createEmptyMetadata = () => ({
+	version: METADATA_VERSION,
+	tags: {},
+	collections: [],
+	templates: [],
+});
+
+/**
+ * @param {Object} gist
+ * @returns {boolean} Whether this is the gist that stores the metadata
+ */
+export const isMetadataGist = (gist) => Boolean(gist?.files?.[METADATA_FILENAME]);
+
+/**
+ * @param {Array<Object>} gists
+ * @returns {Array<Object>} The gists without the metadata gist
+ */
+export const withoutMetadataGist = (gists) => gists.filter((gist) => !isMetadataGist(gist));
+
+/**
+ * `#Web Dev` -> `web-dev`
+ * @param {string} tag
+ * @returns {string}
+ */
+export const normalizeTag = (tag) =>
+	tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Split comma-separated input into unique, normalized tags
+ * @param {string} input
+ * @returns {string[]}
+ */
+export const parseTags = (input) => [
+	...new Set(input.split(',').map(normalizeTag).filter(Boolean)),
+];
+
+/**
+ * Read stored JSON, dropping anything malformed
+ * @param {string} content
+ * @returns {GistMetadata}
+ */
+export const parseMetadata = (content) => {
+	let data;
+	try {
+		data = JSON.parse(content);
+	} catch {
+		return createEmptyMetadata();
+	}
+
+	const tags = {};
+	for (const [gistId, list] of Object.entries(data?.tags || {})) {
+		if (!Array.isArray(list)) continue;
+		const normalized = parseTags(list.filter((tag) => typeof tag === 'string').join(','));
+		if (normalized.length) tags[gistId] = normalized;
+	}
+	const collections = (Array.isArray(data?.collections) ? data.collections : [])
+		.filter((collection) => collection?.id && typeof collection.name === 'string')
+		.map(({ id, name, gistIds }) => ({
+			id: String(id),
+			name,
+			gistIds: Array.isArray(gistIds) ? [...new Set(gistIds.map(String))] : [],
+		}));
+
+	return {
+		version: METADATA_VERSION,
+		tags,
+		collections,
+		templates: parseTemplates(data?.templates),
+	};
+};
+
+/**
+ * Load the metadata from the user's metadata gist
+ * Only a gist list that was actually fetched counts as "no metadata gist yet";
+ * anything else throws, as saving would then create a second, empty one.
+ * @param {string} token - Session handle from useAuth()
+ * @param {string} [userId]
+ * @returns {Promise<{ gistId: string|null, metadata: GistMetadata }>}
+ */
+export const loadMetadata = async (token, userId) => {
+	const gists = await getGists(token, undefined, userId);
+	if (!Array.isArray(gists)) throw new Error('Gist list unavailable');
+	const found = gists.find(isMetadataGist);
+	if (!found) return { gistId: null, metadata: createEmptyMetadata() };
+
+	const gist = await getGist(found.id, token, undefined, userId);
+	const file = gist.files[METADATA_FILENAME];
+	const content = file.truncated ? await fetchRawFile(file.raw_url) : file.content;
+	return { gistId: found.id, metadata: parseMetadata(content || '') };
+};
+
+/**
+ * Write the metadata, creating the metadata gist the first time
+ * @param {string|null} gistId - Existing metadata gist
+ * @param {GistMetadata} metadata
+ * @param {string} token
+ * @param {string} [userId]
+ * @returns {Promise<string>} The metadata gist ID
+ */
+export const saveMetadata = async (gistId, metadata, token, userId) => {
+	const files = { [METADATA_FILENAME]: { content: JSON.stringify(metadata, null, 2) } };
+	if (gistId) {
+		await updateGist(gistId, { files }, token, undefined, userId);
+		return gistId;
+	}
+	const created = await createGist(
+		{ description: METADATA_DESCRIPTION, public: false, files },
+		token,
+		undefined,
+		userId,
+	);
+	return created.id;
+};
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {string} gistId
+ * @param {string[]} tags - Already normalized
+ * @returns {GistMetadata}
+ */
+export const setGistTags = (metadata, gistId, tags) => {
+	const next = { ...metadata.tags };
+	if (tags.length) {
+		next[gistId] = tags;
+	} else {
+		delete next[gistId];
+	}
+	return { ...metadata, tags: next };
+};
+
+/**
+ * @param {GistMetadata} metadata
+ * @returns {Array<{ tag: string, count: number }>} Every tag in use, most used first
+ */
+export const getTagCounts = (metadata) => {
+	const counts = new Map();
+	for (const tags of Object.values(metadata.tags)) {
+		for (const tag of tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+	}
+	return [...counts.entries()]
+		.map(([tag, count]) => ({ tag, count }))
+		.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {string} name
+ * @returns {{ metadata: GistMetadata, id: string }}
+ */
+export const addCollection = (metadata, name) => {
+	const id = `c-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+	return {
+		id,
+		metadata: {
+			...metadata,
+			collections: [...metadata.collections, { id, name: name.trim(), gistIds: [] }],
+		},
+	};
+};
+
+const mapCollection = (metadata, id, change) => ({
+	...metadata,
+	collections: metadata.collections.map((collection) =>
+		collection.id === id ? change(collection) : collection,
+	),
+});
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {string} id
+ * @param {string} name
+ * @returns {GistMetadata}
+ */
+export const renameCollection = (metadata, id, name) =>
+	mapCollection(metadata, id, (collection) => ({ ...collection, name: name.trim() }));
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {string} id
+ * @returns {GistMetadata}
+ */
+export const removeCollection = (metadata, id) => ({
+	...metadata,
+	collections: metadata.collections.filter((collection) => collection.id !== id),
+});
+
+/**
+ * Add a gist to a collection, or take it out
+ * @param {GistMetadata} metadata
+ * @param {string} id - Collection ID
+ * @param {string} gistId
+ * @param {boolean} member
+ * @returns {GistMetadata}
+ */
+export const setCollectionMember = (metadata, id, gistId, member) =>
+	mapCollection(metadata, id, (collection) => {
+		const others = collection.gistIds.filter((existing) => existing !== gistId);
+		return { ...collection, gistIds: member ? [...others, gistId] : others };
+	});
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {Omit<import('./gistTemplates').GistTemplate, 'id'>} template - See createTemplateFromGist
+ * @returns {{ metadata: GistMetadata, id: string }}
+ */
+export const addTemplate = (metadata, template) => {
+	const id = `t-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+	return { id, metadata: { ...metadata, templates: [...metadata.templates, { ...template, id }] } };
+};
+
+/**
+ * @param {GistMetadata} metadata
+ * @param {string} id
+ * @returns {GistMetadata}
+ */
+export const removeTemplate = (metadata, id) => ({
+	...metadata,
+	templates: metadata.templates.filter((template) => template.id !== id),
+});
+
+/**
+ * Follow gists created offline to their GitHub IDs once synced
+ * @param {GistMetadata} metadata
+ * @param {Object<string, string>} idMap - Local ID -> GitHub ID
+ * @returns {GistMetadata|null} Updated metadata, or null when nothing referenced a local ID
+ */
+export const remapGistIds = (metadata, idMap) => {
+	const remap = (id) => idMap[id] ?? id;
+	const touched =
+		Object.keys(metadata.tags).some((id) => id in idMap) ||
+		metadata.collections.some((collection) => collection.gistIds.some((id) => id in idMap));
+	if (!touched) return null;
+
+	return {
+		...metadata,
+		tags: Object.fromEntries(Object.entries(metadata.tags).map(([id, tags]) => [remap(id), tags])),
+		collections: metadata.collections.map((collection) => ({
+			...collection,
+			gistIds: collection.gistIds.map(remap),
+		})),
+	};
+};
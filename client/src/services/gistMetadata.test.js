@@ -0,0 +1,106 @@
+/**
+ * Tests for tag and collection metadata helpers
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { getGist, getGists } from './api/gists';
+import {
+	addCollection,
+	createEmptyMetadata,
+	getTagCounts,
+	isMetadataGist,
+	loadMetadata,
+	METADATA_FILENAME,
+	parseMetadata,
+	parseTags,
+	remapGistIds,
+	setCollectionMember,
+	setGistTags,
+} from './gistMetadata';
+
+vi.mock('./api/gists');
+
+describe('gistMetadata', () => {
+	it('loads the metadata gist and fails when the gist list could not be read', async () => {
+		getGists.mockResolvedValueOnce([
+			{ id: 'notes', files: { 'notes.md': {} } },
+			{ id: 'meta', files: { [METADATA_FILENAME]: {} } },
+		]);
+		getGist.mockResolvedValueOnce({
+			id: 'meta',
+			files: { [METADATA_FILENAME]: { content: JSON.stringify({ tags: { a: ['go'] } }) } },
+		});
+		const loaded = await loadMetadata('token', 1);
+		expect(loaded.gistId).toBe('meta');
+		expect(loaded.metadata.tags).toEqual({ a: ['go'] });
+
+		getGists.mockResolvedValueOnce([]);
+		expect((await loadMetadata('token', 1)).gistId).toBeNull();
+
+		getGists.mockRejectedValueOnce(new Error('offline'));
+		await expect(loadMetadata('token', 1)).rejects.toThrow('offline');
+		getGists.mockResolvedValueOnce(undefined);
+		await expect(loadMetadata('token', 1)).rejects.toThrow('Gist list unavailable');
+	});
+
+	it('normalizes tags', () => {
+		expect(parseTags('#API, web dev ,, api')).toEqual(['api', 'web-dev']);
+	});
+
+	it('recognizes the metadata gist', () => {
+		expect(isMetadataGist({ files: { [METADATA_FILENAME]: {} } })).toBe(true);
+		expect(isMetadataGist({ files: { 'notes.md': {} } })).toBe(false);
+	});
+
+	it('drops malformed stored data', () => {
+		expect(parseMetadata('not json')).toEqual(createEmptyMetadata());
+		expect(
+			parseMetadata(
+				JSON.stringify({
+					tags: { a: ['Go', 3], b: 'oops' },
+					collections: [{ id: 'c1', name: 'Work', gistIds: ['a', 'a'] }, { name: 'no id' }],
+					templates: [
+						{ id: 't1', name: 'Notes', files: { 'notes.md': '# {{topic}}', broken: 3 } },
+						{ id: 't2', name: 'Empty', files: {} },
+					],
+				}),
+			),
+		).toEqual({
+			version: 1,
+			tags: { a: ['go'] },
+			collections: [{ id: 'c1', name: 'Work', gistIds: ['a'] }],
+			templates: [
+				{ id: 't1', name: 'Notes', description: '', files: { 'notes.md': '# {{topic}}' } },
+			],
+		});
+	});
+
+	it('counts tags and manages collection membership', () => {
+		let metadata = setGistTags(createEmptyMetadata(), 'a', ['go', 'cli']);
+		metadata = setGistTags(metadata, 'b', ['go']);
+		expect(getTagCounts(metadata)).toEqual([
+			{ tag: 'go', count: 2 },
+			{ tag: 'cli', count: 1 },
+		]);
+		expect(setGistTags(metadata, 'a', []).tags).toEqual({ b: ['go'] });
+
+		const { metadata: withCollection, id } = addCollection(metadata, ' Work ');
+		const added = setCollectionMember(withCollection, id, 'a', true);
+		expect(added.collections).toEqual([{ id, name: 'Work', gistIds: ['a'] }]);
+		expect(setCollectionMember(added, id, 'a', false).collections[0].gistIds).toEqual([]);
+	});
+
+	it('follows offline-created gists to their synced IDs', () => {
+		const { metadata, id } = addCollection(
+			setGistTags(createEmptyMetadata(), 'local-1', ['x']),
+			'C',
+		);
+		const withMember = setCollectionMember(metadata, id, 'local-1', true);
+
+		const remapped = remapGistIds(withMember, { 'local-1': 'abc' });
+
+		expect(remapped.tags).toEqual({ abc: ['x'] });
+		expect(remapped.collections[0].gistIds).toEqual(['abc']);
+		expect(remapGistIds(remapped, { 'local-2': 'def' })).toBeNull();
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * Gist Store
+ * IndexedDB-backed persistent cache that sits under the gist service, so pages
+ * can render the last known data instantly and revalidate in the background.
+ * Records are partitioned per user; everything is dropped on logout.
+ * Falls back to a no-op when IndexedDB is unavailable (private mode, old browsers).
+ * @module services/gistStore
+ */
+
+import { logError, logInfo } from '../utils/logger';
+import { GISTS_STORE, runInStore } from './db';
+
+const run = (mode, operation) => runInStore(GISTS_STORE, mode, operation);
+
+const recordKey = (userKey, key) => `${userKey}:${key}`;
+
+/**
+ * Read a cached value
+ * @param {string} userKey - Per-user partition, keyed by user ID (see getCacheKey in gists.js)
+ * @param {string} key - Entry key, e.g. 'list' or 'gist:<id>'
+ * @returns {Promise<{ data: any, ts: number }|null>}
+ */
+export const readEntry = async (userKey, key) => {
+	if (!userKey) return null;
+
+	try {
+		const record = await run('readonly', (store) => store.get(recordKey(userKey, key)));
+		return record ? { data: record.data, ts: record.ts } : null;
+	} catch (error) {
+		logError('Failed to read gist store', { key, error: error?.message });
+		return null;
+	}
+};
+
+/**
+ * Write a cached value
+ * @param {string} userKey - Per-user partition
+ * @param {string} key - Entry key
+ * @param {any} data - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export const writeEntry = async (userKey, key, data) => {
+	if (!userKey) return;
+
+	try {
+		await run('readwrite', (store) =>
+			store.put({ key: recordKey(userKey, key), userKey, data, ts: Date.now() }),
+		);
+	} catch (error) {
+		logError('Failed to write gist store', { key, error: error?.message });
+	}
+};
+
+/**
+ * Remove a cached value
+ * @param {string} userKey - Per-user partition
+ * @param {string} key - Entry key
+ * @returns {Promise<void>}
+ */
+export const deleteEntry = async (userKey, key) => {
+	if (!userKey) return;
+
+	try {
+		await run('readwrite', (store) => store.delete(recordKey(userKey, key)));
+	} catch (error) {
+		logError('Failed to delete from gist store', { key, error: error?.message });
+	}
+};
+
+/**
+ * Drop every cached record for every user
+ * @returns {Promise<void>}
+ */
+export const clearStore = async () => {
+	try {
+		await run('readwrite', (store) => store.clear());
+		logInfo('Persistent gist cache cleared');
+	} catch (error) {
+		logError('Failed to clear gist store', { error: error?.message });
+	}
+};
+
+// SECURITY: never leave one user's gists on disk for the next
+if (typeof window !== 'undefined') {
+	window.addEventListener('auth:logout', clearStore);
+	window.addEventListener('auth:token_invalid', clearStore);
+	window.addEventListener('auth:signed_out', clearStore);
+}
+
+const gistStore = {
+	readEntry,
+	writeEntry,
+	deleteEntry,
+	clearStore,
+};
+
+export default gistStore;
@@ -0,0 +1,69 @@
+/**
+ * Gist Store Tests
+ * Tests the IndexedDB cache: per-user partitions and clearing on auth events.
+ */
+
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../utils/logger', () => ({
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+}));
+
+const gistStore = await import('./gistStore');
+
+const waitForClear = async (userKey, key) => {
+	await vi.waitFor(async () => {
+		expect(await gistStore.readEntry(userKey, key)).toBeNull();
+	});
+};
+
+describe('Gist Store', () => {
+	beforeEach(async () => {
+		await gistStore.clearStore();
+	});
+
+	it('round-trips entries with a timestamp', async () => {
+		const gists = [{ id: 'a' }, { id: 'b' }];
+
+		await gistStore.writeEntry('user-1', 'list', gists);
+		const entry = await gistStore.readEntry('user-1', 'list');
+
+		expect(entry.data).toEqual(gists);
+		expect(entry.ts).toBeTypeOf('number');
+	});
+
+	it('keeps users isolated from each other', async () => {
+		await gistStore.writeEntry('user-1', 'list', [{ id: 'mine' }]);
+
+		expect(await gistStore.readEntry('user-2', 'list')).toBeNull();
+	});
+
+	it('ignores reads and writes without a user partition', async () => {
+		await gistStore.writeEntry(null, 'list', [{ id: 'orphan' }]);
+
+		expect(await gistStore.readEntry(null, 'list')).toBeNull();
+	});
+
+	it('deletes single entries', async () => {
+		await gistStore.writeEntry('user-1', 'gist:a', { id: 'a' });
+		await gistStore.deleteEntry('user-1', 'gist:a');
+
+		expect(await gistStore.readEntry('user-1', 'gist:a')).toBeNull();
+	});
+
+	it.each([
+		'auth:logout',
+		'auth:token_invalid',
+		'auth:signed_out',
+	])('clears everything on %s', async (event) => {
+		await gistStore.writeEntry('user-1', 'list', [{ id: 'a' }]);
+		await gistStore.writeEntry('user-2', 'gist:b', { id: 'b' });
+
+		window.dispatchEvent(new CustomEvent(event));
+
+		await waitForClear('user-1', 'list');
+		await waitForClear('user-2', 'gist:b');
+	});
+});
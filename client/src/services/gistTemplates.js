@@ -0,0 +1,260 @@
+/**
+ * Gist Templates
+ * Starting points for new gists: a few built-in ones plus any the user saved,
+ * which are kept with the tags and collections (see services/gistMetadata).
+ *
+ * Descriptions, filenames and contents may contain placeholders that are filled
+ * in when a gist is created from the template:
+ *   {{date}}, {{year}}, {{user}}        - today's date, the year, the user's login
+ *   {{name}}                           - asked for when creating the gist
+ *   {{name: Question}}                 - ... with the question to show
+ *   {{name: Question=default}}         - ... and a default answer
+ * A placeholder used several times is asked for once.
+ * @module services/gistTemplates
+ */
+
+/**
+ * @typedef {Object} GistTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [summary] - Shown in the template picker
+ * @property {string} description - Description of the gists it creates
+ * @property {Object<string, string>} files - Content by filename
+ * @property {boolean} [builtIn]
+ */
+
+/**
+ * @typedef {Object} TemplatePrompt
+ * @property {string} key
+ * @property {string} label
+ * @property {string} defaultValue
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*(?::([^}=]*))?(?:=([^}]*))?\}\}/g;
+
+/** Placeholders filled in without asking */
+const AUTOMATIC_KEYS = new Set(['date', 'year', 'user']);
+
+const MIT_LICENSE = `MIT License
+
+Copyright (c) {{year}} {{user}}
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+`;
+
+/** @type {GistTemplate[]} */
+export const BUILT_IN_TEMPLATES = [
+	{
+		id: 'builtin-readme-license',
+		name: 'README + LICENSE',
+		summary: 'Project readme with an MIT license',
+		builtIn: true,
+		description: '{{project: Project name}}',
+		files: {
+			'README.md': `# {{project}}
+
+{{tagline: One-line description}}
+
+## Usage
+
+\`\`\`sh
+\`\`\`
+
+## License
+
+MIT © {{year}} {{user}}
+`,
+			LICENSE: MIT_LICENSE,
+		},
+	},
+	{
+		id: 'builtin-docker',
+		name: 'Dockerfile + compose',
+		summary: 'Container image and a docker compose service',
+		builtIn: true,
+		description: '{{service: Service name=app}} container setup',
+		files: {
+			Dockerfile: `FROM {{image: Base image=node:20-alpine}}
+
+WORKDIR /app
+COPY . .
+
+EXPOSE {{port: Port=3000}}
+CMD {{command: Start command=npm start}}
+`,
+			'compose.yaml': `services:
+  {{service}}:
+    build: .
+    ports:
+      - "{{port}}:{{port}}"
+    restart: unless-stopped
+`,
+		},
+	},
+	{
+		id: 'builtin-bug-report',
+		name: 'Bug report',
+		summary: 'Steps to reproduce, expected and actual behaviour',
+		builtIn: true,
+		description: 'Bug: {{title: Bug summary}}',
+		files: {
+			'bug-report.md': `# Bug: {{title}}
+
+Reported by @{{user}} on {{date}}
+
+## Environment
+
+- Version: {{version: Affected version}}
+- OS / browser:
+
+## Steps to reproduce
+
+1.
+
+## Expected behaviour
+
+## Actual behaviour
+
+## Notes
+`,
+		},
+	},
+];
+
+/**
+ * `project-name` -> `Project name`
+ * @param {string} key
+ * @returns {string}
+ */
+const labelFromKey = (key) => {
+	const words = key.replace(/[-_]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2');
+	return words.charAt(0).toUpperCase() + words.slice(1).toLowerCase();
+};
+
+/**
+ * @param {GistTemplate} template
+ * @returns {string[]} Every text that may hold placeholders
+ */
+const templateTexts = (template) => [
+	template.description || '',
+	...Object.entries(template.files || {}).flat(),
+];
+
+/**
+ * The values a template asks for, in the order they first appear
+ * @param {GistTemplate} template
+ * @returns {TemplatePrompt[]}
+ */
+export const findTemplatePrompts = (template) => {
+	const prompts = new Map();
+	for (const text of templateTexts(template)) {
+		for (const [, key, label, defaultValue] of text.matchAll(PLACEHOLDER_PATTERN)) {
+			if (AUTOMATIC_KEYS.has(key)) continue;
+			const existing = prompts.get(key);
+			prompts.set(key, {
+				key,
+				label: existing?.label || label?.trim() || '',
+				defaultValue: existing?.defaultValue || defaultValue?.trim() || '',
+			});
+		}
+	}
+	return [...prompts.values()].map((prompt) => ({
+		...prompt,
+		label: prompt.label || labelFromKey(prompt.key),
+	}));
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD in local time
+ */
+const formatDay = (date) =>
+	[date.getFullYear(), date.getMonth() + 1, date.getDate()]
+		.map((part) => String(part).padStart(2, '0'))
+		.join('-');
+
+/**
+ * Build the new gist a template describes
+ * @param {GistTemplate} template
+ * @param {Object<string, string>} values - Answers by placeholder key
+ * @param {Object} [context]
+ * @param {string} [context.user] - Login for {{user}}
+ * @param {Date} [context.date] - Date for {{date}} and {{year}}
+ * @returns {{ description: string, public: boolean, files: Object<string, { content: string }> }}
+ */
+export const fillTemplate = (template, values = {}, { user = '', date = new Date() } = {}) => {
+	const prompts = new Map(findTemplatePrompts(template).map((prompt) => [prompt.key, prompt]));
+	const automatic = { date: formatDay(date), year: String(date.getFullYear()), user };
+	const fill = (text) =>
+		text.replace(PLACEHOLDER_PATTERN, (_match, key) => {
+			if (AUTOMATIC_KEYS.has(key)) return automatic[key];
+			const value = values[key]?.trim();
+			return value || prompts.get(key)?.defaultValue || '';
+		});
+
+	const files = {};
+	for (const [filename, content] of Object.entries(template.files || {})) {
+		const name = fill(filename).trim() || filename;
+		files[name] = { content: fill(content) };
+	}
+	return { description: fill(template.description || ''), public: false, files };
+};
+
+/**
+ * Turn a gist into a template (without an ID; see addTemplate)
+ * @param {Object} gist - Gist with file contents, e.g. from the editor
+ * @param {string} name
+ * @returns {Omit<GistTemplate, 'id'>}
+ * @throws {Error} When a file's content is missing or truncated
+ */
+export const createTemplateFromGist = (gist, name) => {
+	const files = {};
+	for (const [filename, file] of Object.entries(gist.files || {})) {
+		if (!file) continue;
+		if (file.truncated || typeof file.content !== 'string') {
+			throw new Error(`${filename} is too large to save in a template`);
+		}
+		files[filename] = file.content;
+	}
+	return { name: name.trim(), description: gist.description || '', files };
+};
+
+/**
+ * Read stored templates, dropping anything malformed
+ * @param {unknown} list
+ * @returns {GistTemplate[]}
+ */
+export const parseTemplates = (list) =>
+	(Array.isArray(list) ? list : [])
+		.filter(
+			(template) =>
+				template?.id &&
+				typeof template.name === 'string' &&
+				template.files &&
+				typeof template.files === 'object',
+		)
+		.map(({ id, name, description, files }) => ({
+			id: String(id),
+			name,
+			description: typeof description === 'string' ? description : '',
+			files: Object.fromEntries(
+				Object.entries(files).filter(([, content]) => typeof content === 'string'),
+			),
+		}))
+		.filter((template) => Object.keys(template.files).length > 0);
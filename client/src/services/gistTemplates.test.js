@@ -0,0 +1,86 @@
+/**
+ * Gist Templates Tests
+ * Tests placeholder prompts, filling templates in and saving gists as templates.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { addTemplate, createEmptyMetadata, removeTemplate } from './gistMetadata';
+import {
+	BUILT_IN_TEMPLATES,
+	createTemplateFromGist,
+	fillTemplate,
+	findTemplatePrompts,
+} from './gistTemplates';
+
+const template = {
+	id: 't1',
+	name: 'Service',
+	description: '{{service: Service name}} notes',
+	files: {
+		'{{service}}.md': '# {{service}}\n\nPort {{port: Port=8080}} · {{owner-team}} · {{date}}',
+		'CHANGELOG.md': '{{year}} by {{user}}',
+	},
+};
+
+describe('gistTemplates', () => {
+	it('asks for each custom placeholder once, in order', () => {
+		expect(findTemplatePrompts(template)).toEqual([
+			{ key: 'service', label: 'Service name', defaultValue: '' },
+			{ key: 'port', label: 'Port', defaultValue: '8080' },
+			{ key: 'owner-team', label: 'Owner team', defaultValue: '' },
+		]);
+	});
+
+	it('fills placeholders in the description, filenames and contents', () => {
+		const gist = fillTemplate(
+			template,
+			{ service: 'billing', 'owner-team': ' Payments ' },
+			{ user: 'octocat', date: new Date(2025, 2, 7) },
+		);
+
+		expect(gist).toEqual({
+			description: 'billing notes',
+			public: false,
+			files: {
+				'billing.md': { content: '# billing\n\nPort 8080 · Payments · 2025-03-07' },
+				'CHANGELOG.md': { content: '2025 by octocat' },
+			},
+		});
+	});
+
+	it('keeps the raw filename when a placeholder leaves it empty', () => {
+		const gist = fillTemplate({ files: { '{{name}}': 'x' } }, {});
+
+		expect(Object.keys(gist.files)).toEqual(['{{name}}']);
+	});
+
+	it('fills every built-in template without leftover placeholders', () => {
+		for (const builtIn of BUILT_IN_TEMPLATES) {
+			const values = Object.fromEntries(
+				findTemplatePrompts(builtIn).map((prompt) => [prompt.key, 'value']),
+			);
+			const gist = fillTemplate(builtIn, values, { user: 'octocat' });
+
+			expect(JSON.stringify(gist)).not.toContain('{{');
+		}
+	});
+
+	it('saves a gist as a template and removes it again', () => {
+		const saved = createTemplateFromGist(
+			{ description: 'Notes', files: { 'a.md': { content: '# {{topic}}' } } },
+			' My notes ',
+		);
+		const { metadata, id } = addTemplate(createEmptyMetadata(), saved);
+
+		expect(metadata.templates).toEqual([
+			{ id, name: 'My notes', description: 'Notes', files: { 'a.md': '# {{topic}}' } },
+		]);
+		expect(removeTemplate(metadata, id).templates).toEqual([]);
+	});
+
+	it('refuses gists with truncated files', () => {
+		expect(() =>
+			createTemplateFromGist({ files: { 'big.log': { truncated: true, content: '' } } }, 'Big'),
+		).toThrow(/big\.log/);
+	});
+});
@@ -0,0 +1,136 @@
+/**
+ * Import Log
+ * Progress of bulk gist imports, kept in IndexedDB so an import that was
+ * stopped, failed part way or interrupted by a closed tab can be resumed
+ * without creating any gist twice. Each log holds the planned gists (with
+ * content) and, per gist, whether it has been created.
+ *
+ * Logs are deleted when the user logs out (auth:logout), but an expired session
+ * (auth:token_invalid) keeps them, so an import it interrupted can be resumed
+ * after signing in again.
+ * @module services/importLog
+ */
+
+import { logError } from '../utils/logger';
+import { IMPORTS_STORE, runInStore } from './db';
+
+/** Status of one gist in an import */
+export const IMPORT_STATUS = {
+	PENDING: 'pending',
+	CREATED: 'created',
+	FAILED: 'failed',
+};
+
+const run = (mode, operation) => runInStore(IMPORTS_STORE, mode, operation);
+
+const recordKey = (userId, importId) => `${userId}:${importId}`;
+
+/**
+ * @param {Object} log
+ * @returns {boolean} Whether every gist in the log has been created
+ */
+export const isImportComplete = (log) =>
+	log.gists.every((gist) => gist.status === IMPORT_STATUS.CREATED);
+
+/**
+ * @param {string|number} userId
+ * @param {string} importId - From getImportId
+ * @returns {Promise<Object|null>}
+ */
+export const getImportLog = async (userId, importId) => {
+	if (userId == null || !importId) return null;
+
+	try {
+		return (await run('readonly', (store) => store.get(recordKey(userId, importId)))) ?? null;
+	} catch (error) {
+		logError('Failed to read import log', { importId, error: error?.message });
+		return null;
+	}
+};
+
+/**
+ * Save (or replace) a log
+ * @param {string|number} userId
+ * @param {Object} log
+ * @param {string} log.importId
+ * @param {string} log.name - Archive or folder name
+ * @param {Array<Object>} log.gists - Planned gists with `status`, and `gistId`/`error` once tried
+ * @returns {Promise<Object>} The saved log
+ */
+export const saveImportLog = async (userId, log) => {
+	const record = {
+		createdAt: Date.now(),
+		...log,
+		key: recordKey(userId, log.importId),
+		userId,
+		updatedAt: Date.now(),
+	};
+	try {
+		await run('readwrite', (store) => store.put(record));
+	} catch (error) {
+		logError('Failed to save import log', { importId: log.importId, error: error?.message });
+	}
+	return record;
+};
+
+/**
+ * Record the outcome for one gist
+ * @param {string|number} userId
+ * @param {Object} log
+ * @param {string} gistKey - PlannedGist key
+ * @param {{ status: string, gistId?: string, error?: string }} outcome
+ * @returns {Promise<Object>} The updated log
+ */
+export const updateImportLog = (userId, log, gistKey, outcome) =>
+	saveImportLog(userId, {
+		...log,
+		gists: log.gists.map((gist) => (gist.key === gistKey ? { ...gist, ...outcome } : gist)),
+	});
+
+/**
+ * A user's imports, most recently active first
+ * @param {string|number} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listImportLogs = async (userId) => {
+	if (userId == null) return [];
+
+	try {
+		const logs = await run('readonly', (store) => store.index('userId').getAll(userId));
+		return (logs || []).sort((a, b) => b.updatedAt - a.updatedAt);
+	} catch (error) {
+		logError('Failed to list import logs', { error: error?.message });
+		return [];
+	}
+};
+
+/**
+ * @param {string|number} userId
+ * @param {string} importId
+ * @returns {Promise<void>}
+ */
+export const deleteImportLog = async (userId, importId) => {
+	if (userId == null || !importId) return;
+
+	try {
+		await run('readwrite', (store) => store.delete(recordKey(userId, importId)));
+	} catch (error) {
+		logError('Failed to delete import log', { importId, error: error?.message });
+	}
+};
+
+/**
+ * Drop every import log for every user
+ * @returns {Promise<void>}
+ */
+export const clearImportLogs = async () => {
+	try {
+		await run('readwrite', (store) => store.clear());
+	} catch (error) {
+		logError('Failed to clear import logs', { error: error?.message });
+	}
+};
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('auth:logout', clearImportLogs);
+}
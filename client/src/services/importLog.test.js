@@ -0,0 +1,54 @@
+/**
+ * Import Log Tests
+ * Tests per-user import progress storage.
+ */
+
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../utils/logger', () => ({
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+}));
+
+const importLog = await import('./importLog');
+const { IMPORT_STATUS } = importLog;
+
+const log = {
+	importId: 'abc123',
+	name: 'backup',
+	gists: [
+		{ key: 'one', description: 'One', public: false, files: {}, status: IMPORT_STATUS.PENDING },
+		{ key: 'two', description: 'Two', public: false, files: {}, status: IMPORT_STATUS.PENDING },
+	],
+};
+
+describe('Import Log', () => {
+	beforeEach(async () => {
+		await importLog.clearImportLogs();
+	});
+
+	it('records per-gist outcomes', async () => {
+		const saved = await importLog.saveImportLog(1, log);
+		await importLog.updateImportLog(1, saved, 'one', {
+			status: IMPORT_STATUS.CREATED,
+			gistId: 'g1',
+		});
+
+		const stored = await importLog.getImportLog(1, 'abc123');
+		expect(stored.gists.map((gist) => gist.status)).toEqual(['created', 'pending']);
+		expect(stored.gists[0].gistId).toBe('g1');
+		expect(importLog.isImportComplete(stored)).toBe(false);
+	});
+
+	it('keeps logs per user', async () => {
+		await importLog.saveImportLog(1, log);
+
+		expect(await importLog.listImportLogs(1)).toHaveLength(1);
+		expect(await importLog.listImportLogs(2)).toEqual([]);
+		expect(await importLog.getImportLog(2, 'abc123')).toBeNull();
+
+		await importLog.deleteImportLog(1, 'abc123');
+		expect(await importLog.listImportLogs(1)).toEqual([]);
+	});
+});
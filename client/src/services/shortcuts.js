@@ -0,0 +1,211 @@
+/**
+ * Keyboard Shortcuts
+ * Key combos for commands (see contexts/CommandContext), written like
+ * "Mod+K" or "Alt+Shift+N". "Mod" is Cmd on macOS and Ctrl elsewhere.
+ * Defaults can be changed or cleared from the shortcuts overlay; only the
+ * changes are stored, in localStorage, so new defaults still reach users.
+ * @module services/shortcuts
+ */
+
+import { logError } from '../utils/logger';
+
+const STORAGE_KEY = 'keyboardShortcuts';
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift'];
+
+/** Shortcuts by command ID */
+export const DEFAULT_SHORTCUTS = {
+	'palette.open': 'Mod+K',
+	'shortcuts.show': '?',
+	'gist.new': 'Alt+N',
+	'nav.my-gists': 'Alt+G',
+	'nav.starred': 'Alt+S',
+	'theme.cycle': 'Alt+T',
+	'gist.copy-raw': 'Alt+C',
+};
+
+export const isMac = () =>
+	typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+/**
+ * The key an event is for, independent of keyboard layout tricks: Alt+N types
+ * "˜" on macOS, so letters and digits come from event.code
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+const eventKey = (event) => {
+	const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || '');
+	if (code) return code[1] || code[2];
+	if (event.key === ' ') return 'Space';
+	return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+};
+
+/**
+ * Whether a key is a symbol typed with Shift on common layouts ("?" is Shift+/),
+ * in which case the Shift itself is not part of the combo
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isShiftedSymbol = (key) => key.length === 1 && !/[A-Z0-9]/.test(key);
+
+/**
+ * @param {string} combo
+ * @returns {{ mod: boolean, ctrl: boolean, alt: boolean, shift: boolean, key: string }|null}
+ */
+export const parseShortcut = (combo) => {
+	if (!combo) return null;
+	// "Mod++" binds the plus key
+	const parts = combo.split(/\+(?!$)/);
+	const key = parts.pop();
+	const modifiers = new Set(parts);
+	if (!key || [...modifiers].some((modifier) => !MODIFIERS.includes(modifier))) return null;
+	return {
+		mod: modifiers.has('Mod'),
+		ctrl: modifiers.has('Ctrl'),
+		alt: modifiers.has('Alt'),
+		shift: modifiers.has('Shift'),
+		key: key.length === 1 ? key.toUpperCase() : key,
+	};
+};
+
+/**
+ * @param {KeyboardEvent} event
+ * @param {string} combo
+ * @returns {boolean}
+ */
+export const matchesShortcut = (event, combo) => {
+	const shortcut = parseShortcut(combo);
+	if (!shortcut) return false;
+	const mac = isMac();
+	const wantMeta = shortcut.mod && mac;
+	const wantCtrl = shortcut.ctrl || (shortcut.mod && !mac);
+	const key = eventKey(event);
+	return (
+		key === shortcut.key &&
+		event.metaKey === wantMeta &&
+		event.ctrlKey === wantCtrl &&
+		event.altKey === shortcut.alt &&
+		(isShiftedSymbol(key) || event.shiftKey === shortcut.shift)
+	);
+};
+
+/**
+ * The combo a key press makes, for recording new shortcuts
+ * @param {KeyboardEvent} event
+ * @returns {string|null} null while only modifiers are held
+ */
+export const shortcutFromEvent = (event) => {
+	if (['Meta', 'Control', 'Alt', 'Shift'].includes(event.key)) return null;
+	const key = eventKey(event);
+	const mac = isMac();
+	const parts = [];
+	if (mac ? event.metaKey : event.ctrlKey) parts.push('Mod');
+	if (mac && event.ctrlKey) parts.push('Ctrl');
+	if (event.altKey) parts.push('Alt');
+	if (event.shiftKey && !isShiftedSymbol(key)) parts.push('Shift');
+	return [...parts, key].join('+');
+};
+
+/**
+ * Key names to show, e.g. ["⌘", "K"] on macOS and ["Ctrl", "K"] elsewhere
+ * @param {string} combo
+ * @returns {string[]}
+ */
+export const formatShortcut = (combo) => {
+	const shortcut = parseShortcut(combo);
+	if (!shortcut) return [];
+	const mac = isMac();
+	const keys = [];
+	if (shortcut.ctrl) keys.push(mac ? '⌃' : 'Ctrl');
+	if (shortcut.mod) keys.push(mac ? '⌘' : 'Ctrl');
+	if (shortcut.alt) keys.push(mac ? '⌥' : 'Alt');
+	if (shortcut.shift) keys.push(mac ? '⇧' : 'Shift');
+	keys.push(shortcut.key);
+	return keys;
+};
+
+/**
+ * Whether a shortcut may run while typing in a text field. Plain keys type text,
+ * and so do Alt combos on macOS and AltGr layouts.
+ * @param {string} combo
+ * @returns {boolean}
+ */
+export const worksWhileTyping = (combo) => {
+	const shortcut = parseShortcut(combo);
+	return Boolean(shortcut && (shortcut.mod || shortcut.ctrl) && !shortcut.alt);
+};
+
+/**
+ * @param {EventTarget|null} target
+ * @returns {boolean} Whether keys pressed in target are typed as text
+ */
+export const isTypingTarget = (target) =>
+	Boolean(
+		target &&
+			(target.isContentEditable ||
+				target.tagName === 'TEXTAREA' ||
+				target.tagName === 'SELECT' ||
+				(target.tagName === 'INPUT' &&
+					!['checkbox', 'radio', 'button', 'submit'].includes(target.type))),
+	);
+
+/**
+ * Stored changes to the defaults
+ * @returns {Object<string, string|null>} Combo by command ID; null means unbound
+ */
+export const loadShortcutOverrides = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+		if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+		return Object.fromEntries(
+			Object.entries(stored).filter(
+				([, combo]) => combo === null || (typeof combo === 'string' && parseShortcut(combo)),
+			),
+		);
+	} catch (error) {
+		logError('Failed to read keyboard shortcuts', error);
+		return {};
+	}
+};
+
+/**
+ * @param {Object<string, string|null>} overrides
+ */
+export const saveShortcutOverrides = (overrides) => {
+	if (Object.keys(overrides).length) {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+	} else {
+		localStorage.removeItem(STORAGE_KEY);
+	}
+};
+
+/**
+ * Apply a change to one command's shortcut. Any other command using the same
+ * combo loses it, so a key press never runs two commands.
+ * @param {Object<string, string|null>} overrides
+ * @param {string} commandId
+ * @param {string|null} combo - null to unbind
+ * @returns {Object<string, string|null>} New overrides
+ */
+export const setShortcutOverride = (overrides, commandId, combo) => {
+	const next = { ...overrides, [commandId]: combo };
+	if (combo) {
+		for (const [id, existing] of Object.entries(resolveShortcuts(overrides))) {
+			if (id !== commandId && existing === combo) next[id] = null;
+		}
+	}
+	// Keep only what differs from the defaults
+	for (const id of Object.keys(next)) {
+		if (next[id] === (DEFAULT_SHORTCUTS[id] || null)) delete next[id];
+	}
+	return next;
+};
+
+/**
+ * @param {Object<string, string|null>} overrides
+ * @returns {Object<string, string>} Combo by command ID, without unbound commands
+ */
+export const resolveShortcuts = (overrides) => {
+	const merged = { ...DEFAULT_SHORTCUTS, ...overrides };
+	return Object.fromEntries(Object.entries(merged).filter(([, combo]) => combo));
+};
@@ -0,0 +1,78 @@
+/**
+ * Keyboard Shortcuts Tests
+ * Tests matching key events, recording combos and storing changed shortcuts.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+	DEFAULT_SHORTCUTS,
+	formatShortcut,
+	loadShortcutOverrides,
+	matchesShortcut,
+	resolveShortcuts,
+	saveShortcutOverrides,
+	setShortcutOverride,
+	shortcutFromEvent,
+	worksWhileTyping,
+} from './shortcuts';
+
+const keyEvent = (init) =>
+	new KeyboardEvent('keydown', { ctrlKey: false, metaKey: false, altKey: false, ...init });
+
+describe('shortcuts', () => {
+	beforeEach(() => {
+		localStorage.clear();
+	});
+
+	it('matches Mod as Ctrl outside macOS', () => {
+		expect(matchesShortcut(keyEvent({ key: 'k', code: 'KeyK', ctrlKey: true }), 'Mod+K')).toBe(
+			true,
+		);
+		expect(matchesShortcut(keyEvent({ key: 'k', code: 'KeyK', metaKey: true }), 'Mod+K')).toBe(
+			false,
+		);
+		expect(
+			matchesShortcut(keyEvent({ key: 'K', code: 'KeyK', ctrlKey: true, shiftKey: true }), 'Mod+K'),
+		).toBe(false);
+	});
+
+	it('reads letters from the physical key so Alt combos work on macOS layouts', () => {
+		expect(matchesShortcut(keyEvent({ key: '˜', code: 'KeyN', altKey: true }), 'Alt+N')).toBe(true);
+		expect(shortcutFromEvent(keyEvent({ key: '˜', code: 'KeyN', altKey: true }))).toBe('Alt+N');
+	});
+
+	it('ignores the Shift needed to type symbols', () => {
+		const questionMark = keyEvent({ key: '?', code: 'Slash', shiftKey: true });
+
+		expect(matchesShortcut(questionMark, '?')).toBe(true);
+		expect(shortcutFromEvent(questionMark)).toBe('?');
+		expect(shortcutFromEvent(keyEvent({ key: 'Shift', shiftKey: true }))).toBeNull();
+	});
+
+	it('formats combos and tells which ones may run while typing', () => {
+		expect(formatShortcut('Mod+Shift+P')).toEqual(['Ctrl', 'Shift', 'P']);
+		expect(worksWhileTyping('Mod+K')).toBe(true);
+		expect(worksWhileTyping('Alt+N')).toBe(false);
+		expect(worksWhileTyping('?')).toBe(false);
+	});
+
+	it('moves a combo to the command it is assigned to', () => {
+		const overrides = setShortcutOverride({}, 'nav.explore', DEFAULT_SHORTCUTS['gist.new']);
+
+		expect(overrides).toEqual({ 'nav.explore': 'Alt+N', 'gist.new': null });
+		expect(resolveShortcuts(overrides)['gist.new']).toBeUndefined();
+		// Assigning the default again drops the override
+		expect(setShortcutOverride(overrides, 'gist.new', 'Alt+N')).toEqual({});
+	});
+
+	it('stores only changes and drops invalid stored combos', () => {
+		saveShortcutOverrides({ 'gist.new': 'Alt+J', 'theme.cycle': null });
+		expect(loadShortcutOverrides()).toEqual({ 'gist.new': 'Alt+J', 'theme.cycle': null });
+
+		localStorage.setItem('keyboardShortcuts', JSON.stringify({ 'gist.new': 'Hyper+J', x: 3 }));
+		expect(loadShortcutOverrides()).toEqual({});
+
+		saveShortcutOverrides({});
+		expect(localStorage.getItem('keyboardShortcuts')).toBeNull();
+	});
+});
@@ -0,0 +1,312 @@
+/**
+ * Offline Sync Queue
+ * Persists gist create/update/delete operations made while offline so they can
+ * be replayed in order once connectivity returns (see syncPendingOperations in
+ * services/api/gists). Operations are partitioned per user and coalesced so the
+ * queue holds at most one create/update and one delete per gist.
+ *
+ * The queue is cleared when the user logs out (auth:logout). An expired session
+ * (auth:token_invalid) leaves it alone, so edits made before it expired are
+ * still synced after signing in again.
+ * @module services/syncQueue
+ */
+
+import { logError, logInfo } from '../utils/logger';
+import { runInStore, SYNC_QUEUE_STORE } from './db';
+
+/** Prefix for ids of gists created offline that GitHub has not assigned an id to yet */
+export const LOCAL_ID_PREFIX = 'local-';
+
+/** Operation states */
+export const OP_STATUS = {
+	PENDING: 'pending',
+	CONFLICT: 'conflict',
+	FAILED: 'failed',
+};
+
+const run = (mode, operation) => runInStore(SYNC_QUEUE_STORE, mode, operation);
+
+const notifyChanged = () => {
+	if (typeof window !== 'undefined') {
+		window.dispatchEvent(new CustomEvent('sync:changed'));
+	}
+};
+
+/**
+ * @param {string} id - Gist ID
+ * @returns {boolean} Whether the gist only exists in the local queue
+ */
+export const isLocalGistId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * @returns {string} A fresh local gist ID
+ */
+export const createLocalGistId = () =>
+	`${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * @returns {boolean} Whether the browser reports being offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Whether a request failed before reaching the server (as opposed to an HTTP error)
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) =>
+	Boolean(error) && !error.response && (error.code === 'ERR_NETWORK' || isOffline());
+
+/**
+ * Merge two gist payloads, later values winning per file
+ * @param {Object} base
+ * @param {Object} next
+ * @returns {Object}
+ */
+const mergeGistData = (base, next) => ({
+	...base,
+	...next,
+	files: { ...base?.files, ...next?.files },
+});
+
+/**
+ * Build a gist-shaped object for a gist that has only been created locally
+ * @param {string} id - Local gist ID
+ * @param {Object} data - Create payload
+ * @param {string} [createdAt] - ISO timestamp
+ * @returns {Object}
+ */
+export const buildLocalGist = (id, data, createdAt = new Date().toISOString()) => ({
+	id,
+	description: data.description || '',
+	public: Boolean(data.public),
+	created_at: createdAt,
+	updated_at: createdAt,
+	owner: null,
+	history: [],
+	files: applyGistPatch({ files: {} }, data).files,
+	_pendingSync: true,
+});
+
+/**
+ * Apply an update payload to a gist, the same way GitHub's PATCH would
+ * @param {Object} gist - Gist as returned by the API
+ * @param {Object} data - Update payload (`files` entries may be null to delete)
+ * @returns {Object}
+ */
+export const applyGistPatch = (gist, data) => {
+	const files = { ...gist.files };
+
+	for (const [name, file] of Object.entries(data.files || {})) {
+		if (!file) {
+			delete files[name];
+			continue;
+		}
+		const filename = file.filename || name;
+		const content = file.content ?? files[name]?.content ?? '';
+		if (filename !== name) delete files[name];
+		files[filename] = { ...gist.files?.[name], filename, content, size: content.length };
+	}
+
+	return {
+		...gist,
+		description: data.description ?? gist.description,
+		public: data.public ?? gist.public,
+		files,
+		_pendingSync: true,
+	};
+};
+
+/**
+ * All queued operations for a user, oldest first
+ * @param {string|number} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getPendingOperations = async (userId) => {
+	if (userId == null) return [];
+
+	try {
+		const ops = await run('readonly', (store) => store.index('userId').getAll(userId));
+		return (ops || []).sort((a, b) => a.id - b.id);
+	} catch (error) {
+		logError('Failed to read sync queue', { error: error?.message });
+		return [];
+	}
+};
+
+/**
+ * Queue an operation, coalescing it with earlier operations on the same gist
+ * @param {Object} operation
+ * @param {string|number} operation.userId
+ * @param {'create'|'update'|'delete'} operation.type
+ * @param {string} operation.gistId - Real or local gist ID
+ * @param {Object} [operation.data] - Request payload (create/update)
+ * @param {string|null} [operation.baseUpdatedAt] - Remote `updated_at` the change was made against
+ * @returns {Promise<void>}
+ */
+export const enqueueOperation = async ({
+	userId,
+	type,
+	gistId,
+	data = null,
+	baseUpdatedAt = null,
+}) => {
+	const forGist = (await getPendingOperations(userId)).filter((op) => op.gistId === gistId);
+	const earlier = forGist.find((op) => op.type === 'create' || op.type === 'update');
+
+	if (type === 'update' && earlier) {
+		// A gist created offline stays a single create; repeated edits keep the first base
+		let merged = mergeGistData(earlier.data, data);
+		if (earlier.type === 'create')
+			merged = { ...merged, files: applyGistPatch({ files: {} }, merged).files };
+		await run('readwrite', (store) => store.put({ ...earlier, data: merged }));
+	} else if (type === 'delete' && isLocalGistId(gistId)) {
+		// Never reached GitHub, so there is nothing to delete remotely
+		await Promise.all(forGist.map((op) => removeOperation(op.id, false)));
+	} else if (type === 'delete') {
+		await Promise.all(forGist.map((op) => removeOperation(op.id, false)));
+		await run('readwrite', (store) =>
+			store.add({
+				userId,
+				type,
+				gistId,
+				data: null,
+				baseUpdatedAt: earlier?.baseUpdatedAt ?? baseUpdatedAt,
+				status: OP_STATUS.PENDING,
+				createdAt: Date.now(),
+			}),
+		);
+	} else {
+		await run('readwrite', (store) =>
+			store.add({
+				userId,
+				type,
+				gistId,
+				data,
+				baseUpdatedAt,
+				status: OP_STATUS.PENDING,
+				createdAt: Date.now(),
+			}),
+		);
+	}
+
+	logInfo('Queued offline gist operation', { type, gistId });
+	notifyChanged();
+};
+
+/**
+ * Update fields on a queued operation
+ * @param {number} opId
+ * @param {Object} changes
+ * @returns {Promise<void>}
+ */
+export const updateOperation = async (opId, changes) => {
+	const op = await run('readonly', (store) => store.get(opId));
+	if (!op) return;
+	await run('readwrite', (store) => store.put({ ...op, ...changes }));
+	notifyChanged();
+};
+
+/**
+ * Remove a queued operation
+ * @param {number} opId
+ * @param {boolean} [notify=true]
+ * @returns {Promise<void>}
+ */
+export const removeOperation = async (opId, notify = true) => {
+	await run('readwrite', (store) => store.delete(opId));
+	if (notify) notifyChanged();
+};
+
+/**
+ * Point queued operations for a locally created gist at its real ID
+ * @param {string|number} userId
+ * @param {string} localId
+ * @param {string} gistId
+ * @returns {Promise<void>}
+ */
+export const remapGistId = async (userId, localId, gistId) => {
+	const ops = (await getPendingOperations(userId)).filter((op) => op.gistId === localId);
+	await Promise.all(ops.map((op) => run('readwrite', (store) => store.put({ ...op, gistId }))));
+};
+
+/**
+ * Settle a conflicted or failed operation
+ * 'overwrite' re-queues it without the remote check; 'discard' drops it.
+ * @param {number} opId
+ * @param {'overwrite'|'discard'} resolution
+ * @returns {Promise<void>}
+ */
+export const resolveOperation = async (opId, resolution) => {
+	if (resolution === 'discard') {
+		await removeOperation(opId);
+		return;
+	}
+	await updateOperation(opId, { status: OP_STATUS.PENDING, baseUpdatedAt: null, error: null });
+};
+
+/**
+ * Overlay queued operations on a gist list
+ * @param {Array<Object>} gists - Gists from the API
+ * @param {Array<Object>} ops - Queued operations, oldest first
+ * @returns {Array<Object>}
+ */
+export const applyPendingOperations = (gists, ops) => {
+	let result = [...gists];
+
+	for (const op of ops) {
+		if (op.type === 'create') {
+			result = [
+				buildLocalGist(op.gistId, op.data, new Date(op.createdAt).toISOString()),
+				...result,
+			];
+		} else if (op.type === 'update') {
+			result = result.map((gist) => (gist.id === op.gistId ? applyGistPatch(gist, op.data) : gist));
+		} else if (op.type === 'delete') {
+			result = result.filter((gist) => gist.id !== op.gistId);
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Overlay queued operations on a single gist
+ * @param {Object|null} gist - Gist from the API or cache (null for local gists)
+ * @param {string} gistId
+ * @param {Array<Object>} ops - Queued operations, oldest first
+ * @returns {Object|null} The gist as the user last saved it, or null if deleted
+ */
+export const applyPendingToGist = (gist, gistId, ops) => {
+	let result = gist;
+
+	for (const op of ops) {
+		if (op.gistId !== gistId) continue;
+		if (op.type === 'create') {
+			result = buildLocalGist(op.gistId, op.data, new Date(op.createdAt).toISOString());
+		} else if (op.type === 'update' && result) {
+			result = applyGistPatch(result, op.data);
+		} else if (op.type === 'delete') {
+			result = null;
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Drop every queued operation for every user
+ * @returns {Promise<void>}
+ */
+export const clearQueue = async () => {
+	try {
+		await run('readwrite', (store) => store.clear());
+		notifyChanged();
+	} catch (error) {
+		logError('Failed to clear sync queue', { error: error?.message });
+	}
+};
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('auth:logout', clearQueue);
+}
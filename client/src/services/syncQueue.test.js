@@ -0,0 +1,172 @@
+/**
+ * Sync Queue Tests
+ * Tests operation coalescing, overlaying queued changes and conflict resolution.
+ */
+
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../utils/logger', () => ({
+	logInfo: vi.fn(),
+	logError: vi.fn(),
+}));
+
+const syncQueue = await import('./syncQueue');
+
+const remoteGist = {
+	id: 'abc',
+	description: 'Remote',
+	public: true,
+	updated_at: '2024-01-01T00:00:00Z',
+	files: { 'a.js': { filename: 'a.js', content: 'one' } },
+};
+
+describe('Sync Queue', () => {
+	beforeEach(async () => {
+		await syncQueue.clearQueue();
+	});
+
+	it('keeps users isolated and returns operations oldest first', async () => {
+		await syncQueue.enqueueOperation({ userId: 1, type: 'update', gistId: 'a', data: {} });
+		await syncQueue.enqueueOperation({ userId: 1, type: 'update', gistId: 'b', data: {} });
+		await syncQueue.enqueueOperation({ userId: 2, type: 'update', gistId: 'c', data: {} });
+
+		const ops = await syncQueue.getPendingOperations(1);
+
+		expect(ops.map((op) => op.gistId)).toEqual(['a', 'b']);
+		expect(ops[0].status).toBe(syncQueue.OP_STATUS.PENDING);
+	});
+
+	it('merges repeated updates and keeps the first base version', async () => {
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'update',
+			gistId: 'abc',
+			data: { description: 'First', files: { 'a.js': { content: 'two' } } },
+			baseUpdatedAt: 'v1',
+		});
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'update',
+			gistId: 'abc',
+			data: { description: 'Second', files: { 'b.js': { content: 'new' } } },
+			baseUpdatedAt: 'v2',
+		});
+
+		const ops = await syncQueue.getPendingOperations(1);
+
+		expect(ops).toHaveLength(1);
+		expect(ops[0].baseUpdatedAt).toBe('v1');
+		expect(ops[0].data.description).toBe('Second');
+		expect(Object.keys(ops[0].data.files)).toEqual(['a.js', 'b.js']);
+	});
+
+	it('folds edits to a gist created offline into its create', async () => {
+		const localId = syncQueue.createLocalGistId();
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'create',
+			gistId: localId,
+			data: { description: 'Draft', files: { 'a.md': { content: 'hi' } } },
+		});
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'update',
+			gistId: localId,
+			data: { files: { 'a.md': { content: 'hello' } } },
+		});
+
+		const ops = await syncQueue.getPendingOperations(1);
+
+		expect(ops).toHaveLength(1);
+		expect(ops[0].type).toBe('create');
+		expect(ops[0].data.files['a.md'].content).toBe('hello');
+	});
+
+	it('drops everything queued for a local gist when it is deleted', async () => {
+		const localId = syncQueue.createLocalGistId();
+		await syncQueue.enqueueOperation({ userId: 1, type: 'create', gistId: localId, data: {} });
+		await syncQueue.enqueueOperation({ userId: 1, type: 'delete', gistId: localId });
+
+		expect(await syncQueue.getPendingOperations(1)).toEqual([]);
+	});
+
+	it('replaces queued updates with the delete', async () => {
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'update',
+			gistId: 'abc',
+			data: {},
+			baseUpdatedAt: 'v1',
+		});
+		await syncQueue.enqueueOperation({ userId: 1, type: 'delete', gistId: 'abc' });
+
+		const ops = await syncQueue.getPendingOperations(1);
+
+		expect(ops).toHaveLength(1);
+		expect(ops[0]).toMatchObject({ type: 'delete', baseUpdatedAt: 'v1' });
+	});
+
+	it('overlays queued operations on a gist list', () => {
+		const ops = [
+			{
+				type: 'create',
+				gistId: 'local-1',
+				data: { files: { 'n.js': { content: 'x' } } },
+				createdAt: 0,
+			},
+			{ type: 'update', gistId: 'abc', data: { description: 'Edited offline' } },
+			{ type: 'delete', gistId: 'gone' },
+		];
+
+		const result = syncQueue.applyPendingOperations([remoteGist, { id: 'gone', files: {} }], ops);
+
+		expect(result.map((gist) => gist.id)).toEqual(['local-1', 'abc']);
+		expect(result[0]._pendingSync).toBe(true);
+		expect(result[1]).toMatchObject({ description: 'Edited offline', _pendingSync: true });
+		expect(result[1].files['a.js'].content).toBe('one');
+	});
+
+	it('applies renames and file deletions like GitHub does', () => {
+		const gist = { ...remoteGist, files: { ...remoteGist.files, 'b.js': { content: 'b' } } };
+
+		const patched = syncQueue.applyGistPatch(gist, {
+			files: { 'a.js': { filename: 'c.js', content: 'three' }, 'b.js': null },
+		});
+
+		expect(Object.keys(patched.files)).toEqual(['c.js']);
+		expect(patched.files['c.js'].content).toBe('three');
+	});
+
+	it('re-queues conflicts without the base check when overwriting', async () => {
+		await syncQueue.enqueueOperation({
+			userId: 1,
+			type: 'update',
+			gistId: 'abc',
+			data: {},
+			baseUpdatedAt: 'v1',
+		});
+		const [op] = await syncQueue.getPendingOperations(1);
+		await syncQueue.updateOperation(op.id, { status: syncQueue.OP_STATUS.CONFLICT });
+
+		await syncQueue.resolveOperation(op.id, 'overwrite');
+
+		const [resolved] = await syncQueue.getPendingOperations(1);
+		expect(resolved).toMatchObject({ status: syncQueue.OP_STATUS.PENDING, baseUpdatedAt: null });
+
+		await syncQueue.resolveOperation(op.id, 'discard');
+		expect(await syncQueue.getPendingOperations(1)).toEqual([]);
+	});
+
+	it('clears the queue on logout but not when the session expires', async () => {
+		await syncQueue.enqueueOperation({ userId: 1, type: 'update', gistId: 'abc', data: {} });
+
+		window.dispatchEvent(new CustomEvent('auth:token_invalid'));
+		expect(await syncQueue.getPendingOperations(1)).toHaveLength(1);
+
+		window.dispatchEvent(new CustomEvent('auth:logout'));
+		await vi.waitFor(async () => {
+			expect(await syncQueue.getPendingOperations(1)).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,148 @@
+/**
+ * Workspace
+ * Open tabs of the multi-tab workspace (see components/Workspace), one gist per
+ * tab, kept in localStorage per user so they are reopened after a reload. Only
+ * which gists are open is stored here; unsaved edits are drafts (see
+ * services/draftStore), keyed by the gist ID or by the tab's new-draft key.
+ *
+ * Logging out (auth:logout) closes every tab; an expired session
+ * (auth:token_invalid) doesn't, so the same tabs are back after signing in.
+ * @module services/workspace
+ */
+
+import { logError } from '../utils/logger';
+import { createNewDraftKey, isNewDraftKey } from './draftStore';
+
+const STORAGE_PREFIX = 'workspace:';
+
+/**
+ * @typedef {Object} WorkspaceTab
+ * @property {string} key - Stays the same once a new gist is created
+ * @property {string|null} gistId - null until a new gist is first saved
+ * @property {string} [draftKey] - New-draft key the tab's unsaved gist is kept under
+ */
+
+/**
+ * @typedef {Object} WorkspaceState
+ * @property {WorkspaceTab[]} tabs
+ * @property {string|null} activeKey
+ */
+
+const storageKey = (userId) => `${STORAGE_PREFIX}${userId}`;
+
+/** @returns {WorkspaceState} */
+export const createEmptyWorkspace = () => ({ tabs: [], activeKey: null });
+
+/**
+ * @param {*} tab
+ * @returns {boolean}
+ */
+const isValidTab = (tab) =>
+	Boolean(
+		tab &&
+			typeof tab.key === 'string' &&
+			(typeof tab.gistId === 'string' || (tab.gistId === null && isNewDraftKey(tab.draftKey))),
+	);
+
+/**
+ * @param {string|number} userId
+ * @returns {WorkspaceState}
+ */
+export const loadWorkspace = (userId) => {
+	if (userId == null) return createEmptyWorkspace();
+
+	try {
+		const stored = JSON.parse(localStorage.getItem(storageKey(userId)) || 'null');
+		if (!stored || !Array.isArray(stored.tabs)) return createEmptyWorkspace();
+		const tabs = stored.tabs.filter(isValidTab);
+		const activeKey = tabs.some((tab) => tab.key === stored.activeKey)
+			? stored.activeKey
+			: (tabs[0]?.key ?? null);
+		return { tabs, activeKey };
+	} catch (error) {
+		logError('Failed to read workspace tabs', error);
+		return createEmptyWorkspace();
+	}
+};
+
+/**
+ * @param {string|number} userId
+ * @param {WorkspaceState} workspace
+ */
+export const saveWorkspace = (userId, workspace) => {
+	if (userId == null) return;
+	if (workspace.tabs.length) {
+		localStorage.setItem(storageKey(userId), JSON.stringify(workspace));
+	} else {
+		localStorage.removeItem(storageKey(userId));
+	}
+};
+
+/**
+ * Switch to a gist's tab, opening one if it isn't open yet
+ * @param {WorkspaceState} workspace
+ * @param {string} gistId
+ * @returns {WorkspaceState}
+ */
+export const openGistTab = (workspace, gistId) => {
+	const open = workspace.tabs.find((tab) => tab.gistId === gistId);
+	if (open) return { ...workspace, activeKey: open.key };
+	const tab = { key: `gist-${gistId}`, gistId };
+	return { tabs: [...workspace.tabs, tab], activeKey: tab.key };
+};
+
+/**
+ * Open and switch to a tab for a new gist
+ * @param {WorkspaceState} workspace
+ * @returns {WorkspaceState}
+ */
+export const openNewTab = (workspace) => {
+	const draftKey = createNewDraftKey();
+	const tab = { key: draftKey, gistId: null, draftKey };
+	return { tabs: [...workspace.tabs, tab], activeKey: tab.key };
+};
+
+/**
+ * Close a tab; closing the active one switches to its neighbour
+ * @param {WorkspaceState} workspace
+ * @param {string} key
+ * @returns {WorkspaceState}
+ */
+export const closeTab = (workspace, key) => {
+	const index = workspace.tabs.findIndex((tab) => tab.key === key);
+	if (index === -1) return workspace;
+	const tabs = workspace.tabs.filter((tab) => tab.key !== key);
+	if (workspace.activeKey !== key) return { ...workspace, tabs };
+	const neighbour = tabs[Math.min(index, tabs.length - 1)];
+	return { tabs, activeKey: neighbour?.key ?? null };
+};
+
+/**
+ * Record the ID a tab's gist got when it was created (or synced after being
+ * created offline). If the gist is already open in another tab, that tab is
+ * dropped so each gist stays in one tab.
+ * @param {WorkspaceState} workspace
+ * @param {string} key
+ * @param {string} gistId
+ * @returns {WorkspaceState}
+ */
+export const setTabGistId = (workspace, key, gistId) => {
+	const tabs = workspace.tabs
+		.filter((tab) => tab.key === key || tab.gistId !== gistId)
+		.map((tab) => (tab.key === key ? { key, gistId } : tab));
+	const activeKey = tabs.some((tab) => tab.key === workspace.activeKey) ? workspace.activeKey : key;
+	return { tabs, activeKey };
+};
+
+/** Forget the tabs of every user */
+export const clearWorkspaces = () => {
+	// Backwards, as removing an item shifts the indexes after it
+	for (let i = localStorage.length - 1; i >= 0; i--) {
+		const key = localStorage.key(i);
+		if (key?.startsWith(STORAGE_PREFIX)) localStorage.removeItem(key);
+	}
+};
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('auth:logout', clearWorkspaces);
+}
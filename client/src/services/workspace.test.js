@@ -0,0 +1,92 @@
+/**
+ * Workspace Tests
+ * Tests opening, closing and storing workspace tabs.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import { isNewDraftKey } from './draftStore';
+import {
+	closeTab,
+	createEmptyWorkspace,
+	loadWorkspace,
+	openGistTab,
+	openNewTab,
+	saveWorkspace,
+	setTabGistId,
+} from './workspace';
+
+describe('workspace', () => {
+	beforeEach(() => {
+		localStorage.clear();
+	});
+
+	it('opens each gist in one tab and switches to it', () => {
+		let workspace = openGistTab(createEmptyWorkspace(), 'a');
+		workspace = openGistTab(workspace, 'b');
+		workspace = openGistTab(workspace, 'a');
+
+		expect(workspace.tabs.map((tab) => tab.gistId)).toEqual(['a', 'b']);
+		expect(workspace.activeKey).toBe('gist-a');
+	});
+
+	it('gives new-gist tabs a new-draft key that stays their key once created', () => {
+		let workspace = openNewTab(openGistTab(createEmptyWorkspace(), 'a'));
+		const [, tab] = workspace.tabs;
+		expect(isNewDraftKey(tab.draftKey)).toBe(true);
+		expect(workspace.activeKey).toBe(tab.key);
+
+		workspace = setTabGistId(workspace, tab.key, 'c');
+		expect(workspace.tabs[1]).toEqual({ key: tab.key, gistId: 'c' });
+		expect(workspace.activeKey).toBe(tab.key);
+	});
+
+	it('drops the other tab when a created gist is already open', () => {
+		let workspace = openNewTab(openGistTab(createEmptyWorkspace(), 'a'));
+		const newKey = workspace.activeKey;
+
+		workspace = setTabGistId(openGistTab(workspace, 'b'), newKey, 'b');
+
+		expect(workspace.tabs.map((tab) => tab.gistId)).toEqual(['a', 'b']);
+		expect(workspace.activeKey).toBe(newKey);
+	});
+
+	it('switches to the neighbour when the active tab closes', () => {
+		let workspace = ['a', 'b', 'c'].reduce(openGistTab, createEmptyWorkspace());
+		workspace = openGistTab(workspace, 'b');
+
+		workspace = closeTab(workspace, 'gist-b');
+		expect(workspace.activeKey).toBe('gist-c');
+		workspace = closeTab(workspace, 'gist-c');
+		expect(workspace.activeKey).toBe('gist-a');
+		workspace = closeTab(workspace, 'gist-a');
+		expect(workspace).toEqual(createEmptyWorkspace());
+	});
+
+	it('restores the tabs per user and skips anything unreadable', () => {
+		const workspace = openNewTab(openGistTab(createEmptyWorkspace(), 'a'));
+		saveWorkspace(1, workspace);
+
+		expect(loadWorkspace(1)).toEqual(workspace);
+		expect(loadWorkspace(2)).toEqual(createEmptyWorkspace());
+
+		localStorage.setItem(
+			'workspace:3',
+			JSON.stringify({
+				tabs: [
+					{ key: 'x', gistId: null },
+					{ key: 'gist-a', gistId: 'a' },
+				],
+			}),
+		);
+		expect(loadWorkspace(3)).toEqual({
+			tabs: [{ key: 'gist-a', gistId: 'a' }],
+			activeKey: 'gist-a',
+		});
+
+		localStorage.setItem('workspace:4', '{');
+		expect(loadWorkspace(4)).toEqual(createEmptyWorkspace());
+
+		saveWorkspace(1, createEmptyWorkspace());
+		expect(localStorage.getItem('workspace:1')).toBeNull();
+	});
+});
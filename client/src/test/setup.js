@@ -23,47 +23,50 @@ const createStorageMock = () => {
 	};
 };
 
-Object.defineProperty(window, 'localStorage', { value: createStorageMock() });
-Object.defineProperty(window, 'sessionStorage', { value: createStorageMock() });
+// Browser mocks; files that opt into `@vitest-environment node` skip them
+if (typeof window !== 'undefined') {
+	Object.defineProperty(window, 'localStorage', { value: createStorageMock() });
+	Object.defineProperty(window, 'sessionStorage', { value: createStorageMock() });
 
-// Cleanup after each test
-afterEach(() => {
-	cleanup();
-	window.localStorage.clear();
-	window.sessionStorage.clear();
-});
+	// Cleanup after each test
+	afterEach(() => {
+		cleanup();
+		window.localStorage.clear();
+		window.sessionStorage.clear();
+	});
 
-// Mock window.matchMedia
-Object.defineProperty(window, 'matchMedia', {
-	writable: true,
-	value: vi.fn().mockImplementation((query) => ({
-		matches: false,
-		media: query,
-		onchange: null,
-		addListener: vi.fn(),
-		removeListener: vi.fn(),
-		addEventListener: vi.fn(),
-		removeEventListener: vi.fn(),
-		dispatchEvent: vi.fn(),
-	})),
-});
+	// Mock window.matchMedia
+	Object.defineProperty(window, 'matchMedia', {
+		writable: true,
+		value: vi.fn().mockImplementation((query) => ({
+			matches: false,
+			media: query,
+			onchange: null,
+			addListener: vi.fn(),
+			removeListener: vi.fn(),
+			addEventListener: vi.fn(),
+			removeEventListener: vi.fn(),
+			dispatchEvent: vi.fn(),
+		})),
+	});
 
-// Mock IntersectionObserver
-global.IntersectionObserver = class IntersectionObserver {
-	disconnect() {}
-	observe() {}
-	takeRecords() {
-		return [];
-	}
-	unobserve() {}
-};
+	// Mock IntersectionObserver
+	global.IntersectionObserver = class IntersectionObserver {
+		disconnect() {}
+		observe() {}
+		takeRecords() {
+			return [];
+		}
+		unobserve() {}
+	};
 
-// Mock ResizeObserver
-global.ResizeObserver = class ResizeObserver {
-	disconnect() {}
-	observe() {}
-	unobserve() {}
-};
+	// Mock ResizeObserver
+	global.ResizeObserver = class ResizeObserver {
+		disconnect() {}
+		observe() {}
+		unobserve() {}
+	};
+}
 
 // Suppress console errors during tests (optional)
 const originalError = console.error;
@@ -0,0 +1,179 @@
+/**
+ * Bulk Operation Utilities
+ * Runs one action over many gists, one request at a time (or a few at once for
+ * reads), pausing between writes and backing off when GitHub reports a rate limit.
+ * @module utils/bulkOperations
+ */
+
+/** GitHub asks for at least a second between content-creating requests */
+export const WRITE_DELAY_MS = 1000;
+
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RATE_LIMIT_WAIT_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Short message for a failed item, preferring GitHub's explanation
+ * @param {Error} error - Axios error
+ * @returns {string}
+ */
+export const describeError = (error) =>
+	error?.response?.data?.message || error?.message || 'Failed';
+
+/**
+ * How long to wait before retrying a rate-limited request
+ * @param {Error} error - Axios error
+ * @returns {number|null} Milliseconds, or null when the error isn't a rate limit
+ */
+export const getRateLimitWait = (error) => {
+	const status = error?.response?.status;
+	if (status !== 403 && status !== 429) return null;
+
+	const headers = error.response.headers || {};
+	const retryAfter = Number(headers['retry-after']);
+	if (retryAfter > 0) return retryAfter * 1000;
+
+	if (headers['x-ratelimit-remaining'] === '0') {
+		const reset = Number(headers['x-ratelimit-reset']) * 1000;
+		return Math.max(reset - Date.now(), 1000);
+	}
+
+	// Secondary rate limits don't always say how long to wait
+	return status === 429 ? 60 * 1000 : null;
+};
+
+/**
+ * @param {Error} error
+ * @param {number} attempt - Retries so far
+ * @returns {number|null} How long to wait before retrying, or null to give up
+ */
+const getRetryWait = (error, attempt) => {
+	const rateLimitWait = getRateLimitWait(error);
+	return rateLimitWait !== null &&
+		rateLimitWait <= MAX_RATE_LIMIT_WAIT_MS &&
+		attempt < MAX_RATE_LIMIT_RETRIES
+		? rateLimitWait
+		: null;
+};
+
+/**
+ * Run an async action over items sequentially
+ * Failures don't stop the run; they are collected with their error.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => Promise<*>} action
+ * @param {Object} [options]
+ * @param {number} [options.delay=0] - Pause between items (use WRITE_DELAY_MS for writes)
+ * @param {(progress: { done: number, total: number, item: T, error?: Error }) => void} [options.onProgress]
+ * @param {{ aborted: boolean }} [options.signal] - Stops before the next item once aborted
+ * @param {(ms: number) => Promise<void>} [options.wait] - Injectable for tests
+ * @returns {Promise<{ succeeded: Array<{ item: T, result: * }>, failed: Array<{ item: T, error: Error }> }>}
+ */
+export const runBulk = async (items, action, options = {}) => {
+	const { delay = 0, onProgress, signal, wait = sleep } = options;
+	const succeeded = [];
+	const failed = [];
+
+	for (const [index, item] of items.entries()) {
+		if (signal?.aborted) break;
+		if (index > 0 && delay) await wait(delay);
+
+		let attempt = 0;
+		for (;;) {
+			try {
+				succeeded.push({ item, result: await action(item) });
+				onProgress?.({ done: index + 1, total: items.length, item });
+				break;
+			} catch (error) {
+				const rateLimitWait = getRetryWait(error, attempt);
+				if (rateLimitWait !== null) {
+					attempt += 1;
+					await wait(rateLimitWait);
+					continue;
+				}
+				failed.push({ item, error });
+				onProgress?.({ done: index + 1, total: items.length, item, error });
+				break;
+			}
+		}
+	}
+
+	return { succeeded, failed };
+};
+
+/**
+ * Run an async action over items, a few at a time
+ * For reads, where GitHub allows some parallelism. A rate limit hit by one
+ * request pauses them all until it has passed.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => Promise<*>} action
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Requests in flight at once
+ * @param {(progress: { done: number, total: number, item: T, result?: *, error?: Error }) => void} [options.onProgress]
+ * @param {{ aborted: boolean }} [options.signal] - Stops starting new items once aborted
+ * @param {(ms: number) => Promise<void>} [options.wait] - Injectable for tests
+ * @returns {Promise<{ succeeded: Array<{ item: T, result: * }>, failed: Array<{ item: T, error: Error }> }>}
+ */
+export const runConcurrent = async (items, action, options = {}) => {
+	const { concurrency = 4, onProgress, signal, wait = sleep } = options;
+	const succeeded = [];
+	const failed = [];
+	let next = 0;
+	let done = 0;
+	let paused = null;
+
+	const worker = async () => {
+		while (next < items.length && !signal?.aborted) {
+			const item = items[next++];
+			let attempt = 0;
+			for (;;) {
+				if (paused) await paused;
+				try {
+					const result = await action(item);
+					succeeded.push({ item, result });
+					onProgress?.({ done: ++done, total: items.length, item, result });
+					break;
+				} catch (error) {
+					const rateLimitWait = getRetryWait(error, attempt);
+					if (rateLimitWait !== null) {
+						attempt += 1;
+						paused ??= wait(rateLimitWait).then(() => {
+							paused = null;
+						});
+						continue;
+					}
+					failed.push({ item, error });
+					onProgress?.({ done: ++done, total: items.length, item, error });
+					break;
+				}
+			}
+		}
+	};
+
+	await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+	return { succeeded, failed };
+};
+
+/**
+ * Add or remove a description prefix
+ * Adding is a no-op when the description already starts with the prefix.
+ * @param {string|null} description
+ * @param {string} prefix
+ * @param {'add'|'remove'} [mode='add']
+ * @returns {string}
+ */
+export const applyDescriptionPrefix = (description, prefix, mode = 'add') => {
+	const current = description || '';
+	const trimmed = prefix.trim();
+	if (!trimmed) return current;
+
+	if (mode === 'remove') {
+		return current.startsWith(trimmed) ? current.slice(trimmed.length).trimStart() : current;
+	}
+	if (current.startsWith(trimmed)) return current;
+	return current ? `${trimmed} ${current}` : trimmed;
+};
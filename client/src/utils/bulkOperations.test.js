@@ -0,0 +1,116 @@
+/**
+ * Tests for bulk operation utilities
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { applyDescriptionPrefix, getRateLimitWait, runBulk, runConcurrent } from './bulkOperations';
+
+const rateLimited = (headers, status = 403) =>
+	Object.assign(new Error('rate limited'), { response: { status, headers } });
+
+describe('runBulk', () => {
+	it('collects successes and failures without stopping', async () => {
+		const action = vi.fn(async (n) => {
+			if (n === 2) throw new Error('nope');
+			return n * 10;
+		});
+
+		const { succeeded, failed } = await runBulk([1, 2, 3], action);
+
+		expect(succeeded).toEqual([
+			{ item: 1, result: 10 },
+			{ item: 3, result: 30 },
+		]);
+		expect(failed).toHaveLength(1);
+		expect(failed[0].item).toBe(2);
+	});
+
+	it('waits between items and retries rate-limited requests', async () => {
+		const wait = vi.fn(async () => {});
+		const action = vi
+			.fn()
+			.mockRejectedValueOnce(rateLimited({ 'retry-after': '2' }))
+			.mockResolvedValue('ok');
+
+		const { succeeded } = await runBulk(['a', 'b'], action, { delay: 1000, wait });
+
+		expect(succeeded).toHaveLength(2);
+		expect(wait.mock.calls).toEqual([[2000], [1000]]);
+	});
+
+	it('stops before the next item once aborted', async () => {
+		const signal = { aborted: false };
+		const action = vi.fn(async () => {
+			signal.aborted = true;
+		});
+
+		await runBulk([1, 2, 3], action, { signal });
+
+		expect(action).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('runConcurrent', () => {
+	it('keeps only a few items in flight', async () => {
+		let inFlight = 0;
+		let maxInFlight = 0;
+		const action = async (n) => {
+			inFlight += 1;
+			maxInFlight = Math.max(maxInFlight, inFlight);
+			await new Promise((resolve) => setTimeout(resolve, 1));
+			inFlight -= 1;
+			if (n === 3) throw new Error('nope');
+			return n;
+		};
+
+		const { succeeded, failed } = await runConcurrent([1, 2, 3, 4, 5], action, { concurrency: 2 });
+
+		expect(maxInFlight).toBe(2);
+		expect(succeeded.map(({ item }) => item).sort()).toEqual([1, 2, 4, 5]);
+		expect(failed.map(({ item }) => item)).toEqual([3]);
+	});
+
+	it('pauses every request once for a rate limit', async () => {
+		const wait = vi.fn(async () => {});
+		const action = vi
+			.fn()
+			.mockRejectedValueOnce(rateLimited({ 'retry-after': '5' }))
+			.mockRejectedValueOnce(rateLimited({ 'retry-after': '5' }))
+			.mockResolvedValue('ok');
+
+		const { succeeded } = await runConcurrent(['a', 'b', 'c'], action, { concurrency: 2, wait });
+
+		expect(succeeded).toHaveLength(3);
+		expect(wait).toHaveBeenCalledTimes(1);
+		expect(wait).toHaveBeenCalledWith(5000);
+	});
+});
+
+describe('getRateLimitWait', () => {
+	it('ignores errors that are not rate limits', () => {
+		expect(getRateLimitWait(rateLimited({}, 404))).toBeNull();
+		expect(getRateLimitWait(rateLimited({}, 403))).toBeNull();
+	});
+
+	it('waits until the primary limit resets', () => {
+		const reset = Math.floor(Date.now() / 1000) + 30;
+		const wait = getRateLimitWait(
+			rateLimited({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }),
+		);
+		expect(wait).toBeGreaterThan(25 * 1000);
+		expect(wait).toBeLessThanOrEqual(30 * 1000);
+	});
+});
+
+describe('applyDescriptionPrefix', () => {
+	it('adds a prefix once', () => {
+		expect(applyDescriptionPrefix('notes', '[wip]')).toBe('[wip] notes');
+		expect(applyDescriptionPrefix('[wip] notes', '[wip]')).toBe('[wip] notes');
+		expect(applyDescriptionPrefix(null, '[wip]')).toBe('[wip]');
+	});
+
+	it('removes a prefix', () => {
+		expect(applyDescriptionPrefix('[wip] notes', '[wip]', 'remove')).toBe('notes');
+		expect(applyDescriptionPrefix('notes', '[wip]', 'remove')).toBe('notes');
+	});
+});
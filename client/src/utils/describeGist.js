@@ -129,6 +129,16 @@ export const generateGistPreview = (gist, maxLength = 100) => {
 	};
 };
 
+/**
+ * Title to list a gist under: its description, else one generated from its files
+ * @param {Object} gist - The gist object
+ * @returns {string}
+ */
+export const gistTitle = (gist) => {
+	const preview = generateGistPreview(gist);
+	return gist.description?.trim() || preview.generatedTitle || preview.preview;
+};
+
 /**
  * Get file type information including language and icon
  * @param {string} extension - File extension
@@ -6,7 +6,7 @@
 
 /**
  * Downloads content as a file to the user's device.
- * @param {string} content - The file content to download
+ * @param {string|Uint8Array} content - The file content to download
  * @param {string} filename - The name for the downloaded file
  * @param {string} [mimeType='text/plain'] - MIME type of the content
  */
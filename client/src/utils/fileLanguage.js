@@ -0,0 +1,73 @@
+/**
+ * File Language Utilities
+ * Maps gist filenames to language names understood by the syntax highlighter
+ * and the code editor's language modes.
+ * @module utils/fileLanguage
+ */
+
+/**
+ * @param {string} filename
+ * @returns {string} Language name, 'text' when the extension is unknown
+ */
+export const getFileLanguage = (filename) => {
+	const ext = filename.split('.').pop().toLowerCase();
+	const map = {
+		md: 'markdown',
+		markdown: 'markdown',
+		mdx: 'markdown',
+		js: 'javascript',
+		mjs: 'javascript',
+		cjs: 'javascript',
+		jsx: 'jsx',
+		ts: 'typescript',
+		tsx: 'tsx',
+		py: 'python',
+		rb: 'ruby',
+		java: 'java',
+		go: 'go',
+		rs: 'rust',
+		c: 'c',
+		cpp: 'cpp',
+		h: 'c',
+		hpp: 'cpp',
+		cs: 'csharp',
+		swift: 'swift',
+		kt: 'kotlin',
+		html: 'html',
+		htm: 'html',
+		css: 'css',
+		scss: 'scss',
+		less: 'less',
+		json: 'json',
+		yaml: 'yaml',
+		yml: 'yaml',
+		toml: 'toml',
+		xml: 'xml',
+		sql: 'sql',
+		graphql: 'graphql',
+		gql: 'graphql',
+		sh: 'bash',
+		bash: 'bash',
+		zsh: 'bash',
+		fish: 'bash',
+		ps1: 'powershell',
+		dockerfile: 'docker',
+		tf: 'hcl',
+		lua: 'lua',
+		r: 'r',
+		php: 'php',
+		pl: 'perl',
+		ex: 'elixir',
+		exs: 'elixir',
+		erl: 'erlang',
+		hs: 'haskell',
+		txt: 'text',
+	};
+	return map[ext] || 'text';
+};
+
+/**
+ * @param {string} filename
+ * @returns {boolean} Whether the file is rendered as Markdown
+ */
+export const isMarkdownFile = (filename) => /\.(md|markdown|mdx)$/i.test(filename ?? '');
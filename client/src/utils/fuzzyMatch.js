@@ -0,0 +1,163 @@
+/**
+ * Fuzzy Matching
+ * Subsequence matching for short labels such as command names and gist titles:
+ * "ngist" matches "New gist", "mygs" matches "My Gists". Matches at the start of
+ * words and runs of consecutive letters rank higher.
+ * @module utils/fuzzyMatch
+ */
+
+const WORD_START_BONUS = 8;
+const FIRST_CHAR_BONUS = 4;
+const CONSECUTIVE_BONUS = 5;
+const GAP_PENALTY = 1;
+
+/**
+ * @typedef {Object} FuzzyMatch
+ * @property {number} score - Higher is better
+ * @property {number[]} indices - Positions of the matched characters in the text
+ */
+
+/**
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean} Whether a word starts at index (after a separator or a camelCase hump)
+ */
+const isWordStart = (text, index) => {
+	if (index === 0) return true;
+	const previous = text[index - 1];
+	const current = text[index];
+	if (/[\s\-_./:]/.test(previous)) return true;
+	return previous === previous.toLowerCase() && current !== current.toLowerCase();
+};
+
+/**
+ * @param {string} query
+ * @param {string} text
+ * @param {number} from
+ * @returns {boolean} Whether query's characters appear in order in text from `from` on
+ */
+const isSubsequence = (query, text, from) => {
+	let position = from;
+	for (const char of query) {
+		position = text.indexOf(char, position) + 1;
+		if (!position) return false;
+	}
+	return true;
+};
+
+/**
+ * Match starting from one occurrence of the query's first character, taking the
+ * earliest word start (or else the earliest occurrence) for each later character
+ * @param {string} text
+ * @param {string} lowerText
+ * @param {string} lowerQuery
+ * @param {number} start
+ * @returns {FuzzyMatch|null}
+ */
+const matchFrom = (text, lowerText, lowerQuery, start) => {
+	const indices = [start];
+	let position = start + 1;
+	for (let q = 1; q < lowerQuery.length; q++) {
+		const char = lowerQuery[q];
+		const rest = lowerQuery.slice(q + 1);
+		let next = -1;
+		let fallback = -1;
+		for (let i = position; i < lowerText.length; i++) {
+			if (lowerText[i] !== char) continue;
+			if (fallback === -1) fallback = i;
+			// A consecutive match is as good as it gets; skipping ahead must leave room for the rest
+			if (i === position || (isWordStart(text, i) && isSubsequence(rest, lowerText, i + 1))) {
+				next = i;
+				break;
+			}
+		}
+		if (next === -1) next = fallback;
+		if (next === -1) return null;
+		indices.push(next);
+		position = next + 1;
+	}
+
+	let score = 0;
+	indices.forEach((index, i) => {
+		if (index === 0) score += FIRST_CHAR_BONUS;
+		if (isWordStart(text, index)) score += WORD_START_BONUS;
+		if (i > 0) {
+			const gap = index - indices[i - 1] - 1;
+			score += gap === 0 ? CONSECUTIVE_BONUS : -gap * GAP_PENALTY;
+		}
+	});
+	// Prefer shorter texts when everything else is equal
+	score -= (text.length - lowerQuery.length) * 0.01;
+	return { score, indices };
+};
+
+/**
+ * Match a query against text, ignoring case and spaces in the query
+ * @param {string} query
+ * @param {string} text
+ * @returns {FuzzyMatch|null} null when the query's characters don't all appear in order
+ */
+export const fuzzyMatch = (query, text) => {
+	const lowerQuery = (query || '').toLowerCase().replace(/\s+/g, '');
+	if (!lowerQuery) return { score: 0, indices: [] };
+	if (!text) return null;
+
+	const lowerText = text.toLowerCase();
+	let best = null;
+	for (let start = lowerText.indexOf(lowerQuery[0]); start !== -1; ) {
+		const match = matchFrom(text, lowerText, lowerQuery, start);
+		// Later starts can only match if this one did
+		if (!match) break;
+		if (!best || match.score > best.score) best = match;
+		start = lowerText.indexOf(lowerQuery[0], start + 1);
+	}
+	return best;
+};
+
+/**
+ * Items matching a query, best first; ties keep their original order
+ * @template T
+ * @param {T[]} items
+ * @param {string} query
+ * @param {(item: T) => string|string[]} getText - Text to match; for several, the best match counts
+ * @returns {Array<{ item: T, score: number, indices: number[] }>} indices refer to the first text
+ */
+export const fuzzyFilter = (items, query, getText) => {
+	const results = [];
+	items.forEach((item, order) => {
+		const texts = [].concat(getText(item));
+		let best = null;
+		texts.forEach((text, i) => {
+			const match = fuzzyMatch(query, text);
+			if (!match) return;
+			// Matches in secondary texts (keywords) don't highlight the label
+			const candidate = i === 0 ? match : { score: match.score - 1, indices: [] };
+			if (!best || candidate.score > best.score) best = candidate;
+		});
+		if (best) results.push({ item, order, ...best });
+	});
+	return results
+		.sort((a, b) => b.score - a.score || a.order - b.order)
+		.map(({ item, score, indices }) => ({ item, score, indices }));
+};
+
+/**
+ * Split text into matched and unmatched runs for components/common/Highlight
+ * @param {string} text
+ * @param {number[]} indices - From fuzzyMatch
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const fuzzySegments = (text, indices) => {
+	const matched = new Set(indices);
+	const segments = [];
+	for (let i = 0; i < text.length; i++) {
+		const match = matched.has(i);
+		const last = segments[segments.length - 1];
+		if (last && last.match === match) {
+			last.text += text[i];
+		} else {
+			segments.push({ text: text[i], match });
+		}
+	}
+	return segments;
+};
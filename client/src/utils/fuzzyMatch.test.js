@@ -0,0 +1,44 @@
+/**
+ * Fuzzy Matching Tests
+ * Tests subsequence matching, ranking and highlight segments.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { fuzzyFilter, fuzzyMatch, fuzzySegments } from './fuzzyMatch';
+
+describe('fuzzyMatch', () => {
+	it('matches characters in order, ignoring case and spaces', () => {
+		expect(fuzzyMatch('ng', 'New gist').indices).toEqual([0, 4]);
+		expect(fuzzyMatch('my gists', 'Go to My Gists')).not.toBeNull();
+		expect(fuzzyMatch('gn', 'New gist')).toBeNull();
+	});
+
+	it('prefers word starts but still finds matches that need a mid-word letter', () => {
+		expect(fuzzyMatch('dd', 'deploy-docker.sh').indices).toEqual([0, 7]);
+		expect(fuzzyMatch('abc', 'a-xbc-b').indices).toEqual([0, 3, 4]);
+	});
+
+	it('ranks word starts and consecutive letters higher', () => {
+		const ranked = fuzzyFilter(['Undo edit', 'Use the Dark theme', 'Go to Drafts'], 'dr', (t) => t);
+
+		expect(ranked.map(({ item }) => item)).toEqual(['Go to Drafts', 'Use the Dark theme']);
+	});
+
+	it('matches secondary texts without highlighting the label', () => {
+		const [result] = fuzzyFilter([{ label: 'Deploy notes', files: ['deploy.sh'] }], 'sh', (g) => [
+			g.label,
+			...g.files,
+		]);
+
+		expect(result.indices).toEqual([]);
+	});
+
+	it('splits text into highlight segments', () => {
+		expect(fuzzySegments('New gist', [0, 4])).toEqual([
+			{ text: 'N', match: true },
+			{ text: 'ew ', match: false },
+			{ text: 'g', match: true },
+			{ text: 'ist', match: false },
+		]);
+	});
+});
@@ -0,0 +1,156 @@
+// Gist diff utilities
+import { structuredPatch } from 'diff';
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'context'|'add'|'remove'} type
+ * @property {number|null} oldNumber - Line number in the old file
+ * @property {number|null} newNumber - Line number in the new file
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} FileDiff
+ * @property {string} filename
+ * @property {'added'|'removed'|'modified'|'unchanged'} status
+ * @property {number} additions
+ * @property {number} deletions
+ * @property {Array<{ header: string, lines: DiffLine[] }>} hunks
+ */
+
+/**
+ * Number the lines of one jsdiff hunk
+ * @param {Object} hunk - jsdiff structuredPatch hunk
+ * @returns {DiffLine[]}
+ */
+const toDiffLines = (hunk) => {
+	const lines = [];
+	let oldNumber = hunk.oldStart;
+	let newNumber = hunk.newStart;
+
+	for (const raw of hunk.lines) {
+		const marker = raw[0];
+		const text = raw.slice(1);
+		if (marker === '-') {
+			lines.push({ type: 'remove', oldNumber: oldNumber++, newNumber: null, text });
+		} else if (marker === '+') {
+			lines.push({ type: 'add', oldNumber: null, newNumber: newNumber++, text });
+		} else if (marker === ' ') {
+			lines.push({ type: 'context', oldNumber: oldNumber++, newNumber: newNumber++, text });
+		}
+		// '\ No newline at end of file' markers are dropped
+	}
+
+	return lines;
+};
+
+/**
+ * Diff two versions of one file
+ * @param {string} filename
+ * @param {string|null} before - Old content (null when the file did not exist)
+ * @param {string|null} after - New content (null when the file was removed)
+ * @param {number} [context=3] - Unchanged lines kept around each change
+ * @returns {FileDiff}
+ */
+export const diffFile = (filename, before, after, context = 3) => {
+	let status = 'modified';
+	if (before === null) status = 'added';
+	else if (after === null) status = 'removed';
+	else if (before === after) status = 'unchanged';
+
+	const patch = structuredPatch(filename, filename, before ?? '', after ?? '', '', '', { context });
+	const hunks = patch.hunks.map((hunk) => ({
+		header: `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+		lines: toDiffLines(hunk),
+	}));
+	const lines = hunks.flatMap((hunk) => hunk.lines);
+
+	return {
+		filename,
+		status,
+		additions: lines.filter((line) => line.type === 'add').length,
+		deletions: lines.filter((line) => line.type === 'remove').length,
+		hunks,
+	};
+};
+
+/**
+ * Diff every file between two versions of a gist
+ * @param {Object} [oldFiles] - `files` map of the older version
+ * @param {Object} [newFiles] - `files` map of the newer version
+ * @param {number} [context=3]
+ * @returns {FileDiff[]} Sorted by filename
+ */
+export const diffGistFiles = (oldFiles = {}, newFiles = {}, context = 3) => {
+	const filenames = [...new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])].sort();
+
+	return filenames.map((filename) =>
+		diffFile(
+			filename,
+			oldFiles[filename]?.content ?? null,
+			newFiles[filename]?.content ?? null,
+			context,
+		),
+	);
+};
+
+/**
+ * Pair diff lines for side-by-side display
+ * Runs of removals are matched with the additions that follow them.
+ * @param {DiffLine[]} lines
+ * @returns {Array<{ left: DiffLine|null, right: DiffLine|null }>}
+ */
+export const toSplitRows = (lines) => {
+	const rows = [];
+	let removed = [];
+	let added = [];
+
+	const flush = () => {
+		const count = Math.max(removed.length, added.length);
+		for (let i = 0; i < count; i++) {
+			rows.push({ left: removed[i] ?? null, right: added[i] ?? null });
+		}
+		removed = [];
+		added = [];
+	};
+
+	for (const line of lines) {
+		if (line.type === 'remove') {
+			if (added.length) flush();
+			removed.push(line);
+		} else if (line.type === 'add') {
+			added.push(line);
+		} else {
+			flush();
+			rows.push({ left: line, right: line });
+		}
+	}
+	flush();
+
+	return rows;
+};
+
+/**
+ * Build the updateGist payload that puts a gist back to an older revision
+ * Files added since the revision are deleted.
+ * @param {Object} current - Current gist
+ * @param {Object} revision - Gist as returned by GET /gists/:id/:sha
+ * @returns {Object} Payload for updateGist
+ * @throws {Error} When the revision has truncated files that can't be restored faithfully
+ */
+export const buildRestorePayload = (current, revision) => {
+	const truncated = Object.values(revision.files || {}).find((file) => file.truncated);
+	if (truncated) {
+		throw new Error(`${truncated.filename} is too large to restore from history`);
+	}
+
+	const files = {};
+	for (const filename of Object.keys(current.files || {})) {
+		if (!revision.files?.[filename]) files[filename] = null;
+	}
+	for (const [filename, file] of Object.entries(revision.files || {})) {
+		files[filename] = { content: file.content };
+	}
+
+	return { description: revision.description ?? current.description, files };
+};
@@ -0,0 +1,73 @@
+/**
+ * Gist Diff Tests
+ * Tests per-file diffs, side-by-side pairing and restore payloads.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { buildRestorePayload, diffFile, diffGistFiles, toSplitRows } from './gistDiff';
+
+describe('Gist diff utilities', () => {
+	it('numbers changed lines against both versions', () => {
+		const diff = diffFile('a.txt', 'one\ntwo\nthree\n', 'one\n2\nthree\nfour\n');
+
+		expect(diff.status).toBe('modified');
+		expect(diff.additions).toBe(2);
+		expect(diff.deletions).toBe(1);
+		expect(diff.hunks).toHaveLength(1);
+		expect(diff.hunks[0].lines).toEqual([
+			{ type: 'context', oldNumber: 1, newNumber: 1, text: 'one' },
+			{ type: 'remove', oldNumber: 2, newNumber: null, text: 'two' },
+			{ type: 'add', oldNumber: null, newNumber: 2, text: '2' },
+			{ type: 'context', oldNumber: 3, newNumber: 3, text: 'three' },
+			{ type: 'add', oldNumber: null, newNumber: 4, text: 'four' },
+		]);
+	});
+
+	it('classifies added, removed and unchanged files', () => {
+		const diffs = diffGistFiles(
+			{ 'keep.md': { content: 'same' }, 'old.js': { content: 'x' } },
+			{ 'keep.md': { content: 'same' }, 'new.js': { content: 'y' } },
+		);
+
+		expect(diffs.map((d) => [d.filename, d.status])).toEqual([
+			['keep.md', 'unchanged'],
+			['new.js', 'added'],
+			['old.js', 'removed'],
+		]);
+		expect(diffs[0].hunks).toEqual([]);
+	});
+
+	it('pairs removals with the additions that replace them', () => {
+		const { lines } = diffFile('a', 'a\nb\nc\n', 'a\nB\nC\nD\n').hunks[0];
+
+		const rows = toSplitRows(lines);
+
+		expect(rows.map((row) => [row.left?.text ?? null, row.right?.text ?? null])).toEqual([
+			['a', 'a'],
+			['b', 'B'],
+			['c', 'C'],
+			[null, 'D'],
+		]);
+	});
+
+	it('restores old contents and deletes files added since', () => {
+		const current = {
+			description: 'Now',
+			files: { 'a.js': { content: 'new' }, 'b.js': { content: 'added later' } },
+		};
+		const revision = { description: 'Then', files: { 'a.js': { content: 'old' } } };
+
+		expect(buildRestorePayload(current, revision)).toEqual({
+			description: 'Then',
+			files: { 'a.js': { content: 'old' }, 'b.js': null },
+		});
+	});
+
+	it('refuses to restore truncated files', () => {
+		const revision = {
+			files: { 'big.txt': { filename: 'big.txt', content: 'partial', truncated: true } },
+		};
+
+		expect(() => buildRestorePayload({ files: {} }, revision)).toThrow(/too large/);
+	});
+});
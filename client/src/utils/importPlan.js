@@ -0,0 +1,236 @@
+/**
+ * Import Planning
+ * Turns a ZIP archive or folder upload into the list of gists it would create.
+ * Each top-level folder becomes one gist; an optional manifest.json (as written
+ * by services/backup) supplies descriptions and visibility.
+ * @module utils/importPlan
+ */
+
+import { strFromU8, unzipSync } from 'fflate';
+
+const MANIFEST_FILENAME = 'manifest.json';
+const IGNORED_NAMES = new Set(['.DS_Store', 'Thumbs.db', 'desktop.ini']);
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {string} path - Slash-separated path inside the archive or folder
+ * @property {Uint8Array} data
+ */
+
+/**
+ * @typedef {Object} PlannedGist
+ * @property {string} key - Folder the gist came from (unique within the plan)
+ * @property {string} description
+ * @property {boolean} public
+ * @property {Object<string, { content: string }>} files
+ * @property {Array<{ from: string, to: string }>} renamed - Nested files moved to the top
+ *   level, with a numbered name when it was taken
+ * @property {Array<{ path: string, reason: string }>} skipped - Files that can't be imported
+ * @property {string|null} duplicateOf - ID of an existing gist with the same content
+ */
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP file bytes
+ * @returns {ImportEntry[]}
+ */
+export const readZipEntries = (buffer) => {
+	const files = unzipSync(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+	return Object.entries(files)
+		.filter(([path]) => !path.endsWith('/'))
+		.map(([path, data]) => ({ path, data }));
+};
+
+/**
+ * @param {FileList|File[]} files - From an `<input webkitdirectory>`
+ * @returns {Promise<ImportEntry[]>}
+ */
+export const readFolderEntries = async (files) =>
+	Promise.all(
+		Array.from(files).map(async (file) => ({
+			path: file.webkitRelativePath || file.name,
+			data: new Uint8Array(await file.arrayBuffer()),
+		})),
+	);
+
+const isIgnored = (segments) =>
+	segments.some((segment) => segment === '__MACOSX' || segment === '.git') ||
+	IGNORED_NAMES.has(segments[segments.length - 1]);
+
+/**
+ * Drop a wrapping folder shared by every path (a zipped or uploaded backup folder)
+ * when everything in it, apart from the manifest, is inside a gist folder.
+ * Otherwise the wrapping folder is itself a gist and its sub-folders are flattened.
+ * @param {string[][]} paths - Path segments
+ * @returns {string[][]}
+ */
+const stripCommonRoot = (paths) => {
+	let current = paths;
+	for (;;) {
+		const root = current[0]?.[0];
+		const shared = current.every((segments) => segments.length > 1 && segments[0] === root);
+		if (!shared) return current;
+		const stripped = current.map((segments) => segments.slice(1));
+		const onlyFolders = stripped.every(
+			(segments) => segments.length > 1 || segments[0] === MANIFEST_FILENAME,
+		);
+		if (!onlyFolders) return current;
+		current = stripped;
+	}
+};
+
+/**
+ * `name.ext` -> `name (2).ext`
+ * @param {string} filename
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+const uniqueFilename = (filename, taken) => {
+	if (!taken.has(filename)) return filename;
+	const dot = filename.lastIndexOf('.');
+	const stem = dot > 0 ? filename.slice(0, dot) : filename;
+	const ext = dot > 0 ? filename.slice(dot) : '';
+	let n = 2;
+	while (taken.has(`${stem} (${n})${ext}`)) n += 1;
+	return `${stem} (${n})${ext}`;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string|null} Text content, or null for binary data
+ */
+const decodeText = (data) => {
+	if (data.includes(0)) return null;
+	return strFromU8(data);
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Object|null}
+ */
+const parseManifest = (data) => {
+	try {
+		const manifest = JSON.parse(strFromU8(data));
+		return Array.isArray(manifest?.gists) ? manifest : null;
+	} catch {
+		return null;
+	}
+};
+
+const filenameSignature = (files) => Object.keys(files).sort().join('\n');
+
+/**
+ * Find an existing gist this one would duplicate
+ * Matches the original gist ID from the manifest, or the same description and filenames.
+ * @param {PlannedGist} gist
+ * @param {string|null} sourceId
+ * @param {Array<Object>} existingGists
+ * @returns {string|null}
+ */
+const findDuplicate = (gist, sourceId, existingGists) => {
+	const signature = filenameSignature(gist.files);
+	const match = existingGists.find(
+		(existing) =>
+			(sourceId && existing.id === sourceId) ||
+			((existing.description || '') === gist.description &&
+				filenameSignature(existing.files || {}) === signature),
+	);
+	return match?.id ?? null;
+};
+
+/**
+ * Group entries into the gists they would create
+ * @param {ImportEntry[]} entries
+ * @param {Object} [options]
+ * @param {string} [options.name='Imported files'] - Description for loose files at the top level
+ * @param {boolean} [options.defaultPublic=false] - Visibility when the manifest doesn't say
+ * @param {Array<Object>} [options.existingGists=[]] - The user's gists, to flag duplicates
+ * @returns {{ gists: PlannedGist[], hasManifest: boolean }}
+ */
+export const planImport = (entries, options = {}) => {
+	const { name = 'Imported files', defaultPublic = false, existingGists = [] } = options;
+
+	const usable = entries
+		.map((entry) => ({ ...entry, segments: entry.path.split('/').filter(Boolean) }))
+		.filter((entry) => entry.segments.length && !isIgnored(entry.segments));
+	const paths = stripCommonRoot(usable.map((entry) => entry.segments));
+
+	let manifest = null;
+	const folders = new Map();
+	usable.forEach((entry, index) => {
+		const segments = paths[index];
+		if (segments.length === 1 && segments[0] === MANIFEST_FILENAME) {
+			manifest = parseManifest(entry.data);
+			return;
+		}
+		const key = segments.length > 1 ? segments[0] : '';
+		if (!folders.has(key)) folders.set(key, []);
+		folders.get(key).push({ path: segments.slice(key ? 1 : 0).join('/'), data: entry.data });
+	});
+
+	const manifestByFolder = new Map(
+		(manifest?.gists || []).map((meta) => [String(meta.folder ?? meta.id), meta]),
+	);
+
+	const gists = [...folders.entries()].map(([key, folderFiles]) => {
+		const meta = manifestByFolder.get(key);
+		const gist = {
+			key: key || name,
+			description: meta?.description ?? (key ? key : name),
+			public: typeof meta?.public === 'boolean' ? meta.public : defaultPublic,
+			files: {},
+			renamed: [],
+			skipped: [],
+			duplicateOf: null,
+		};
+
+		const taken = new Set();
+		// Top-level files keep their names; nested ones give way on collisions
+		const depth = (path) => path.split('/').length;
+		const sorted = [...folderFiles].sort(
+			(a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path),
+		);
+		for (const { path, data } of sorted) {
+			const content = decodeText(data);
+			if (content === null) {
+				gist.skipped.push({ path, reason: 'binary file' });
+				continue;
+			}
+			if (!content.trim()) {
+				gist.skipped.push({ path, reason: 'empty file' });
+				continue;
+			}
+			// Gists have no folders, so nested files are flattened
+			const filename = uniqueFilename(path.split('/').pop(), taken);
+			if (filename !== path) gist.renamed.push({ from: path, to: filename });
+			taken.add(filename);
+			gist.files[filename] = { content };
+		}
+
+		gist.duplicateOf = findDuplicate(gist, meta?.id ? String(meta.id) : null, existingGists);
+		return gist;
+	});
+
+	gists.sort((a, b) => a.key.localeCompare(b.key));
+	return { gists, hasManifest: Boolean(manifest) };
+};
+
+/**
+ * Stable ID for a set of planned gists, so re-importing the same archive finds its log
+ * @param {PlannedGist[]} gists
+ * @returns {string}
+ */
+export const getImportId = (gists) => {
+	const source = JSON.stringify(
+		gists.map((gist) => [
+			gist.key,
+			Object.entries(gist.files).map(([filename, file]) => [filename, file.content.length]),
+		]),
+	);
+	// FNV-1a
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < source.length; i++) {
+		hash ^= source.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, '0');
+};
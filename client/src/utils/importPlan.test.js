@@ -0,0 +1,90 @@
+/**
+ * Tests for import planning
+ * Runs under node: jsdom's TextEncoder returns Uint8Arrays from another realm,
+ * which fflate doesn't recognise.
+ * @vitest-environment node
+ */
+
+import { strToU8, zipSync } from 'fflate';
+import { describe, expect, it } from 'vitest';
+import { getImportId, planImport, readZipEntries } from './importPlan';
+
+const entries = (files) =>
+	Object.entries(files).map(([path, content]) => ({
+		path,
+		data: typeof content === 'string' ? strToU8(content) : content,
+	}));
+
+describe('planImport', () => {
+	it('creates one gist per folder, using the manifest when present', () => {
+		const manifest = {
+			gists: [{ id: 'abc', folder: 'abc', description: 'Backed up', public: true }],
+		};
+		const archive = zipSync({
+			backup: {
+				'manifest.json': strToU8(JSON.stringify(manifest)),
+				abc: { 'a.js': strToU8('let a;') },
+				notes: { 'todo.md': strToU8('- [ ] x') },
+			},
+		});
+
+		const { gists, hasManifest } = planImport(readZipEntries(archive));
+
+		expect(hasManifest).toBe(true);
+		expect(gists.map((gist) => [gist.key, gist.description, gist.public])).toEqual([
+			['abc', 'Backed up', true],
+			['notes', 'notes', false],
+		]);
+		expect(gists[0].files).toEqual({ 'a.js': { content: 'let a;' } });
+	});
+
+	it('flattens nested files and renames collisions', () => {
+		const { gists } = planImport(
+			entries({ 'g/x.js': 'one', 'g/sub/x.js': 'two', 'g/other/x.js': 'three' }),
+		);
+
+		expect(Object.keys(gists[0].files)).toEqual(['x.js', 'x (2).js', 'x (3).js']);
+		expect(gists[0].renamed).toEqual([
+			{ from: 'other/x.js', to: 'x (2).js' },
+			{ from: 'sub/x.js', to: 'x (3).js' },
+		]);
+	});
+
+	it('skips binary, empty and system files', () => {
+		const { gists } = planImport(
+			entries({
+				'g/ok.txt': 'text',
+				'g/blank.txt': '  ',
+				'g/image.png': new Uint8Array([137, 80, 0, 71]),
+				'g/.DS_Store': 'junk',
+				'__MACOSX/g/ok.txt': 'junk',
+			}),
+		);
+
+		expect(Object.keys(gists[0].files)).toEqual(['ok.txt']);
+		expect(gists[0].skipped).toEqual([
+			{ path: 'blank.txt', reason: 'empty file' },
+			{ path: 'image.png', reason: 'binary file' },
+		]);
+	});
+
+	it('flags gists that already exist', () => {
+		const existingGists = [{ id: 'old', description: 'g', files: { 'a.txt': {} } }];
+
+		const { gists } = planImport(entries({ 'g/a.txt': 'hi', 'h/a.txt': 'hi' }), {
+			existingGists,
+		});
+
+		expect(gists.map((gist) => gist.duplicateOf)).toEqual(['old', null]);
+	});
+
+	it('derives the same import ID for the same files', () => {
+		const files = { 'g/a.txt': 'hi', 'h/b.txt': 'there' };
+		const first = getImportId(planImport(entries(files)).gists);
+
+		expect(getImportId(planImport(entries(files)).gists)).toBe(first);
+		expect(getImportId(planImport(entries({ ...files, 'h/b.txt': 'changed!' })).gists)).not.toBe(
+			first,
+		);
+	});
+});
@@ -0,0 +1,561 @@
+/**
+ * Gist Search
+ * Client-side full-text search over gists: an inverted index of descriptions,
+ * filenames and file contents, ranked with BM25 and tolerant of typos and
+ * partially typed words.
+ *
+ * Queries are free text plus optional qualifiers (prefix any of them with `-`
+ * to exclude matches):
+ *   filename:*.md  lang:python  desc:"deploy script"  tag:cli
+ *   is:public  is:secret  is:starred
+ *   updated:>2025-01-01  created:<=2024-06  updated:2025-01-01..2025-03-31
+ * Quoted text must appear as written.
+ * @module utils/search
+ */
+
+import { getFileLanguage } from './fileLanguage';
+
+const FIELDS = ['description', 'filename', 'content'];
+// Matches in the description count most, then filenames, then content
+const FIELD_WEIGHTS = [3, 2, 1];
+const K1 = 1.2;
+const B = 0.75;
+// Larger files are not indexed, as before
+const MAX_CONTENT_LENGTH = 100000;
+// Most vocabulary terms a single query word may expand to
+const MAX_EXPANSIONS = 50;
+
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.75, infix: 0.4, typo: [0, 0.5, 0.3] };
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// `getUserName` -> get, User, Name; `XMLParser` -> XML, Parser
+const CAMEL_PART_PATTERN = /\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+/gu;
+const QUERY_PART_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+const QUALIFIERS = {
+	filename: 'filename',
+	file: 'filename',
+	lang: 'lang',
+	language: 'lang',
+	desc: 'desc',
+	description: 'desc',
+	tag: 'tag',
+	is: 'is',
+	updated: 'updated',
+	created: 'created',
+};
+const IS_VALUES = new Set(['public', 'secret', 'private', 'starred']);
+
+/**
+ * @typedef {Object} SearchFilter
+ * @property {string} field - filename, lang, desc, tag, is, updated or created
+ * @property {string} value - Lowercased
+ * @property {boolean} negate
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string[]} terms - Words to rank by
+ * @property {string[]} phrases - Quoted text that must appear as written (lowercased)
+ * @property {string[]} excluded - Words that must not appear
+ * @property {SearchFilter[]} filters
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} gist
+ * @property {number} score - 0 when the query has no words to rank by
+ * @property {string[]} matched - Indexed terms the gist matched, for highlighting
+ */
+
+/**
+ * Word positions in text, including the parts of camelCase words
+ * @param {string} text
+ * @returns {Array<{ token: string, start: number, end: number }>}
+ */
+const tokenSpans = (text) => {
+	const spans = [];
+	for (const match of (text || '').matchAll(WORD_PATTERN)) {
+		const word = match[0];
+		spans.push({ token: word.toLowerCase(), start: match.index, end: match.index + word.length });
+		const parts = [...word.matchAll(CAMEL_PART_PATTERN)];
+		if (parts.length > 1) {
+			for (const part of parts) {
+				const start = match.index + part.index;
+				spans.push({ token: part[0].toLowerCase(), start, end: start + part[0].length });
+			}
+		}
+	}
+	return spans;
+};
+
+/**
+ * @param {string} text
+ * @returns {string[]} Lowercased words, with camelCase words also split into their parts
+ */
+export const tokenize = (text) => tokenSpans(text).map((span) => span.token);
+
+/**
+ * @param {string} value - An `updated:` or `created:` value
+ * @returns {boolean} Whether it is a date, a date comparison or a range
+ */
+const isDateRange = (value) => {
+	const range = value.split('..');
+	if (range.length === 2) return range.every((date) => DATE_PATTERN.test(date));
+	return DATE_PATTERN.test(value.replace(/^[<>]=?|^=/, ''));
+};
+
+/**
+ * @param {string} query
+ * @returns {ParsedQuery}
+ */
+export const parseSearchQuery = (query) => {
+	const parsed = { terms: [], phrases: [], excluded: [], filters: [] };
+
+	for (const [raw, minus, key, quoted, bare] of (query || '').matchAll(QUERY_PART_PATTERN)) {
+		const negate = minus === '-';
+		const value = (quoted ?? bare ?? '').toLowerCase();
+		const field = key && QUALIFIERS[key.toLowerCase()];
+
+		if (field && value) {
+			const valid =
+				(field !== 'is' || IS_VALUES.has(value)) &&
+				((field !== 'updated' && field !== 'created') || isDateRange(value));
+			if (valid) {
+				parsed.filters.push({ field, value, negate });
+				continue;
+			}
+		}
+
+		// A qualifier still being typed
+		if (!key && bare?.endsWith(':') && QUALIFIERS[value.slice(0, -1)]) continue;
+
+		// Not a qualifier: search for the text itself
+		const words = tokenize(key ? raw : value);
+		if (negate) {
+			parsed.excluded.push(...words);
+		} else {
+			if (quoted !== undefined && !key && value.trim()) parsed.phrases.push(value.trim());
+			parsed.terms.push(...words);
+		}
+	}
+
+	parsed.terms = [...new Set(parsed.terms)];
+	parsed.excluded = [...new Set(parsed.excluded)];
+	return parsed;
+};
+
+/**
+ * @param {Object} gist
+ * @returns {string[]} Text of each field, in FIELDS order
+ */
+const getFieldText = (gist) => {
+	const files = gist.files || {};
+	return [
+		gist.description || '',
+		Object.keys(files).join(' '),
+		Object.values(files)
+			.map((file) =>
+				file?.content && file.content.length < MAX_CONTENT_LENGTH ? file.content : '',
+			)
+			.join('\n'),
+	];
+};
+
+/**
+ * Bring an index up to date with a gist list
+ * Only gists that are new or changed (a different object) are re-indexed, so
+ * this is cheap to call as file contents arrive. The index passed in is left
+ * untouched.
+ * @param {Object} index - From createSearchIndex
+ * @param {Array<Object>} gists
+ * @returns {Object} The updated index, or the same one when nothing changed
+ */
+export const updateSearchIndex = (index, gists) => {
+	const ids = new Set(gists.map((gist) => gist.id));
+	const removed = [...index.docs.keys()].filter((id) => !ids.has(id));
+	const changed = gists.filter((gist) => index.docs.get(gist.id)?.gist !== gist);
+	if (!removed.length && !changed.length) return index;
+
+	const next = {
+		docs: new Map(index.docs),
+		postings: new Map(index.postings),
+		totalLengths: [...index.totalLengths],
+		vocabulary: null,
+	};
+	// Posting lists are copied before their first change
+	const copied = new Set();
+	const postingsFor = (term) => {
+		const existing = next.postings.get(term);
+		if (existing && copied.has(term)) return existing;
+		const byDoc = new Map(existing);
+		next.postings.set(term, byDoc);
+		copied.add(term);
+		return byDoc;
+	};
+
+	const remove = (id) => {
+		const doc = next.docs.get(id);
+		if (!doc) return;
+		for (const term of doc.terms) {
+			const byDoc = postingsFor(term);
+			byDoc.delete(id);
+			if (!byDoc.size) next.postings.delete(term);
+		}
+		doc.lengths.forEach((length, field) => {
+			next.totalLengths[field] -= length;
+		});
+		next.docs.delete(id);
+	};
+
+	removed.forEach(remove);
+	for (const gist of changed) {
+		remove(gist.id);
+		const terms = new Set();
+		const lengths = getFieldText(gist).map((text, field) => {
+			const tokens = tokenize(text);
+			for (const token of tokens) {
+				const byDoc = postingsFor(token);
+				let counts = byDoc.get(gist.id);
+				if (!counts) {
+					counts = FIELDS.map(() => 0);
+					byDoc.set(gist.id, counts);
+					terms.add(token);
+				}
+				counts[field] += 1;
+			}
+			next.totalLengths[field] += tokens.length;
+			return tokens.length;
+		});
+		next.docs.set(gist.id, { gist, lengths, terms: [...terms] });
+	}
+	return next;
+};
+
+/**
+ * Build an index for searchGistIndex
+ * @param {Array<Object>} gists
+ * @returns {Object} Opaque index
+ */
+export const createSearchIndex = (gists) =>
+	updateSearchIndex(
+		{ docs: new Map(), postings: new Map(), totalLengths: FIELDS.map(() => 0), vocabulary: null },
+		gists || [],
+	);
+
+/** @returns {string[]} Every indexed term (listed on first use, then kept) */
+const getVocabulary = (index) => {
+	index.vocabulary ??= [...index.postings.keys()];
+	return index.vocabulary;
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up past `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let previous2 = null;
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				value = Math.min(value, previous2[j - 2] + 1);
+			}
+			current.push(value);
+			rowMin = Math.min(rowMin, value);
+		}
+		if (rowMin > max) return max + 1;
+		previous2 = previous;
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+/** Typos allowed in a word of this length */
+const maxTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+/**
+ * Indexed terms a query word should match, with how closely they match
+ * @param {Object} index
+ * @param {string} term
+ * @returns {Array<[string, number]>}
+ */
+const expandTerm = (index, term) => {
+	const typos = maxTypos(term.length);
+	const expansions = [];
+	for (const candidate of getVocabulary(index)) {
+		let weight = 0;
+		if (candidate === term) {
+			weight = MATCH_WEIGHTS.exact;
+		} else if (term.length >= 2 && candidate.startsWith(term)) {
+			weight = MATCH_WEIGHTS.prefix;
+		} else if (term.length >= 3 && candidate.includes(term)) {
+			weight = MATCH_WEIGHTS.infix;
+		} else if (typos) {
+			const distance = editDistance(term, candidate, typos);
+			if (distance <= typos) weight = MATCH_WEIGHTS.typo[distance];
+		}
+		if (weight) expansions.push([candidate, weight]);
+	}
+	return expansions
+		.sort((a, b) => b[1] - a[1] || index.postings.get(b[0]).size - index.postings.get(a[0]).size)
+		.slice(0, MAX_EXPANSIONS);
+};
+
+/**
+ * BM25 score of every gist containing an indexed term
+ * @param {Object} index
+ * @param {string} term
+ * @returns {Map<string, number>}
+ */
+const scoreTerm = (index, term) => {
+	const byDoc = index.postings.get(term);
+	const total = index.docs.size;
+	const idf = Math.log(1 + (total - byDoc.size + 0.5) / (byDoc.size + 0.5));
+	const scores = new Map();
+	for (const [id, counts] of byDoc) {
+		const { lengths } = index.docs.get(id);
+		let frequency = 0;
+		counts.forEach((count, field) => {
+			if (!count) return;
+			const averageLength = index.totalLengths[field] / total || 1;
+			const norm = 1 - B + (B * lengths[field]) / averageLength;
+			frequency += (FIELD_WEIGHTS[field] * count) / norm;
+		});
+		scores.set(id, (idf * frequency * (K1 + 1)) / (frequency + K1));
+	}
+	return scores;
+};
+
+/** `*.md` -> /^.*\.md$/ */
+const globToRegExp = (glob) =>
+	new RegExp(`^${glob.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+/**
+ * @param {string} isoDate - e.g. a gist's updated_at
+ * @param {string} value - `2025-01-01`, `>=2025-01`, `2024..2025-06`
+ * @returns {boolean}
+ */
+const matchesDate = (isoDate, value) => {
+	if (!isoDate) return false;
+	// Compare only as much of the date as was given, so `2025-01` means all of January
+	const at = (date) => isoDate.slice(0, date.length);
+	const [from, to] = value.split('..');
+	if (to !== undefined) return at(from) >= from && at(to) <= to;
+
+	const [, operator, date] = value.match(/^([<>]=?|=)?(.*)$/);
+	switch (operator) {
+		case '>':
+			return at(date) > date;
+		case '>=':
+			return at(date) >= date;
+		case '<':
+			return at(date) < date;
+		case '<=':
+			return at(date) <= date;
+		default:
+			return at(date) === date;
+	}
+};
+
+/**
+ * @param {Object} gist
+ * @param {SearchFilter} filter
+ * @param {Object} context
+ * @returns {boolean}
+ */
+const matchesFilter = (gist, { field, value }, context) => {
+	const filenames = Object.keys(gist.files || {});
+	switch (field) {
+		case 'filename': {
+			const pattern = value.includes('*') ? globToRegExp(value) : null;
+			return filenames.some((filename) => {
+				const name = filename.toLowerCase();
+				return pattern ? pattern.test(name) : name.includes(value);
+			});
+		}
+		case 'lang':
+			return filenames.some((filename) => {
+				const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+				return (
+					gist.files[filename]?.language?.toLowerCase() === value ||
+					getFileLanguage(filename) === value ||
+					extension === value
+				);
+			});
+		case 'desc':
+			return (gist.description || '').toLowerCase().includes(value);
+		case 'tag':
+			return (context.getTags?.(gist.id) || []).includes(value.replace(/^#+/, ''));
+		case 'is':
+			if (value === 'starred') return Boolean(context.starredIds?.has(gist.id));
+			return value === 'public' ? Boolean(gist.public) : !gist.public;
+		case 'updated':
+			return matchesDate(gist.updated_at, value);
+		case 'created':
+			return matchesDate(gist.created_at, value);
+		default:
+			return true;
+	}
+};
+
+/**
+ * @param {ParsedQuery} parsed
+ * @returns {boolean} Whether the query filters on starred gists, which needs the starred list
+ */
+export const usesStarredFilter = (parsed) =>
+	parsed.filters.some((filter) => filter.field === 'is' && filter.value === 'starred');
+
+/**
+ * Search an index
+ * Every query word has to match (exactly, as a prefix or substring, or with a
+ * typo or two); results are ordered by relevance.
+ * @param {Object} index - From createSearchIndex
+ * @param {string|ParsedQuery} query
+ * @param {Object} [context]
+ * @param {Set<string>} [context.starredIds] - For `is:starred`
+ * @param {(gistId: string) => string[]} [context.getTags] - For `tag:`
+ * @returns {SearchResult[]}
+ */
+export const searchGistIndex = (index, query, context = {}) => {
+	const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+
+	let candidates = new Map([...index.docs.keys()].map((id) => [id, { score: 0, matched: [] }]));
+
+	for (const term of parsed.terms) {
+		const next = new Map();
+		for (const [expansion, weight] of expandTerm(index, term)) {
+			for (const [id, score] of scoreTerm(index, expansion)) {
+				const current = candidates.get(id);
+				if (!current) continue;
+				const best = next.get(id);
+				const weighted = score * weight;
+				if (!best) {
+					next.set(id, { ...current, best: weighted, matched: [...current.matched, expansion] });
+				} else {
+					best.best = Math.max(best.best, weighted);
+					best.matched.push(expansion);
+				}
+			}
+		}
+		// Each word counts once, by its closest match
+		candidates = new Map(
+			[...next].map(([id, { score, best, matched }]) => [id, { score: score + best, matched }]),
+		);
+	}
+
+	for (const term of parsed.excluded) {
+		for (const id of index.postings.get(term)?.keys() || []) candidates.delete(id);
+	}
+
+	const results = [];
+	for (const [id, { score, matched }] of candidates) {
+		const { gist } = index.docs.get(id);
+		if (parsed.phrases.length) {
+			const text = getFieldText(gist).join('\n').toLowerCase();
+			if (!parsed.phrases.every((phrase) => text.includes(phrase))) continue;
+		}
+		if (!parsed.filters.every((filter) => matchesFilter(gist, filter, context) !== filter.negate)) {
+			continue;
+		}
+		results.push({ gist, score, matched });
+	}
+
+	return results.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Character ranges of matches in text
+ * @param {string} text
+ * @param {string[]} terms - Indexed terms to highlight
+ * @param {string[]} [phrases]
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+const findMatchRanges = (text, terms, phrases = []) => {
+	const wanted = new Set(terms);
+	const ranges = tokenSpans(text)
+		.filter((span) => wanted.has(span.token))
+		.map((span) => [span.start, span.end]);
+
+	const lower = text.toLowerCase();
+	for (const phrase of phrases) {
+		for (let at = lower.indexOf(phrase); at !== -1; at = lower.indexOf(phrase, at + 1)) {
+			ranges.push([at, at + phrase.length]);
+		}
+	}
+
+	ranges.sort((a, b) => a[0] - b[0]);
+	const merged = [];
+	for (const range of ranges) {
+		const last = merged[merged.length - 1];
+		if (last && range[0] <= last[1]) {
+			last[1] = Math.max(last[1], range[1]);
+		} else {
+			merged.push([...range]);
+		}
+	}
+	return merged;
+};
+
+/**
+ * Split text into matched and unmatched parts for rendering
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {string[]} [phrases]
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const highlightMatches = (text, terms, phrases = []) => {
+	const segments = [];
+	let position = 0;
+	for (const [start, end] of findMatchRanges(text, terms, phrases)) {
+		if (start > position) segments.push({ text: text.slice(position, start), match: false });
+		segments.push({ text: text.slice(start, end), match: true });
+		position = end;
+	}
+	if (position < text.length) segments.push({ text: text.slice(position), match: false });
+	return segments;
+};
+
+/**
+ * The line around the first match in a gist's files
+ * @param {Object} gist
+ * @param {string[]} terms
+ * @param {string[]} [phrases]
+ * @param {number} [radius=60] - Characters to keep on each side of the match in long lines
+ * @returns {{ filename: string, line: number, segments: Array<{ text: string, match: boolean }> }|null}
+ */
+export const getMatchSnippet = (gist, terms, phrases = [], radius = 60) => {
+	if (!terms.length && !phrases.length) return null;
+
+	for (const [filename, file] of Object.entries(gist.files || {})) {
+		const content = file?.content;
+		if (!content || content.length >= MAX_CONTENT_LENGTH) continue;
+		const [first] = findMatchRanges(content, terms, phrases);
+		if (!first) continue;
+
+		const lineStart = content.lastIndexOf('\n', first[0] - 1) + 1;
+		const lineEnd = content.indexOf('\n', first[0]);
+		const end = lineEnd === -1 ? content.length : lineEnd;
+		const from = Math.max(lineStart, first[0] - radius);
+		const to = Math.min(end, first[1] + radius);
+
+		let text = content.slice(from, to).trim();
+		if (from > lineStart) text = `…${text}`;
+		if (to < end) text = `${text}…`;
+		return {
+			filename,
+			line: content.slice(0, first[0]).split('\n').length,
+			segments: highlightMatches(text, terms, phrases),
+		};
+	}
+	return null;
+};
@@ -0,0 +1,142 @@
+/**
+ * Tests for client-side gist search
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+	createSearchIndex,
+	getMatchSnippet,
+	highlightMatches,
+	parseSearchQuery,
+	searchGistIndex,
+	tokenize,
+	updateSearchIndex,
+} from './search';
+
+const gist = (id, description, files, extra = {}) => ({
+	id,
+	description,
+	public: true,
+	created_at: '2024-06-01T10:00:00Z',
+	updated_at: '2025-02-10T10:00:00Z',
+	files: Object.fromEntries(Object.entries(files).map(([name, content]) => [name, { content }])),
+	...extra,
+});
+
+const gists = [
+	gist('deploy', 'Deploy script for staging', { 'deploy.sh': 'rsync -av build/ server:/srv' }),
+	gist('parser', 'Markdown notes', {
+		'notes.md': '# Notes\nThe parseConfig helper reads deploy settings.',
+	}),
+	gist(
+		'old',
+		'Old python utilities',
+		{ 'utils.py': 'def deploy():\n    pass' },
+		{ public: false, updated_at: '2023-05-01T00:00:00Z' },
+	),
+];
+
+const ids = (results) => results.map((result) => result.gist.id);
+
+describe('search', () => {
+	const index = createSearchIndex(gists);
+
+	it('splits camelCase words', () => {
+		expect(tokenize('parseConfig XMLParser')).toEqual([
+			'parseconfig',
+			'parse',
+			'config',
+			'xmlparser',
+			'xml',
+			'parser',
+		]);
+	});
+
+	it('parses qualifiers, phrases and exclusions', () => {
+		expect(
+			parseSearchQuery(
+				'deploy lang:python -is:public "build dir" -legacy updated:>2025-01 foo:bar',
+			),
+		).toEqual({
+			terms: ['deploy', 'build', 'dir', 'foo', 'bar'],
+			phrases: ['build dir'],
+			excluded: ['legacy'],
+			filters: [
+				{ field: 'lang', value: 'python', negate: false },
+				{ field: 'is', value: 'public', negate: true },
+				{ field: 'updated', value: '>2025-01', negate: false },
+			],
+		});
+	});
+
+	it('ranks description matches above content matches', () => {
+		expect(ids(searchGistIndex(index, 'deploy'))).toEqual(['deploy', 'old', 'parser']);
+	});
+
+	it('requires every word to match', () => {
+		expect(ids(searchGistIndex(index, 'deploy staging'))).toEqual(['deploy']);
+	});
+
+	it('matches prefixes, camelCase parts and typos', () => {
+		expect(ids(searchGistIndex(index, 'staq'))).toEqual([]);
+		expect(ids(searchGistIndex(index, 'stag'))).toEqual(['deploy']);
+		expect(ids(searchGistIndex(index, 'config'))).toEqual(['parser']);
+		expect(ids(searchGistIndex(index, 'utilites'))).toEqual(['old']);
+	});
+
+	it('filters with qualifiers', () => {
+		expect(ids(searchGistIndex(index, 'filename:*.md'))).toEqual(['parser']);
+		expect(ids(searchGistIndex(index, 'lang:python'))).toEqual(['old']);
+		expect(ids(searchGistIndex(index, 'is:secret'))).toEqual(['old']);
+		expect(ids(searchGistIndex(index, 'deploy -is:secret updated:>=2025-02'))).toEqual([
+			'deploy',
+			'parser',
+		]);
+		expect(ids(searchGistIndex(index, 'updated:2023..2024 desc:python'))).toEqual(['old']);
+		expect(ids(searchGistIndex(index, 'deploy -rsync'))).toEqual(['old', 'parser']);
+	});
+
+	it('uses starred IDs and tags from the context', () => {
+		const context = {
+			starredIds: new Set(['parser']),
+			getTags: (id) => (id === 'old' ? ['cli'] : []),
+		};
+		expect(ids(searchGistIndex(index, 'is:starred', context))).toEqual(['parser']);
+		expect(ids(searchGistIndex(index, 'tag:#cli', context))).toEqual(['old']);
+	});
+
+	it('requires quoted phrases to appear as written', () => {
+		expect(ids(searchGistIndex(index, '"deploy settings"'))).toEqual(['parser']);
+		expect(ids(searchGistIndex(index, '"settings deploy"'))).toEqual([]);
+	});
+
+	it('re-indexes only changed gists and leaves the old index as it was', () => {
+		const withContent = { ...gists[0], files: { 'deploy.sh': { content: 'kubectl apply' } } };
+		const updated = updateSearchIndex(index, [withContent, gists[1]]);
+
+		expect(updateSearchIndex(updated, [withContent, gists[1]])).toBe(updated);
+		expect(ids(searchGistIndex(updated, 'kubectl'))).toEqual(['deploy']);
+		expect(ids(searchGistIndex(updated, 'rsync'))).toEqual([]);
+		expect(ids(searchGistIndex(updated, 'python'))).toEqual([]);
+		expect(ids(searchGistIndex(index, 'rsync'))).toEqual(['deploy']);
+		expect(ids(searchGistIndex(index, 'kubectl'))).toEqual([]);
+	});
+
+	it('highlights matches and builds snippets', () => {
+		expect(highlightMatches('Deploy script', ['deploy'])).toEqual([
+			{ text: 'Deploy', match: true },
+			{ text: ' script', match: false },
+		]);
+
+		const [result] = searchGistIndex(index, 'config');
+		expect(getMatchSnippet(result.gist, result.matched)).toEqual({
+			filename: 'notes.md',
+			line: 2,
+			segments: [
+				{ text: 'The ', match: false },
+				{ text: 'parseConfig', match: true },
+				{ text: ' helper reads deploy settings.', match: false },
+			],
+		});
+	});
+});
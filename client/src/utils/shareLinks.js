@@ -0,0 +1,148 @@
+/**
+ * Share Links
+ * Snippets for sharing a gist file elsewhere: GitHub's <script> embed, a raw
+ * URL pinned to the current revision, a Markdown link to the viewer, an
+ * <iframe> of this app's /embed page (see components/GistEmbed), and viewer
+ * permalinks to a range of lines, optionally pinned to a revision.
+ * @module utils/shareLinks
+ */
+
+import { getShareableUrl } from './download';
+
+const GIST_HOST = 'https://gist.github.com';
+const RAW_HOST = 'https://gist.githubusercontent.com';
+
+// Sizing for the iframe snippet, close to the embed page's code lines
+const EMBED_LINE_HEIGHT = 21;
+const EMBED_CHROME_HEIGHT = 56;
+const EMBED_MAX_LINES = 25;
+
+/**
+ * @param {string} value
+ * @returns {string} value, safe inside a double-quoted HTML attribute
+ */
+const escapeAttribute = (value) =>
+	String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/"/g, '&quot;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+
+/**
+ * Parse a line range such as "12", "12-20" or GitHub's "L12-L20"
+ * @param {string|null|undefined} value
+ * @returns {{ start: number, end: number }|null} 1-based and inclusive; null if unreadable
+ */
+export const parseLineRange = (value) => {
+	const match = /^L?(\d+)(?:-L?(\d+))?$/i.exec(String(value ?? '').trim());
+	if (!match) return null;
+	const start = Number(match[1]);
+	const end = match[2] ? Number(match[2]) : start;
+	if (start < 1 || end < start) return null;
+	return { start, end };
+};
+
+/**
+ * @param {{ start: number, end: number }|null} range
+ * @returns {string} e.g. "12-20", or "12" for a single line
+ */
+export const formatLineRange = (range) => {
+	if (!range) return '';
+	return range.start === range.end ? String(range.start) : `${range.start}-${range.end}`;
+};
+
+/**
+ * @param {{ start: number, end: number }|null} range
+ * @returns {string} URL fragment (without "#") such as "L12-L20", or "L12" for a single line
+ */
+export const formatLineFragment = (range) => {
+	if (!range) return '';
+	return range.start === range.end ? `L${range.start}` : `L${range.start}-L${range.end}`;
+};
+
+/**
+ * Link to a file in this app's viewer, pointing at lines and/or a revision
+ * @param {string} gistId
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {string|null} [options.revision] - Version from the gist's `history`; the link then keeps showing that revision
+ * @param {{ start: number, end: number }|null} [options.lines] - Lines to highlight
+ * @returns {string}
+ */
+export const getPermalink = (gistId, filename, { revision, lines } = {}) => {
+	const query = revision ? `?rev=${encodeURIComponent(revision)}` : '';
+	const fragment = lines ? `#${formatLineFragment(lines)}` : '';
+	return `${getShareableUrl(gistId, filename)}${query}${fragment}`;
+};
+
+/**
+ * GitHub's script embed for one file
+ * @param {Object} gist
+ * @param {string} filename
+ * @returns {string}
+ */
+export const getScriptEmbed = (gist, filename) => {
+	const path = gist.owner?.login ? `${gist.owner.login}/${gist.id}` : gist.id;
+	const src = `${GIST_HOST}/${path}.js?file=${encodeURIComponent(filename)}`;
+	return `<script src="${escapeAttribute(src)}"></script>`;
+};
+
+/**
+ * Raw URL of a file as it is in the current revision, so it keeps pointing at
+ * this content after the gist is edited
+ * @param {Object} gist
+ * @param {string} filename
+ * @returns {string|null} null if the file isn't in the gist
+ */
+export const getPinnedRawUrl = (gist, filename) => {
+	const file = gist.files?.[filename];
+	if (!file) return null;
+	const version = gist.history?.[0]?.version;
+	if (!version || !gist.owner?.login) return file.raw_url || null;
+	return `${RAW_HOST}/${gist.owner.login}/${gist.id}/raw/${version}/${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Markdown link to the file in this app's viewer
+ * @param {Object} gist
+ * @param {string} filename
+ * @returns {string}
+ */
+export const getMarkdownLink = (gist, filename) => {
+	const title = gist.description?.trim() || filename;
+	const text = title.replace(/([[\]\\])/g, '\\$1');
+	return `[${text}](${getShareableUrl(gist.id, filename)})`;
+};
+
+/**
+ * URL of this app's embed page for a file
+ * @param {string} gistId
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {string} [options.theme] - Theme name (see ThemeContext)
+ * @param {{ start: number, end: number }|null} [options.lines] - Only show these lines
+ * @returns {string}
+ */
+export const getEmbedUrl = (gistId, filename, { theme, lines } = {}) => {
+	const params = new URLSearchParams();
+	if (theme) params.set('theme', theme);
+	if (lines) params.set('lines', formatLineRange(lines));
+	const query = params.toString();
+	return `${window.location.origin}/embed/${gistId}/${encodeURIComponent(filename)}${
+		query ? `?${query}` : ''
+	}`;
+};
+
+/**
+ * <iframe> snippet for this app's embed page, sized to the lines it shows
+ * @param {string} url - From getEmbedUrl
+ * @param {Object} options
+ * @param {string} options.title - Accessible name for the frame
+ * @param {number} options.lineCount - Lines the embed will show
+ * @returns {string}
+ */
+export const getIframeEmbed = (url, { title, lineCount }) => {
+	const lines = Math.min(Math.max(lineCount, 1), EMBED_MAX_LINES);
+	const height = lines * EMBED_LINE_HEIGHT + EMBED_CHROME_HEIGHT;
+	return `<iframe src="${escapeAttribute(url)}" title="${escapeAttribute(title)}" width="100%" height="${height}" style="border: 0" loading="lazy"></iframe>`;
+};
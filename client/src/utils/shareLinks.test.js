@@ -0,0 +1,83 @@
+/**
+ * Share Links Tests
+ * Tests line ranges and the generated share and embed snippets.
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+	getEmbedUrl,
+	getIframeEmbed,
+	getMarkdownLink,
+	getPermalink,
+	getPinnedRawUrl,
+	getScriptEmbed,
+	parseLineRange,
+} from './shareLinks';
+
+const gist = {
+	id: 'abc123',
+	description: 'Deploy [prod] notes',
+	owner: { login: 'octocat' },
+	history: [{ version: 'rev9' }, { version: 'rev8' }],
+	files: {
+		'deploy notes.md': {
+			content: '# Deploy',
+			raw_url: 'https://gist.githubusercontent.com/octocat/abc123/raw/blob1/deploy%20notes.md',
+		},
+	},
+};
+
+describe('shareLinks', () => {
+	it('reads line numbers and ranges', () => {
+		expect(parseLineRange('12')).toEqual({ start: 12, end: 12 });
+		expect(parseLineRange(' 3-8 ')).toEqual({ start: 3, end: 8 });
+		expect(parseLineRange('L3-L8')).toEqual({ start: 3, end: 8 });
+		expect(parseLineRange('8-3')).toBeNull();
+		expect(parseLineRange('0')).toBeNull();
+		expect(parseLineRange('all')).toBeNull();
+		expect(parseLineRange(null)).toBeNull();
+	});
+
+	it('links to lines, pinned to a revision if asked', () => {
+		const base = `${window.location.origin}/view/abc123/a.js`;
+		expect(getPermalink('abc123', 'a.js', { lines: { start: 10, end: 25 } })).toBe(
+			`${base}#L10-L25`,
+		);
+		expect(getPermalink('abc123', 'a.js', { revision: 'rev9', lines: { start: 4, end: 4 } })).toBe(
+			`${base}?rev=rev9#L4`,
+		);
+		expect(getPermalink('abc123', 'a.js')).toBe(base);
+	});
+
+	it('pins the raw URL to the current revision', () => {
+		expect(getPinnedRawUrl(gist, 'deploy notes.md')).toBe(
+			'https://gist.githubusercontent.com/octocat/abc123/raw/rev9/deploy%20notes.md',
+		);
+		expect(getPinnedRawUrl({ ...gist, history: [] }, 'deploy notes.md')).toBe(
+			gist.files['deploy notes.md'].raw_url,
+		);
+		expect(getPinnedRawUrl(gist, 'missing.md')).toBeNull();
+	});
+
+	it('builds the GitHub embed and Markdown link for a file', () => {
+		expect(getScriptEmbed(gist, 'deploy notes.md')).toBe(
+			'<script src="https://gist.github.com/octocat/abc123.js?file=deploy%20notes.md"></script>',
+		);
+		expect(getMarkdownLink(gist, 'deploy notes.md')).toBe(
+			`[Deploy \\[prod\\] notes](${window.location.origin}/view/abc123/deploy%20notes.md)`,
+		);
+	});
+
+	it('builds an iframe of the embed page with its options', () => {
+		const url = getEmbedUrl('abc123', 'a.js', { theme: 'dark', lines: { start: 4, end: 9 } });
+		expect(url).toBe(`${window.location.origin}/embed/abc123/a.js?theme=dark&lines=4-9`);
+		expect(getEmbedUrl('abc123', 'a.js')).toBe(`${window.location.origin}/embed/abc123/a.js`);
+
+		const iframe = getIframeEmbed(url, { title: 'a "quoted" name', lineCount: 6 });
+		expect(iframe).toContain(
+			`src="${window.location.origin}/embed/abc123/a.js?theme=dark&amp;lines=4-9"`,
+		);
+		expect(iframe).toContain('title="a &quot;quoted&quot; name"');
+		expect(iframe).toContain('height="182"');
+	});
+});
@@ -0,0 +1,142 @@
+// Three-way merge utilities for saving over a gist that changed remotely
+import { diff3Merge } from 'node-diff3';
+
+/**
+ * @typedef {Object} MergeChunk
+ * @property {number} index - Position in the file, used to key choices
+ * @property {'ok'|'conflict'} type
+ * @property {string[]} [lines] - Agreed lines (ok chunks)
+ * @property {string[]|null} [base] - Conflict: lines in the loaded revision (null = no file)
+ * @property {string[]|null} [mine] - Conflict: lines in the editor (null = no file)
+ * @property {string[]|null} [theirs] - Conflict: lines on GitHub now (null = no file)
+ */
+
+/**
+ * @typedef {Object} FileMerge
+ * @property {string} filename
+ * @property {'unchanged'|'mine'|'theirs'|'merged'|'conflict'} status - Where the result comes from
+ * @property {string|null} result - Merged content (null = file deleted); null while conflicted
+ * @property {MergeChunk[]} chunks - Only for conflicted files
+ */
+
+const toLines = (content) => content.split('\n');
+
+/**
+ * Merge one file
+ * @param {string} filename
+ * @param {string|null} base - Content in the revision the editor loaded
+ * @param {string|null} mine - Content in the editor
+ * @param {string|null} theirs - Content on GitHub now
+ * @returns {FileMerge}
+ */
+export const mergeFile = (filename, base, mine, theirs) => {
+	if (mine === theirs) {
+		return { filename, status: mine === base ? 'unchanged' : 'merged', result: mine, chunks: [] };
+	}
+	if (mine === base) return { filename, status: 'theirs', result: theirs, chunks: [] };
+	if (theirs === base) return { filename, status: 'mine', result: mine, chunks: [] };
+
+	// Deleted on one side, changed on the other: the whole file is the conflict
+	if (mine === null || theirs === null) {
+		return {
+			filename,
+			status: 'conflict',
+			result: null,
+			chunks: [
+				{
+					index: 0,
+					type: 'conflict',
+					base: base === null ? null : toLines(base),
+					mine: mine === null ? null : toLines(mine),
+					theirs: theirs === null ? null : toLines(theirs),
+				},
+			],
+		};
+	}
+
+	const regions = diff3Merge(toLines(mine), toLines(base ?? ''), toLines(theirs));
+	const chunks = regions.map((region, index) =>
+		region.ok
+			? { index, type: 'ok', lines: region.ok }
+			: {
+					index,
+					type: 'conflict',
+					base: region.conflict.o,
+					mine: region.conflict.a,
+					theirs: region.conflict.b,
+				},
+	);
+
+	if (chunks.every((chunk) => chunk.type === 'ok')) {
+		return {
+			filename,
+			status: 'merged',
+			result: chunks.flatMap((chunk) => chunk.lines).join('\n'),
+			chunks: [],
+		};
+	}
+
+	return { filename, status: 'conflict', result: null, chunks };
+};
+
+/**
+ * Merge every file of a gist
+ * Files missing from `mineFiles` count as untouched, matching how a PATCH
+ * leaves files it doesn't mention alone.
+ * @param {Object} baseFiles - `files` of the revision the editor loaded
+ * @param {Object} mineFiles - `files` in the editor
+ * @param {Object} theirsFiles - `files` on GitHub now
+ * @returns {FileMerge[]} Sorted by filename
+ */
+export const mergeGistFiles = (baseFiles = {}, mineFiles = {}, theirsFiles = {}) => {
+	const filenames = [
+		...new Set([...Object.keys(baseFiles), ...Object.keys(mineFiles), ...Object.keys(theirsFiles)]),
+	].sort();
+
+	return filenames.map((filename) => {
+		const base = baseFiles[filename]?.content ?? null;
+		const mine = filename in mineFiles ? (mineFiles[filename]?.content ?? null) : base;
+		const theirs = theirsFiles[filename]?.content ?? null;
+		return mergeFile(filename, base, mine, theirs);
+	});
+};
+
+/**
+ * Build a conflicted file from per-chunk choices
+ * @param {FileMerge} merge
+ * @param {Object<number, 'mine'|'theirs'|'both'>} choices - Keyed by chunk index
+ * @returns {string|null|undefined} Content, null to delete, undefined while unresolved
+ */
+export const resolveFileMerge = (merge, choices = {}) => {
+	if (merge.status !== 'conflict') return merge.result;
+
+	const lines = [];
+	for (const chunk of merge.chunks) {
+		if (chunk.type === 'ok') {
+			lines.push(...chunk.lines);
+			continue;
+		}
+
+		const choice = choices[chunk.index];
+		if (!choice) return undefined;
+		// A file-level conflict resolved to the deleted side
+		if (choice !== 'both' && chunk[choice] === null) return null;
+		if (choice === 'mine' || choice === 'both') lines.push(...(chunk.mine ?? []));
+		if (choice === 'theirs' || choice === 'both') lines.push(...(chunk.theirs ?? []));
+	}
+
+	return lines.join('\n');
+};
+
+/**
+ * Find where a fork split off from its parent, to use as the merge base
+ * A fork keeps the parent's history up to the fork, so this is the newest
+ * revision in the fork's history that the parent has too.
+ * @param {Array<Object>} [forkHistory] - `history` of the fork, newest first
+ * @param {Array<Object>} [parentHistory] - `history` of the parent
+ * @returns {string|null} Revision version, or null when they share none
+ */
+export const findForkPoint = (forkHistory = [], parentHistory = []) => {
+	const parentVersions = new Set(parentHistory.map((entry) => entry.version));
+	return forkHistory.find((entry) => parentVersions.has(entry.version))?.version ?? null;
+};
@@ -0,0 +1,96 @@
+/**
+ * Three-way Merge Tests
+ * Tests automatic merges, conflict detection, conflict resolution and fork points.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { findForkPoint, mergeFile, mergeGistFiles, resolveFileMerge } from './threeWayMerge';
+
+const base = 'host: localhost\nport: 80\ndebug: false';
+
+describe('Three-way merge', () => {
+	it('takes whichever side changed', () => {
+		expect(mergeFile('a', base, base, 'theirs')).toMatchObject({
+			status: 'theirs',
+			result: 'theirs',
+		});
+		expect(mergeFile('a', base, 'mine', base)).toMatchObject({ status: 'mine', result: 'mine' });
+		expect(mergeFile('a', base, base, base)).toMatchObject({ status: 'unchanged', result: base });
+	});
+
+	it('merges edits to different lines', () => {
+		const mine = 'host: example.com\nport: 80\ndebug: false';
+		const theirs = 'host: localhost\nport: 80\ndebug: true';
+
+		expect(mergeFile('a', base, mine, theirs)).toMatchObject({
+			status: 'merged',
+			result: 'host: example.com\nport: 80\ndebug: true',
+		});
+	});
+
+	it('reports overlapping edits as a conflict chunk', () => {
+		const merge = mergeFile(
+			'a',
+			base,
+			'host: localhost\nport: 8080\ndebug: false',
+			'host: localhost\nport: 9090\ndebug: false',
+		);
+
+		expect(merge.status).toBe('conflict');
+		expect(merge.result).toBeNull();
+		expect(merge.chunks.find((chunk) => chunk.type === 'conflict')).toMatchObject({
+			base: ['port: 80'],
+			mine: ['port: 8080'],
+			theirs: ['port: 9090'],
+		});
+	});
+
+	it('resolves conflicts from per-chunk choices', () => {
+		const merge = mergeFile(
+			'a',
+			base,
+			'host: localhost\nport: 8080\ndebug: false',
+			'host: localhost\nport: 9090\ndebug: false',
+		);
+		const index = merge.chunks.find((chunk) => chunk.type === 'conflict').index;
+
+		expect(resolveFileMerge(merge, {})).toBeUndefined();
+		expect(resolveFileMerge(merge, { [index]: 'theirs' })).toBe(
+			'host: localhost\nport: 9090\ndebug: false',
+		);
+		expect(resolveFileMerge(merge, { [index]: 'both' })).toBe(
+			'host: localhost\nport: 8080\nport: 9090\ndebug: false',
+		);
+	});
+
+	it('treats a file deleted remotely but edited locally as a conflict', () => {
+		const merge = mergeFile('a', base, 'edited', null);
+
+		expect(merge.status).toBe('conflict');
+		expect(resolveFileMerge(merge, { 0: 'theirs' })).toBeNull();
+		expect(resolveFileMerge(merge, { 0: 'mine' })).toBe('edited');
+	});
+
+	it('leaves files the editor does not have untouched', () => {
+		const merges = mergeGistFiles(
+			{ 'a.yml': { content: base } },
+			{ 'b.yml': { content: 'new file' } },
+			{ 'a.yml': { content: 'changed remotely' } },
+		);
+
+		expect(merges.map((m) => [m.filename, m.status, m.result])).toEqual([
+			['a.yml', 'theirs', 'changed remotely'],
+			['b.yml', 'mine', 'new file'],
+		]);
+	});
+
+	it('finds the newest revision a fork shares with its parent', () => {
+		const history = (...versions) => versions.map((version) => ({ version }));
+
+		expect(findForkPoint(history('f2', 'f1', 'p2', 'p1'), history('p4', 'p3', 'p2', 'p1'))).toBe(
+			'p2',
+		);
+		expect(findForkPoint(history('f1'), history('p1'))).toBeNull();
+		expect(findForkPoint(undefined, history('p1'))).toBeNull();
+	});
+});
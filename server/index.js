@@ -1,56 +1,42 @@
 /**
- * Minimal OAuth Token Proxy
- * Handles GitHub token exchange (GitHub doesn't support CORS on token endpoint)
+ * Gist Manager Server
+ * Handles GitHub token exchange (GitHub doesn't support CORS on token endpoint),
+ * cookie-backed sessions, the GitHub API proxy and the community shared-gists index.
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('node:path');
+const { createEtagCache } = require('./lib/etagCache');
+const { createSessionManager, rejectCrossOrigin } = require('./lib/session');
+const { createAuthRouter } = require('./routes/auth');
+const { createGitHubProxyRouter } = require('./routes/githubProxy');
+const { createSharedGistsRouter } = require('./routes/sharedGists');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const FRONTEND_URL = process.env.FRONTEND_URL;
+
+const sessions = createSessionManager({ dataDir: DATA_DIR, secret: process.env.SESSION_SECRET });
+const githubCache = createEtagCache();
+
+// Behind Caddy on the private network; lets req.secure reflect X-Forwarded-Proto
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 
 // Serve static files from client build
 app.use(express.static(path.join(__dirname, 'build')));
 
-// Token exchange endpoint
-app.post('/api/auth/token', async (req, res) => {
-	const { code, code_verifier } = req.body;
-
-	if (!code) {
-		return res.status(400).json({ error: 'Missing authorization code' });
-	}
-
-	try {
-		const response = await fetch('https://github.com/login/oauth/access_token', {
-			method: 'POST',
-			headers: {
-				Accept: 'application/json',
-				'Content-Type': 'application/json',
-			},
-			body: JSON.stringify({
-				client_id: process.env.GITHUB_CLIENT_ID,
-				client_secret: process.env.GITHUB_CLIENT_SECRET,
-				code,
-				code_verifier,
-			}),
-		});
-
-		const data = await response.json();
-
-		if (data.error) {
-			return res.status(400).json({ error: data.error, error_description: data.error_description });
-		}
-
-		res.json({ access_token: data.access_token });
-	} catch (error) {
-		console.error('Token exchange error:', error.message);
-		res.status(500).json({ error: 'Token exchange failed' });
-	}
-});
+// Sessions, GitHub proxy and auth
+app.use('/api', rejectCrossOrigin(FRONTEND_URL ? [FRONTEND_URL] : []), sessions.middleware);
+app.use('/api/auth', createAuthRouter({ sessions, cache: githubCache }));
+app.use('/api/github', createGitHubProxyRouter({ cache: githubCache }));
+
+// Community shared gists
+app.use('/api/shared-gists', createSharedGistsRouter({ dataDir: DATA_DIR }));
 
 // SPA fallback
 app.get('*', (_req, res) => {
@@ -0,0 +1,74 @@
+/**
+ * ETag Response Cache
+ * Bounded in-memory LRU of GitHub responses keyed per user and request path.
+ * Entries keep the ETag so the proxy can revalidate with If-None-Match; GitHub
+ * does not count 304 responses against the rate limit.
+ */
+
+const DEFAULT_MAX_ENTRIES = 2000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Create a cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entry limit across all users
+ * @param {number} [options.maxBytes] - Total body size limit across all users
+ * @returns {{
+ *   get: (key: string) => Object|undefined,
+ *   set: (key: string, entry: { etag: string, status: number, headers: Object, body: Buffer }) => void,
+ *   deleteUser: (userKey: string) => void,
+ * }}
+ */
+const createEtagCache = (options = {}) => {
+	const { maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES } = options;
+
+	// Map iteration order doubles as LRU order (oldest first)
+	const entries = new Map();
+	let bytes = 0;
+
+	const remove = (key) => {
+		const entry = entries.get(key);
+		if (!entry) return;
+		bytes -= entry.body.length;
+		entries.delete(key);
+	};
+
+	const get = (key) => {
+		const entry = entries.get(key);
+		if (!entry) return undefined;
+		entries.delete(key);
+		entries.set(key, entry);
+		return entry;
+	};
+
+	const set = (key, entry) => {
+		remove(key);
+		if (entry.body.length > maxBytes) return;
+
+		entries.set(key, entry);
+		bytes += entry.body.length;
+
+		for (const oldest of entries.keys()) {
+			if (entries.size <= maxEntries && bytes <= maxBytes) break;
+			remove(oldest);
+		}
+	};
+
+	const deleteUser = (userKey) => {
+		const prefix = `${userKey}:`;
+		for (const key of [...entries.keys()]) {
+			if (key.startsWith(prefix)) remove(key);
+		}
+	};
+
+	return { get, set, deleteUser };
+};
+
+/**
+ * Cache partition for a session (anonymous requests share one partition)
+ * @param {Object|null} session
+ * @returns {string}
+ */
+const getCacheUserKey = (session) => (session ? `user-${session.user.id}` : 'anonymous');
+
+module.exports = { createEtagCache, getCacheUserKey };
@@ -0,0 +1,69 @@
+/**
+ * ETag Cache Tests
+ * Tests LRU order, the entry and size limits, and dropping one user's entries.
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createEtagCache, getCacheUserKey } = require('./etagCache');
+
+const entry = (body, etag = '"v1"') => ({
+	etag,
+	status: 200,
+	headers: {},
+	body: Buffer.from(body),
+});
+
+describe('ETag cache', () => {
+	it('evicts the least recently used entry past the entry limit', () => {
+		const cache = createEtagCache({ maxEntries: 2 });
+		cache.set('user-1:/a', entry('a'));
+		cache.set('user-1:/b', entry('b'));
+
+		// Reading /a makes /b the oldest
+		assert.ok(cache.get('user-1:/a'));
+		cache.set('user-1:/c', entry('c'));
+
+		assert.equal(cache.get('user-1:/b'), undefined);
+		assert.ok(cache.get('user-1:/a'));
+		assert.ok(cache.get('user-1:/c'));
+	});
+
+	it('evicts by total size and skips bodies larger than the limit', () => {
+		const cache = createEtagCache({ maxBytes: 10 });
+		cache.set('user-1:/a', entry('aaaa'));
+		cache.set('user-1:/b', entry('bbbb'));
+		cache.set('user-1:/c', entry('cccc'));
+
+		assert.equal(cache.get('user-1:/a'), undefined);
+		assert.ok(cache.get('user-1:/b'));
+
+		cache.set('user-1:/huge', entry('x'.repeat(11)));
+		assert.equal(cache.get('user-1:/huge'), undefined);
+		assert.ok(cache.get('user-1:/c'));
+	});
+
+	it('replaces an entry without counting its old body', () => {
+		const cache = createEtagCache({ maxBytes: 8 });
+		cache.set('user-1:/a', entry('aaaa', '"v1"'));
+		cache.set('user-1:/a', entry('AAAA', '"v2"'));
+		cache.set('user-1:/b', entry('bbbb'));
+
+		assert.equal(cache.get('user-1:/a').etag, '"v2"');
+		assert.ok(cache.get('user-1:/b'));
+	});
+
+	it('drops only the given user’s entries', () => {
+		const cache = createEtagCache();
+		cache.set('user-1:/gists', entry('one'));
+		cache.set('user-12:/gists', entry('twelve'));
+		cache.set('anonymous:/gists/abc', entry('public'));
+
+		cache.deleteUser(getCacheUserKey({ user: { id: 1 } }));
+
+		assert.equal(cache.get('user-1:/gists'), undefined);
+		assert.ok(cache.get('user-12:/gists'));
+		assert.ok(cache.get('anonymous:/gists/abc'));
+		assert.equal(getCacheUserKey(null), 'anonymous');
+	});
+});
@@ -0,0 +1,72 @@
+/**
+ * GitHub API Helpers
+ * Thin fetch wrappers used by server routes that act on behalf of a caller.
+ */
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Error carrying the HTTP status a route should respond with
+ */
+class HttpError extends Error {
+	/**
+	 * @param {number} status - HTTP status code
+	 * @param {string} message - Client-facing error message
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = 'HttpError';
+		this.status = status;
+	}
+}
+
+/**
+ * Send a raw request to the GitHub REST API with the caller's token
+ * @param {string} apiPath - Path (and query string) beginning with '/'
+ * @param {string|null} token - GitHub access token, or null for an anonymous request
+ * @param {RequestInit} [init] - Additional fetch options
+ * @returns {Promise<Response>}
+ */
+const githubFetch = (apiPath, token, init = {}) =>
+	fetch(`${GITHUB_API_URL}${apiPath}`, {
+		...init,
+		headers: {
+			Accept: 'application/vnd.github.v3+json',
+			...(token && { Authorization: `Bearer ${token}` }),
+			'User-Agent': 'gist-manager',
+			...init.headers,
+		},
+	});
+
+/**
+ * Call the GitHub REST API with the caller's token
+ * @param {string} apiPath - Path beginning with '/'
+ * @param {string} token - GitHub access token
+ * @param {RequestInit} [init] - Additional fetch options
+ * @returns {Promise<any>} Parsed JSON body
+ * @throws {HttpError} 401 for rejected tokens, 404 for missing resources, 502 otherwise
+ */
+const githubRequest = async (apiPath, token, init = {}) => {
+	const response = await githubFetch(apiPath, token, init);
+
+	if (response.status === 401) {
+		throw new HttpError(401, 'GitHub token is invalid or expired');
+	}
+	if (response.status === 404) {
+		throw new HttpError(404, 'Resource not found on GitHub');
+	}
+	if (!response.ok) {
+		throw new HttpError(502, `GitHub API responded with ${response.status}`);
+	}
+
+	return response.status === 204 ? null : response.json();
+};
+
+/**
+ * Resolve the GitHub user that owns a token
+ * @param {string} token - GitHub access token
+ * @returns {Promise<Object>} GitHub user object
+ */
+const getAuthenticatedUser = (token) => githubRequest('/user', token);
+
+module.exports = { GITHUB_API_URL, HttpError, githubFetch, githubRequest, getAuthenticatedUser };
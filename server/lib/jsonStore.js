@@ -0,0 +1,98 @@
+/**
+ * Atomic JSON File Store
+ * Persists a single JSON document to disk. Writes go to a temporary file in the
+ * same directory, are fsynced, then renamed over the target so readers never see
+ * a partially written file. Updates are serialized per store.
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+/**
+ * Create a store backed by one JSON file
+ * @param {string} filePath - Absolute path of the JSON document
+ * @param {Object} [options]
+ * @param {() => any} [options.defaultValue] - Factory for the initial document when the file is missing
+ * @param {(data: any) => any} [options.normalize] - Applied to every document read from disk
+ * @param {number} [options.mode=0o640] - File mode for newly written documents
+ * @returns {{ read: () => Promise<any>, update: (mutator: Function) => Promise<any> }}
+ */
+const createJsonStore = (filePath, options = {}) => {
+	const { defaultValue = () => ({}), normalize = (data) => data, mode = 0o640 } = options;
+
+	let cache = null;
+	let queue = Promise.resolve();
+
+	const load = async () => {
+		if (cache) return cache;
+
+		try {
+			const raw = await fs.readFile(filePath, 'utf8');
+			cache = normalize(JSON.parse(raw));
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+			cache = normalize(defaultValue());
+		}
+
+		return cache;
+	};
+
+	const write = async (data) => {
+		const dir = path.dirname(filePath);
+		await fs.mkdir(dir, { recursive: true, mode: 0o750 });
+
+		// Serialize first so a document that can't be stored leaves no temp file behind
+		const json = `${JSON.stringify(data, null, 2)}\n`;
+		const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+		const handle = await fs.open(tmpPath, 'w', mode);
+
+		try {
+			await handle.writeFile(json, 'utf8');
+			await handle.sync();
+		} finally {
+			await handle.close();
+		}
+
+		try {
+			await fs.rename(tmpPath, filePath);
+		} catch (error) {
+			await fs.rm(tmpPath, { force: true });
+			throw error;
+		}
+	};
+
+	/**
+	 * Read the current document. Callers must treat the result as read-only.
+	 * @returns {Promise<any>}
+	 */
+	const read = () => queue.then(load);
+
+	/**
+	 * Apply a mutation and persist the result. The mutator receives a deep copy of
+	 * the document and returns the next document (or mutates and returns nothing).
+	 * If the mutator or the write throws, the in-memory document is left unchanged.
+	 * @param {(data: any) => any} mutator
+	 * @returns {Promise<any>} The persisted document
+	 */
+	const update = (mutator) => {
+		const run = queue.then(async () => {
+			const current = await load();
+			const draft = structuredClone(current);
+			const result = await mutator(draft);
+			const next = result === undefined ? draft : result;
+			await write(next);
+			cache = next;
+			return next;
+		});
+
+		// Keep the queue alive after a failed update
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	return { read, update };
+};
+
+module.exports = { createJsonStore };
@@ -0,0 +1,123 @@
+/**
+ * JSON Store Tests
+ * Tests the atomic write, serialized updates and recovery from failed updates.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { createTempDir } = require('../testing/helpers');
+const { createJsonStore } = require('./jsonStore');
+
+describe('JSON store', () => {
+	let data;
+	let filePath;
+
+	const readFile = async () => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+	beforeEach(async () => {
+		data = await createTempDir();
+		filePath = path.join(data.dir, 'nested', 'doc.json');
+	});
+
+	afterEach(async () => {
+		await data.remove();
+	});
+
+	it('starts from the default and normalizes what it reads', async () => {
+		await fs.mkdir(path.dirname(filePath));
+		await fs.writeFile(filePath, JSON.stringify(['legacy']));
+		const store = createJsonStore(filePath, {
+			defaultValue: () => ({ items: [] }),
+			normalize: (doc) => (Array.isArray(doc) ? { items: doc } : doc),
+		});
+		assert.deepEqual(await store.read(), { items: ['legacy'] });
+
+		const fresh = createJsonStore(path.join(data.dir, 'missing.json'), {
+			defaultValue: () => ({ items: [] }),
+		});
+		assert.deepEqual(await fresh.read(), { items: [] });
+	});
+
+	it('writes through a temp file with the requested mode', async () => {
+		const store = createJsonStore(filePath, { mode: 0o600 });
+		await store.update((doc) => {
+			doc.count = 1;
+		});
+
+		assert.deepEqual(await readFile(), { count: 1 });
+		assert.equal((await fs.stat(filePath)).mode & 0o777, 0o600);
+		assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['doc.json']);
+	});
+
+	it('never exposes a partially written file to readers', async () => {
+		const store = createJsonStore(filePath, { defaultValue: () => ({ items: [] }) });
+		await store.update(() => ({ items: [] }));
+
+		const updates = Array.from({ length: 20 }, (_, i) =>
+			store.update((doc) => {
+				doc.items.push('x'.repeat(10000 + i));
+			}),
+		);
+		let done = false;
+		const reads = (async () => {
+			while (!done) await readFile();
+		})();
+
+		await Promise.all(updates);
+		done = true;
+		await reads;
+		assert.equal((await readFile()).items.length, 20);
+	});
+
+	it('applies concurrent updates one after another', async () => {
+		const store = createJsonStore(filePath, { defaultValue: () => ({ count: 0 }) });
+		const seen = [];
+
+		await Promise.all(
+			Array.from({ length: 10 }, (_, i) =>
+				store.update(async (doc) => {
+					// Yield mid-update; a second update must not start from the same count
+					await new Promise((resolve) => setTimeout(resolve, 10 - i));
+					seen.push(doc.count);
+					doc.count += 1;
+				}),
+			),
+		);
+
+		assert.deepEqual(seen, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+		assert.equal((await store.read()).count, 10);
+		assert.equal((await readFile()).count, 10);
+	});
+
+	it('keeps the document and the queue after a failed update', async () => {
+		const store = createJsonStore(filePath, { defaultValue: () => ({ count: 0 }) });
+		await store.update((doc) => {
+			doc.count = 1;
+		});
+
+		const failures = await Promise.allSettled([
+			store.update((doc) => {
+				doc.count = 99;
+				throw new Error('invalid');
+			}),
+			store.update((doc) => {
+				doc.count = 2n;
+			}),
+		]);
+		assert.deepEqual(
+			failures.map((result) => result.status),
+			['rejected', 'rejected'],
+		);
+
+		assert.deepEqual(await store.read(), { count: 1 });
+		assert.deepEqual(await readFile(), { count: 1 });
+		assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['doc.json']);
+
+		await store.update((doc) => {
+			doc.count += 1;
+		});
+		assert.deepEqual(await readFile(), { count: 2 });
+	});
+});
@@ -0,0 +1,238 @@
+/**
+ * Session Management
+ * Server-side sessions keyed by a signed, HTTP-only cookie. The GitHub token is
+ * kept in data/sessions/sessions.json (mode 0600) and never sent to the browser;
+ * the client only sees a random, non-secret session handle.
+ */
+
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { createJsonStore } = require('./jsonStore');
+
+const COOKIE_NAME = 'gm_session';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a Cookie header into a name/value map
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+const parseCookies = (header = '') => {
+	const cookies = {};
+	for (const part of header.split(';')) {
+		const index = part.indexOf('=');
+		if (index === -1) continue;
+		const name = part.slice(0, index).trim();
+		const value = part.slice(index + 1).trim();
+		if (!name || name in cookies) continue;
+		try {
+			cookies[name] = decodeURIComponent(value);
+		} catch {
+			cookies[name] = value;
+		}
+	}
+	return cookies;
+};
+
+/**
+ * HMAC-SHA256 signature of a value, base64url encoded
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+const sign = (value, secret) =>
+	crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+/**
+ * Verify a `value.signature` cookie and return the value
+ * @param {string} signed
+ * @param {string} secret
+ * @returns {string|null}
+ */
+const unsign = (signed, secret) => {
+	const index = signed.lastIndexOf('.');
+	if (index <= 0) return null;
+
+	const value = signed.slice(0, index);
+	const expected = Buffer.from(sign(value, secret));
+	const actual = Buffer.from(signed.slice(index + 1));
+
+	if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+		return null;
+	}
+	return value;
+};
+
+/**
+ * Serialize a Set-Cookie header value
+ * @param {string} value
+ * @param {Object} options
+ * @param {number} options.maxAge - Lifetime in seconds (0 clears the cookie)
+ * @param {boolean} options.secure - Add the Secure attribute
+ * @returns {string}
+ */
+const serializeCookie = (value, { maxAge, secure }) =>
+	[
+		`${COOKIE_NAME}=${encodeURIComponent(value)}`,
+		'Path=/',
+		'HttpOnly',
+		'SameSite=Lax',
+		`Max-Age=${maxAge}`,
+		secure && 'Secure',
+	]
+		.filter(Boolean)
+		.join('; ');
+
+/**
+ * Normalize the on-disk session document
+ * @param {any} data
+ * @returns {{ version: number, sessions: Record<string, Object> }}
+ */
+const normalizeSessions = (data) => ({
+	version: 1,
+	sessions: data?.sessions && typeof data.sessions === 'object' ? data.sessions : {},
+});
+
+/**
+ * Create the session manager
+ * @param {Object} options
+ * @param {string} options.dataDir - Root of the service-writable data directory
+ * @param {string} [options.secret] - Cookie signing secret (SESSION_SECRET)
+ * @param {number} [options.ttlMs] - Session lifetime
+ * @returns {{
+ *   middleware: import('express').RequestHandler,
+ *   create: (req: import('express').Request, res: import('express').Response, data: { token: string, user: Object }) => Promise<Object>,
+ *   destroy: (req: import('express').Request, res: import('express').Response) => Promise<void>,
+ * }}
+ */
+const createSessionManager = ({ dataDir, secret, ttlMs = SESSION_TTL_MS }) => {
+	let signingSecret = secret;
+	if (!signingSecret) {
+		signingSecret = crypto.randomBytes(32).toString('hex');
+		console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+	}
+
+	const store = createJsonStore(path.join(dataDir, 'sessions', 'sessions.json'), {
+		defaultValue: () => ({ version: 1, sessions: {} }),
+		normalize: normalizeSessions,
+		mode: 0o600,
+	});
+
+	const readSessionId = (req) => {
+		const signed = parseCookies(req.get('cookie'))[COOKIE_NAME];
+		return signed ? unsign(signed, signingSecret) : null;
+	};
+
+	/**
+	 * Attach `req.session` ({ handle, token, user, expiresAt }) when the cookie is valid
+	 */
+	const middleware = async (req, res, next) => {
+		try {
+			req.session = null;
+			const id = readSessionId(req);
+			if (!id) return next();
+
+			const { sessions } = await store.read();
+			const session = sessions[id];
+			if (session && Date.parse(session.expiresAt) > Date.now()) {
+				req.session = session;
+			} else {
+				res.append('Set-Cookie', serializeCookie('', { maxAge: 0, secure: req.secure }));
+			}
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+
+	/**
+	 * Start a session for a freshly exchanged token and set the cookie. Replaces
+	 * the caller's previous session, if any.
+	 */
+	const create = async (req, res, { token, user }) => {
+		const previousId = readSessionId(req);
+		const id = crypto.randomBytes(32).toString('base64url');
+		const now = Date.now();
+		const session = {
+			handle: crypto.randomBytes(16).toString('hex'),
+			token,
+			user,
+			createdAt: new Date(now).toISOString(),
+			expiresAt: new Date(now + ttlMs).toISOString(),
+		};
+
+		await store.update((doc) => {
+			for (const [key, existing] of Object.entries(doc.sessions)) {
+				if (Date.parse(existing.expiresAt) <= now) delete doc.sessions[key];
+			}
+			if (previousId) delete doc.sessions[previousId];
+			doc.sessions[id] = session;
+		});
+
+		res.append(
+			'Set-Cookie',
+			serializeCookie(`${id}.${sign(id, signingSecret)}`, {
+				maxAge: Math.floor(ttlMs / 1000),
+				secure: req.secure,
+			}),
+		);
+		return session;
+	};
+
+	/**
+	 * End the caller's session (if any) and clear the cookie
+	 */
+	const destroy = async (req, res) => {
+		const id = readSessionId(req);
+		if (id) {
+			await store.update((doc) => {
+				delete doc.sessions[id];
+			});
+		}
+		res.append('Set-Cookie', serializeCookie('', { maxAge: 0, secure: req.secure }));
+	};
+
+	return { middleware, create, destroy };
+};
+
+/**
+ * Reject state-changing requests whose Origin is neither this host nor the
+ * configured frontend. Complements SameSite=Lax on the session cookie.
+ * @param {string[]} [allowedOrigins] - Extra origins (e.g. FRONTEND_URL in development)
+ * @returns {import('express').RequestHandler}
+ */
+const rejectCrossOrigin =
+	(allowedOrigins = []) =>
+	(req, res, next) => {
+		const origin = req.get('origin');
+		if (!origin || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+		let host = null;
+		try {
+			host = new URL(origin).host;
+		} catch {
+			// Malformed Origin is treated as cross-origin
+		}
+
+		if (host === req.get('host') || allowedOrigins.includes(origin)) return next();
+		return res.status(403).json({ error: 'Cross-origin request rejected' });
+	};
+
+/**
+ * Client-safe view of a session
+ * @param {Object|null} session
+ * @returns {{ authenticated: boolean, user: Object|null, session: { handle: string, expiresAt: string }|null }}
+ */
+const toSessionStatus = (session) => ({
+	authenticated: !!session,
+	user: session?.user || null,
+	session: session ? { handle: session.handle, expiresAt: session.expiresAt } : null,
+});
+
+module.exports = {
+	COOKIE_NAME,
+	createSessionManager,
+	parseCookies,
+	rejectCrossOrigin,
+	toSessionStatus,
+};
@@ -0,0 +1,174 @@
+/**
+ * Session Tests
+ * Tests the signed session cookie, expiry, the session file's permissions and
+ * the cross-origin check.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const express = require('express');
+const { createTempDir, realFetch, startServer } = require('../testing/helpers');
+const {
+	COOKIE_NAME,
+	createSessionManager,
+	parseCookies,
+	rejectCrossOrigin,
+	toSessionStatus,
+} = require('./session');
+
+/**
+ * App that signs in on POST /login, reports the session on GET /status and
+ * signs out on POST /logout
+ * @param {ReturnType<typeof createSessionManager>} sessions
+ */
+const buildApp = (sessions) => {
+	const app = express();
+	app.use(sessions.middleware);
+	app.post('/login', async (req, res) => {
+		const session = await sessions.create(req, res, { token: 'gho_secret', user: { id: 1 } });
+		res.json(toSessionStatus(session));
+	});
+	app.get('/status', (req, res) => res.json(toSessionStatus(req.session)));
+	app.post('/logout', async (req, res) => {
+		await sessions.destroy(req, res);
+		res.json({ success: true });
+	});
+	return app;
+};
+
+/** `name=value` part of the session Set-Cookie header */
+const sessionCookie = (response) =>
+	response.headers
+		.getSetCookie()
+		.find((header) => header.startsWith(`${COOKIE_NAME}=`))
+		?.split(';')[0];
+
+describe('Sessions', () => {
+	let data;
+	let server;
+
+	const request = (path, { method = 'GET', cookie } = {}) =>
+		realFetch(`${server.url}${path}`, { method, headers: cookie ? { Cookie: cookie } : {} });
+
+	const start = async (options = {}) => {
+		const sessions = createSessionManager({ dataDir: data.dir, secret: 'test-secret', ...options });
+		server = await startServer(buildApp(sessions));
+	};
+
+	beforeEach(async () => {
+		data = await createTempDir();
+	});
+
+	afterEach(async () => {
+		await server?.close();
+		server = null;
+		await data.remove();
+	});
+
+	it('recognizes the signed cookie and never returns the token', async () => {
+		await start();
+		const login = await request('/login', { method: 'POST' });
+		const cookie = sessionCookie(login);
+		assert.match(login.headers.get('set-cookie'), /HttpOnly; SameSite=Lax; Max-Age=86400/);
+
+		const status = await (await request('/status', { cookie })).json();
+		assert.equal(status.authenticated, true);
+		assert.deepEqual(status.user, { id: 1 });
+		assert.doesNotMatch(JSON.stringify(status), /gho_secret/);
+	});
+
+	it('ignores a cookie with a bad signature', async () => {
+		await start();
+		const cookie = sessionCookie(await request('/login', { method: 'POST' }));
+		const [id] = cookie.slice(COOKIE_NAME.length + 1).split('.');
+
+		for (const forged of [`${id}.forged`, id, `${id}.`, `other.${cookie.split('.')[1]}`]) {
+			const status = await (
+				await request('/status', { cookie: `${COOKIE_NAME}=${forged}` })
+			).json();
+			assert.equal(status.authenticated, false, forged);
+		}
+	});
+
+	it('clears an expired session’s cookie', async () => {
+		await start({ ttlMs: 20 });
+		const cookie = sessionCookie(await request('/login', { method: 'POST' }));
+		await new Promise((resolve) => setTimeout(resolve, 40));
+
+		const response = await request('/status', { cookie });
+		assert.equal((await response.json()).authenticated, false);
+		assert.match(response.headers.get('set-cookie'), new RegExp(`^${COOKIE_NAME}=; .*Max-Age=0`));
+	});
+
+	it('keeps the session file readable by the owner only', async () => {
+		await start();
+		await request('/login', { method: 'POST' });
+
+		const file = path.join(data.dir, 'sessions', 'sessions.json');
+		assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+		assert.match(await fs.readFile(file, 'utf8'), /gho_secret/);
+	});
+
+	it('removes the session on logout', async () => {
+		await start();
+		const cookie = sessionCookie(await request('/login', { method: 'POST' }));
+
+		const logout = await request('/logout', { method: 'POST', cookie });
+		assert.match(logout.headers.get('set-cookie'), /Max-Age=0/);
+
+		const status = await (await request('/status', { cookie })).json();
+		assert.equal(status.authenticated, false);
+		const file = path.join(data.dir, 'sessions', 'sessions.json');
+		assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')).sessions, {});
+	});
+
+	it('replaces the previous session when signing in again', async () => {
+		await start();
+		const first = sessionCookie(await request('/login', { method: 'POST' }));
+		await request('/login', { method: 'POST', cookie: first });
+
+		assert.equal((await (await request('/status', { cookie: first })).json()).authenticated, false);
+	});
+});
+
+describe('parseCookies', () => {
+	it('decodes values and keeps the first of a repeated name', () => {
+		assert.deepEqual(parseCookies('a=1; b=x%20y; a=2; bad; c=%E0'), { a: '1', b: 'x y', c: '%E0' });
+		assert.deepEqual(parseCookies(undefined), {});
+	});
+});
+
+describe('rejectCrossOrigin', () => {
+	let server;
+
+	const request = (method, origin) =>
+		realFetch(`${server.url}/api`, { method, headers: origin ? { Origin: origin } : {} });
+
+	beforeEach(async () => {
+		const app = express();
+		app.use(rejectCrossOrigin(['http://localhost:3000']));
+		app.all('/api', (_req, res) => res.json({ ok: true }));
+		server = await startServer(app);
+	});
+
+	afterEach(async () => {
+		await server.close();
+	});
+
+	it('allows same-origin, allowed-origin and Origin-less requests', async () => {
+		const { host } = new URL(server.url);
+		assert.equal((await request('POST', server.url)).status, 200);
+		assert.equal((await request('POST', 'http://localhost:3000')).status, 200);
+		assert.equal((await request('POST')).status, 200);
+		assert.equal((await request('DELETE', `http://${host}`)).status, 200);
+	});
+
+	it('rejects state-changing requests from other origins', async () => {
+		assert.equal((await request('POST', 'https://evil.example')).status, 403);
+		assert.equal((await request('DELETE', 'null')).status, 403);
+		assert.equal((await request('POST', 'http://localhost:3000.evil.example')).status, 403);
+		assert.equal((await request('GET', 'https://evil.example')).status, 200);
+	});
+});
@@ -0,0 +1,91 @@
+/**
+ * Auth Routes
+ * Exchanges the OAuth code for a token (GitHub doesn't support CORS on the token
+ * endpoint), stores it in a server session and reports or ends that session.
+ */
+
+const express = require('express');
+const { getCacheUserKey } = require('../lib/etagCache');
+const { HttpError, getAuthenticatedUser } = require('../lib/github');
+const { toSessionStatus } = require('../lib/session');
+
+/**
+ * Create the /api/auth router
+ * @param {Object} options
+ * @param {ReturnType<import('../lib/session').createSessionManager>} options.sessions
+ * @param {ReturnType<import('../lib/etagCache').createEtagCache>} [options.cache] - GitHub
+ *   response cache; the user's entries are dropped on logout
+ * @returns {import('express').Router}
+ */
+const createAuthRouter = ({ sessions, cache }) => {
+	const router = express.Router();
+
+	// Exchange the authorization code and start a session
+	router.post('/token', async (req, res) => {
+		const { code, code_verifier } = req.body || {};
+
+		if (!code) {
+			return res.status(400).json({ error: 'Missing authorization code' });
+		}
+
+		try {
+			const response = await fetch('https://github.com/login/oauth/access_token', {
+				method: 'POST',
+				headers: {
+					Accept: 'application/json',
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					client_id: process.env.GITHUB_CLIENT_ID,
+					client_secret: process.env.GITHUB_CLIENT_SECRET,
+					code,
+					code_verifier,
+				}),
+			});
+
+			const data = await response.json();
+
+			if (data.error) {
+				return res
+					.status(400)
+					.json({ error: data.error, error_description: data.error_description });
+			}
+			if (!data.access_token) {
+				return res.status(400).json({ error: 'No access token received' });
+			}
+
+			const user = await getAuthenticatedUser(data.access_token);
+			const session = await sessions.create(req, res, { token: data.access_token, user });
+
+			res.json(toSessionStatus(session));
+		} catch (error) {
+			if (error instanceof HttpError) {
+				return res.status(error.status).json({ error: error.message });
+			}
+			console.error('Token exchange error:', error.message);
+			res.status(500).json({ error: 'Token exchange failed' });
+		}
+	});
+
+	// Current session, without the token
+	router.get('/status', (req, res) => {
+		res.set('Cache-Control', 'no-store');
+		res.json(toSessionStatus(req.session));
+	});
+
+	// End the session and clear the cookie
+	router.post('/logout', async (req, res) => {
+		try {
+			if (req.session) cache?.deleteUser(getCacheUserKey(req.session));
+			await sessions.destroy(req, res);
+			res.json({ success: true });
+		} catch (error) {
+			console.error('Logout error:', error.message);
+			res.status(500).json({ error: 'Logout failed' });
+		}
+	});
+
+	return router;
+};
+
+module.exports = { createAuthRouter };
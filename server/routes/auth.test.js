@@ -0,0 +1,115 @@
+/**
+ * Auth Route Tests
+ * Tests the code exchange, session status and logout over HTTP.
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const express = require('express');
+const { createEtagCache } = require('../lib/etagCache');
+const { COOKIE_NAME, createSessionManager } = require('../lib/session');
+const {
+	createTempDir,
+	jsonResponse,
+	realFetch,
+	startServer,
+	stubGitHub,
+} = require('../testing/helpers');
+const { createAuthRouter } = require('./auth');
+
+const OAUTH_URL = 'https://github.com/login/oauth/access_token';
+
+describe('Auth routes', () => {
+	let data;
+	let server;
+	let github;
+	let cache;
+	let oauthResponse;
+
+	const request = (path, { method = 'GET', cookie, body } = {}) =>
+		realFetch(`${server.url}/api/auth${path}`, {
+			method,
+			headers: {
+				...(cookie && { Cookie: cookie }),
+				...(body && { 'Content-Type': 'application/json' }),
+			},
+			body: body && JSON.stringify(body),
+		});
+
+	const signIn = async () => {
+		const response = await request('/token', { method: 'POST', body: { code: 'abc' } });
+		return response.headers
+			.getSetCookie()
+			.find((header) => header.startsWith(`${COOKIE_NAME}=`))
+			.split(';')[0];
+	};
+
+	beforeEach(async () => {
+		data = await createTempDir();
+		cache = createEtagCache();
+		oauthResponse = { access_token: 'gho_secret' };
+
+		github = stubGitHub(() => jsonResponse({ id: 1, login: 'octocat' }));
+		const apiFetch = globalThis.fetch;
+		globalThis.fetch = async (input, init) =>
+			String(input) === OAUTH_URL ? jsonResponse(oauthResponse) : apiFetch(input, init);
+
+		const sessions = createSessionManager({ dataDir: data.dir, secret: 'test-secret' });
+		const app = express();
+		app.use(express.json());
+		app.use('/api', sessions.middleware);
+		app.use('/api/auth', createAuthRouter({ sessions, cache }));
+		server = await startServer(app);
+	});
+
+	afterEach(async () => {
+		github.restore();
+		await server.close();
+		await data.remove();
+	});
+
+	it('exchanges the code and starts a session without exposing the token', async () => {
+		const response = await request('/token', { method: 'POST', body: { code: 'abc' } });
+		const body = await response.json();
+
+		assert.equal(response.status, 200);
+		assert.equal(body.authenticated, true);
+		assert.deepEqual(body.user, { id: 1, login: 'octocat' });
+		assert.doesNotMatch(JSON.stringify(body), /gho_secret/);
+		assert.equal(github.calls[0].headers.get('authorization'), 'Bearer gho_secret');
+	});
+
+	it('reports OAuth errors without starting a session', async () => {
+		oauthResponse = { error: 'bad_verification_code', error_description: 'expired' };
+		const response = await request('/token', { method: 'POST', body: { code: 'abc' } });
+
+		assert.equal(response.status, 400);
+		assert.equal((await response.json()).error, 'bad_verification_code');
+		assert.deepEqual(response.headers.getSetCookie(), []);
+		assert.equal((await request('/token', { method: 'POST', body: {} })).status, 400);
+	});
+
+	it('reports the session and never caches the status', async () => {
+		const cookie = await signIn();
+
+		const signedIn = await request('/status', { cookie });
+		assert.equal(signedIn.headers.get('cache-control'), 'no-store');
+		assert.equal((await signedIn.json()).user.login, 'octocat');
+		assert.equal((await (await request('/status')).json()).authenticated, false);
+	});
+
+	it('destroys the session and drops the user’s cached responses on logout', async () => {
+		const cookie = await signIn();
+		const cached = { etag: '"v1"', status: 200, headers: {}, body: Buffer.from('[]') };
+		cache.set('user-1:/gists', cached);
+		cache.set('user-2:/gists', cached);
+
+		const response = await request('/logout', { method: 'POST', cookie });
+		assert.equal(response.status, 200);
+		assert.match(response.headers.get('set-cookie'), /Max-Age=0/);
+
+		assert.equal((await (await request('/status', { cookie })).json()).authenticated, false);
+		assert.equal(cache.get('user-1:/gists'), undefined);
+		assert.ok(cache.get('user-2:/gists'));
+	});
+});
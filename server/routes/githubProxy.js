@@ -0,0 +1,160 @@
+/**
+ * GitHub Proxy Routes
+ * Forwards gist-related GitHub REST calls using the token held in the caller's
+ * server session, so the browser never sees it. Only the gist endpoints and
+ * reading the signed-in user (GET /user) are reachable; public gist, comment
+ * and fork reads also work without a session (anonymously). Paths that would
+ * resolve differently once normalized (dot segments, encoded slashes) are
+ * rejected rather than resolved.
+ *
+ * GET responses are cached per user with their ETag and revalidated with
+ * If-None-Match, so repeat reads (several tabs, reloads) mostly cost a 304 that
+ * does not count against the GitHub rate limit. Identical concurrent GETs share
+ * one upstream request.
+ */
+
+const express = require('express');
+const { createEtagCache, getCacheUserKey } = require('../lib/etagCache');
+const { GITHUB_API_URL, githubFetch } = require('../lib/github');
+
+const GIST_PATH = /^\/gists(\/|$)/;
+const READ_ONLY_PATH = /^\/(user|users\/[^/]+\/gists\/?)$/;
+// Percent-encoded '.', '/' and '\', which GitHub may decode into path segments
+const ENCODED_SEPARATOR = /%(2e|2f|5c)/i;
+const ANONYMOUS_PATH =
+	/^\/(gists\/[^/]+(\/[0-9a-f]{40}|\/comments|\/forks)?|users\/[^/]+\/gists)\/?$/;
+const CACHED_HEADERS = ['content-type', 'link'];
+// Forwarded so bulk operations can back off when GitHub throttles them
+const RATE_LIMIT_HEADERS = [
+	'retry-after',
+	'x-ratelimit-limit',
+	'x-ratelimit-remaining',
+	'x-ratelimit-reset',
+];
+
+/**
+ * Whether a request may be forwarded to GitHub
+ * @param {string} method
+ * @param {string} pathname - Normalized path
+ * @returns {boolean}
+ */
+const isAllowed = (method, pathname) =>
+	GIST_PATH.test(pathname) || (method === 'GET' && READ_ONLY_PATH.test(pathname));
+
+/**
+ * Pick the named headers that are present on a fetch response
+ * @param {Headers} headers
+ * @param {string[]} names
+ * @returns {Record<string, string>}
+ */
+const pickHeaders = (headers, names) => {
+	const picked = {};
+	for (const name of names) {
+		const value = headers.get(name);
+		if (value) picked[name] = value;
+	}
+	return picked;
+};
+
+/**
+ * Create the /api/github router
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createEtagCache>} [options.cache] - Response cache (one per process)
+ * @returns {import('express').Router}
+ */
+const createGitHubProxyRouter = ({ cache = createEtagCache() } = {}) => {
+	const router = express.Router();
+	const inflight = new Map();
+
+	/**
+	 * Send one request upstream, revalidating a cached GET when possible
+	 * @returns {Promise<{ status: number, headers: Record<string, string>, body: Buffer, cacheStatus: string }>}
+	 */
+	const forward = async ({ apiPath, token, method, body, cacheKey }) => {
+		const cached = cacheKey ? cache.get(cacheKey) : undefined;
+		const headers = {};
+		if (body) headers['Content-Type'] = 'application/json';
+		if (cached) headers['If-None-Match'] = cached.etag;
+
+		const response = await githubFetch(apiPath, token, { method, headers, body });
+		const rateLimit = pickHeaders(response.headers, RATE_LIMIT_HEADERS);
+
+		if (response.status === 304 && cached) {
+			return {
+				status: cached.status,
+				headers: { ...cached.headers, ...rateLimit },
+				body: cached.body,
+				cacheStatus: 'HIT',
+			};
+		}
+
+		const entry = {
+			status: response.status,
+			headers: pickHeaders(response.headers, CACHED_HEADERS),
+			body: Buffer.from(await response.arrayBuffer()),
+		};
+		const etag = response.headers.get('etag');
+
+		if (cacheKey && response.status === 200 && etag) {
+			cache.set(cacheKey, { ...entry, etag });
+		}
+
+		return {
+			...entry,
+			headers: { ...entry.headers, ...rateLimit },
+			cacheStatus: cacheKey ? 'MISS' : 'BYPASS',
+		};
+	};
+
+	router.all('*', async (req, res) => {
+		// Only forward paths that mean the same before and after normalization, so
+		// dot segments cannot escape the allowlist
+		const rawPath = req.url.split('?')[0];
+		const target = new URL(req.url, GITHUB_API_URL);
+		if (target.pathname !== rawPath || ENCODED_SEPARATOR.test(rawPath)) {
+			return res.status(400).json({ error: 'Invalid GitHub endpoint path' });
+		}
+		if (!isAllowed(req.method, target.pathname)) {
+			return res.status(404).json({ error: 'Unsupported GitHub endpoint' });
+		}
+
+		const anonymous = req.method === 'GET' && ANONYMOUS_PATH.test(target.pathname);
+		if (!req.session && !anonymous) {
+			return res.status(401).json({ error: 'Not authenticated' });
+		}
+
+		const hasBody =
+			!['GET', 'HEAD'].includes(req.method) && req.body && Object.keys(req.body).length > 0;
+		const apiPath = `${target.pathname}${target.search}`;
+		const cacheKey = req.method === 'GET' ? `${getCacheUserKey(req.session)}:${apiPath}` : null;
+
+		try {
+			let pending = cacheKey ? inflight.get(cacheKey) : undefined;
+			if (!pending) {
+				pending = forward({
+					apiPath,
+					token: req.session?.token ?? null,
+					method: req.method,
+					body: hasBody ? JSON.stringify(req.body) : undefined,
+					cacheKey,
+				});
+				if (cacheKey) {
+					inflight.set(cacheKey, pending);
+					pending.finally(() => inflight.delete(cacheKey)).catch(() => {});
+				}
+			}
+
+			const result = await pending;
+			res.set(result.headers);
+			res.set('X-Proxy-Cache', result.cacheStatus);
+			res.status(result.status).send(result.body);
+		} catch (error) {
+			console.error('GitHub proxy error:', error.message);
+			res.status(502).json({ error: 'GitHub request failed' });
+		}
+	});
+
+	return router;
+};
+
+module.exports = { createGitHubProxyRouter };
@@ -0,0 +1,183 @@
+/**
+ * GitHub Proxy Route Tests
+ * Tests which endpoints are forwarded, and the per-user ETag cache and request
+ * sharing in front of them.
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const express = require('express');
+const { createEtagCache } = require('../lib/etagCache');
+const { jsonResponse, rawGet, realFetch, startServer, stubGitHub } = require('../testing/helpers');
+const { createGitHubProxyRouter } = require('./githubProxy');
+
+/**
+ * Proxy app whose session comes from an X-Test-User header
+ * @param {ReturnType<typeof createEtagCache>} cache
+ */
+const buildApp = (cache) => {
+	const app = express();
+	app.use(express.json());
+	app.use((req, _res, next) => {
+		const userId = req.get('x-test-user');
+		req.session = userId ? { user: { id: userId }, token: `token-${userId}` } : null;
+		next();
+	});
+	app.use('/api/github', createGitHubProxyRouter({ cache }));
+	return app;
+};
+
+describe('GitHub proxy', () => {
+	let server;
+	let github;
+
+	/** Request through the proxy as a signed-in user (or anonymously without one) */
+	const request = (path, { user = '1', method = 'GET', body } = {}) =>
+		realFetch(`${server.url}/api/github${path}`, {
+			method,
+			headers: {
+				...(user && { 'X-Test-User': user }),
+				...(body && { 'Content-Type': 'application/json' }),
+			},
+			body: body && JSON.stringify(body),
+		});
+
+	beforeEach(async () => {
+		github = stubGitHub(() => jsonResponse({ ok: true }, { headers: { etag: '"v1"' } }));
+		server = await startServer(buildApp(createEtagCache()));
+	});
+
+	afterEach(async () => {
+		github.restore();
+		await server.close();
+	});
+
+	describe('allowlist', () => {
+		it('forwards gist endpoints with any method', async () => {
+			assert.equal((await request('/gists?per_page=100')).status, 200);
+			assert.equal((await request('/gists/abc', { method: 'PATCH', body: { a: 1 } })).status, 200);
+			assert.equal((await request('/gists/abc/star', { method: 'PUT' })).status, 200);
+			assert.deepEqual(
+				github.calls.map((call) => `${call.method} ${call.path}`),
+				['GET /gists?per_page=100', 'PATCH /gists/abc', 'PUT /gists/abc/star'],
+			);
+			assert.equal(github.calls[0].headers.get('authorization'), 'Bearer token-1');
+		});
+
+		it('only reads the signed-in user and other users’ gists', async () => {
+			assert.equal((await request('/user')).status, 200);
+			assert.equal((await request('/users/octocat/gists')).status, 200);
+
+			for (const [method, path] of [
+				['PATCH', '/user'],
+				['GET', '/user/emails'],
+				['GET', '/user/keys'],
+				['POST', '/user/repos'],
+				['POST', '/users/octocat/gists'],
+				['GET', '/repos/octocat/hello'],
+			]) {
+				const response = await request(path, { method, body: method === 'GET' ? undefined : {} });
+				assert.equal(response.status, 404, `${method} ${path}`);
+			}
+			assert.equal(github.calls.length, 2);
+		});
+
+		it('rejects paths that normalize to somewhere else', async () => {
+			for (const path of [
+				'/gists/%2e%2e/user/keys',
+				'/gists/%2E%2E/%2E%2E/user/emails',
+				'/gists/abc%2F..%2F..%2Fuser%2Fkeys',
+				'/gists/.%2e/user',
+			]) {
+				const response = await rawGet(server.url, `/api/github${path}`, { 'X-Test-User': '1' });
+				assert.equal(response.status, 400, path);
+			}
+			assert.equal(github.calls.length, 0);
+		});
+
+		it('allows public reads without a session and nothing else', async () => {
+			assert.equal((await request('/gists/abc', { user: null })).status, 200);
+			assert.equal((await request('/gists/abc/comments', { user: null })).status, 200);
+			assert.equal((await request('/gists', { user: null })).status, 401);
+			assert.equal((await request('/user', { user: null })).status, 401);
+			assert.equal(github.calls[0].headers.get('authorization'), null);
+		});
+	});
+
+	describe('caching', () => {
+		it('revalidates with the ETag and replays the cached body on a 304', async () => {
+			let version = 0;
+			github.restore();
+			github = stubGitHub((req) => {
+				version++;
+				if (req.headers.get('if-none-match') === '"v1"') {
+					return jsonResponse(null, { status: 304, headers: { 'x-ratelimit-remaining': '4999' } });
+				}
+				return jsonResponse([{ id: 'abc' }], { headers: { etag: '"v1"', link: '<next>' } });
+			});
+
+			const first = await request('/gists');
+			assert.equal(first.headers.get('x-proxy-cache'), 'MISS');
+			assert.deepEqual(await first.json(), [{ id: 'abc' }]);
+
+			const second = await request('/gists');
+			assert.equal(second.status, 200);
+			assert.equal(second.headers.get('x-proxy-cache'), 'HIT');
+			assert.equal(second.headers.get('link'), '<next>');
+			assert.equal(second.headers.get('x-ratelimit-remaining'), '4999');
+			assert.deepEqual(await second.json(), [{ id: 'abc' }]);
+			assert.equal(version, 2);
+			assert.equal(github.calls[1].headers.get('if-none-match'), '"v1"');
+		});
+
+		it('keeps each user’s responses apart', async () => {
+			github.restore();
+			github = stubGitHub((req) =>
+				jsonResponse(
+					{ token: req.headers.get('authorization') },
+					{ headers: { etag: `"${req.headers.get('authorization')}"` } },
+				),
+			);
+
+			await request('/gists', { user: '1' });
+			const other = await request('/gists', { user: '2' });
+
+			assert.deepEqual(await other.json(), { token: 'Bearer token-2' });
+			assert.equal(other.headers.get('x-proxy-cache'), 'MISS');
+			// User 2 revalidated nothing of user 1's
+			assert.equal(github.calls[1].headers.get('if-none-match'), null);
+		});
+
+		it('shares one upstream request between identical concurrent GETs', async () => {
+			let respond;
+			github.restore();
+			github = stubGitHub(
+				() =>
+					new Promise((resolve) => {
+						respond = () => resolve(jsonResponse([{ id: 'abc' }], { headers: { etag: '"v1"' } }));
+					}),
+			);
+
+			const pending = [request('/gists'), request('/gists')];
+			while (!respond) await new Promise((resolve) => setTimeout(resolve, 5));
+			// Let the second request reach the proxy before GitHub answers
+			await new Promise((resolve) => setTimeout(resolve, 50));
+			respond();
+			const responses = await Promise.all(pending);
+
+			assert.equal(github.calls.length, 1);
+			for (const response of responses) {
+				assert.deepEqual(await response.json(), [{ id: 'abc' }]);
+			}
+		});
+
+		it('does not cache writes', async () => {
+			await request('/gists/abc', { method: 'PATCH', body: { description: 'x' } });
+			await request('/gists/abc', { method: 'PATCH', body: { description: 'x' } });
+
+			assert.equal(github.calls.length, 2);
+			assert.equal(github.calls[1].headers.get('if-none-match'), null);
+			assert.equal(github.calls[1].body, JSON.stringify({ description: 'x' }));
+		});
+	});
+});
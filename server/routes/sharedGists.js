@@ -0,0 +1,407 @@
+/**
+ * Shared Gists Routes
+ * Community index of public gists that users of this instance chose to share.
+ * The index lives in data/shared-gists/index.json and only stores metadata;
+ * file contents are always read from GitHub.
+ */
+
+const crypto = require('node:crypto');
+const path = require('node:path');
+const express = require('express');
+const { createJsonStore } = require('../lib/jsonStore');
+const { HttpError, githubRequest } = require('../lib/github');
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGLINE_LENGTH = 140;
+const GIST_ID_PATTERN = /^[a-f0-9]{20,32}$/i;
+
+/**
+ * Feed orderings. Ties fall back to the most recently shared entry.
+ * @type {Record<string, (a: Object, b: Object) => number>}
+ */
+const SORTERS = {
+	newest: () => 0,
+	forks: (a, b) => (b.forkedBy?.length || 0) - (a.forkedBy?.length || 0),
+	stars: (a, b) => (b.starredBy?.length || 0) - (a.starredBy?.length || 0),
+};
+
+/**
+ * Normalize the on-disk index. Older deployments stored a bare array.
+ * @param {any} data
+ * @returns {{ version: number, gists: Array<Object> }}
+ */
+const normalizeIndex = (data) => {
+	if (Array.isArray(data)) {
+		return { version: 1, gists: data };
+	}
+	return { version: 1, gists: Array.isArray(data?.gists) ? data.gists : [] };
+};
+
+/**
+ * Normalize user-supplied tags: lowercase, strip leading '#', dedupe
+ * @param {unknown} input - Array of strings or comma-separated string
+ * @returns {string[]}
+ */
+const normalizeTags = (input) => {
+	const raw = Array.isArray(input) ? input : typeof input === 'string' ? input.split(',') : [];
+	const tags = raw
+		.filter((tag) => typeof tag === 'string')
+		.map((tag) =>
+			tag
+				.trim()
+				.replace(/^#+/, '')
+				.toLowerCase()
+				.replace(/[^a-z0-9._+-]/g, '-')
+				.slice(0, MAX_TAG_LENGTH),
+		)
+		.filter(Boolean);
+	return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Normalize an optional one-line tagline
+ * @param {unknown} input
+ * @returns {string}
+ */
+const normalizeTagline = (input) =>
+	typeof input === 'string' ? input.replace(/\s+/g, ' ').trim().slice(0, MAX_TAGLINE_LENGTH) : '';
+
+/**
+ * Parse a positive integer query parameter
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {number} [max]
+ * @returns {number}
+ */
+const parsePositiveInt = (value, fallback, max = Number.MAX_SAFE_INTEGER) => {
+	const parsed = Number.parseInt(value, 10);
+	if (Number.isNaN(parsed) || parsed < 1) return fallback;
+	return Math.min(parsed, max);
+};
+
+/**
+ * Build an index entry from a GitHub gist object
+ * @param {Object} gist - Gist returned by GET /gists/:id
+ * @param {Object} [previous] - Existing entry when re-sharing
+ * @param {Object} details - Caller-supplied details
+ * @param {string[]} details.tags - Normalized tags
+ * @param {string} details.tagline - Normalized tagline
+ * @returns {Object}
+ */
+const toSharedEntry = (gist, previous, { tags, tagline }) => {
+	const now = new Date().toISOString();
+	const files = {};
+	for (const [filename, file] of Object.entries(gist.files || {})) {
+		files[filename] = {
+			filename,
+			type: file.type,
+			language: file.language,
+			size: file.size,
+			raw_url: file.raw_url,
+		};
+	}
+
+	return {
+		sharedId: previous?.sharedId || crypto.randomUUID(),
+		id: gist.id,
+		description: gist.description || '',
+		username: gist.owner.login,
+		avatarUrl: gist.owner.avatar_url,
+		htmlUrl: gist.html_url,
+		files,
+		tags,
+		tagline,
+		languages: getEntryLanguages(files),
+		forkedBy: [
+			...new Set([
+				...(previous?.forkedBy || []),
+				...(gist.forks || []).map((fork) => fork.user?.login).filter(Boolean),
+			]),
+		],
+		starredBy: previous?.starredBy || [],
+		createdAt: gist.created_at,
+		gistUpdatedAt: gist.updated_at,
+		sharedAt: previous?.sharedAt || now,
+		updatedAt: now,
+	};
+};
+
+/**
+ * Distinct languages of an entry's files
+ * @param {Object} files - Entry files keyed by filename
+ * @returns {string[]}
+ */
+const getEntryLanguages = (files) => [
+	...new Set(
+		Object.values(files)
+			.map((file) => file.language)
+			.filter(Boolean),
+	),
+];
+
+/**
+ * Shape an entry for API responses: expose counts instead of the user lists
+ * @param {Object} entry - Stored index entry
+ * @param {string} [login] - Caller login, used to flag entries they starred
+ * @returns {Object}
+ */
+const toPublicEntry = (entry, login) => {
+	const { forkedBy = [], starredBy = [], ...rest } = entry;
+	return {
+		...rest,
+		languages: rest.languages || getEntryLanguages(rest.files || {}),
+		forks: forkedBy.length,
+		stars: starredBy.length,
+		starred: login ? starredBy.includes(login) : false,
+	};
+};
+
+/**
+ * Resolve the caller from their server session or fail with 401
+ * @param {import('express').Request} req
+ * @returns {{ token: string, user: Object }}
+ */
+const requireGitHubUser = (req) => {
+	if (!req.session) {
+		throw new HttpError(401, 'Not authenticated');
+	}
+	return { token: req.session.token, user: req.session.user };
+};
+
+/**
+ * Send an error response, mapping HttpError to its status
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} context - Log context
+ */
+const sendError = (res, error, context) => {
+	if (error instanceof HttpError) {
+		return res.status(error.status).json({ error: error.message });
+	}
+	console.error(`${context}:`, error.message);
+	return res.status(500).json({ error: `${context} failed` });
+};
+
+/**
+ * Create the /api/shared-gists router
+ * @param {Object} options
+ * @param {string} options.dataDir - Root of the service-writable data directory
+ * @returns {import('express').Router}
+ */
+const createSharedGistsRouter = ({ dataDir }) => {
+	const router = express.Router();
+	const store = createJsonStore(path.join(dataDir, 'shared-gists', 'index.json'), {
+		defaultValue: () => ({ version: 1, gists: [] }),
+		normalize: normalizeIndex,
+	});
+
+	// Browse shared gists with sort, tag and language filters
+	router.get('/', async (req, res) => {
+		try {
+			const { gists } = await store.read();
+			const page = parsePositiveInt(req.query.page, 1);
+			const perPage = parsePositiveInt(req.query.per_page, DEFAULT_PER_PAGE, MAX_PER_PAGE);
+			const tags = normalizeTags(req.query.tag);
+			const sort = SORTERS[req.query.sort] ? req.query.sort : 'newest';
+			const language =
+				typeof req.query.language === 'string' ? req.query.language.trim().toLowerCase() : '';
+
+			const languageCounts = {};
+			for (const entry of gists) {
+				for (const lang of toPublicEntry(entry).languages) {
+					languageCounts[lang] = (languageCounts[lang] || 0) + 1;
+				}
+			}
+
+			const matches = gists
+				.filter((entry) => tags.every((tag) => entry.tags?.includes(tag)))
+				.filter(
+					(entry) =>
+						!language ||
+						toPublicEntry(entry).languages.some((lang) => lang.toLowerCase() === language),
+				)
+				.sort((a, b) => SORTERS[sort](a, b) || new Date(b.sharedAt) - new Date(a.sharedAt));
+
+			const total = matches.length;
+			const start = (page - 1) * perPage;
+
+			res.json({
+				gists: matches
+					.slice(start, start + perPage)
+					.map((entry) => toPublicEntry(entry, req.session?.user?.login)),
+				page,
+				perPage,
+				total,
+				totalPages: Math.ceil(total / perPage),
+				sort,
+				languages: Object.entries(languageCounts)
+					.map(([name, count]) => ({ name, count }))
+					.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+			});
+		} catch (error) {
+			sendError(res, error, 'Listing shared gists');
+		}
+	});
+
+	// Check whether a gist is shared (public, no auth)
+	router.get('/check/:gistId', async (req, res) => {
+		try {
+			const { gists } = await store.read();
+			const entry = gists.find((g) => g.id === req.params.gistId);
+			res.json({ shared: !!entry, sharedGist: entry ? toPublicEntry(entry) : null });
+		} catch (error) {
+			sendError(res, error, 'Checking shared gist');
+		}
+	});
+
+	// Gists the caller has shared
+	router.get('/user', async (req, res) => {
+		try {
+			const { user } = requireGitHubUser(req);
+			const { gists } = await store.read();
+			res.json({
+				gists: gists
+					.filter((g) => g.username === user.login)
+					.sort((a, b) => new Date(b.sharedAt) - new Date(a.sharedAt))
+					.map((entry) => toPublicEntry(entry, user.login)),
+			});
+		} catch (error) {
+			sendError(res, error, 'Listing user shared gists');
+		}
+	});
+
+	// Share (or re-share with new tags/tagline) one of the caller's public gists
+	router.post('/', async (req, res) => {
+		try {
+			const { gistId } = req.body || {};
+			if (typeof gistId !== 'string' || !GIST_ID_PATTERN.test(gistId)) {
+				return res.status(400).json({ error: 'A valid gistId is required' });
+			}
+
+			const { token, user } = requireGitHubUser(req);
+			const gist = await githubRequest(`/gists/${gistId}`, token);
+
+			if (gist.owner?.login !== user.login) {
+				return res.status(403).json({ error: 'Only the gist owner can share it' });
+			}
+			if (!gist.public) {
+				return res.status(400).json({ error: 'Only public gists can be shared' });
+			}
+
+			const details = {
+				tags: normalizeTags(req.body.tags),
+				tagline: normalizeTagline(req.body.tagline),
+			};
+			let created = false;
+			let entry = null;
+
+			await store.update((index) => {
+				const position = index.gists.findIndex((g) => g.id === gist.id);
+				created = position === -1;
+				entry = toSharedEntry(gist, index.gists[position], details);
+				if (created) {
+					index.gists.push(entry);
+				} else {
+					index.gists[position] = entry;
+				}
+			});
+
+			res.status(created ? 201 : 200).json({ sharedGist: toPublicEntry(entry, user.login) });
+		} catch (error) {
+			sendError(res, error, 'Sharing gist');
+		}
+	});
+
+	// Fork a shared gist into the caller's account and count it for the feed
+	router.post('/:gistId/fork', async (req, res) => {
+		try {
+			const { token, user } = requireGitHubUser(req);
+			const { gistId } = req.params;
+			const { gists } = await store.read();
+
+			if (!gists.some((g) => g.id === gistId)) {
+				return res.status(404).json({ error: 'Gist is not shared' });
+			}
+
+			const fork = await githubRequest(`/gists/${gistId}/forks`, token, { method: 'POST' });
+			const index = await store.update((draft) => {
+				const entry = draft.gists.find((g) => g.id === gistId);
+				if (entry && !entry.forkedBy?.includes(user.login)) {
+					entry.forkedBy = [...(entry.forkedBy || []), user.login];
+				}
+			});
+			const entry = index.gists.find((g) => g.id === gistId);
+
+			res.status(201).json({
+				gist: fork,
+				sharedGist: entry ? toPublicEntry(entry, user.login) : null,
+			});
+		} catch (error) {
+			sendError(res, error, 'Forking shared gist');
+		}
+	});
+
+	// Star (PUT on GitHub) or unstar a shared gist and record it for the feed
+	const setStarred = (starred) => async (req, res) => {
+		try {
+			const { token, user } = requireGitHubUser(req);
+			const { gistId } = req.params;
+			const { gists } = await store.read();
+
+			if (!gists.some((g) => g.id === gistId)) {
+				return res.status(404).json({ error: 'Gist is not shared' });
+			}
+
+			await githubRequest(`/gists/${gistId}/star`, token, {
+				method: starred ? 'PUT' : 'DELETE',
+				headers: { 'Content-Length': '0' },
+			});
+			const index = await store.update((draft) => {
+				const entry = draft.gists.find((g) => g.id === gistId);
+				if (!entry) return;
+				const others = (entry.starredBy || []).filter((login) => login !== user.login);
+				entry.starredBy = starred ? [...others, user.login] : others;
+			});
+			const entry = index.gists.find((g) => g.id === gistId);
+
+			res.json({ sharedGist: entry ? toPublicEntry(entry, user.login) : null });
+		} catch (error) {
+			sendError(res, error, starred ? 'Starring shared gist' : 'Unstarring shared gist');
+		}
+	};
+
+	router.put('/:gistId/star', setStarred(true));
+	router.delete('/:gistId/star', setStarred(false));
+
+	// Remove one of the caller's gists from the index
+	router.delete('/:gistId', async (req, res) => {
+		try {
+			const { user } = requireGitHubUser(req);
+			const { gistId } = req.params;
+			const { gists } = await store.read();
+			const entry = gists.find((g) => g.id === gistId);
+
+			if (!entry) {
+				return res.status(404).json({ error: 'Gist is not shared' });
+			}
+			if (entry.username !== user.login) {
+				return res.status(403).json({ error: 'Only the gist owner can unshare it' });
+			}
+
+			await store.update((index) => {
+				index.gists = index.gists.filter((g) => g.id !== gistId);
+			});
+
+			res.json({ success: true });
+		} catch (error) {
+			sendError(res, error, 'Unsharing gist');
+		}
+	});
+
+	return router;
+};
+
+module.exports = { createSharedGistsRouter };
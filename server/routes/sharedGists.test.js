@@ -0,0 +1,259 @@
+/**
+ * Shared Gists Route Tests
+ * Tests browsing the index (paging, tag and language filters) and the owner
+ * checks on sharing, re-sharing and unsharing.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const express = require('express');
+const {
+	createTempDir,
+	jsonResponse,
+	realFetch,
+	startServer,
+	stubGitHub,
+} = require('../testing/helpers');
+const { createSharedGistsRouter } = require('./sharedGists');
+
+const gistId = (n) => String(n).padStart(32, 'a');
+
+/**
+ * Stored index entry
+ * @param {number} n - Distinguishes the gist id and share time
+ * @param {Object} [overrides]
+ */
+const entry = (n, overrides = {}) => ({
+	sharedId: `shared-${n}`,
+	id: gistId(n),
+	description: `Gist ${n}`,
+	username: 'octocat',
+	files: { 'index.js': { filename: 'index.js', language: 'JavaScript' } },
+	tags: [],
+	tagline: '',
+	forkedBy: [],
+	starredBy: [],
+	sharedAt: new Date(Date.UTC(2024, 0, n)).toISOString(),
+	...overrides,
+});
+
+/**
+ * Gist as GitHub returns it
+ * @param {Object} [overrides]
+ */
+const githubGist = (overrides = {}) => ({
+	id: gistId(1),
+	description: 'Gist 1',
+	public: true,
+	owner: { login: 'octocat', avatar_url: 'https://avatars.example/octocat' },
+	html_url: `https://gist.github.com/${gistId(1)}`,
+	files: { 'main.py': { filename: 'main.py', language: 'Python', size: 10 } },
+	created_at: '2024-01-01T00:00:00Z',
+	updated_at: '2024-01-02T00:00:00Z',
+	...overrides,
+});
+
+describe('Shared gists routes', () => {
+	let data;
+	let server;
+	let github;
+	let gist;
+
+	const indexPath = () => path.join(data.dir, 'shared-gists', 'index.json');
+
+	/** Start the router over an index file holding the given document */
+	const start = async (index) => {
+		if (index) {
+			await fs.mkdir(path.dirname(indexPath()), { recursive: true });
+			await fs.writeFile(indexPath(), JSON.stringify(index));
+		}
+		const app = express();
+		app.use(express.json());
+		app.use((req, _res, next) => {
+			const login = req.get('x-test-user');
+			req.session = login ? { user: { login }, token: `token-${login}` } : null;
+			next();
+		});
+		app.use('/api/shared-gists', createSharedGistsRouter({ dataDir: data.dir }));
+		server = await startServer(app);
+	};
+
+	const request = async (path, { user = 'octocat', method = 'GET', body } = {}) => {
+		const response = await realFetch(`${server.url}/api/shared-gists${path}`, {
+			method,
+			headers: {
+				...(user && { 'X-Test-User': user }),
+				...(body && { 'Content-Type': 'application/json' }),
+			},
+			body: body && JSON.stringify(body),
+		});
+		return { status: response.status, body: await response.json() };
+	};
+
+	beforeEach(async () => {
+		data = await createTempDir();
+		gist = githubGist();
+		github = stubGitHub(() => jsonResponse(gist));
+	});
+
+	afterEach(async () => {
+		github.restore();
+		await server.close();
+		await data.remove();
+	});
+
+	describe('browsing', () => {
+		it('pages the newest first and keeps page sizes within bounds', async () => {
+			await start({ version: 1, gists: Array.from({ length: 25 }, (_, i) => entry(i + 1)) });
+
+			const first = (await request('/')).body;
+			assert.equal(first.perPage, 20);
+			assert.equal(first.totalPages, 2);
+			assert.equal(first.gists[0].id, gistId(25));
+
+			const second = (await request('/?page=2')).body;
+			assert.deepEqual(
+				second.gists.map((g) => g.id),
+				[5, 4, 3, 2, 1].map(gistId),
+			);
+
+			assert.equal((await request('/?per_page=500')).body.perPage, 100);
+			for (const perPage of ['0', '-5', 'abc']) {
+				assert.equal((await request(`/?per_page=${perPage}`)).body.perPage, 20, perPage);
+			}
+			assert.equal((await request('/?page=0')).body.page, 1);
+
+			const past = (await request('/?page=9')).body;
+			assert.deepEqual(past.gists, []);
+			assert.equal(past.total, 25);
+		});
+
+		it('reads an index stored as a bare array', async () => {
+			await start([entry(1)]);
+			assert.equal((await request('/')).body.total, 1);
+		});
+
+		it('requires every requested tag', async () => {
+			await start({
+				version: 1,
+				gists: [
+					entry(1, { tags: ['js', 'cli'] }),
+					entry(2, { tags: ['js'] }),
+					entry(3, { tags: ['cli'] }),
+				],
+			});
+
+			const both = (await request('/?tag=%23JS&tag=cli')).body;
+			assert.deepEqual(
+				both.gists.map((g) => g.id),
+				[gistId(1)],
+			);
+			assert.equal((await request('/?tag=js')).body.total, 2);
+		});
+
+		it('filters by language without regard to case and counts every language', async () => {
+			const python = { 'main.py': { filename: 'main.py', language: 'Python' } };
+			await start({
+				version: 1,
+				gists: [entry(1), entry(2, { files: python }), entry(3, { files: python })],
+			});
+
+			const filtered = (await request('/?language=python')).body;
+			assert.equal(filtered.total, 2);
+			assert.deepEqual(filtered.languages, [
+				{ name: 'Python', count: 2 },
+				{ name: 'JavaScript', count: 1 },
+			]);
+		});
+
+		it('shows counts instead of who forked or starred', async () => {
+			await start({ version: 1, gists: [entry(1, { starredBy: ['hubot', 'octocat'] })] });
+
+			const [shown] = (await request('/')).body.gists;
+			assert.equal(shown.stars, 2);
+			assert.equal(shown.starred, true);
+			assert.equal(shown.starredBy, undefined);
+			assert.equal((await request('/', { user: 'hubot2' })).body.gists[0].starred, false);
+		});
+	});
+
+	describe('sharing', () => {
+		it('shares the owner’s public gist with normalized tags', async () => {
+			await start();
+			const { status, body } = await request('/', {
+				method: 'POST',
+				body: { gistId: gistId(1), tags: '#Python, CLI tools', tagline: '  one\n line ' },
+			});
+
+			assert.equal(status, 201);
+			assert.deepEqual(body.sharedGist.tags, ['python', 'cli-tools']);
+			assert.equal(body.sharedGist.tagline, 'one line');
+			assert.equal(github.calls[0].path, `/gists/${gistId(1)}`);
+			assert.equal(JSON.parse(await fs.readFile(indexPath(), 'utf8')).gists.length, 1);
+		});
+
+		it('re-shares in place, keeping the share time and stars', async () => {
+			const shared = entry(1, { starredBy: ['hubot'], tags: ['old'] });
+			await start({ version: 1, gists: [shared] });
+
+			const { status, body } = await request('/', {
+				method: 'POST',
+				body: { gistId: gistId(1), tags: ['new'] },
+			});
+
+			assert.equal(status, 200);
+			assert.equal(body.sharedGist.sharedId, shared.sharedId);
+			assert.equal(body.sharedGist.sharedAt, shared.sharedAt);
+			assert.equal(body.sharedGist.stars, 1);
+			assert.deepEqual(body.sharedGist.tags, ['new']);
+			assert.equal((await request('/')).body.total, 1);
+		});
+
+		it('only lets the owner share a public gist', async () => {
+			await start({ version: 1, gists: [entry(1, { tags: ['kept'] })] });
+
+			assert.equal(
+				(await request('/', { user: 'hubot', method: 'POST', body: { gistId: gistId(1) } })).status,
+				403,
+			);
+			gist = githubGist({ public: false });
+			assert.equal(
+				(await request('/', { method: 'POST', body: { gistId: gistId(1) } })).status,
+				400,
+			);
+			assert.equal(
+				(await request('/', { method: 'POST', body: { gistId: '../user' } })).status,
+				400,
+			);
+			assert.equal(
+				(await request('/', { user: null, method: 'POST', body: { gistId: gistId(1) } })).status,
+				401,
+			);
+
+			assert.deepEqual((await request('/')).body.gists[0].tags, ['kept']);
+		});
+	});
+
+	describe('unsharing', () => {
+		it('only lets the owner remove a gist from the index', async () => {
+			await start({ version: 1, gists: [entry(1), entry(2)] });
+
+			assert.equal(
+				(await request(`/${gistId(1)}`, { user: 'hubot', method: 'DELETE' })).status,
+				403,
+			);
+			assert.equal((await request(`/${gistId(1)}`, { user: null, method: 'DELETE' })).status, 401);
+			assert.equal((await request(`/${gistId(9)}`, { method: 'DELETE' })).status, 404);
+
+			assert.deepEqual((await request(`/${gistId(1)}`, { method: 'DELETE' })).body, {
+				success: true,
+			});
+			assert.deepEqual(
+				(await request('/')).body.gists.map((g) => g.id),
+				[gistId(2)],
+			);
+		});
+	});
+});
@@ -0,0 +1,109 @@
+/**
+ * Server Test Helpers
+ * Runs an Express app on an ephemeral port and stands in for the GitHub API,
+ * so routes are tested over real HTTP without reaching GitHub.
+ */
+
+const fs = require('node:fs/promises');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { GITHUB_API_URL } = require('../lib/github');
+
+const realFetch = globalThis.fetch;
+
+/**
+ * Listen on a free port
+ * @param {import('express').Express} app
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+const startServer = (app) =>
+	new Promise((resolve) => {
+		const server = app.listen(0, '127.0.0.1', () => {
+			resolve({
+				url: `http://127.0.0.1:${server.address().port}`,
+				close: () => new Promise((done) => server.close(done)),
+			});
+		});
+	});
+
+/**
+ * GET a path exactly as given; fetch would resolve dot segments before sending
+ * @param {string} baseUrl - From startServer
+ * @param {string} path
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<{ status: number, body: string }>}
+ */
+const rawGet = (baseUrl, path, headers = {}) =>
+	new Promise((resolve, reject) => {
+		const { hostname, port } = new URL(baseUrl);
+		http
+			.get({ hostname, port, path, headers }, (res) => {
+				let body = '';
+				res.on('data', (chunk) => {
+					body += chunk;
+				});
+				res.on('end', () => resolve({ status: res.statusCode, body }));
+			})
+			.on('error', reject);
+	});
+
+/**
+ * Fresh data directory for stores under test
+ * @returns {Promise<{ dir: string, remove: () => Promise<void> }>}
+ */
+const createTempDir = async () => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gist-manager-'));
+	return { dir, remove: () => fs.rm(dir, { recursive: true, force: true }) };
+};
+
+/**
+ * Send requests to the GitHub API to a handler instead of the network
+ * @param {(request: { path: string, method: string, headers: Headers, body?: string }) =>
+ *   Response|Promise<Response>} handler
+ * @returns {{ calls: Array<{ path: string, method: string, headers: Headers }>, restore: () => void }}
+ */
+const stubGitHub = (handler) => {
+	const calls = [];
+	globalThis.fetch = async (input, init = {}) => {
+		const url = String(input);
+		if (!url.startsWith(GITHUB_API_URL)) return realFetch(input, init);
+		const request = {
+			path: url.slice(GITHUB_API_URL.length),
+			method: init.method || 'GET',
+			headers: new Headers(init.headers),
+			body: init.body,
+		};
+		calls.push(request);
+		return handler(request);
+	};
+	return {
+		calls,
+		restore: () => {
+			globalThis.fetch = realFetch;
+		},
+	};
+};
+
+/**
+ * JSON response as GitHub would send it
+ * @param {any} body
+ * @param {Object} [options]
+ * @param {number} [options.status]
+ * @param {Record<string, string>} [options.headers]
+ * @returns {Response}
+ */
+const jsonResponse = (body, { status = 200, headers = {} } = {}) =>
+	new Response(status === 304 ? null : JSON.stringify(body), {
+		status,
+		headers: { 'content-type': 'application/json', ...headers },
+	});
+
+module.exports = {
+	createTempDir,
+	jsonResponse,
+	rawGet,
+	realFetch,
+	startServer,
+	stubGitHub,
+};